@@ -3,16 +3,24 @@ import { UmiClient } from './client/UmiClient.js';
 import { WalletManager } from './wallet/WalletManager.js';
 import { TransferManager } from './transfer/TransferManager.js';
 import { TokenManager } from './token/TokenManager.js';
+import { VestingManager } from './token/VestingManager.js';
 import { NFTManager } from './nft/NFTManager.js';
+import { MerkleAllowlist } from './nft/MerkleAllowlist.js';
+import { MetadataBuilder } from './nft/MetadataBuilder.js';
+import { TraitGenerator } from './nft/TraitGenerator.js';
+import { StakingManager } from './staking/StakingManager.js';
+import { MarketplaceManager } from './marketplace/MarketplaceManager.js';
 import { ServerMultisigManager } from './multisig/ServerMultisigManager.js';
+import { OnChainMultisigManager } from './multisig/OnChainMultisigManager.js';
+import { MultisigWalletCompiler } from './compiler/MultisigWalletCompiler.js';
 import { AIManager } from './ai/AIManager.js'; // NEW: AI Integration
 import { validateConfig } from './config.js';
 import { parseEther } from 'viem';
-import { createWalletClient, http } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
 import { MultiContractDeployer } from './deployment/MultiContractDeployer.js';
 import { ERC1155Manager } from './erc1155/ERC1155Manager.js';
 import { EmbeddedDeploymentEngine } from './deployment/EmbeddedDeploymentEngine.js';
+import { EventIndexer } from './indexer/EventIndexer.js';
+import { EventSubscriptionManager } from './indexer/EventSubscriptionManager.js';
 import fs from 'fs/promises';
 import path from 'path';
 export class UmiAgentKit {
@@ -31,8 +39,32 @@ export class UmiAgentKit {
     // Initialize client
     this.client = new UmiClient(this.config);
     
+    // Shared transaction tracker (emits lifecycle events for AI/multisig layers)
+    this.transactionTracker = this.client.transactionTracker;
+
+    // Local event index for history, holder and ownership queries
+    // (kept in memory unless indexer.enableFileStorage is set)
+    this.indexer = new EventIndexer(this.client, this.config.indexer);
+
+    // Contract event subscriptions (kit.on) - newHeads over WebSocket when wsUrl is set
+    this.eventSubscriptions = new EventSubscriptionManager(this.client, {
+      wsUrl: this.config.wsUrl,
+      ...this.config.subscriptions
+    });
+
+    // Index every contract deployed through the kit from its deployment block
+    this.transactionTracker.on('mined', (transaction) => {
+      if (transaction.contractAddress) {
+        this.indexer.registerContract(transaction.contractAddress, {
+          fromBlock: transaction.blockNumber
+        }).catch(error => console.warn(`Indexer registration failed: ${error.message}`));
+      }
+    });
+
     // Initialize wallet manager
-    this.walletManager = new WalletManager(this.client);
+    this.walletManager = new WalletManager(this.client, {
+      keystoreDir: this.config.keystoreDir
+    });
 
     // Initialize transfer manager
     this.transferManager = new TransferManager(this.client, this.client.chain);
@@ -40,12 +72,24 @@ export class UmiAgentKit {
     // Initialize token manager
     this.tokenManager = new TokenManager(this.client, this.client.chain);
 
+    // Initialize vesting manager (vesting wallets for ERC-20 allocations)
+    this.vestingManager = new VestingManager(this.client, this.client.chain);
+
     // Initialize NFT manager (supports both ERC-721 and Move)
     this.nftManager = new NFTManager(this.client, this.client.chain);
 
+    // Initialize staking manager (ERC-20 / ERC-721 staking pools)
+    this.stakingManager = new StakingManager(this.client, this.client.chain);
+
+    // Initialize marketplace manager (ERC-721 / ERC-1155 trading)
+    this.marketplaceManager = new MarketplaceManager(this.client, this.client.chain);
+
+    // Initialize on-chain multisig wallets (also used by on-chain multisig groups)
+    this.onChainMultisigManager = new OnChainMultisigManager(this.client, this.client.chain);
+
     // Initialize multisig manager with server wallets
     if (this.config.multisigEnabled) {
-      this.multisigManager = new ServerMultisigManager(this.client);
+      this.multisigManager = new ServerMultisigManager(this);
       console.log(`🔐 Multisig functionality enabled`);
     }
 
@@ -81,6 +125,13 @@ export class UmiAgentKit {
         ...aiConfig
       });
 
+      // Keep the AI's view of recent transactions current
+      this.transactionTracker.on('status', (transaction) => {
+        if (this.isAIEnabled()) {
+          this.aiManager.contextManager.updateTransactionContext(transaction);
+        }
+      });
+
       // Mark AI as enabled
       this.config.aiEnabled = true;
 
@@ -201,6 +252,13 @@ export class UmiAgentKit {
     return wallet;
   }
 
+  /**
+   * Create a new wallet and store it as an encrypted keystore
+   */
+  async createWalletAndSave(keystoreOptions) {
+    return await this._storeWallet(this.createWallet(), keystoreOptions);
+  }
+
   /**
    * Import wallet from private key
    */
@@ -215,6 +273,13 @@ export class UmiAgentKit {
     return wallet;
   }
 
+  /**
+   * Import a wallet from private key and store it as an encrypted keystore
+   */
+  async importWalletAndSave(privateKey, keystoreOptions) {
+    return await this._storeWallet(this.importWallet(privateKey), keystoreOptions);
+  }
+
   /**
    * Import wallet from mnemonic
    */
@@ -229,6 +294,48 @@ export class UmiAgentKit {
     return wallet;
   }
 
+  /**
+   * Create an HD account (new mnemonic) that can derive many wallets
+   */
+  createHDAccount(options = {}) {
+    return this.walletManager.createHDAccount(options);
+  }
+
+  /**
+   * Import an HD account from a mnemonic, keeping the seed
+   */
+  importHDAccount(mnemonic, options = {}) {
+    return this.walletManager.importHDAccount(mnemonic, options);
+  }
+
+  /**
+   * Derive a range of BIP-44 wallets from an HD account
+   */
+  deriveHDWallets(account, start = 0, count = 1) {
+    const wallets = this.walletManager.deriveWallets(account, start, count);
+
+    // Update AI context if AI is enabled
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateWalletContext(this.getAllWallets());
+    }
+
+    return wallets;
+  }
+
+  /**
+   * Find every used address of an HD account (gap-limit scan)
+   */
+  async discoverHDWallets(account, options = {}) {
+    const result = await this.walletManager.discoverWallets(account, options);
+
+    // Update AI context if AI is enabled
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateWalletContext(this.getAllWallets());
+    }
+
+    return result;
+  }
+
   /**
    * Get wallet by address
    */
@@ -307,43 +414,113 @@ export class UmiAgentKit {
     return WalletManager.validateMnemonic(mnemonic);
   }
 
+  // ====== KEYSTORE OPERATIONS ======
+
+  /**
+   * Save a managed wallet as an encrypted keystore file
+   * Options: { label, password, kdf, overwrite, scrypt, pbkdf2 } - the last
+   * two tune the chosen KDF's parameters
+   */
+  async saveWallet(wallet, keystoreOptions = {}) {
+    return await this.walletManager.saveWallet(wallet, keystoreOptions);
+  }
+
+  /**
+   * Unlock a stored keystore wallet by label
+   */
+  async unlockWallet(label, password) {
+    const wallet = await this.walletManager.unlockWallet(label, password);
+
+    // Update AI context if AI is enabled
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateWalletContext(this.getAllWallets());
+    }
+
+    return wallet;
+  }
+
+  /**
+   * Load a stored keystore wallet by label (alias of unlockWallet)
+   */
+  async loadWallet(label, password) {
+    return await this.unlockWallet(label, password);
+  }
+
+  /**
+   * Re-lock a keystore wallet (removes the decrypted key from memory)
+   */
+  lockWallet(label) {
+    const locked = this.walletManager.lockWallet(label);
+
+    // Update AI context if AI is enabled
+    if (locked && this.isAIEnabled()) {
+      this.aiManager.contextManager.updateWalletContext(this.getAllWallets());
+    }
+
+    return locked;
+  }
+
+  /**
+   * List stored keystore wallets
+   */
+  async listStoredWallets() {
+    return await this.walletManager.listKeystores();
+  }
+
+  /**
+   * Get an unlocked keystore wallet by label
+   */
+  getWalletByLabel(label) {
+    return this.walletManager.getWalletByLabel(label);
+  }
+
+  /**
+   * Persist a freshly created/imported wallet, resolving to the wallet itself
+   */
+  async _storeWallet(wallet, keystoreOptions = {}) {
+    await this.walletManager.saveWallet(wallet, keystoreOptions);
+    return wallet;
+  }
+
   // ====== ETH TRANSFER OPERATIONS ======
 
   /**
    * Send ETH from wallet to another address
    */
-  async sendETH({ fromWallet, to, amount, gasLimit, gasPrice }) {
+  async sendETH({ fromWallet, to, amount, gasLimit, gasPrice, feeStrategy }) {
     if (!fromWallet) {
       throw new Error('From wallet is required');
     }
     
     return await this.transferManager.sendETH({
-      fromPrivateKey: fromWallet.exportPrivateKey(),
+      signer: fromWallet.getSigner(),
       to,
       amount,
       gasLimit,
-      gasPrice
+      gasPrice,
+      feeStrategy
     });
   }
 
   /**
    * Send ETH using private key directly
    */
-  async sendETHWithPrivateKey({ fromPrivateKey, to, amount, gasLimit, gasPrice }) {
+  async sendETHWithPrivateKey({ fromPrivateKey, to, amount, gasLimit, gasPrice, feeStrategy }) {
     return await this.transferManager.sendETH({
       fromPrivateKey,
       to,
       amount,
       gasLimit,
-      gasPrice
+      gasPrice,
+      feeStrategy
     });
   }
 
   /**
    * Check if wallet has enough balance for transfer
    */
-  async checkBalance({ address, amount, includeGas = true }) {
-    return await this.transferManager.checkBalance({ address, amount, includeGas });
+  async checkBalance({ address, amount, includeGas = true, feeStrategy }) {
+    return await this.transferManager.checkBalance({ address, amount, includeGas, feeStrategy });
   }
 
   /**
@@ -363,8 +540,15 @@ export class UmiAgentKit {
   /**
    * Calculate transaction cost
    */
-  async calculateTransactionCost(amount) {
-    return await this.transferManager.calculateTransactionCost(amount);
+  async calculateTransactionCost(amount, feeStrategy) {
+    return await this.transferManager.calculateTransactionCost(amount, feeStrategy);
+  }
+
+  /**
+   * Compare slow / standard / fast fee estimates (gwei)
+   */
+  async getFeeEstimates() {
+    return await this.client.feeEstimator.compareStrategies();
   }
 
   /**
@@ -382,6 +566,158 @@ export class UmiAgentKit {
     return await this.walletManager.getTotalBalance();
   }
 
+  // ====== TRANSACTION TRACKING ======
+
+  /**
+   * Subscribe to transaction lifecycle events
+   * ('sent', 'mined', 'failed', 'dropped', 'replaced', 'status', 'speedup', 'cancel')
+   */
+  onTransaction(event, handler) {
+    this.transactionTracker.on(event, handler);
+    return () => this.transactionTracker.off(event, handler);
+  }
+
+  /**
+   * Get a tracked transaction record
+   */
+  getTrackedTransaction(hash) {
+    return this.transactionTracker.getTransaction(hash);
+  }
+
+  /**
+   * List tracked transactions ({ from, status } filters)
+   */
+  getTrackedTransactions(filter = {}) {
+    return this.transactionTracker.getTransactions(filter);
+  }
+
+  /**
+   * Re-send a stuck transaction with a higher fee
+   */
+  async speedUpTransaction(hash, options = {}) {
+    return await this.transactionTracker.speedUp(hash, options);
+  }
+
+  /**
+   * Cancel a stuck transaction (zero-value self-transfer at the same nonce)
+   */
+  async cancelTransaction(hash, options = {}) {
+    return await this.transactionTracker.cancel(hash, options);
+  }
+
+  /**
+   * Wait for a tracked transaction, following speed-ups and cancels
+   */
+  async waitForTrackedTransaction(hash, options = {}) {
+    return await this.transactionTracker.wait(hash, options);
+  }
+
+  // ====== EVENT INDEXER ======
+
+  /**
+   * Index events of a contract that wasn't deployed through the kit
+   * ({ type, name, fromBlock } - fromBlock defaults to the current block)
+   */
+  async registerContractForIndexing(contractAddress, options = {}) {
+    return await this.indexer.registerContract(contractAddress, options);
+  }
+
+  /**
+   * Scan new blocks for indexed contract events
+   */
+  async syncIndexer(options = {}) {
+    return await this.indexer.sync(options);
+  }
+
+  /**
+   * Keep the index synced in the background
+   */
+  startIndexer(pollInterval) {
+    this.indexer.start(pollInterval);
+  }
+
+  /**
+   * Stop background indexing
+   */
+  stopIndexer() {
+    this.indexer.stop();
+  }
+
+  /**
+   * Get indexer checkpoint and counts
+   */
+  async getIndexerStatus() {
+    return await this.indexer.getStatus();
+  }
+
+  /**
+   * Indexed transfers, mints and pauses involving an address (syncs first)
+   */
+  async getIndexedHistory(address, { contract, limit = 20, sync = true } = {}) {
+    if (sync) await this.indexer.sync();
+    return await this.indexer.getTransactionHistory(address, { contract, limit });
+  }
+
+  /**
+   * Holders of an ERC-20 token, or of an ERC-1155 token id ({ tokenId, limit })
+   */
+  async getTokenHolders(contractAddress, { tokenId, limit, sync = true } = {}) {
+    if (sync) await this.indexer.sync();
+    return await this.indexer.getTokenHolders(contractAddress, { tokenId, limit });
+  }
+
+  /**
+   * Current owners of an ERC-721 collection
+   */
+  async getNFTOwners(contractAddress, { sync = true } = {}) {
+    if (sync) await this.indexer.sync();
+    return await this.indexer.getNFTOwners(contractAddress);
+  }
+
+  /**
+   * ERC-721 tokens and ERC-1155 balances an address holds in indexed contracts
+   */
+  async getNFTsOwnedBy(address, { sync = true } = {}) {
+    if (sync) await this.indexer.sync();
+    return await this.indexer.getNFTsOwnedBy(address);
+  }
+
+  // ====== CONTRACT EVENT SUBSCRIPTIONS ======
+
+  /**
+   * Subscribe to a contract event ('*' for all events). The handler gets
+   * { eventName, args, address, blockNumber, transactionHash, logIndex } and
+   * events are delivered one at a time, in order.
+   * Options: { abi, fromBlock, maxQueueSize, onError }
+   */
+  async on(contractAddress, eventName, handler, options = {}) {
+    return await this.eventSubscriptions.subscribe(contractAddress, eventName, handler, options);
+  }
+
+  /**
+   * Remove a subscription returned by on()
+   */
+  off(subscription) {
+    return this.eventSubscriptions.unsubscribe(subscription);
+  }
+
+  /**
+   * Subscribe to a single event, then unsubscribe
+   */
+  async once(contractAddress, eventName, handler, options = {}) {
+    return await this.on(contractAddress, eventName, async (event, subscription) => {
+      subscription.unsubscribe();
+      await handler(event);
+    }, options);
+  }
+
+  /**
+   * List active event subscriptions
+   */
+  getEventSubscriptions() {
+    return this.eventSubscriptions.getSubscriptions();
+  }
+
   // ====== TOKEN OPERATIONS ======
 
   /**
@@ -392,20 +728,27 @@ export class UmiAgentKit {
     name,
     symbol,
     decimals = 18,
-    initialSupply
+    initialSupply,
+    features = {},
+    feeStrategy
   }) {
     if (!deployerWallet) {
       throw new Error('Deployer wallet is required');
     }
 
     const result = await this.tokenManager.deployERC20Token({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
       symbol,
       decimals,
-      initialSupply
+      initialSupply,
+      features,
+      feeStrategy
     });
 
+    // Feature builds emit more events than the base ERC-20 ABI
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
     // Update AI context if AI is enabled
     if (this.isAIEnabled()) {
       this.aiManager.contextManager.updateContractContext('token', result.contractAddress, {
@@ -426,16 +769,23 @@ export class UmiAgentKit {
     name,
     symbol,
     decimals = 18,
-    initialSupply
+    initialSupply,
+    features = {},
+    feeStrategy
   }) {
     const result = await this.tokenManager.deployERC20Token({
       deployerPrivateKey,
       name,
       symbol,
       decimals,
-      initialSupply
+      initialSupply,
+      features,
+      feeStrategy
     });
 
+    // Feature builds emit more events than the base ERC-20 ABI
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
     // Update AI context if AI is enabled
     if (this.isAIEnabled()) {
       this.aiManager.contextManager.updateContractContext('token', result.contractAddress, {
@@ -449,30 +799,39 @@ export class UmiAgentKit {
   }
 
   /**
-   * Create Move token
+   * Create Move fungible asset token.
+   * Without moduleBytecode this returns the generated module to compile.
    */
   async createMoveToken({
     deployerWallet,
     name,
     symbol,
     decimals = 8,
-    monitorSupply = true
+    maxSupply = null,
+    iconUri = '',
+    projectUri = '',
+    moduleBytecode = null,
+    feeStrategy
   }) {
     if (!deployerWallet) {
       throw new Error('Deployer wallet is required');
     }
 
     const result = await this.tokenManager.deployMoveToken({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
       symbol,
       decimals,
-      monitorSupply
+      maxSupply,
+      iconUri,
+      projectUri,
+      moduleBytecode,
+      feeStrategy
     });
 
     // Update AI context if AI is enabled
-    if (this.isAIEnabled()) {
-      this.aiManager.contextManager.updateContractContext('token', result.moduleAddress, {
+    if (this.isAIEnabled() && result.deployed) {
+      this.aiManager.contextManager.updateContractContext('token', result.moduleId, {
         name,
         symbol,
         type: 'Move'
@@ -483,26 +842,34 @@ export class UmiAgentKit {
   }
 
   /**
-   * Create Move token with private key
+   * Create Move fungible asset token with private key
    */
   async createMoveTokenWithPrivateKey({
     deployerPrivateKey,
     name,
     symbol,
     decimals = 8,
-    monitorSupply = true
+    maxSupply = null,
+    iconUri = '',
+    projectUri = '',
+    moduleBytecode = null,
+    feeStrategy
   }) {
     const result = await this.tokenManager.deployMoveToken({
       deployerPrivateKey,
       name,
       symbol,
       decimals,
-      monitorSupply
+      maxSupply,
+      iconUri,
+      projectUri,
+      moduleBytecode,
+      feeStrategy
     });
 
     // Update AI context if AI is enabled
-    if (this.isAIEnabled()) {
-      this.aiManager.contextManager.updateContractContext('token', result.moduleAddress, {
+    if (this.isAIEnabled() && result.deployed) {
+      this.aiManager.contextManager.updateContractContext('token', result.moduleId, {
         name,
         symbol,
         type: 'Move'
@@ -520,42 +887,139 @@ export class UmiAgentKit {
     tokenAddress,
     to,
     amount,
-    decimals = 18
+    feeStrategy
   }) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
-    return await this.tokenManager.mintERC20({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      tokenAddress,
-      to,
+    return await this.tokenManager.mintTokens({
+      signer: ownerWallet.getSigner(),
+      contractAddress: tokenAddress,
+      toAddress: to,
       amount,
-      decimals
+      feeStrategy
     });
   }
 
   /**
-   * Mint Move tokens
+   * Mint Move tokens (moduleId = "0x...::module")
    */
   async mintMoveTokens({
     ownerWallet,
-    moduleAddress,
+    moduleId,
     to,
-    amount
+    amount,
+    decimals, // Read from the token when omitted
+    feeStrategy
   }) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.tokenManager.mintMoveToken({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      moduleAddress,
+      signer: ownerWallet.getSigner(),
+      moduleId,
       to,
-      amount
+      amount,
+      decimals,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Burn Move tokens from the wallet's own balance
+   */
+  async burnMoveTokens({
+    wallet,
+    moduleId,
+    amount,
+    decimals, // Read from the token when omitted
+    feeStrategy
+  }) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.tokenManager.burnMoveToken({
+      signer: wallet.getSigner(),
+      moduleId,
+      amount,
+      decimals,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Transfer Move tokens
+   */
+  async transferMoveTokens({
+    fromWallet,
+    moduleId,
+    to,
+    amount,
+    decimals, // Read from the token when omitted
+    feeStrategy
+  }) {
+    if (!fromWallet) {
+      throw new Error('From wallet is required');
+    }
+
+    return await this.tokenManager.transferMoveToken({
+      signer: fromWallet.getSigner(),
+      moduleId,
+      to,
+      amount,
+      decimals,
+      feeStrategy
     });
   }
 
+  /**
+   * Freeze or unfreeze an account's Move token store
+   */
+  async freezeMoveTokenStore({
+    ownerWallet,
+    moduleId,
+    account,
+    frozen = true,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.tokenManager.freezeMoveTokenStore({
+      signer: ownerWallet.getSigner(),
+      moduleId,
+      account,
+      frozen,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Get Move token balance
+   */
+  async getMoveTokenBalance({
+    moduleId,
+    address,
+    decimals // Read from the token when omitted
+  }) {
+    return await this.tokenManager.getMoveTokenBalance({
+      moduleId,
+      address,
+      decimals
+    });
+  }
+
+  /**
+   * Get Move token metadata
+   */
+  async getMoveTokenInfo({ moduleId }) {
+    return await this.tokenManager.getMoveTokenMetadata({ moduleId });
+  }
+
   /**
    * Transfer ERC-20 tokens
    */
@@ -564,18 +1028,18 @@ export class UmiAgentKit {
     tokenAddress,
     to,
     amount,
-    decimals = 18
+    feeStrategy
   }) {
     if (!fromWallet) {
       throw new Error('From wallet is required');
     }
 
-    return await this.tokenManager.transferERC20({
-      fromPrivateKey: fromWallet.exportPrivateKey(),
-      tokenAddress,
-      to,
+    return await this.tokenManager.transferTokens({
+      signer: fromWallet.getSigner(),
+      contractAddress: tokenAddress,
+      toAddress: to,
       amount,
-      decimals
+      feeStrategy
     });
   }
 
@@ -609,10 +1073,481 @@ export class UmiAgentKit {
     });
   }
 
-  // ====== ERC-721 NFT OPERATIONS ======
-
   /**
-   * Create ERC-721 NFT collection
+   * Grant a role on an ERC-20 deployed with features.roles
+   * (role: 'minter' | 'pauser' | 'admin')
+   */
+  async grantERC20Role({
+    adminWallet,
+    tokenAddress,
+    role,
+    account,
+    feeStrategy
+  }) {
+    if (!adminWallet) {
+      throw new Error('Admin wallet is required');
+    }
+
+    return await this.tokenManager.grantTokenRole({
+      signer: adminWallet.getSigner(),
+      contractAddress: tokenAddress,
+      role,
+      account,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Revoke a role on an ERC-20 deployed with features.roles
+   */
+  async revokeERC20Role({
+    adminWallet,
+    tokenAddress,
+    role,
+    account,
+    feeStrategy
+  }) {
+    if (!adminWallet) {
+      throw new Error('Admin wallet is required');
+    }
+
+    return await this.tokenManager.revokeTokenRole({
+      signer: adminWallet.getSigner(),
+      contractAddress: tokenAddress,
+      role,
+      account,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Check whether an account holds an ERC-20 role
+   */
+  async hasERC20Role({ tokenAddress, role, account }) {
+    return await this.tokenManager.hasTokenRole({
+      contractAddress: tokenAddress,
+      role,
+      account
+    });
+  }
+
+  // ====== ERC-20 ALLOWANCE & PERMIT OPERATIONS ======
+
+  /**
+   * Approve a spender for ERC-20 tokens (amount 'max' = unlimited)
+   */
+  async approveERC20Tokens({
+    ownerWallet,
+    tokenAddress,
+    spender,
+    amount,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.tokenManager.approveTokens({
+      signer: ownerWallet.getSigner(),
+      contractAddress: tokenAddress,
+      spenderAddress: spender,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Increase ERC-20 allowance
+   */
+  async increaseERC20Allowance({
+    ownerWallet,
+    tokenAddress,
+    spender,
+    amount,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.tokenManager.increaseAllowance({
+      signer: ownerWallet.getSigner(),
+      contractAddress: tokenAddress,
+      spenderAddress: spender,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Decrease ERC-20 allowance
+   */
+  async decreaseERC20Allowance({
+    ownerWallet,
+    tokenAddress,
+    spender,
+    amount,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.tokenManager.decreaseAllowance({
+      signer: ownerWallet.getSigner(),
+      contractAddress: tokenAddress,
+      spenderAddress: spender,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Get ERC-20 allowance
+   */
+  async getERC20Allowance({
+    tokenAddress,
+    owner,
+    spender
+  }) {
+    return await this.tokenManager.getAllowance({
+      contractAddress: tokenAddress,
+      ownerAddress: owner,
+      spenderAddress: spender
+    });
+  }
+
+  /**
+   * Transfer ERC-20 tokens using an allowance
+   */
+  async transferERC20TokensFrom({
+    spenderWallet,
+    tokenAddress,
+    from,
+    to,
+    amount,
+    feeStrategy
+  }) {
+    if (!spenderWallet) {
+      throw new Error('Spender wallet is required');
+    }
+
+    return await this.tokenManager.transferTokensFrom({
+      signer: spenderWallet.getSigner(),
+      contractAddress: tokenAddress,
+      fromAddress: from,
+      toAddress: to,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Sign a gasless EIP-2612 permit
+   */
+  async signERC20Permit({
+    ownerWallet,
+    tokenAddress,
+    spender,
+    amount,
+    deadline
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.tokenManager.signPermit({
+      signer: ownerWallet.getSigner(),
+      contractAddress: tokenAddress,
+      spenderAddress: spender,
+      amount,
+      deadline
+    });
+  }
+
+  /**
+   * Submit a signed permit (sender pays the gas)
+   */
+  async submitERC20Permit({
+    senderWallet,
+    permit,
+    feeStrategy
+  }) {
+    if (!senderWallet) {
+      throw new Error('Sender wallet is required');
+    }
+
+    return await this.tokenManager.submitPermit({
+      signer: senderWallet.getSigner(),
+      permit,
+      feeStrategy
+    });
+  }
+
+  // ====== TOKEN VESTING ======
+
+  /**
+   * Create a vesting wallet for an ERC-20 allocation and fund it from the
+   * deployer. schedule: 'linear' (durationSeconds, cliffSeconds), 'cliff'
+   * (time-lock for cliffSeconds) or 'milestone' ([{ time, percent }])
+   */
+  async createVestingWallet({
+    deployerWallet,
+    tokenAddress,
+    beneficiary,
+    amount,
+    schedule = 'linear',
+    start,
+    cliffSeconds = 0,
+    durationSeconds = 0,
+    milestones = [],
+    feeStrategy
+  }) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.vestingManager.deployVestingWallet({
+      signer: deployerWallet.getSigner(),
+      tokenAddress,
+      beneficiary,
+      amount,
+      schedule,
+      start,
+      cliffSeconds,
+      durationSeconds,
+      milestones,
+      feeStrategy
+    });
+
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    return result;
+  }
+
+  /**
+   * Add tokens to an existing vesting wallet
+   */
+  async fundVestingWallet({
+    funderWallet,
+    vestingAddress,
+    amount,
+    feeStrategy
+  }) {
+    if (!funderWallet) {
+      throw new Error('Funder wallet is required');
+    }
+
+    return await this.vestingManager.fundVestingWallet({
+      signer: funderWallet.getSigner(),
+      contractAddress: vestingAddress,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Release vested tokens to the beneficiary (any wallet can pay the gas)
+   */
+  async releaseVestedTokens({
+    wallet,
+    vestingAddress,
+    feeStrategy
+  }) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.vestingManager.releaseVestedTokens({
+      signer: wallet.getSigner(),
+      contractAddress: vestingAddress,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Schedule, released and locked amounts of a vesting wallet
+   */
+  async getVestingInfo(vestingAddress) {
+    return await this.vestingManager.getVestingInfo({ contractAddress: vestingAddress });
+  }
+
+  /**
+   * Tokens the beneficiary can claim right now
+   */
+  async getClaimableVestedAmount(vestingAddress) {
+    return await this.vestingManager.getClaimableAmount({ contractAddress: vestingAddress });
+  }
+
+  // ====== STAKING ======
+
+  /**
+   * Create a staking pool: stake an ERC-20 (stakeType 'erc20') or NFTs from
+   * an ERC-721 collection ('erc721') and earn rewardToken. rewardsPerDay is
+   * shared between all stakers; lockupSeconds restarts with every stake.
+   */
+  async createStakingPool({
+    deployerWallet,
+    stakingToken,
+    rewardToken,
+    stakeType = 'erc20',
+    rewardsPerDay,
+    lockupSeconds = 0,
+    feeStrategy
+  }) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.stakingManager.deployStakingContract({
+      signer: deployerWallet.getSigner(),
+      stakingToken,
+      rewardToken,
+      stakeType,
+      rewardsPerDay,
+      lockupSeconds,
+      feeStrategy
+    });
+
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateContractContext('staking', result.contractAddress, {
+        stakingToken,
+        rewardToken,
+        type: 'StakingPool'
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Deposit reward tokens into a pool (pool owner)
+   */
+  async fundStakingRewards({
+    ownerWallet,
+    poolAddress,
+    amount,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.stakingManager.fundRewards({
+      signer: ownerWallet.getSigner(),
+      contractAddress: poolAddress,
+      amount,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Change a pool's reward rate (pool owner)
+   */
+  async setStakingRewardRate({
+    ownerWallet,
+    poolAddress,
+    rewardsPerDay,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.stakingManager.setRewardRate({
+      signer: ownerWallet.getSigner(),
+      contractAddress: poolAddress,
+      rewardsPerDay,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Stake tokens (amount) or NFTs (tokenIds) in a pool
+   */
+  async stakeTokens({
+    wallet,
+    poolAddress,
+    amount,
+    tokenIds,
+    feeStrategy
+  }) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.stakingManager.stake({
+      signer: wallet.getSigner(),
+      contractAddress: poolAddress,
+      amount,
+      tokenIds,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Withdraw staked tokens (amount) or NFTs (tokenIds) after the lockup
+   */
+  async unstakeTokens({
+    wallet,
+    poolAddress,
+    amount,
+    tokenIds,
+    feeStrategy
+  }) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.stakingManager.unstake({
+      signer: wallet.getSigner(),
+      contractAddress: poolAddress,
+      amount,
+      tokenIds,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Claim earned staking rewards
+   */
+  async claimStakingRewards({
+    wallet,
+    poolAddress,
+    feeStrategy
+  }) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.stakingManager.claimRewards({
+      signer: wallet.getSigner(),
+      contractAddress: poolAddress,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Staked amount, pending rewards and lockup of an address
+   */
+  async getStakingPosition(poolAddress, address) {
+    return await this.stakingManager.getPosition({ contractAddress: poolAddress, address });
+  }
+
+  /**
+   * Pool totals, reward schedule and APR ({ stakePrice, rewardPrice } when
+   * the staked and reward tokens differ)
+   */
+  async getStakingPoolInfo(poolAddress, { stakePrice, rewardPrice } = {}) {
+    return await this.stakingManager.getPoolInfo({ contractAddress: poolAddress, stakePrice, rewardPrice });
+  }
+
+  // ====== ERC-721 NFT OPERATIONS ======
+
+  /**
+   * Create ERC-721 NFT collection
    */
   async createNFTCollection({
     deployerWallet,
@@ -620,19 +1555,31 @@ export class UmiAgentKit {
     symbol,
     baseURI = "",
     maxSupply = 10000,
-    mintPrice = "0"
+    mintPrice = "0",
+    royaltyReceiver,
+    royaltyBps = 0,
+    contractURI = "",
+    soulbound = false,
+    lockEvents = true,
+    feeStrategy
   }) {
     if (!deployerWallet) {
       throw new Error('Deployer wallet is required');
     }
 
     const result = await this.nftManager.deployNFTCollection({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
       symbol,
       baseURI,
       maxSupply,
-      mintPrice
+      mintPrice,
+      royaltyReceiver,
+      royaltyBps,
+      contractURI,
+      soulbound,
+      lockEvents,
+      feeStrategy
     });
 
     // Update AI context if AI is enabled
@@ -656,7 +1603,13 @@ export class UmiAgentKit {
     symbol,
     baseURI = "",
     maxSupply = 10000,
-    mintPrice = "0"
+    mintPrice = "0",
+    royaltyReceiver,
+    royaltyBps = 0,
+    contractURI = "",
+    soulbound = false,
+    lockEvents = true,
+    feeStrategy
   }) {
     const result = await this.nftManager.deployNFTCollection({
       deployerPrivateKey,
@@ -664,7 +1617,13 @@ export class UmiAgentKit {
       symbol,
       baseURI,
       maxSupply,
-      mintPrice
+      mintPrice,
+      royaltyReceiver,
+      royaltyBps,
+      contractURI,
+      soulbound,
+      lockEvents,
+      feeStrategy
     });
 
     // Update AI context if AI is enabled
@@ -680,25 +1639,38 @@ export class UmiAgentKit {
   }
 
   /**
-   * Mint ERC-721 NFT to specific address
+   * Mint ERC-721 NFT to specific address. For a phased sale pass `phaseId`
+   * and the wallet's `proof` (see createMerkleAllowlist) or the `allowlist`
    */
   async mintNFT({
     ownerWallet,
     contractAddress,
     to,
     tokenId,
-    metadataURI = ""
+    metadataURI = "",
+    paymentAmount,
+    quantity = 1,
+    phaseId,
+    proof,
+    allowlist,
+    feeStrategy
   }) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.nftManager.mintNFT({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       contractAddress,
       to,
       tokenId,
-      metadataURI
+      metadataURI,
+      paymentAmount,
+      quantity,
+      phaseId,
+      proof,
+      allowlist,
+      feeStrategy
     });
   }
 
@@ -710,14 +1682,26 @@ export class UmiAgentKit {
     contractAddress,
     to,
     tokenId,
-    metadataURI = ""
+    metadataURI = "",
+    paymentAmount,
+    quantity = 1,
+    phaseId,
+    proof,
+    allowlist,
+    feeStrategy
   }) {
     return await this.nftManager.mintNFT({
-      ownerPrivateKey,
+      userPrivateKey: ownerPrivateKey,
       contractAddress,
       to,
       tokenId,
-      metadataURI
+      metadataURI,
+      paymentAmount,
+      quantity,
+      phaseId,
+      proof,
+      allowlist,
+      feeStrategy
     });
   }
 
@@ -727,39 +1711,88 @@ export class UmiAgentKit {
   async batchMintNFTs({
     ownerWallet,
     contractAddress,
-    recipients
+    recipients,
+    feeStrategy
   }) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.nftManager.batchMintNFTs({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       contractAddress,
-      recipients
+      recipients,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Store attributes on-chain for a token (array/object is saved as JSON)
+   */
+  async setNFTAttributes({
+    ownerWallet,
+    contractAddress,
+    tokenId,
+    attributes,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.setNFTAttributes({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      tokenId,
+      attributes: typeof attributes === 'string' ? attributes : JSON.stringify(attributes),
+      feeStrategy
     });
   }
 
   /**
-   * Transfer ERC-721 NFT between addresses
+   * Transfer ERC-721 NFT between addresses (`from` lets the issuer of a
+   * soulbound collection move a holder's token)
    */
   async transferNFT({
     fromWallet,
     contractAddress,
     from,
     to,
-    tokenId
+    tokenId,
+    feeStrategy
   }) {
     if (!fromWallet) {
       throw new Error('From wallet is required');
     }
 
     return await this.nftManager.transferNFT({
-      fromPrivateKey: fromWallet.exportPrivateKey(),
+      signer: fromWallet.getSigner(),
       contractAddress,
-      from,
-      to,
-      tokenId
+      fromAddress: from,
+      toAddress: to,
+      tokenId,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Revoke a token of a soulbound collection (issuer only)
+   */
+  async revokeNFT({
+    ownerWallet,
+    contractAddress,
+    tokenId,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.revokeNFT({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      tokenId,
+      feeStrategy
     });
   }
 
@@ -813,6 +1846,215 @@ export class UmiAgentKit {
     });
   }
 
+  /**
+   * Set the collection-wide royalty (basis points, 250 = 2.5%)
+   */
+  async setNFTDefaultRoyalty({
+    ownerWallet,
+    contractAddress,
+    receiver,
+    royaltyBps,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.setDefaultRoyalty({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      receiver,
+      royaltyBps,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Remove the collection-wide royalty
+   */
+  async deleteNFTDefaultRoyalty({
+    ownerWallet,
+    contractAddress,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.deleteDefaultRoyalty({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Override the royalty receiver/fee for one token
+   */
+  async setNFTTokenRoyalty({
+    ownerWallet,
+    contractAddress,
+    tokenId,
+    receiver,
+    royaltyBps,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.setTokenRoyalty({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      tokenId,
+      receiver,
+      royaltyBps,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Remove a token's royalty override
+   */
+  async resetNFTTokenRoyalty({
+    ownerWallet,
+    contractAddress,
+    tokenId,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.resetTokenRoyalty({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      tokenId,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Get the royalty owed on a sale (salePrice in ETH)
+   */
+  async getNFTRoyaltyInfo({
+    contractAddress,
+    tokenId,
+    salePrice = "1"
+  }) {
+    return await this.nftManager.getRoyaltyInfo({
+      contractAddress,
+      tokenId,
+      salePrice
+    });
+  }
+
+  /**
+   * Update the collection metadata URI read by marketplaces
+   */
+  async setNFTContractURI({
+    ownerWallet,
+    contractAddress,
+    contractURI,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.setContractURI({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      contractURI,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Build contract-level metadata JSON for marketplaces
+   */
+  buildNFTContractMetadata(metadata) {
+    return this.nftManager.buildContractMetadata(metadata);
+  }
+
+  /**
+   * Build OpenSea-compatible metadata JSON for one token
+   * (collection: { name, description, imageBaseURI, imageExtension, externalUrl })
+   */
+  buildNFTMetadata(token, collection = {}) {
+    return new MetadataBuilder(collection).buildToken(token);
+  }
+
+  /**
+   * Build metadata for every token and package it for IPFS. Use the returned
+   * `baseURI` (ipfs://<cid>/) when deploying with createNFTCollection; with
+   * `outputDir` a ready-to-pin CAR file and the plain directory are written
+   */
+  async packNFTMetadata({
+    tokens,
+    collection = {},
+    outputDir,
+    car = true,
+    directory = true,
+    contractMetadata
+  }) {
+    return await new MetadataBuilder(collection).pack(tokens, {
+      outputDir,
+      car,
+      directory,
+      contractMetadata
+    });
+  }
+
+  /**
+   * Build a Merkle allowlist from addresses. Use `.root` for a sale phase
+   * and `.getProof(address)` (or `.toJSON().proofs`) for minting
+   */
+  createMerkleAllowlist(addresses) {
+    return new MerkleAllowlist(addresses);
+  }
+
+  /**
+   * Create or update an ERC-721 sale phase (public, or allowlist-only when
+   * `allowlist` / `merkleRoot` is given)
+   */
+  async setNFTSalePhase({
+    ownerWallet,
+    contractAddress,
+    phaseId,
+    startTime = 0,
+    endTime = 0,
+    price = "0",
+    maxPerWallet = 0,
+    allowlist,
+    merkleRoot,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.nftManager.setSalePhase({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      phaseId,
+      startTime,
+      endTime,
+      price,
+      maxPerWallet,
+      allowlist,
+      merkleRoot,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Get the sale phases of an ERC-721 collection
+   */
+  async getNFTSalePhases({ contractAddress }) {
+    return await this.nftManager.getSalePhases({ contractAddress });
+  }
+
   // ====== MOVE NFT OPERATIONS ======
 
   /**
@@ -830,7 +2072,7 @@ export class UmiAgentKit {
     }
 
     const result = await this.nftManager.deployMoveNFTCollection({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
       symbol,
       description,
@@ -899,8 +2141,8 @@ export class UmiAgentKit {
     }
 
     return await this.nftManager.mintMoveNFT({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      moduleAddress,
+      signer: ownerWallet.getSigner(),
+      moveAddress: moduleAddress,
       recipient,
       tokenId,
       name,
@@ -928,8 +2170,8 @@ export class UmiAgentKit {
     rarity = "common"
   }) {
     return await this.nftManager.mintMoveNFT({
-      ownerPrivateKey,
-      moduleAddress,
+      deployerPrivateKey: ownerPrivateKey,
+      moveAddress: moduleAddress,
       recipient,
       tokenId,
       name,
@@ -954,7 +2196,7 @@ export class UmiAgentKit {
     }
 
     return await this.nftManager.batchMintMoveNFTs({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       moduleAddress,
       recipients
     });
@@ -975,7 +2217,7 @@ export class UmiAgentKit {
     }
 
     return await this.nftManager.transferMoveNFT({
-      fromPrivateKey: fromWallet.exportPrivateKey(),
+      signer: fromWallet.getSigner(),
       moduleAddress,
       from,
       to,
@@ -1010,7 +2252,7 @@ export class UmiAgentKit {
     }
 
     return await this.nftManager.upgradeMoveNFT({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       moduleAddress,
       tokenId,
       experienceGained
@@ -1031,7 +2273,7 @@ export class UmiAgentKit {
     }
 
     const result = await this.nftManager.deployGamingMoveNFTCollection({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
       symbol,
       categories
@@ -1071,17 +2313,7 @@ export class UmiAgentKit {
     const gamingContract = NFTCompiler.compileGamingNFT(name, symbol, baseURI, categories);
     
     // Deploy using custom bytecode
-    const formattedKey = deployerWallet.exportPrivateKey().startsWith('0x') 
-      ? deployerWallet.exportPrivateKey() 
-      : '0x' + deployerWallet.exportPrivateKey();
-
-    const account = privateKeyToAccount(formattedKey);
-    
-    const walletClient = createWalletClient({
-      account,
-      chain: this.client.chain,
-      transport: http(this.client.chain.rpcUrls.default.http[0])
-    });
+    const { account, walletClient } = await this.nftManager._createWalletClient(deployerWallet.getSigner());
 
     // Use same serialization as other contracts
     const serializedBytecode = this.nftManager._serializeForUmi(gamingContract.bytecode);
@@ -1116,7 +2348,77 @@ export class UmiAgentKit {
       });
     }
 
-    return result;
+    return result;
+  }
+
+  /**
+   * Generate a reproducible loot drop from weighted trait layers and rarity
+   * tiers (same seed + config = same items and provenance hash)
+   */
+  generateNFTTraits({
+    layers,
+    tiers,
+    count,
+    seed,
+    startTokenId = 1
+  }) {
+    const generator = new TraitGenerator({ layers, tiers, seed });
+    return generator.generate(count, { startTokenId });
+  }
+
+  /**
+   * Mint a generated drop: batch mints one token per item (recipients in the
+   * same order as drop.items) and writes each item's attributes on-chain
+   */
+  async mintNFTDrop({
+    ownerWallet,
+    contractAddress,
+    drop,
+    recipients,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+    if (!drop?.items?.length) {
+      throw new Error('Drop with items is required');
+    }
+
+    const to = recipients || drop.items.map(() => ownerWallet.getAddress());
+    if (to.length !== drop.items.length) {
+      throw new Error('Need one recipient per drop item');
+    }
+
+    const mint = await this.batchMintNFTs({ ownerWallet, contractAddress, recipients: to, feeStrategy });
+    if (mint.tokenIds.length !== drop.items.length) {
+      throw new Error(`Expected ${drop.items.length} minted tokens, found ${mint.tokenIds.length}`);
+    }
+
+    const tokens = [];
+    for (let i = 0; i < drop.items.length; i++) {
+      const item = drop.items[i];
+      const tokenId = mint.tokenIds[i];
+
+      const result = await this.setNFTAttributes({
+        ownerWallet,
+        contractAddress,
+        tokenId,
+        attributes: TraitGenerator.toAttributeString(item),
+        feeStrategy
+      });
+
+      tokens.push({ tokenId, owner: to[i], tier: item.tier, dna: item.dna, rank: item.rank, hash: result.hash });
+    }
+
+    console.log(`🎲 Minted drop of ${tokens.length} items (provenance ${drop.provenanceHash})`);
+
+    return {
+      mintHash: mint.hash,
+      contractAddress,
+      seed: drop.seed,
+      provenanceHash: drop.provenanceHash,
+      tokens
+    };
   }
 
   /**
@@ -1372,6 +2674,235 @@ export class UmiAgentKit {
     };
   }
 
+  // ====== MARKETPLACE ======
+
+  /**
+   * Deploy a marketplace for trading ERC-721 and ERC-1155 items.
+   * feeBps is the marketplace cut of every sale (250 = 2.5%, max 10%).
+   */
+  async createMarketplace({
+    deployerWallet,
+    feeBps = 250,
+    feeRecipient = null,
+    feeStrategy
+  }) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.marketplaceManager.deployMarketplace({
+      signer: deployerWallet.getSigner(),
+      feeBps,
+      feeRecipient,
+      feeStrategy
+    });
+
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateContractContext('marketplace', result.contractAddress, {
+        feeBps,
+        type: 'Marketplace'
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * List an NFT or ERC-1155 item at a fixed price per unit, in ETH or an
+   * ERC-20 (paymentToken). Approves the marketplace on first use.
+   */
+  async listItem({
+    sellerWallet,
+    marketplaceAddress,
+    nftAddress,
+    tokenId,
+    quantity = 1,
+    price,
+    paymentToken = null,
+    expiresIn,
+    feeStrategy
+  }) {
+    if (!sellerWallet) {
+      throw new Error('Seller wallet is required');
+    }
+
+    return await this.marketplaceManager.listItem({
+      signer: sellerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      nftAddress,
+      tokenId,
+      quantity,
+      price,
+      paymentToken,
+      expiresIn,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Buy a listing; quantity defaults to everything still listed
+   */
+  async buyItem({
+    buyerWallet,
+    marketplaceAddress,
+    listingId,
+    quantity,
+    feeStrategy
+  }) {
+    if (!buyerWallet) {
+      throw new Error('Buyer wallet is required');
+    }
+
+    return await this.marketplaceManager.buyItem({
+      signer: buyerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      listingId,
+      quantity,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Cancel one of your listings
+   */
+  async cancelListing({
+    sellerWallet,
+    marketplaceAddress,
+    listingId,
+    feeStrategy
+  }) {
+    if (!sellerWallet) {
+      throw new Error('Seller wallet is required');
+    }
+
+    return await this.marketplaceManager.cancelListing({
+      signer: sellerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      listingId,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Make an ERC-20 offer on any item (listed or not)
+   */
+  async makeOffer({
+    buyerWallet,
+    marketplaceAddress,
+    nftAddress,
+    tokenId,
+    quantity = 1,
+    price,
+    paymentToken,
+    expiresIn,
+    feeStrategy
+  }) {
+    if (!buyerWallet) {
+      throw new Error('Buyer wallet is required');
+    }
+
+    return await this.marketplaceManager.makeOffer({
+      signer: buyerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      nftAddress,
+      tokenId,
+      quantity,
+      price,
+      paymentToken,
+      expiresIn,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Accept an offer on an item you hold
+   */
+  async acceptOffer({
+    sellerWallet,
+    marketplaceAddress,
+    offerId,
+    feeStrategy
+  }) {
+    if (!sellerWallet) {
+      throw new Error('Seller wallet is required');
+    }
+
+    return await this.marketplaceManager.acceptOffer({
+      signer: sellerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      offerId,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Withdraw one of your offers
+   */
+  async cancelOffer({
+    buyerWallet,
+    marketplaceAddress,
+    offerId,
+    feeStrategy
+  }) {
+    if (!buyerWallet) {
+      throw new Error('Buyer wallet is required');
+    }
+
+    return await this.marketplaceManager.cancelOffer({
+      signer: buyerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      offerId,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Change the marketplace fee (marketplace owner)
+   */
+  async setMarketplaceFee({
+    ownerWallet,
+    marketplaceAddress,
+    feeBps,
+    feeRecipient,
+    feeStrategy
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.marketplaceManager.setMarketplaceFee({
+      signer: ownerWallet.getSigner(),
+      contractAddress: marketplaceAddress,
+      feeBps,
+      feeRecipient,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Listings that can still be bought ({ nftAddress, seller } filters)
+   */
+  async getActiveListings(marketplaceAddress, { nftAddress, seller } = {}) {
+    return await this.marketplaceManager.getActiveListings({ contractAddress: marketplaceAddress, nftAddress, seller });
+  }
+
+  async getListing(marketplaceAddress, listingId) {
+    return await this.marketplaceManager.getListing({ contractAddress: marketplaceAddress, listingId });
+  }
+
+  /**
+   * Open offers ({ nftAddress, tokenId, buyer } filters)
+   */
+  async getMarketplaceOffers(marketplaceAddress, { nftAddress, tokenId, buyer } = {}) {
+    return await this.marketplaceManager.getOffers({ contractAddress: marketplaceAddress, nftAddress, tokenId, buyer });
+  }
+
+  async getMarketplaceInfo(marketplaceAddress) {
+    return await this.marketplaceManager.getMarketplaceInfo({ contractAddress: marketplaceAddress });
+  }
+
   // ====== MULTISIG OPERATIONS ======
 
   /**
@@ -1416,7 +2947,10 @@ export class UmiAgentKit {
     members, // Array of wallet names or {walletName, role, weight}
     threshold = 2,
     rules = {},
-    notifications = true
+    notifications = true,
+    onChain = false, // Funds held by a deployed multisig wallet; approvers' EIP-712 signatures are made at execution
+    deployerWalletName = null,
+    feeStrategy
   }) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
@@ -1428,9 +2962,16 @@ export class UmiAgentKit {
       members,
       threshold,
       rules,
-      notifications
+      notifications,
+      onChain,
+      deployerWalletName,
+      feeStrategy
     });
 
+    if (result.walletAddress) {
+      this.eventSubscriptions.registerAbi(result.walletAddress, MultisigWalletCompiler.getMultisigWalletABI());
+    }
+
     // Update AI context if AI is enabled
     if (this.isAIEnabled()) {
       this.aiManager.contextManager.updateMultisigContext(result);
@@ -1465,136 +3006,360 @@ export class UmiAgentKit {
       });
     }
 
-    return result;
+    return result;
+  }
+
+  /**
+   * Create a guild treasury multisig
+   */
+  async createGuildMultisig({
+    guildName,
+    officers, // {leader: wallet, officer1: wallet}
+    members = {}, // {member1: wallet, member2: wallet}
+    guildRules = {}
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    const result = await this.multisigManager.createGuildMultisig({
+      guildName,
+      officers,
+      members,
+      guildRules
+    });
+
+    // Update AI context if AI is enabled
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateMultisigContext(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Propose a transaction requiring multisig approval
+   */
+  async proposeTransaction({
+    multisigId,
+    proposerWalletName,
+    operation, // 'createToken', 'mintNFT', 'transferETH', etc.
+    params,
+    description = "",
+    urgency = 'normal' // 'low', 'normal', 'high', 'emergency'
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.proposeTransaction({
+      multisigId,
+      proposerWalletName,
+      operation,
+      params,
+      description,
+      urgency
+    });
+  }
+
+  /**
+   * Approve or reject a proposal
+   */
+  async approveProposal({
+    proposalId,
+    approverWalletName,
+    decision = 'approve', // 'approve', 'reject'
+    comment = ""
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.approveProposal({
+      proposalId,
+      approverWalletName,
+      decision,
+      comment
+    });
+  }
+
+  /**
+   * Execute an approved proposal
+   */
+  async executeProposal(proposalId) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.executeProposal(proposalId);
+  }
+
+  /**
+   * Vote against a proposal with a reason
+   */
+  async rejectProposal({
+    proposalId,
+    rejecterWalletName,
+    reason = ""
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.rejectProposal({
+      proposalId,
+      rejecterWalletName,
+      reason
+    });
+  }
+
+  /**
+   * Withdraw your own pending or queued proposal
+   */
+  async withdrawProposal({
+    proposalId,
+    proposerWalletName,
+    reason = ""
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.withdrawProposal({
+      proposalId,
+      proposerWalletName,
+      reason
+    });
+  }
+
+  /**
+   * Amend your own pending proposal; all votes are reset
+   */
+  async amendProposal({
+    proposalId,
+    proposerWalletName,
+    params = {},
+    description,
+    reason = ""
+  }) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return await this.multisigManager.amendProposal({
+      proposalId,
+      proposerWalletName,
+      params,
+      description,
+      reason
+    });
+  }
+
+  /**
+   * Get multisig group information
+   */
+  getMultisigGroup(multisigId) {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return this.multisigManager.getMultisigGroup(multisigId);
+  }
+
+  /**
+   * Get all multisig groups
+   */
+  getAllMultisigGroups() {
+    if (!this.multisigManager) {
+      throw new Error('Multisig not enabled');
+    }
+
+    return this.multisigManager.getAllMultisigGroups();
   }
 
   /**
-   * Create a guild treasury multisig
+   * Get pending proposals for a multisig group
    */
-  async createGuildMultisig({
-    guildName,
-    officers, // {leader: wallet, officer1: wallet}
-    members = {}, // {member1: wallet, member2: wallet}
-    guildRules = {}
-  }) {
+  async getPendingProposals(multisigId) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    const result = await this.multisigManager.createGuildMultisig({
-      guildName,
-      officers,
-      members,
-      guildRules
-    });
-
-    // Update AI context if AI is enabled
-    if (this.isAIEnabled()) {
-      this.aiManager.contextManager.updateMultisigContext(result);
-    }
-
-    return result;
+    return await this.multisigManager.getPendingProposals(multisigId);
   }
 
   /**
-   * Propose a transaction requiring multisig approval
+   * Get proposals requiring action from a specific wallet
    */
-  async proposeTransaction({
-    multisigId,
-    proposerWalletName,
-    operation, // 'createToken', 'mintNFT', 'transferETH', etc.
-    params,
-    description = "",
-    urgency = 'normal' // 'low', 'normal', 'high', 'emergency'
-  }) {
+  async getProposalsRequiringAction(walletName) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return await this.multisigManager.proposeTransaction({
-      multisigId,
-      proposerWalletName,
-      operation,
-      params,
-      description,
-      urgency
-    });
+    return await this.multisigManager.proposalEngine.getProposalsRequiringAction(walletName);
   }
 
   /**
-   * Approve or reject a proposal
+   * Veto a queued proposal while its timelock runs
    */
-  async approveProposal({
+  async vetoProposal({
     proposalId,
-    approverWalletName,
-    decision = 'approve', // 'approve', 'reject'
-    comment = ""
+    vetoerWalletName,
+    reason = ""
   }) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return await this.multisigManager.approveProposal({
+    return await this.multisigManager.vetoProposal({
       proposalId,
-      approverWalletName,
-      decision,
-      comment
+      vetoerWalletName,
+      reason
     });
   }
 
   /**
-   * Execute an approved proposal
+   * Get proposals waiting out their timelock
    */
-  async executeProposal(proposalId) {
+  async getQueuedProposals(multisigId) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return await this.multisigManager.executeProposal(proposalId);
+    return await this.multisigManager.getQueuedProposals(multisigId);
   }
 
   /**
-   * Get multisig group information
+   * Notify (and optionally execute) proposals whose timelock has passed
    */
-  getMultisigGroup(multisigId) {
+  async processTimelocks({ autoExecute = false } = {}) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return this.multisigManager.getMultisigGroup(multisigId);
+    return await this.multisigManager.processTimelocks({ autoExecute });
   }
 
   /**
-   * Get all multisig groups
+   * Run processTimelocks in the background every `interval` ms
    */
-  getAllMultisigGroups() {
+  startTimelockMonitor({ interval = 60000, autoExecute = false } = {}) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return this.multisigManager.getAllMultisigGroups();
+    this.multisigManager.startTimelockMonitor({ interval, autoExecute });
+  }
+
+  stopTimelockMonitor() {
+    this.multisigManager?.stopTimelockMonitor();
   }
 
   /**
-   * Get pending proposals for a multisig group
+   * Add a custom multisig operation, e.g. an ERC-1155 mint or a contract call:
+   * { description, parameters, validate?, summarize?, execute }. execute
+   * receives { proposal, params, proposerWallet, kit, manager }.
    */
-  async getPendingProposals(multisigId) {
+  registerMultisigOperation(name, handler) {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return await this.multisigManager.getPendingProposals(multisigId);
+    this.multisigManager.registerOperation(name, handler);
   }
 
   /**
-   * Get proposals requiring action from a specific wallet
+   * Operations that can be proposed, with their parameter schemas
    */
-  async getProposalsRequiringAction(walletName) {
+  getMultisigOperations() {
     if (!this.multisigManager) {
       throw new Error('Multisig not enabled');
     }
 
-    return await this.multisigManager.proposalEngine.getProposalsRequiringAction(walletName);
+    return this.multisigManager.getSupportedOperations();
+  }
+
+  // ====== ON-CHAIN MULTISIG WALLETS ======
+
+  /**
+   * Deploy a threshold multisig wallet (owners are addresses, so members
+   * need not be server wallets). Use createMultisigGroup({ onChain: true })
+   * to drive one through proposals instead.
+   */
+  async createMultisigWallet({
+    deployerWallet,
+    owners,
+    threshold,
+    feeStrategy
+  }) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.onChainMultisigManager.deployMultisigWallet({
+      signer: deployerWallet.getSigner(),
+      owners,
+      threshold,
+      feeStrategy
+    });
+
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    return result;
+  }
+
+  /**
+   * Prepare a wallet transaction ({ to, value (ETH), data }) for owners to sign
+   */
+  createMultisigTransaction({ to, value = 0, data = '0x', nonce }) {
+    return this.onChainMultisigManager.createTransaction({ to, value: parseEther(value.toString()), data, nonce });
+  }
+
+  /**
+   * Sign a wallet transaction as an owner; share the returned signature
+   * with whoever will execute it
+   */
+  async signMultisigTransaction({
+    ownerWallet,
+    walletAddress,
+    transaction
+  }) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.onChainMultisigManager.signTransaction({
+      signer: ownerWallet.getSigner(),
+      walletAddress,
+      transaction
+    });
+  }
+
+  /**
+   * Submit a wallet transaction once enough owners have signed
+   */
+  async executeMultisigTransaction({
+    executorWallet,
+    walletAddress,
+    transaction,
+    signatures,
+    feeStrategy
+  }) {
+    if (!executorWallet) {
+      throw new Error('Executor wallet is required');
+    }
+
+    return await this.onChainMultisigManager.execTransaction({
+      signer: executorWallet.getSigner(),
+      walletAddress,
+      transaction,
+      signatures,
+      feeStrategy
+    });
+  }
+
+  async getMultisigWalletInfo(walletAddress) {
+    return await this.onChainMultisigManager.getWalletInfo({ walletAddress });
   }
 
   // ====== GAMING-SPECIFIC MULTISIG HELPERS ======
@@ -1669,6 +3434,40 @@ export class UmiAgentKit {
     });
   }
 
+  /**
+   * Quick proposal for a vesting wallet (team / investor allocation)
+   */
+  async proposeVestingSchedule({
+    multisigId,
+    proposerWalletName,
+    tokenAddress,
+    beneficiary,
+    amount,
+    schedule = 'linear',
+    start,
+    cliffSeconds = 0,
+    durationSeconds = 0,
+    milestones = [],
+    description = `Vest ${amount} tokens to ${beneficiary} (${schedule})`
+  }) {
+    return await this.proposeTransaction({
+      multisigId,
+      proposerWalletName,
+      operation: 'createVestingSchedule',
+      params: {
+        tokenAddress,
+        beneficiary,
+        amount,
+        schedule,
+        start,
+        cliffSeconds,
+        durationSeconds,
+        milestones
+      },
+      description
+    });
+  }
+
   /**
    * Quick proposal for large ETH transfer
    */
@@ -1771,6 +3570,21 @@ export class UmiAgentKit {
 
   // ====== UTILITY METHODS ======
 
+  /**
+   * Get the shared nonce manager used by all managers
+   */
+  getNonceManager() {
+    return this.client.nonceManager;
+  }
+
+  /**
+   * Resync a wallet's nonce from the chain (e.g. after sending from another tool)
+   */
+  resyncNonce(address) {
+    this.client.nonceManager.resync(address);
+    return this.client.nonceManager.getState(address);
+  }
+
   /**
    * Get enhanced summary including multisig and AI information
    */
@@ -1933,7 +3747,7 @@ export class UmiAgentKit {
       console.log(`📁 Found ${contracts.length} contract(s): ${contracts.map(c => c.name).join(', ')}`);
       
       // Deploy using embedded engine
-      const results = await this.embeddedEngine.deployMultipleContracts(contracts, deployerWallet);
+      const results = await this.embeddedEngine.deployMultipleContracts(contracts, deployerWallet, options.feeStrategy);
       
       // Generate deployment summary
       this.logDeploymentSummary(results);
@@ -2047,13 +3861,14 @@ async setConstructorValues(contractAddress, constructorArgs, callerWallet) {
  /**
    * Deploy with JSON configuration - NEW METHOD
    */
-  async deployWithJson(contractsPath, deployerWallet, configFile = null) {
+  async deployWithJson(contractsPath, deployerWallet, configFile = null, feeStrategy) {
     try {
       console.log(`🚀 Starting JSON-configured deployment...`);
       
       // Load configuration using fs import
       const configPath = configFile || path.join(contractsPath, 'deployment.json');
       const config = await this.loadDeploymentConfig(configPath);
+      const strategy = feeStrategy ?? config.feeStrategy;
       
       // Scan contracts using local method
       const contracts = await this.scanContractsFolder(contractsPath);
@@ -2078,9 +3893,9 @@ async setConstructorValues(contractAddress, constructorArgs, callerWallet) {
         // Deploy using embedded engine
         let result;
         if (contract.content.includes('module ')) {
-          result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, resolvedArgs);
+          result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, resolvedArgs, strategy);
         } else {
-          result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, resolvedArgs);
+          result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, resolvedArgs, strategy);
         }
         
         results[contractName] = result;
@@ -2102,7 +3917,7 @@ async setConstructorValues(contractAddress, constructorArgs, callerWallet) {
   /**
    * Deploy with configuration object
    */
-  async deployWithConfig(contractsPath, deployerWallet, configObject = {}) {
+  async deployWithConfig(contractsPath, deployerWallet, configObject = {}, feeStrategy) {
     try {
       console.log(`🚀 Starting config object deployment...`);
       
@@ -2122,9 +3937,9 @@ async setConstructorValues(contractAddress, constructorArgs, callerWallet) {
         // Deploy using embedded engine
         let result;
         if (contract.content.includes('module ')) {
-          result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, resolvedArgs);
+          result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, resolvedArgs, feeStrategy);
         } else {
-          result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, resolvedArgs);
+          result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, resolvedArgs, feeStrategy);
         }
         
         results[contract.name] = result;
@@ -2179,7 +3994,7 @@ async deployWithConstructor(contract, deployerWallet, constructorArgs) {
  /**
    * Deploy a single contract - NEW METHOD
    */
-   async deploySingleContract(contractPath, deployerWallet, constructorArgs = {}) {
+   async deploySingleContract(contractPath, deployerWallet, constructorArgs = {}, feeStrategy) {
     try {
       console.log(`🚀 Deploying single contract: ${contractPath}`);
       
@@ -2196,9 +4011,9 @@ async deployWithConstructor(contract, deployerWallet, constructorArgs) {
       // Deploy based on contract type using embedded engine
       let result;
       if (contract.content.includes('module ')) {
-        result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, constructorArgs);
+        result = await this.embeddedEngine.deployMoveContract(contract, deployerWallet, constructorArgs, feeStrategy);
       } else {
-        result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, constructorArgs);
+        result = await this.embeddedEngine.deploySolidityContract(contract, deployerWallet, constructorArgs, feeStrategy);
       }
       
       console.log(`✅ Contract deployed successfully!`);
@@ -2286,15 +4101,16 @@ async validateContracts(contractsPath) {
 /**
  * Create ERC1155 multi-token contract using OpenZeppelin
  */
-async createERC1155Contract(deployerWallet, name, baseURI = "") {
+async createERC1155Contract(deployerWallet, name, baseURI = "", feeStrategy) {
     if (!deployerWallet) {
       throw new Error('Deployer wallet is required');
     }
 
     const result = await this.erc1155Manager.deployERC1155Contract({
-      deployerPrivateKey: deployerWallet.exportPrivateKey(),
+      signer: deployerWallet.getSigner(),
       name,
-      baseURI
+      baseURI,
+      feeStrategy
     });
 
     // Update AI context if AI is enabled
@@ -2307,104 +4123,282 @@ async createERC1155Contract(deployerWallet, name, baseURI = "") {
 
     return result;
   }
+/**
+ * Create ERC1155 contract with the on-chain crafting recipe module
+ */
+async createCraftableERC1155Contract(deployerWallet, name, baseURI = "", feeStrategy) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.erc1155Manager.deployERC1155Contract({
+      signer: deployerWallet.getSigner(),
+      name,
+      baseURI,
+      crafting: true,
+      feeStrategy
+    });
+
+    // Lets on()/once() decode RecipeSet and Crafted events
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateContractContext('erc1155', result.contractAddress, {
+        name,
+        type: 'ERC1155'
+      });
+    }
+
+    return result;
+  }
+/**
+ * Create soulbound ERC1155 contract (badges/achievements only the issuer can
+ * move or revoke; lockEvents emits Locked when a token type is created)
+ */
+async createSoulboundERC1155Contract(deployerWallet, name, baseURI = "", lockEvents = true, feeStrategy) {
+    if (!deployerWallet) {
+      throw new Error('Deployer wallet is required');
+    }
+
+    const result = await this.erc1155Manager.deployERC1155Contract({
+      signer: deployerWallet.getSigner(),
+      name,
+      baseURI,
+      soulbound: true,
+      lockEvents,
+      feeStrategy
+    });
+
+    this.eventSubscriptions.registerAbi(result.contractAddress, result.abi);
+
+    if (this.isAIEnabled()) {
+      this.aiManager.contextManager.updateContractContext('erc1155', result.contractAddress, {
+        name,
+        type: 'ERC1155'
+      });
+    }
+
+    return result;
+  }
+/**
+ * Revoke soulbound ERC1155 tokens from a holder (issuer only)
+ */
+ async revokeERC1155(ownerWallet, contractAddress, holderAddress, tokenId, amount, feeStrategy) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.erc1155Manager.revokeERC1155({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      holderAddress,
+      tokenId,
+      amount,
+      feeStrategy
+    });
+  }
+/**
+ * Register or replace a crafting recipe
+ * (inputs/outputs: [{ tokenId, amount }], recipeId omitted = new recipe)
+ */
+ async setERC1155Recipe(ownerWallet, contractAddress, inputs, outputs, recipeId, feeStrategy) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.erc1155Manager.setRecipe({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      recipeId,
+      inputs,
+      outputs,
+      feeStrategy
+    });
+  }
+/**
+ * Enable or disable a crafting recipe
+ */
+ async setERC1155RecipeActive(ownerWallet, contractAddress, recipeId, active, feeStrategy) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.erc1155Manager.setRecipeActive({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      recipeId,
+      active,
+      feeStrategy
+    });
+  }
+/**
+ * Craft a recipe (burns inputs and mints outputs atomically)
+ */
+ async craftERC1155(wallet, contractAddress, recipeId, feeStrategy) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.erc1155Manager.craft({
+      signer: wallet.getSigner(),
+      contractAddress,
+      recipeId,
+      feeStrategy
+    });
+  }
+/**
+ * Get the crafting recipes of an ERC1155 contract
+ */
+ async getERC1155Recipes(contractAddress) {
+    return await this.erc1155Manager.getRecipes(contractAddress);
+  }
 /**
  * Create ERC1155 token type
  */
- async createERC1155Token(ownerWallet, contractAddress, abi, metadataURI, maxSupply, mintPrice = "0") {
+ async createERC1155Token(ownerWallet, contractAddress, abi, metadataURI, maxSupply, mintPrice = "0", feeStrategy) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.erc1155Manager.createTokenType({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       contractAddress,
       metadataURI,
       maxSupply,
-      mintPrice
+      mintPrice,
+      feeStrategy
     });
   }
  /**
    * Admin mint ERC1155 tokens (owner only, no payment)
    */
-  async adminMintERC1155(ownerWallet, contractAddress, abi, toAddress, tokenId, amount) {
+  async adminMintERC1155(ownerWallet, contractAddress, abi, toAddress, tokenId, amount, feeStrategy) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.erc1155Manager.adminMintERC1155({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
+      signer: ownerWallet.getSigner(),
       contractAddress,
       toAddress,
       tokenId,
-      amount
+      amount,
+      feeStrategy
     });
   }
 /**
  * Mint ERC1155 tokens to address
  */
- async mintERC1155(wallet, contractAddress, abi, toAddress, tokenId, amount, payment = "0") {
+ async mintERC1155(wallet, contractAddress, abi, toAddress, tokenId, amount, payment = "0", feeStrategy) {
     if (!wallet) {
       throw new Error('Wallet is required');
     }
 
     return await this.erc1155Manager.mintERC1155({
-      fromPrivateKey: wallet.exportPrivateKey(),
+      signer: wallet.getSigner(),
       contractAddress,
       toAddress,
       tokenId,
       amount,
-      payment
+      payment,
+      feeStrategy
+    });
+  }
+/**
+ * Mint ERC1155 tokens through a sale phase (proof from createMerkleAllowlist
+ * for allowlist phases; payment defaults to the phase price)
+ */
+ async phaseMintERC1155(wallet, contractAddress, phaseId, toAddress, amount, proof = [], payment, feeStrategy) {
+    if (!wallet) {
+      throw new Error('Wallet is required');
+    }
+
+    return await this.erc1155Manager.mintERC1155({
+      signer: wallet.getSigner(),
+      contractAddress,
+      toAddress,
+      amount,
+      phaseId,
+      proof,
+      payment,
+      feeStrategy
+    });
+  }
+/**
+ * Create or update a sale phase for an ERC1155 token type
+ * (phase: { phaseId, startTime, endTime, price, maxPerWallet, allowlist | merkleRoot })
+ */
+ async setERC1155SalePhase(ownerWallet, contractAddress, tokenId, phase = {}, feeStrategy) {
+    if (!ownerWallet) {
+      throw new Error('Owner wallet is required');
+    }
+
+    return await this.erc1155Manager.setSalePhase({
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      tokenId,
+      ...phase,
+      feeStrategy
     });
   }
+/**
+ * Get the sale phases of an ERC1155 contract
+ */
+ async getERC1155SalePhases(contractAddress) {
+    return await this.erc1155Manager.getSalePhases(contractAddress);
+  }
 /**
  * Batch mint multiple ERC1155 token types
  */
- async batchMintERC1155(wallet, contractAddress, abi, toAddress, tokenIds, amounts, totalPayment = "0") {
+ async batchMintERC1155(wallet, contractAddress, abi, toAddress, tokenIds, amounts, totalPayment = "0", feeStrategy) {
     if (!wallet) {
       throw new Error('Wallet is required');
     }
 
     return await this.erc1155Manager.batchMintERC1155({
-      fromPrivateKey: wallet.exportPrivateKey(),
+      signer: wallet.getSigner(),
       contractAddress,
       toAddress,
       tokenIds,
       amounts,
-      totalPayment
+      totalPayment,
+      feeStrategy
     });
   }
 
 /**
  * Transfer ERC1155 tokens between addresses
  */
- async transferERC1155(wallet, contractAddress, abi, toAddress, tokenId, amount) {
+ async transferERC1155(wallet, contractAddress, abi, toAddress, tokenId, amount, feeStrategy) {
     if (!wallet) {
       throw new Error('Wallet is required');
     }
 
     return await this.erc1155Manager.transferERC1155({
-      fromPrivateKey: wallet.exportPrivateKey(),
+      signer: wallet.getSigner(),
       contractAddress,
       toAddress,
       tokenId,
-      amount
+      amount,
+      feeStrategy
     });
   }
 
 /**
  * Batch transfer multiple ERC1155 token types
  */
- async batchTransferERC1155(wallet, contractAddress, abi, toAddress, tokenIds, amounts) {
+ async batchTransferERC1155(wallet, contractAddress, abi, toAddress, tokenIds, amounts, feeStrategy) {
     if (!wallet) {
       throw new Error('Wallet is required');
     }
 
     return await this.erc1155Manager.batchTransferERC1155({
-      fromPrivateKey: wallet.exportPrivateKey(),
+      signer: wallet.getSigner(),
       contractAddress,
       toAddress,
       tokenIds,
-      amounts
+      amounts,
+      feeStrategy
     });
   }
 
@@ -2421,16 +4415,17 @@ async getERC1155OwnedTokens(contractAddress, abi, ownerAddress) {
 /**
  * Set approval for all ERC1155 tokens
  */
-async setERC1155ApprovalForAll(wallet, contractAddress, abi, operatorAddress, approved) {
+async setERC1155ApprovalForAll(wallet, contractAddress, abi, operatorAddress, approved, feeStrategy) {
     if (!wallet) {
       throw new Error('Wallet is required');
     }
 
     return await this.erc1155Manager.setApprovalForAll({
-      ownerPrivateKey: wallet.exportPrivateKey(),
+      signer: wallet.getSigner(),
       contractAddress,
       operatorAddress,
-      approved
+      approved,
+      feeStrategy
     });
   }
 /**
@@ -2463,27 +4458,29 @@ async adminBatchMintERC1155(wallet, contractAddress, abi, toAddress, tokenIds, a
 /**
  * Pause ERC1155 contract (owner only)
  */
- async pauseERC1155Contract(ownerWallet, contractAddress, abi) {
+ async pauseERC1155Contract(ownerWallet, contractAddress, abi, feeStrategy) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.erc1155Manager.pauseContract({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      contractAddress
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      feeStrategy
     });
   }
 /**
  * Unpause ERC1155 contract (owner only)
  */
-async unpauseERC1155Contract(ownerWallet, contractAddress, abi) {
+async unpauseERC1155Contract(ownerWallet, contractAddress, abi, feeStrategy) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.erc1155Manager.unpauseContract({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      contractAddress
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      feeStrategy
     });
   }
 /**
@@ -2500,14 +4497,15 @@ async getERC1155OwnedTokens(contractAddress, abi, ownerAddress) {
   console.log(`📦 Getting all ERC1155 tokens for ${ownerAddress}`);
   return await this.erc1155.getERC1155OwnedTokens(contractAddress, abi, ownerAddress);
 }
- async withdrawERC1155Funds(ownerWallet, contractAddress, abi) {
+ async withdrawERC1155Funds(ownerWallet, contractAddress, abi, feeStrategy) {
     if (!ownerWallet) {
       throw new Error('Owner wallet is required');
     }
 
     return await this.erc1155Manager.withdrawFunds({
-      ownerPrivateKey: ownerWallet.exportPrivateKey(),
-      contractAddress
+      signer: ownerWallet.getSigner(),
+      contractAddress,
+      feeStrategy
     });
   }
 }
\ No newline at end of file
@@ -120,6 +120,22 @@ export class ContextManager {
     }
   }
 
+  /**
+   * Update last transaction from tracker events
+   */
+  updateTransactionContext(transaction) {
+    this.context.lastTransaction = {
+      hash: transaction.hash,
+      from: transaction.from,
+      to: transaction.to,
+      kind: transaction.kind,
+      nonce: transaction.nonce,
+      status: transaction.status,
+      replacedBy: transaction.replacedBy,
+      updatedAt: new Date(transaction.updatedAt).toISOString()
+    };
+  }
+
   /**
    * Update multisig context
    */
@@ -10,6 +10,7 @@ export class FunctionRegistry {
     this._registerMultisigFunctions();
     this._registerMultiContractFunctions();
     this._registerGamingFunctions();
+    this._registerStakingFunctions();
     
     console.log(`📋 Function Registry initialized with ${this.functions.size} functions`);
   }
@@ -279,7 +280,7 @@ export class FunctionRegistry {
       execute: this.aiWrapper.createMoveNFTCollection.bind(this.aiWrapper)
     });
     this.registerFunction('get_transaction_history', {
-  description: 'Get transaction history for a wallet address',
+  description: 'Get token, NFT and ERC-1155 transfer history for a wallet address from the local event index',
   parameters: {
     type: 'object',
     properties: {
@@ -780,6 +781,121 @@ this.registerFunction('send_eth', {
     });
   }
 
+  /**
+   * Register staking pool functions
+   */
+  _registerStakingFunctions() {
+    const poolAddress = { type: 'string', description: 'Staking pool contract address' };
+
+    // Create staking pool
+    this.registerFunction('create_staking_pool', {
+      description: 'Deploy a staking pool where holders stake an ERC-20 token or ERC-721 NFTs and earn an ERC-20 reward',
+      parameters: {
+        type: 'object',
+        properties: {
+          deployerAddress: { type: 'string', description: 'Wallet address to deploy from (becomes the pool owner)' },
+          stakingToken: { type: 'string', description: 'Token or NFT collection address that gets staked' },
+          rewardToken: { type: 'string', description: 'ERC-20 token paid as reward' },
+          stakeType: { type: 'string', enum: ['erc20', 'erc721'], description: 'erc20 for tokens, erc721 for NFTs', default: 'erc20' },
+          rewardsPerDay: { type: 'string', description: 'Reward tokens paid per day, shared by all stakers (e.g., "1000")' },
+          lockupDays: { type: 'number', description: 'Days a stake is locked before it can be withdrawn', default: 0 }
+        },
+        required: ['deployerAddress', 'stakingToken', 'rewardToken', 'rewardsPerDay']
+      },
+      execute: this.aiWrapper.createStakingPool.bind(this.aiWrapper)
+    });
+
+    // Fund rewards
+    this.registerFunction('fund_staking_rewards', {
+      description: 'Deposit reward tokens into a staking pool; rewards are paid until the funds run out',
+      parameters: {
+        type: 'object',
+        properties: {
+          walletAddress: { type: 'string', description: 'Pool owner wallet address' },
+          poolAddress,
+          amount: { type: 'string', description: 'Amount of reward tokens to deposit' }
+        },
+        required: ['walletAddress', 'poolAddress', 'amount']
+      },
+      execute: this.aiWrapper.fundStakingRewards.bind(this.aiWrapper)
+    });
+
+    // Stake
+    this.registerFunction('stake_tokens', {
+      description: 'Stake tokens (amount) or NFTs (tokenIds) in a staking pool',
+      parameters: {
+        type: 'object',
+        properties: {
+          walletAddress: { type: 'string', description: 'Staker wallet address' },
+          poolAddress,
+          amount: { type: 'string', description: 'Token amount to stake (token pools)' },
+          tokenIds: { type: 'array', items: { type: 'string' }, description: 'NFT token IDs to stake (NFT pools)' }
+        },
+        required: ['walletAddress', 'poolAddress']
+      },
+      execute: this.aiWrapper.stakeTokens.bind(this.aiWrapper)
+    });
+
+    // Unstake
+    this.registerFunction('unstake_tokens', {
+      description: 'Withdraw staked tokens (amount) or NFTs (tokenIds) after the lockup period',
+      parameters: {
+        type: 'object',
+        properties: {
+          walletAddress: { type: 'string', description: 'Staker wallet address' },
+          poolAddress,
+          amount: { type: 'string', description: 'Token amount to withdraw (token pools)' },
+          tokenIds: { type: 'array', items: { type: 'string' }, description: 'NFT token IDs to withdraw (NFT pools)' }
+        },
+        required: ['walletAddress', 'poolAddress']
+      },
+      execute: this.aiWrapper.unstakeTokens.bind(this.aiWrapper)
+    });
+
+    // Claim
+    this.registerFunction('claim_staking_rewards', {
+      description: 'Claim all rewards earned in a staking pool',
+      parameters: {
+        type: 'object',
+        properties: {
+          walletAddress: { type: 'string', description: 'Staker wallet address' },
+          poolAddress
+        },
+        required: ['walletAddress', 'poolAddress']
+      },
+      execute: this.aiWrapper.claimStakingRewards.bind(this.aiWrapper)
+    });
+
+    // Pool info / APR
+    this.registerFunction('get_staking_pool_info', {
+      description: 'Get total staked, reward rate, remaining rewards and APR of a staking pool',
+      parameters: {
+        type: 'object',
+        properties: {
+          poolAddress,
+          stakePrice: { type: 'number', description: 'Price of one staked token or NFT (needed for APR when the tokens differ)' },
+          rewardPrice: { type: 'number', description: 'Price of one reward token, in the same unit as stakePrice' }
+        },
+        required: ['poolAddress']
+      },
+      execute: this.aiWrapper.getStakingPoolInfo.bind(this.aiWrapper)
+    });
+
+    // Position
+    this.registerFunction('get_staking_position', {
+      description: 'Get how much an address has staked, its pending rewards and when its stake unlocks',
+      parameters: {
+        type: 'object',
+        properties: {
+          poolAddress,
+          address: { type: 'string', description: 'Staker address' }
+        },
+        required: ['poolAddress', 'address']
+      },
+      execute: this.aiWrapper.getStakingPosition.bind(this.aiWrapper)
+    });
+  }
+
   /**
    * Get function by name
    */
@@ -471,14 +471,38 @@ async sendETH({ fromAddress, toAddress, amount }) {
         deployerWallet,
         name,
         symbol,
-        decimals,
-        initialSupply
+        decimals
       });
 
+      if (!result.deployed) {
+        return {
+          success: true,
+          deployed: false,
+          moduleId: result.moduleId,
+          name,
+          symbol,
+          decimals,
+          message: `Move module ${result.moduleId} generated - compile it and publish with moduleBytecode`
+        };
+      }
+
+      // Fungible assets start empty - mint the initial supply to the deployer
+      if (initialSupply) {
+        await this.umiKit.mintMoveTokens({
+          ownerWallet: deployerWallet,
+          moduleId: result.moduleId,
+          to: deployerWallet.getAddress(),
+          amount: initialSupply,
+          decimals
+        });
+      }
+
       return {
         success: true,
-        contractAddress: result.contractAddress,
-        transactionHash: result.transactionHash,
+        deployed: true,
+        moduleId: result.moduleId,
+        metadataAddress: result.metadataAddress,
+        transactionHash: result.hash,
         name,
         symbol,
         decimals,
@@ -567,6 +591,196 @@ async sendETH({ fromAddress, toAddress, amount }) {
     }
   }
 
+  // ========== STAKING FUNCTIONS ==========
+
+  /**
+   * Create staking pool
+   */
+  async createStakingPool({ deployerAddress, stakingToken, rewardToken, stakeType = 'erc20', rewardsPerDay, lockupDays = 0 }) {
+    try {
+      const deployerWallet = this.umiKit.walletManager.getWallet(deployerAddress);
+      if (!deployerWallet) {
+        throw new Error(`Deployer wallet not found: ${deployerAddress}`);
+      }
+
+      const result = await this.umiKit.createStakingPool({
+        deployerWallet,
+        stakingToken,
+        rewardToken,
+        stakeType,
+        rewardsPerDay,
+        lockupSeconds: Math.round(lockupDays * 86400)
+      });
+
+      return {
+        success: true,
+        contractAddress: result.contractAddress,
+        transactionHash: result.hash,
+        stakingToken,
+        rewardToken,
+        stakeType,
+        rewardsPerDay,
+        lockupDays
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Staking pool creation failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Fund staking pool rewards
+   */
+  async fundStakingRewards({ walletAddress, poolAddress, amount }) {
+    try {
+      const ownerWallet = this.umiKit.walletManager.getWallet(walletAddress);
+      if (!ownerWallet) {
+        throw new Error(`Wallet not found: ${walletAddress}`);
+      }
+
+      const result = await this.umiKit.fundStakingRewards({ ownerWallet, poolAddress, amount });
+
+      return {
+        success: result.success,
+        transactionHash: result.hash,
+        amount: result.amount,
+        rewardsEndAt: new Date(result.rewardsEndAt * 1000).toISOString()
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Funding staking rewards failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Stake tokens or NFTs
+   */
+  async stakeTokens({ walletAddress, poolAddress, amount, tokenIds }) {
+    try {
+      const wallet = this.umiKit.walletManager.getWallet(walletAddress);
+      if (!wallet) {
+        throw new Error(`Wallet not found: ${walletAddress}`);
+      }
+
+      const result = await this.umiKit.stakeTokens({ wallet, poolAddress, amount, tokenIds });
+
+      return {
+        success: result.success,
+        transactionHash: result.hash,
+        amount: result.amount,
+        tokenIds: result.tokenIds
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Staking failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Unstake tokens or NFTs
+   */
+  async unstakeTokens({ walletAddress, poolAddress, amount, tokenIds }) {
+    try {
+      const wallet = this.umiKit.walletManager.getWallet(walletAddress);
+      if (!wallet) {
+        throw new Error(`Wallet not found: ${walletAddress}`);
+      }
+
+      const result = await this.umiKit.unstakeTokens({ wallet, poolAddress, amount, tokenIds });
+
+      return {
+        success: result.success,
+        transactionHash: result.hash,
+        amount: result.amount,
+        tokenIds: result.tokenIds
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Unstaking failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Claim staking rewards
+   */
+  async claimStakingRewards({ walletAddress, poolAddress }) {
+    try {
+      const wallet = this.umiKit.walletManager.getWallet(walletAddress);
+      if (!wallet) {
+        throw new Error(`Wallet not found: ${walletAddress}`);
+      }
+
+      const result = await this.umiKit.claimStakingRewards({ wallet, poolAddress });
+
+      return {
+        success: result.success,
+        transactionHash: result.hash,
+        claimed: result.amount
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Claiming rewards failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Staking pool info and APR
+   */
+  async getStakingPoolInfo({ poolAddress, stakePrice, rewardPrice }) {
+    try {
+      const info = await this.umiKit.getStakingPoolInfo(poolAddress, { stakePrice, rewardPrice });
+
+      return {
+        success: true,
+        ...info,
+        apr: info.apr === null ? 'unknown (token prices needed)' : `${info.apr}%`,
+        rewardsEndAt: info.rewardsEndAt ? new Date(info.rewardsEndAt * 1000).toISOString() : null
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to get staking pool info: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Staking position of an address
+   */
+  async getStakingPosition({ poolAddress, address }) {
+    try {
+      const position = await this.umiKit.getStakingPosition(poolAddress, address);
+
+      return {
+        success: true,
+        ...position,
+        unlockTime: position.unlockTime ? new Date(position.unlockTime * 1000).toISOString() : null
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to get staking position: ${error.message}`
+      };
+    }
+  }
+
   // ========== MULTISIG FUNCTIONS ==========
 
   /**
@@ -1136,37 +1350,43 @@ return {
     
     console.log(`🔍 Getting transaction history for: ${targetAddress}`);
     
-    // Get current block number
-    const currentBlock = await this.umiKit.getBlockNumber();
-    const startBlock = Math.max(0, Number(currentBlock) - 1000); // Last 1000 blocks
-    
-    console.log(`📊 Scanning blocks ${startBlock} to ${currentBlock}`);
-    
-    // This is a simplified approach - in production you'd use an indexer or explorer API
-    const transactions = [];
+    const explorer = this.umiKit.getNetworkInfo().explorer || this.umiKit.getNetworkInfo().blockExplorer;
+    const events = await this.umiKit.getIndexedHistory(targetAddress, { limit });
+    const status = await this.umiKit.getIndexerStatus();
     
-    try {
-      // Try to get recent transactions (this might not work on all networks)
-      // For now, return a message that we need better indexing
+    if (events.length === 0) {
       return {
         success: true,
-        message: `I don't have access to full transaction history indexing yet. To see real transaction history, you can check the block explorer at ${this.umiKit.getNetworkInfo().explorer || this.umiKit.getNetworkInfo().blockExplorer}`,
+        message: status.contracts === 0
+          ? `No contracts are indexed yet. Contracts deployed through the kit are indexed automatically; for full history use the block explorer at ${explorer}`
+          : `No indexed transfers found for ${targetAddress} across ${status.contracts} indexed contracts`,
         address: targetAddress,
         transactions: [],
-        note: "Transaction history requires blockchain indexing. Currently showing live balance only.",
-        current_balance: await this.getWalletBalance({ address: targetAddress })
-      };
-      
-    } catch (error) {
-      console.log('⚠️  Transaction history not available:', error.message);
-      return {
-        success: false,
-        message: "Transaction history is not available. Use block explorer for detailed history.",
-        address: targetAddress,
-        transactions: []
+        indexed_up_to_block: status.checkpoint?.blockNumber ?? null
       };
     }
     
+    return {
+      success: true,
+      message: `Found ${events.length} indexed events for ${targetAddress}`,
+      address: targetAddress,
+      transactions: events.map((event, index) => ({
+        index: index + 1,
+        event: event.event,
+        standard: event.standard,
+        contract: event.contract,
+        direction: event.args.to?.toLowerCase() === targetAddress.toLowerCase() ? 'in'
+          : event.args.from?.toLowerCase() === targetAddress.toLowerCase() ? 'out' : 'other',
+        ...event.args,
+        block: event.blockNumber,
+        timestamp: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : null,
+        hash: event.transactionHash,
+        explorer_url: `${explorer}/tx/${event.transactionHash}`
+      })),
+      indexed_up_to_block: status.checkpoint?.blockNumber ?? null,
+      note: "History covers token, NFT and ERC-1155 events of contracts deployed or registered with the kit; plain ETH transfers are not indexed."
+    };
+    
   } catch (error) {
     console.error('❌ getTransactionHistory error:', error);
     return {
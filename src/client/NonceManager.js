@@ -0,0 +1,201 @@
+import { getAddress } from 'viem';
+
+/**
+ * Per-address nonce allocator shared by every manager using the same UmiClient.
+ *
+ * Keeps a local counter so parallel sends from one wallet get distinct nonces,
+ * resyncs from the chain after a failed send, and re-issues nonces left behind
+ * by dropped transactions so the account does not stall on a gap.
+ *
+ * Implements viem's nonce manager interface (consume/get/increment/reset),
+ * so it can be attached directly to a viem account.
+ */
+export class NonceManager {
+  constructor(client, config = {}) {
+    this.client = client;
+    this.config = {
+      staleAfter: 60000, // ms before an unconfirmed nonce is treated as dropped
+      ...config
+    };
+
+    this.accounts = new Map(); // `${address}.${chainId}` -> nonce state
+    this.locks = new Map();    // `${address}.${chainId}` -> tail of the allocation queue
+  }
+
+  /**
+   * Allocate the next nonce for an address
+   */
+  async getNextNonce(address, chainId = this._getChainId()) {
+    return await this._withLock(address, chainId, async (state) => {
+      const synced = state.next === null || state.dirty;
+      if (synced) {
+        await this._sync(address, state);
+      }
+
+      let nonce = state.next;
+      while (state.allocated.has(nonce) && !this._isStale(state.allocated.get(nonce))) {
+        nonce++;
+      }
+
+      // Skipped in-flight nonces may hide a gap - check the chain again next time
+      if (synced && nonce !== state.next) {
+        state.dirty = true;
+      }
+
+      state.allocated.set(nonce, Date.now());
+      state.next = Math.max(state.next, nonce + 1);
+
+      return nonce;
+    });
+  }
+
+  /**
+   * Give a nonce back after its transaction failed or was dropped.
+   * The next allocation resyncs and reuses it to fill the gap.
+   */
+  release(address, nonce, chainId = this._getChainId()) {
+    const state = this._getState(address, chainId);
+    state.allocated.delete(Number(nonce));
+    state.dirty = true;
+  }
+
+  /**
+   * Mark a nonce as mined
+   */
+  confirm(address, nonce, chainId = this._getChainId()) {
+    const state = this._getState(address, chainId);
+    state.allocated.delete(Number(nonce));
+  }
+
+  /**
+   * Force a resync from the chain on the next allocation
+   */
+  resync(address, chainId = this._getChainId()) {
+    this._getState(address, chainId).dirty = true;
+  }
+
+  /**
+   * Forget everything known about an address
+   */
+  clear(address, chainId = this._getChainId()) {
+    this.accounts.delete(this._getKey(address, chainId));
+  }
+
+  /**
+   * Get the local view of an address (for debugging)
+   */
+  getState(address, chainId = this._getChainId()) {
+    const state = this._getState(address, chainId);
+    return {
+      address: getAddress(address),
+      chainId,
+      next: state.next,
+      dirty: state.dirty,
+      inFlight: Array.from(state.allocated.keys()).sort((a, b) => a - b),
+      lastSync: state.lastSync
+    };
+  }
+
+  // ========== VIEM NONCE MANAGER INTERFACE ==========
+
+  async consume({ address, chainId }) {
+    return await this.getNextNonce(address, chainId);
+  }
+
+  async get({ address, chainId }) {
+    return await this._withLock(address, chainId, async (state) => {
+      if (state.next === null || state.dirty) {
+        await this._sync(address, state);
+      }
+      return state.next;
+    });
+  }
+
+  async increment({ address, chainId }) {
+    const state = this._getState(address, chainId);
+    if (state.next !== null) state.next++;
+  }
+
+  /**
+   * Called by viem when a send fails after it consumed a nonce. viem does
+   * not say which nonce, and with parallel sends the latest one may belong
+   * to a transaction still in flight, so only resync here. Tracked sends
+   * assign their nonce up front and release() exactly that one on failure.
+   */
+  reset({ address, chainId }) {
+    this.resync(address, chainId);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  /**
+   * Rebuild the counter from the chain: drop nonces that are mined or in the
+   * mempool and restart from the first nonce the node does not know about
+   */
+  async _sync(address, state) {
+    try {
+      const [latest, pending] = await Promise.all([
+        this.client.getTransactionCount(address, 'latest'),
+        this.client.getTransactionCount(address, 'pending')
+      ]);
+
+      for (const nonce of Array.from(state.allocated.keys())) {
+        if (nonce < pending) state.allocated.delete(nonce);
+      }
+
+      if (state.next !== null && pending < state.next) {
+        console.log(`🔁 Nonce gap for ${address}: resuming at ${pending} (local was ${state.next})`);
+      }
+
+      state.next = pending;
+      state.confirmed = latest;
+      state.dirty = false;
+      state.lastSync = Date.now();
+
+    } catch (error) {
+      throw new Error(`Nonce sync failed: ${error.message}`);
+    }
+  }
+
+  _isStale(allocatedAt) {
+    return Date.now() - allocatedAt > this.config.staleAfter;
+  }
+
+  async _withLock(address, chainId, fn) {
+    const key = this._getKey(address, chainId);
+    const previous = this.locks.get(key) || Promise.resolve();
+
+    const run = previous.then(() => fn(this._getState(address, chainId)));
+    // Keep the queue alive even if this allocation fails
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    }
+  }
+
+  _getState(address, chainId) {
+    const key = this._getKey(address, chainId);
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        next: null,
+        confirmed: null,
+        dirty: false,
+        allocated: new Map(), // nonce -> allocation time
+        lastSync: null
+      });
+    }
+    return this.accounts.get(key);
+  }
+
+  _getKey(address, chainId = this._getChainId()) {
+    return `${getAddress(address)}.${chainId}`;
+  }
+
+  _getChainId() {
+    return this.client.chain?.id;
+  }
+}
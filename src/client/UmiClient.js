@@ -1,5 +1,8 @@
 import { createPublicClient, http, defineChain } from 'viem';
 import { DEFAULT_CONFIG } from '../config.js';
+import { NonceManager } from './NonceManager.js';
+import { TransactionTracker } from '../transaction/TransactionTracker.js';
+import { FeeEstimator } from '../transaction/FeeEstimator.js';
 
 export class UmiClient {
   constructor(config) {
@@ -33,6 +36,21 @@ export class UmiClient {
       chain: this.chain,
       transport: http(config.rpcUrl || this.networkConfig.rpcUrl)
     });
+
+    // Shared nonce allocator so parallel sends from one wallet don't collide
+    this.nonceManager = new NonceManager(this, config.nonceManager);
+
+    // EIP-1559 fee strategies (slow/standard/fast/custom) from eth_feeHistory
+    this.feeEstimator = new FeeEstimator(this, {
+      ...(config.feeStrategy !== undefined ? { defaultStrategy: config.feeStrategy } : {}),
+      ...config.feeEstimator
+    });
+
+    // Lifecycle tracking for everything sent through the managers
+    this.transactionTracker = new TransactionTracker(this, {
+      nonceManager: this.nonceManager,
+      ...config.transactionTracker
+    });
   }
 
   /**
@@ -46,6 +64,17 @@ export class UmiClient {
     }
   }
 
+  /**
+   * Get transaction count (nonce) for an address
+   */
+  async getTransactionCount(address, blockTag = 'latest') {
+    try {
+      return await this.publicClient.getTransactionCount({ address, blockTag });
+    } catch (error) {
+      throw new Error(`Failed to get transaction count: ${error.message}`);
+    }
+  }
+
   /**
    * Get transaction by hash
    */
@@ -93,6 +122,28 @@ export class UmiClient {
     }
   }
 
+  /**
+   * Get a block ({ blockNumber } or { blockHash }, latest if omitted)
+   */
+  async getBlock(params = {}) {
+    try {
+      return await this.publicClient.getBlock(params);
+    } catch (error) {
+      throw new Error(`Failed to get block: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get raw event logs ({ address, fromBlock, toBlock })
+   */
+  async getLogs(params) {
+    try {
+      return await this.publicClient.getLogs(params);
+    } catch (error) {
+      throw new Error(`Failed to get logs: ${error.message}`);
+    }
+  }
+
   /**
    * Get gas price
    */
@@ -115,6 +166,17 @@ export class UmiClient {
     }
   }
 
+  /**
+   * Read a contract view function ({ address, abi, functionName, args })
+   */
+  async readContract(params) {
+    try {
+      return await this.publicClient.readContract(params);
+    } catch (error) {
+      throw new Error(`Contract read failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get network info
    */
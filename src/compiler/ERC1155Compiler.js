@@ -6,9 +6,15 @@ import solc from 'solc';
 export class ERC1155Compiler {
   /**
    * Compile ERC1155 contract using OpenZeppelin (like TokenManager pattern)
+   * Options: { crafting } - include the on-chain recipe module
+   *          { soulbound, lockEvents } - non-transferable tokens (issuer can
+   *          still move or revoke them), Locked events unless lockEvents is false
    */
-  static compileERC1155Contract(contractName, baseURI = "") {
+  static compileERC1155Contract(contractName, baseURI = "", options = {}) {
     try {
+      const soulbound = options.soulbound === true;
+      const lockEvents = soulbound && options.lockEvents !== false;
+
       // OpenZeppelin-based ERC1155 contract
       const contractSource = `
 // SPDX-License-Identifier: MIT
@@ -20,11 +26,13 @@ import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnable, ERC1155Supply, Ownable, Pausable {
     using Strings for uint256;
     
     string public name;
+    bool public constant soulbound = ${soulbound};
     uint256 private _tokenIdCounter = 1;
     
     // Token info mappings
@@ -33,9 +41,25 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
     mapping(uint256 => string) public tokenMetadata;
     mapping(uint256 => bool) public tokenExists;
     
+    // Phased sales per token type - allowlist phases carry a Merkle root,
+    // public phases use bytes32(0). Tokens with phases mint via phaseMint only.
+    struct SalePhase {
+        uint256 tokenId;
+        uint64 startTime;
+        uint64 endTime;       // 0 = open-ended
+        uint256 price;        // per unit
+        uint256 maxPerWallet; // 0 = no cap
+        bytes32 merkleRoot;
+    }
+    SalePhase[] public salePhases;
+    mapping(uint256 => mapping(address => uint256)) public phaseMinted;
+    mapping(uint256 => bool) public phasedSale;
+    
     event TokenCreated(uint256 indexed tokenId, uint256 maxSupply, uint256 mintPrice, string metadataURI);
     event TokenMinted(address indexed to, uint256 indexed tokenId, uint256 amount);
     event BatchTokenMinted(address indexed to, uint256[] tokenIds, uint256[] amounts);
+    event SalePhaseSet(uint256 indexed phaseId, uint256 indexed tokenId, uint64 startTime, uint64 endTime, uint256 price, uint256 maxPerWallet, bytes32 merkleRoot);
+    event PhaseMinted(uint256 indexed phaseId, address indexed minter, address indexed to, uint256 amount);
     
     modifier tokenMustExist(uint256 tokenId) {
         require(tokenExists[tokenId], "Token does not exist");
@@ -65,7 +89,7 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         tokenMetadata[tokenId] = metadataURI;
         tokenExists[tokenId] = true;
         
-        emit TokenCreated(tokenId, _maxSupply, _mintPrice, metadataURI);
+        emit TokenCreated(tokenId, _maxSupply, _mintPrice, metadataURI);${lockEvents ? '\n        emit Locked(tokenId);' : ''}
         return tokenId;
     }
     
@@ -79,6 +103,7 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
     ) external payable whenNotPaused tokenMustExist(tokenId) {
         require(to != address(0), "Cannot mint to zero address");
         require(amount > 0, "Amount must be greater than 0");
+        require(!phasedSale[tokenId], "Phased sale active, use phaseMint");
         require(
             totalSupply(tokenId) + amount <= maxSupply[tokenId],
             "Exceeds maximum supply"
@@ -108,6 +133,7 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         for (uint256 i = 0; i < tokenIds.length; i++) {
             require(tokenExists[tokenIds[i]], "Token does not exist");
             require(amounts[i] > 0, "Amount must be greater than 0");
+            require(!phasedSale[tokenIds[i]], "Phased sale active, use phaseMint");
             require(
                 totalSupply(tokenIds[i]) + amounts[i] <= maxSupply[tokenIds[i]],
                 "Exceeds maximum supply"
@@ -121,6 +147,85 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         emit BatchTokenMinted(to, tokenIds, amounts);
     }
     
+    /**
+     * Mint during a sale phase (allowlist proof required when the phase has a Merkle root)
+     */
+    function phaseMint(
+        uint256 phaseId,
+        address to,
+        uint256 amount,
+        bytes32[] calldata proof
+    ) external payable whenNotPaused {
+        require(phaseId < salePhases.length, "Invalid phase");
+        require(to != address(0), "Cannot mint to zero address");
+        require(amount > 0, "Amount must be greater than 0");
+        
+        SalePhase memory phase = salePhases[phaseId];
+        require(block.timestamp >= phase.startTime, "Phase not started");
+        require(phase.endTime == 0 || block.timestamp < phase.endTime, "Phase ended");
+        require(
+            phase.maxPerWallet == 0 || phaseMinted[phaseId][msg.sender] + amount <= phase.maxPerWallet,
+            "Exceeds wallet limit for phase"
+        );
+        if (phase.merkleRoot != bytes32(0)) {
+            require(MerkleProof.verify(proof, phase.merkleRoot, _allowlistLeaf(msg.sender)), "Not on allowlist");
+        }
+        require(
+            totalSupply(phase.tokenId) + amount <= maxSupply[phase.tokenId],
+            "Exceeds maximum supply"
+        );
+        require(msg.value >= phase.price * amount, "Insufficient payment");
+        
+        phaseMinted[phaseId][msg.sender] += amount;
+        
+        _mint(to, phase.tokenId, amount, "");
+        emit TokenMinted(to, phase.tokenId, amount);
+        emit PhaseMinted(phaseId, msg.sender, to, amount);
+    }
+    
+    /**
+     * Create (phaseId == salePhaseCount()) or update a sale phase (owner only)
+     */
+    function setSalePhase(
+        uint256 phaseId,
+        uint256 tokenId,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 price,
+        uint256 maxPerWallet,
+        bytes32 merkleRoot
+    ) external onlyOwner tokenMustExist(tokenId) {
+        require(endTime == 0 || endTime > startTime, "Phase ends before it starts");
+        
+        SalePhase memory phase = SalePhase(tokenId, startTime, endTime, price, maxPerWallet, merkleRoot);
+        if (phaseId == salePhases.length) {
+            salePhases.push(phase);
+        } else {
+            require(phaseId < salePhases.length, "Invalid phase");
+            require(salePhases[phaseId].tokenId == tokenId, "Phase belongs to another token");
+            salePhases[phaseId] = phase;
+        }
+        phasedSale[tokenId] = true;
+        
+        emit SalePhaseSet(phaseId, tokenId, startTime, endTime, price, maxPerWallet, merkleRoot);
+    }
+    
+    /**
+     * Number of configured sale phases
+     */
+    function salePhaseCount() external view returns (uint256) {
+        return salePhases.length;
+    }
+    
+    /**
+     * Check an allowlist proof without minting
+     */
+    function isAllowlisted(uint256 phaseId, address account, bytes32[] calldata proof) external view returns (bool) {
+        require(phaseId < salePhases.length, "Invalid phase");
+        bytes32 root = salePhases[phaseId].merkleRoot;
+        return root == bytes32(0) || MerkleProof.verify(proof, root, _allowlistLeaf(account));
+    }
+    
     /**
      * Admin mint (owner only, no payment required)
      */
@@ -255,6 +360,13 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         
         return (ownedTokenIds, ownedAmounts);
     }
+    ${options.crafting ? this.getRecipeModuleSource() : ''}${soulbound ? this.getSoulboundModuleSource(lockEvents) : ''}
+    /**
+     * Double-hashed allowlist leaf (same as OpenZeppelin's StandardMerkleTree)
+     */
+    function _allowlistLeaf(address account) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account))));
+    }
     
     /**
      * Override required by Solidity for multiple inheritance
@@ -266,7 +378,9 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         uint256[] memory ids,
         uint256[] memory amounts,
         bytes memory data
-    ) internal override(ERC1155, ERC1155Supply) whenNotPaused {
+    ) internal override(ERC1155, ERC1155Supply) whenNotPaused {${soulbound ? `
+        // Mints and burns only - moving a token needs the issuer
+        require(from == address(0) || to == address(0) || operator == owner(), "Soulbound: token is non-transferable");` : ''}
         super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
     }
     
@@ -291,6 +405,11 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
           },
         },
         settings: {
+          // Phased sales take the contract over the EIP-170 size limit without it
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
           outputSelection: {
             '*': {
               '*': ['abi', 'evm.bytecode'],
@@ -327,6 +446,7 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
           // Math and other utilities
           "@openzeppelin/contracts/utils/math/Math.sol": this.getOpenZeppelinContract('Math'),
           "@openzeppelin/contracts/utils/Address.sol": this.getOpenZeppelinContract('Address'),
+          "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol": this.getOpenZeppelinContract('MerkleProof'),
         };
         
         return contractsPath[importPath] 
@@ -352,7 +472,9 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
         abi: contract.abi,
         bytecode: contract.evm.bytecode.object,
         source: contractSource,
-        compiler: 'solc-openzeppelin'
+        compiler: 'solc-openzeppelin',
+        crafting: options.crafting === true,
+        soulbound
       };
 
     } catch (error) {
@@ -366,6 +488,136 @@ contract ${contractName.replace(/[^a-zA-Z0-9]/g, '')} is ERC1155, ERC1155Burnabl
     }
   }
 
+  /**
+   * Soulbound module: the issuer acts as an operator for every holder so it
+   * can move badges between wallets or revoke (burn) them
+   */
+  static getSoulboundModuleSource(lockEvents) {
+    return `
+    event Revoked(address indexed holder, uint256 indexed tokenId, uint256 amount);${lockEvents ? `
+    event Locked(uint256 tokenId); // ERC-5192 style, emitted when a token type is created` : ''}
+    
+    function locked(uint256 tokenId) external view tokenMustExist(tokenId) returns (bool) {
+        return true;
+    }
+    
+    function revoke(address holder, uint256 tokenId, uint256 amount) external onlyOwner {
+        _burn(holder, tokenId, amount);
+        emit Revoked(holder, tokenId, amount);
+    }
+    
+    function isApprovedForAll(address account, address operator) public view override returns (bool) {
+        return operator == owner() || super.isApprovedForAll(account, operator);
+    }
+    `;
+  }
+
+  /**
+   * Recipe module: the owner registers recipes (input ids/amounts to output
+   * ids/amounts) and craft() burns the inputs and mints the outputs in the
+   * same transaction, so a failed mint never loses the player's materials
+   */
+  static getRecipeModuleSource() {
+    return `
+    struct Recipe {
+        uint256[] inputIds;
+        uint256[] inputAmounts;
+        uint256[] outputIds;
+        uint256[] outputAmounts;
+        bool active;
+    }
+    Recipe[] private _recipes;
+    
+    event RecipeSet(uint256 indexed recipeId, uint256[] inputIds, uint256[] inputAmounts, uint256[] outputIds, uint256[] outputAmounts);
+    event RecipeStatusChanged(uint256 indexed recipeId, bool active);
+    event Crafted(uint256 indexed recipeId, address indexed player);
+    
+    /**
+     * Create (recipeId == recipeCount()) or replace a recipe (owner only)
+     */
+    function setRecipe(
+        uint256 recipeId,
+        uint256[] calldata inputIds,
+        uint256[] calldata inputAmounts,
+        uint256[] calldata outputIds,
+        uint256[] calldata outputAmounts
+    ) external onlyOwner {
+        require(inputIds.length > 0 && outputIds.length > 0, "Recipe needs inputs and outputs");
+        require(inputIds.length == inputAmounts.length, "Inputs length mismatch");
+        require(outputIds.length == outputAmounts.length, "Outputs length mismatch");
+        
+        for (uint256 i = 0; i < inputIds.length; i++) {
+            require(tokenExists[inputIds[i]], "Token does not exist");
+            require(inputAmounts[i] > 0, "Amount must be greater than 0");
+        }
+        for (uint256 i = 0; i < outputIds.length; i++) {
+            require(tokenExists[outputIds[i]], "Token does not exist");
+            require(outputAmounts[i] > 0, "Amount must be greater than 0");
+            // craft() checks maxSupply per entry, so a repeated id would mint past it
+            for (uint256 j = 0; j < i; j++) {
+                require(outputIds[j] != outputIds[i], "Duplicate output token");
+            }
+        }
+        
+        Recipe memory recipe = Recipe(inputIds, inputAmounts, outputIds, outputAmounts, true);
+        if (recipeId == _recipes.length) {
+            _recipes.push(recipe);
+        } else {
+            require(recipeId < _recipes.length, "Invalid recipe");
+            _recipes[recipeId] = recipe;
+        }
+        
+        emit RecipeSet(recipeId, inputIds, inputAmounts, outputIds, outputAmounts);
+    }
+    
+    /**
+     * Enable or disable a recipe (owner only)
+     */
+    function setRecipeActive(uint256 recipeId, bool active) external onlyOwner {
+        require(recipeId < _recipes.length, "Invalid recipe");
+        _recipes[recipeId].active = active;
+        emit RecipeStatusChanged(recipeId, active);
+    }
+    
+    /**
+     * Burn the recipe inputs from the caller and mint the outputs to them
+     */
+    function craft(uint256 recipeId) external whenNotPaused {
+        require(recipeId < _recipes.length, "Invalid recipe");
+        Recipe storage recipe = _recipes[recipeId];
+        require(recipe.active, "Recipe is disabled");
+        
+        for (uint256 i = 0; i < recipe.outputIds.length; i++) {
+            require(
+                totalSupply(recipe.outputIds[i]) + recipe.outputAmounts[i] <= maxSupply[recipe.outputIds[i]],
+                "Exceeds maximum supply"
+            );
+        }
+        
+        _burnBatch(msg.sender, recipe.inputIds, recipe.inputAmounts);
+        _mintBatch(msg.sender, recipe.outputIds, recipe.outputAmounts, "");
+        
+        emit Crafted(recipeId, msg.sender);
+    }
+    
+    function getRecipe(uint256 recipeId) external view returns (
+        uint256[] memory inputIds,
+        uint256[] memory inputAmounts,
+        uint256[] memory outputIds,
+        uint256[] memory outputAmounts,
+        bool active
+    ) {
+        require(recipeId < _recipes.length, "Invalid recipe");
+        Recipe storage recipe = _recipes[recipeId];
+        return (recipe.inputIds, recipe.inputAmounts, recipe.outputIds, recipe.outputAmounts, recipe.active);
+    }
+    
+    function recipeCount() external view returns (uint256) {
+        return _recipes.length;
+    }
+    `;
+  }
+
   /**
    * Get ALL OpenZeppelin contract source code (COMPLETE LIBRARY)
    */
@@ -1212,6 +1464,28 @@ interface IERC1155MetadataURI is IERC1155 {
     function uri(uint256 id) external view returns (string memory);
 }`,
 
+      'MerkleProof': `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+library MerkleProof {
+    function verify(bytes32[] memory proof, bytes32 root, bytes32 leaf) internal pure returns (bool) {
+        return processProof(proof, leaf) == root;
+    }
+    
+    function processProof(bytes32[] memory proof, bytes32 leaf) internal pure returns (bytes32) {
+        bytes32 computedHash = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            computedHash = _hashPair(computedHash, proof[i]);
+        }
+        return computedHash;
+    }
+    
+    function _hashPair(bytes32 a, bytes32 b) private pure returns (bytes32) {
+        return a < b ? keccak256(abi.encodePacked(a, b)) : keccak256(abi.encodePacked(b, a));
+    }
+}`,
+
       'IERC165': `
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
@@ -1237,6 +1511,20 @@ interface IERC165 {
         "stateMutability": "view",
         "type": "function"
       },
+      {
+        "inputs": [],
+        "name": "soulbound",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
       {
         "inputs": [{"internalType": "uint256", "name": "id", "type": "uint256"}],
         "name": "uri",
@@ -1370,7 +1658,292 @@ interface IERC165 {
         "outputs": [],
         "stateMutability": "nonpayable",
         "type": "function"
+      },
+      // Phased sales
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "address", "name": "to", "type": "address"}, {"internalType": "uint256", "name": "amount", "type": "uint256"}, {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}],
+        "name": "phaseMint",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "uint64", "name": "startTime", "type": "uint64"}, {"internalType": "uint64", "name": "endTime", "type": "uint64"}, {"internalType": "uint256", "name": "price", "type": "uint256"}, {"internalType": "uint256", "name": "maxPerWallet", "type": "uint256"}, {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+        "name": "setSalePhase",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "name": "salePhases",
+        "outputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "uint64", "name": "startTime", "type": "uint64"}, {"internalType": "uint64", "name": "endTime", "type": "uint64"}, {"internalType": "uint256", "name": "price", "type": "uint256"}, {"internalType": "uint256", "name": "maxPerWallet", "type": "uint256"}, {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "salePhaseCount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}, {"internalType": "address", "name": "", "type": "address"}],
+        "name": "phaseMinted",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "name": "phasedSale",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "address", "name": "account", "type": "address"}, {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}],
+        "name": "isAllowlisted",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      // Events
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "operator", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "from", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "id", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "value", "type": "uint256"}
+        ],
+        "name": "TransferSingle",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "operator", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "from", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256[]", "name": "ids", "type": "uint256[]"},
+          {"indexed": false, "internalType": "uint256[]", "name": "values", "type": "uint256[]"}
+        ],
+        "name": "TransferBatch",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "account", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "operator", "type": "address"},
+          {"indexed": false, "internalType": "bool", "name": "approved", "type": "bool"}
+        ],
+        "name": "ApprovalForAll",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "string", "name": "value", "type": "string"},
+          {"indexed": true, "internalType": "uint256", "name": "id", "type": "uint256"}
+        ],
+        "name": "URI",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "maxSupply", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "mintPrice", "type": "uint256"},
+          {"indexed": false, "internalType": "string", "name": "metadataURI", "type": "string"}
+        ],
+        "name": "TokenCreated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "name": "TokenMinted",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"},
+          {"indexed": false, "internalType": "uint256[]", "name": "amounts", "type": "uint256[]"}
+        ],
+        "name": "BatchTokenMinted",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "address", "name": "account", "type": "address"}
+        ],
+        "name": "Paused",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "address", "name": "account", "type": "address"}
+        ],
+        "name": "Unpaused",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "phaseId", "type": "uint256"},
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint64", "name": "startTime", "type": "uint64"},
+          {"indexed": false, "internalType": "uint64", "name": "endTime", "type": "uint64"},
+          {"indexed": false, "internalType": "uint256", "name": "price", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "maxPerWallet", "type": "uint256"},
+          {"indexed": false, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}
+        ],
+        "name": "SalePhaseSet",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "phaseId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "minter", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "name": "PhaseMinted",
+        "type": "event"
+      }
+    ];
+  }
+
+  /**
+   * ABI of the soulbound module (contracts compiled with { soulbound: true })
+   */
+  static getSoulboundABI() {
+    return [
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "locked",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "holder", "type": "address"}, {"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "uint256", "name": "amount", "type": "uint256"}],
+        "name": "revoke",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "tokenId", "type": "uint256"}
+        ],
+        "name": "Locked",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "holder", "type": "address"},
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "name": "Revoked",
+        "type": "event"
+      }
+    ];
+  }
+
+  /**
+   * ABI of the optional recipe module (contracts compiled with { crafting: true })
+   */
+  static getRecipeABI() {
+    return [
+      {
+        "inputs": [{"internalType": "uint256", "name": "recipeId", "type": "uint256"}, {"internalType": "uint256[]", "name": "inputIds", "type": "uint256[]"}, {"internalType": "uint256[]", "name": "inputAmounts", "type": "uint256[]"}, {"internalType": "uint256[]", "name": "outputIds", "type": "uint256[]"}, {"internalType": "uint256[]", "name": "outputAmounts", "type": "uint256[]"}],
+        "name": "setRecipe",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "recipeId", "type": "uint256"}, {"internalType": "bool", "name": "active", "type": "bool"}],
+        "name": "setRecipeActive",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "recipeId", "type": "uint256"}],
+        "name": "craft",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "recipeId", "type": "uint256"}],
+        "name": "getRecipe",
+        "outputs": [
+          {"internalType": "uint256[]", "name": "inputIds", "type": "uint256[]"},
+          {"internalType": "uint256[]", "name": "inputAmounts", "type": "uint256[]"},
+          {"internalType": "uint256[]", "name": "outputIds", "type": "uint256[]"},
+          {"internalType": "uint256[]", "name": "outputAmounts", "type": "uint256[]"},
+          {"internalType": "bool", "name": "active", "type": "bool"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "recipeCount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "recipeId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256[]", "name": "inputIds", "type": "uint256[]"},
+          {"indexed": false, "internalType": "uint256[]", "name": "inputAmounts", "type": "uint256[]"},
+          {"indexed": false, "internalType": "uint256[]", "name": "outputIds", "type": "uint256[]"},
+          {"indexed": false, "internalType": "uint256[]", "name": "outputAmounts", "type": "uint256[]"}
+        ],
+        "name": "RecipeSet",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "recipeId", "type": "uint256"},
+          {"indexed": false, "internalType": "bool", "name": "active", "type": "bool"}
+        ],
+        "name": "RecipeStatusChanged",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "recipeId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "player", "type": "address"}
+        ],
+        "name": "Crafted",
+        "type": "event"
       }
     ];
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,745 @@
+import solc from 'solc';
+
+export class MarketplaceCompiler {
+  /**
+   * Compile the peer-to-peer marketplace. Escrow-free: sellers keep their
+   * items (and offer makers their tokens) until a trade settles, the
+   * marketplace only holds operator approval / ERC-20 allowance.
+   * Works with ERC-721 and ERC-1155 items, pays in ETH or any ERC-20,
+   * takes a protocol fee and pays EIP-2981 royalties when the collection
+   * exposes them.
+   */
+  static compileMarketplace() {
+    try {
+      const contractSource = MarketplaceCompiler.getMarketplaceSource();
+
+      const input = {
+        language: 'Solidity',
+        sources: {
+          'GameMarketplace.sol': {
+            content: contractSource,
+          },
+        },
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          outputSelection: {
+            '*': {
+              '*': ['abi', 'evm.bytecode'],
+            },
+          },
+        },
+      };
+
+      const compiled = JSON.parse(solc.compile(JSON.stringify(input)));
+
+      if (compiled.errors) {
+        const hasErrors = compiled.errors.some(error => error.severity === 'error');
+        if (hasErrors) {
+          throw new Error('Marketplace compilation errors: ' + compiled.errors.map(e => e.message).join('\n'));
+        }
+      }
+
+      const contract = compiled.contracts['GameMarketplace.sol'].GameMarketplace;
+
+      return {
+        abi: contract.abi,
+        bytecode: '0x' + contract.evm.bytecode.object,
+        contractName: 'GameMarketplace'
+      };
+
+    } catch (error) {
+      throw new Error(`Marketplace compilation failed: ${error.message}`);
+    }
+  }
+
+  static getMarketplaceSource() {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC165 {
+    function supportsInterface(bytes4 interfaceId) external view returns (bool);
+}
+
+interface IERC721 {
+    function ownerOf(uint256 tokenId) external view returns (address);
+    function isApprovedForAll(address owner, address operator) external view returns (bool);
+    function safeTransferFrom(address from, address to, uint256 tokenId) external;
+}
+
+interface IERC1155 {
+    function balanceOf(address account, uint256 id) external view returns (uint256);
+    function isApprovedForAll(address account, address operator) external view returns (bool);
+    function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes calldata data) external;
+}
+
+interface IERC2981 {
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
+}
+
+contract GameMarketplace {
+    bytes4 private constant INTERFACE_ERC1155 = 0xd9b67a26;
+    bytes4 private constant INTERFACE_ERC2981 = 0x2a55205a;
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    struct Listing {
+        address seller;
+        address nft;
+        uint256 tokenId;
+        uint256 quantity;
+        uint256 pricePerUnit;
+        address paymentToken;
+        uint64 expiresAt;
+        bool is1155;
+        bool active;
+    }
+
+    struct Offer {
+        address buyer;
+        address nft;
+        uint256 tokenId;
+        uint256 quantity;
+        uint256 pricePerUnit;
+        address paymentToken;
+        uint64 expiresAt;
+        bool is1155;
+        bool active;
+    }
+
+    address public owner;
+    address public feeRecipient;
+    uint256 public feeBps;
+
+    Listing[] private _listings;
+    Offer[] private _offers;
+
+    uint256 private _locked = 1;
+
+    event ListingCreated(uint256 indexed listingId, address indexed seller, address indexed nft, uint256 tokenId, uint256 quantity, uint256 pricePerUnit, address paymentToken, uint64 expiresAt);
+    event ListingCancelled(uint256 indexed listingId);
+    event ItemSold(uint256 indexed listingId, address indexed buyer, uint256 quantity, uint256 totalPrice, uint256 fee, uint256 royalty);
+    event OfferCreated(uint256 indexed offerId, address indexed buyer, address indexed nft, uint256 tokenId, uint256 quantity, uint256 pricePerUnit, address paymentToken, uint64 expiresAt);
+    event OfferCancelled(uint256 indexed offerId);
+    event OfferAccepted(uint256 indexed offerId, address indexed seller, uint256 totalPrice, uint256 fee, uint256 royalty);
+    event FeeUpdated(uint256 feeBps, address feeRecipient);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Marketplace: caller is not the owner");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(_locked == 1, "Marketplace: reentrant call");
+        _locked = 2;
+        _;
+        _locked = 1;
+    }
+
+    constructor(address owner_, uint256 feeBps_, address feeRecipient_) {
+        require(owner_ != address(0) && feeRecipient_ != address(0), "Marketplace: zero address");
+        require(feeBps_ <= MAX_FEE_BPS, "Marketplace: fee too high");
+
+        owner = owner_;
+        feeBps = feeBps_;
+        feeRecipient = feeRecipient_;
+
+        emit OwnershipTransferred(address(0), owner_);
+    }
+
+    // ========== LISTINGS ==========
+
+    function createListing(
+        address nft,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 pricePerUnit,
+        address paymentToken,
+        uint64 expiresAt
+    ) external returns (uint256 listingId) {
+        require(pricePerUnit > 0, "Marketplace: zero price");
+        require(paymentToken == address(0) || paymentToken.code.length > 0, "Marketplace: payment token is not a contract");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Marketplace: already expired");
+
+        bool is1155 = _isERC1155(nft);
+        _requireSellable(nft, is1155, msg.sender, tokenId, quantity);
+
+        listingId = _listings.length;
+        _listings.push(Listing(msg.sender, nft, tokenId, quantity, pricePerUnit, paymentToken, expiresAt, is1155, true));
+
+        emit ListingCreated(listingId, msg.sender, nft, tokenId, quantity, pricePerUnit, paymentToken, expiresAt);
+    }
+
+    function cancelListing(uint256 listingId) external {
+        Listing storage listing = _getListing(listingId);
+        require(listing.active, "Marketplace: listing not active");
+        require(msg.sender == listing.seller || msg.sender == owner, "Marketplace: not the seller");
+
+        listing.active = false;
+        emit ListingCancelled(listingId);
+    }
+
+    /**
+     * Buy part (ERC-1155) or all of a listing. ETH listings take msg.value,
+     * ERC-20 listings pull the price from the buyer's allowance.
+     */
+    function buy(uint256 listingId, uint256 quantity) external payable nonReentrant {
+        Listing storage listing = _getListing(listingId);
+        require(listing.active, "Marketplace: listing not active");
+        require(listing.expiresAt == 0 || block.timestamp < listing.expiresAt, "Marketplace: listing expired");
+        require(quantity > 0 && quantity <= listing.quantity, "Marketplace: invalid quantity");
+        require(msg.sender != listing.seller, "Marketplace: seller cannot buy");
+
+        uint256 totalPrice = listing.pricePerUnit * quantity;
+        if (listing.paymentToken == address(0)) {
+            require(msg.value == totalPrice, "Marketplace: wrong ETH amount");
+        } else {
+            require(msg.value == 0, "Marketplace: listing is paid in tokens");
+        }
+
+        listing.quantity -= quantity;
+        if (listing.quantity == 0) {
+            listing.active = false;
+        }
+
+        _transferItem(listing.nft, listing.is1155, listing.seller, msg.sender, listing.tokenId, quantity);
+        (uint256 fee, uint256 royalty) = _settle(listing.paymentToken, msg.sender, listing.seller, listing.nft, listing.tokenId, totalPrice);
+
+        emit ItemSold(listingId, msg.sender, quantity, totalPrice, fee, royalty);
+    }
+
+    // ========== OFFERS ==========
+
+    /**
+     * Offer on any item, listed or not. Offers are paid in an ERC-20 that
+     * stays in the buyer's wallet until the holder accepts.
+     */
+    function makeOffer(
+        address nft,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 pricePerUnit,
+        address paymentToken,
+        uint64 expiresAt
+    ) external returns (uint256 offerId) {
+        require(paymentToken != address(0), "Marketplace: offers need an ERC-20");
+        require(paymentToken.code.length > 0, "Marketplace: payment token is not a contract");
+        require(pricePerUnit > 0, "Marketplace: zero price");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Marketplace: already expired");
+
+        bool is1155 = _isERC1155(nft);
+        require(quantity > 0 && (is1155 || quantity == 1), "Marketplace: invalid quantity");
+
+        offerId = _offers.length;
+        _offers.push(Offer(msg.sender, nft, tokenId, quantity, pricePerUnit, paymentToken, expiresAt, is1155, true));
+
+        emit OfferCreated(offerId, msg.sender, nft, tokenId, quantity, pricePerUnit, paymentToken, expiresAt);
+    }
+
+    function cancelOffer(uint256 offerId) external {
+        Offer storage offer = _getOffer(offerId);
+        require(offer.active, "Marketplace: offer not active");
+        require(msg.sender == offer.buyer || msg.sender == owner, "Marketplace: not the offer maker");
+
+        offer.active = false;
+        emit OfferCancelled(offerId);
+    }
+
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = _getOffer(offerId);
+        require(offer.active, "Marketplace: offer not active");
+        require(offer.expiresAt == 0 || block.timestamp < offer.expiresAt, "Marketplace: offer expired");
+        require(msg.sender != offer.buyer, "Marketplace: cannot accept own offer");
+
+        offer.active = false;
+
+        uint256 totalPrice = offer.pricePerUnit * offer.quantity;
+        _requireSellable(offer.nft, offer.is1155, msg.sender, offer.tokenId, offer.quantity);
+        _transferItem(offer.nft, offer.is1155, msg.sender, offer.buyer, offer.tokenId, offer.quantity);
+        (uint256 fee, uint256 royalty) = _settle(offer.paymentToken, offer.buyer, msg.sender, offer.nft, offer.tokenId, totalPrice);
+
+        emit OfferAccepted(offerId, msg.sender, totalPrice, fee, royalty);
+    }
+
+    // ========== VIEWS ==========
+
+    function listingCount() external view returns (uint256) {
+        return _listings.length;
+    }
+
+    function offerCount() external view returns (uint256) {
+        return _offers.length;
+    }
+
+    function getListing(uint256 listingId) external view returns (Listing memory) {
+        return _getListing(listingId);
+    }
+
+    function getOffer(uint256 offerId) external view returns (Offer memory) {
+        return _getOffer(offerId);
+    }
+
+    function getListings(uint256 fromId, uint256 count) external view returns (Listing[] memory page) {
+        uint256 end = fromId + count > _listings.length ? _listings.length : fromId + count;
+        page = new Listing[](end > fromId ? end - fromId : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _listings[fromId + i];
+        }
+    }
+
+    function getOffers(uint256 fromId, uint256 count) external view returns (Offer[] memory page) {
+        uint256 end = fromId + count > _offers.length ? _offers.length : fromId + count;
+        page = new Offer[](end > fromId ? end - fromId : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _offers[fromId + i];
+        }
+    }
+
+    /**
+     * Split of a sale price: (marketplace fee, royalty receiver, royalty)
+     */
+    function quote(address nft, uint256 tokenId, uint256 price) public view returns (uint256 fee, address royaltyReceiver, uint256 royalty) {
+        fee = (price * feeBps) / 10000;
+        (royaltyReceiver, royalty) = _royaltyInfo(nft, tokenId, price);
+        if (royalty > price - fee) {
+            royalty = price - fee;
+        }
+    }
+
+    // ========== ADMIN ==========
+
+    function setFee(uint256 feeBps_, address feeRecipient_) external onlyOwner {
+        require(feeBps_ <= MAX_FEE_BPS, "Marketplace: fee too high");
+        require(feeRecipient_ != address(0), "Marketplace: zero address");
+
+        feeBps = feeBps_;
+        feeRecipient = feeRecipient_;
+        emit FeeUpdated(feeBps_, feeRecipient_);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Marketplace: zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    // ========== INTERNAL ==========
+
+    function _getListing(uint256 listingId) private view returns (Listing storage) {
+        require(listingId < _listings.length, "Marketplace: unknown listing");
+        return _listings[listingId];
+    }
+
+    function _getOffer(uint256 offerId) private view returns (Offer storage) {
+        require(offerId < _offers.length, "Marketplace: unknown offer");
+        return _offers[offerId];
+    }
+
+    function _isERC1155(address nft) private view returns (bool) {
+        try IERC165(nft).supportsInterface(INTERFACE_ERC1155) returns (bool supported) {
+            return supported;
+        } catch {
+            return false;
+        }
+    }
+
+    function _requireSellable(address nft, bool is1155, address holder, uint256 tokenId, uint256 quantity) private view {
+        if (is1155) {
+            require(quantity > 0 && IERC1155(nft).balanceOf(holder, tokenId) >= quantity, "Marketplace: insufficient balance");
+            require(IERC1155(nft).isApprovedForAll(holder, address(this)), "Marketplace: marketplace not approved");
+        } else {
+            require(quantity == 1, "Marketplace: ERC-721 quantity must be 1");
+            require(IERC721(nft).ownerOf(tokenId) == holder, "Marketplace: not the token owner");
+            require(IERC721(nft).isApprovedForAll(holder, address(this)), "Marketplace: marketplace not approved");
+        }
+    }
+
+    function _transferItem(address nft, bool is1155, address from, address to, uint256 tokenId, uint256 quantity) private {
+        if (is1155) {
+            IERC1155(nft).safeTransferFrom(from, to, tokenId, quantity, "");
+        } else {
+            IERC721(nft).safeTransferFrom(from, to, tokenId);
+        }
+    }
+
+    function _royaltyInfo(address nft, uint256 tokenId, uint256 price) private view returns (address receiver, uint256 amount) {
+        try IERC165(nft).supportsInterface(INTERFACE_ERC2981) returns (bool supported) {
+            if (!supported) return (address(0), 0);
+        } catch {
+            return (address(0), 0);
+        }
+
+        try IERC2981(nft).royaltyInfo(tokenId, price) returns (address royaltyReceiver, uint256 royaltyAmount) {
+            if (royaltyReceiver != address(0)) {
+                return (royaltyReceiver, royaltyAmount);
+            }
+        } catch {}
+        return (address(0), 0);
+    }
+
+    /**
+     * Pay fee, royalty and seller proceeds from the buyer (ETH already sent
+     * with the call, ERC-20 pulled directly from the buyer to each party)
+     */
+    function _settle(address paymentToken, address buyer, address seller, address nft, uint256 tokenId, uint256 totalPrice) private returns (uint256 fee, uint256 royalty) {
+        address royaltyReceiver;
+        (fee, royaltyReceiver, royalty) = quote(nft, tokenId, totalPrice);
+
+        _pay(paymentToken, buyer, feeRecipient, fee);
+        _pay(paymentToken, buyer, royaltyReceiver, royalty);
+        _pay(paymentToken, buyer, seller, totalPrice - fee - royalty);
+    }
+
+    function _pay(address paymentToken, address from, address to, uint256 amount) private {
+        if (amount == 0) return;
+
+        if (paymentToken == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            require(sent, "Marketplace: ETH transfer failed");
+        } else {
+            // A call to an address without code succeeds with empty data
+            require(paymentToken.code.length > 0, "Marketplace: payment token is not a contract");
+            (bool success, bytes memory data) = paymentToken.call(abi.encodeWithSelector(0x23b872dd, from, to, amount));
+            require(success && (data.length == 0 || abi.decode(data, (bool))), "Marketplace: token transfer failed");
+        }
+    }
+}
+`;
+  }
+
+  /**
+   * Static ABI of the compiled GameMarketplace, for interacting with
+   * already deployed marketplaces without recompiling
+   */
+  static getMarketplaceABI() {
+    return [
+      {
+        "inputs": [],
+        "name": "MAX_FEE_BPS",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "offerId", "type": "uint256"}],
+        "name": "acceptOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "uint256", "name": "listingId", "type": "uint256"},
+          {"internalType": "uint256", "name": "quantity", "type": "uint256"}
+        ],
+        "name": "buy",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "listingId", "type": "uint256"}],
+        "name": "cancelListing",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "offerId", "type": "uint256"}],
+        "name": "cancelOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "nft", "type": "address"},
+          {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+          {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+          {"internalType": "address", "name": "paymentToken", "type": "address"},
+          {"internalType": "uint64", "name": "expiresAt", "type": "uint64"}
+        ],
+        "name": "createListing",
+        "outputs": [{"internalType": "uint256", "name": "listingId", "type": "uint256"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "feeBps",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "feeRecipient",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "listingId", "type": "uint256"}],
+        "name": "getListing",
+        "outputs": [
+          {
+            "components": [
+              {"internalType": "address", "name": "seller", "type": "address"},
+              {"internalType": "address", "name": "nft", "type": "address"},
+              {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+              {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+              {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+              {"internalType": "address", "name": "paymentToken", "type": "address"},
+              {"internalType": "uint64", "name": "expiresAt", "type": "uint64"},
+              {"internalType": "bool", "name": "is1155", "type": "bool"},
+              {"internalType": "bool", "name": "active", "type": "bool"}
+            ],
+            "internalType": "struct GameMarketplace.Listing",
+            "name": "",
+            "type": "tuple"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "uint256", "name": "fromId", "type": "uint256"},
+          {"internalType": "uint256", "name": "count", "type": "uint256"}
+        ],
+        "name": "getListings",
+        "outputs": [
+          {
+            "components": [
+              {"internalType": "address", "name": "seller", "type": "address"},
+              {"internalType": "address", "name": "nft", "type": "address"},
+              {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+              {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+              {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+              {"internalType": "address", "name": "paymentToken", "type": "address"},
+              {"internalType": "uint64", "name": "expiresAt", "type": "uint64"},
+              {"internalType": "bool", "name": "is1155", "type": "bool"},
+              {"internalType": "bool", "name": "active", "type": "bool"}
+            ],
+            "internalType": "struct GameMarketplace.Listing[]",
+            "name": "page",
+            "type": "tuple[]"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "offerId", "type": "uint256"}],
+        "name": "getOffer",
+        "outputs": [
+          {
+            "components": [
+              {"internalType": "address", "name": "buyer", "type": "address"},
+              {"internalType": "address", "name": "nft", "type": "address"},
+              {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+              {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+              {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+              {"internalType": "address", "name": "paymentToken", "type": "address"},
+              {"internalType": "uint64", "name": "expiresAt", "type": "uint64"},
+              {"internalType": "bool", "name": "is1155", "type": "bool"},
+              {"internalType": "bool", "name": "active", "type": "bool"}
+            ],
+            "internalType": "struct GameMarketplace.Offer",
+            "name": "",
+            "type": "tuple"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "uint256", "name": "fromId", "type": "uint256"},
+          {"internalType": "uint256", "name": "count", "type": "uint256"}
+        ],
+        "name": "getOffers",
+        "outputs": [
+          {
+            "components": [
+              {"internalType": "address", "name": "buyer", "type": "address"},
+              {"internalType": "address", "name": "nft", "type": "address"},
+              {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+              {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+              {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+              {"internalType": "address", "name": "paymentToken", "type": "address"},
+              {"internalType": "uint64", "name": "expiresAt", "type": "uint64"},
+              {"internalType": "bool", "name": "is1155", "type": "bool"},
+              {"internalType": "bool", "name": "active", "type": "bool"}
+            ],
+            "internalType": "struct GameMarketplace.Offer[]",
+            "name": "page",
+            "type": "tuple[]"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "listingCount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "nft", "type": "address"},
+          {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"internalType": "uint256", "name": "quantity", "type": "uint256"},
+          {"internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+          {"internalType": "address", "name": "paymentToken", "type": "address"},
+          {"internalType": "uint64", "name": "expiresAt", "type": "uint64"}
+        ],
+        "name": "makeOffer",
+        "outputs": [{"internalType": "uint256", "name": "offerId", "type": "uint256"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "offerCount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "nft", "type": "address"},
+          {"internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"internalType": "uint256", "name": "price", "type": "uint256"}
+        ],
+        "name": "quote",
+        "outputs": [
+          {"internalType": "uint256", "name": "fee", "type": "uint256"},
+          {"internalType": "address", "name": "royaltyReceiver", "type": "address"},
+          {"internalType": "uint256", "name": "royalty", "type": "uint256"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "uint256", "name": "feeBps_", "type": "uint256"},
+          {"internalType": "address", "name": "feeRecipient_", "type": "address"}
+        ],
+        "name": "setFee",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "newOwner", "type": "address"}],
+        "name": "transferOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "feeBps", "type": "uint256"},
+          {"indexed": false, "internalType": "address", "name": "feeRecipient", "type": "address"}
+        ],
+        "name": "FeeUpdated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "listingId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "buyer", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "quantity", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "totalPrice", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "fee", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "royalty", "type": "uint256"}
+        ],
+        "name": "ItemSold",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "listingId", "type": "uint256"}
+        ],
+        "name": "ListingCancelled",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "listingId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "seller", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "nft", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "quantity", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+          {"indexed": false, "internalType": "address", "name": "paymentToken", "type": "address"},
+          {"indexed": false, "internalType": "uint64", "name": "expiresAt", "type": "uint64"}
+        ],
+        "name": "ListingCreated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "offerId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "seller", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "totalPrice", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "fee", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "royalty", "type": "uint256"}
+        ],
+        "name": "OfferAccepted",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "offerId", "type": "uint256"}
+        ],
+        "name": "OfferCancelled",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "offerId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "buyer", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "nft", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "quantity", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "pricePerUnit", "type": "uint256"},
+          {"indexed": false, "internalType": "address", "name": "paymentToken", "type": "address"},
+          {"indexed": false, "internalType": "uint64", "name": "expiresAt", "type": "uint64"}
+        ],
+        "name": "OfferCreated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "previousOwner", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "newOwner", "type": "address"}
+        ],
+        "name": "OwnershipTransferred",
+        "type": "event"
+      }
+    ];
+  }
+}
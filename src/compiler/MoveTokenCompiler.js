@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import { ethToMoveAddress } from '../wallet/UmiWallet.js';
+
+export class MoveTokenCompiler {
+
+  /**
+   * Generate a managed Move fungible asset (aptos_framework::fungible_asset)
+   * backed by primary stores. The deployer holds mint/burn/transfer refs and
+   * can freeze individual stores; holders transfer and burn their own balance.
+   */
+  static generateFungibleAsset(name, symbol, decimals = 8, options = {}) {
+    const {
+      maxSupply = null, // base units, null = unlimited
+      iconUri = '',
+      projectUri = ''
+    } = options;
+
+    this.validateMoveString(name, 'Token name');
+    this.validateMoveString(symbol, 'Token symbol');
+    this.validateMoveString(iconUri, 'Icon URI');
+    this.validateMoveString(projectUri, 'Project URI');
+
+    const moduleName = this.getModuleName(name);
+    const maximum = maxSupply !== null && maxSupply !== undefined
+      ? `option::some(${BigInt(maxSupply)})`
+      : 'option::none()';
+
+    return `
+module DEPLOYER_ADDRESS::${moduleName} {
+    use std::error;
+    use std::option;
+    use std::signer;
+    use std::string::{Self, String};
+    use aptos_framework::fungible_asset::{Self, MintRef, TransferRef, BurnRef, Metadata};
+    use aptos_framework::object::{Self, Object};
+    use aptos_framework::primary_fungible_store;
+
+    /// Caller is not the token admin
+    const ENOT_ADMIN: u64 = 1;
+    /// Token was already initialized
+    const EALREADY_INITIALIZED: u64 = 2;
+    /// Only the module publisher can initialize the token
+    const ENOT_PUBLISHER: u64 = 3;
+    /// Store is frozen
+    const ESTORE_FROZEN: u64 = 4;
+
+    const ASSET_SYMBOL: vector<u8> = b"${symbol}";
+
+    #[resource_group_member(group = aptos_framework::object::ObjectGroup)]
+    struct ManagedFungibleAsset has key {
+        mint_ref: MintRef,
+        transfer_ref: TransferRef,
+        burn_ref: BurnRef,
+        admin: address,
+    }
+
+    public entry fun initialize(admin: &signer) {
+        assert!(signer::address_of(admin) == @DEPLOYER_ADDRESS, error::permission_denied(ENOT_PUBLISHER));
+        assert!(!exists<ManagedFungibleAsset>(metadata_address()), error::already_exists(EALREADY_INITIALIZED));
+
+        let constructor_ref = &object::create_named_object(admin, ASSET_SYMBOL);
+        primary_fungible_store::create_primary_store_enabled_fungible_asset(
+            constructor_ref,
+            ${maximum},
+            string::utf8(b"${name}"),
+            string::utf8(ASSET_SYMBOL),
+            ${decimals},
+            string::utf8(b"${iconUri}"),
+            string::utf8(b"${projectUri}"),
+        );
+
+        let metadata_signer = object::generate_signer(constructor_ref);
+        move_to(&metadata_signer, ManagedFungibleAsset {
+            mint_ref: fungible_asset::generate_mint_ref(constructor_ref),
+            transfer_ref: fungible_asset::generate_transfer_ref(constructor_ref),
+            burn_ref: fungible_asset::generate_burn_ref(constructor_ref),
+            admin: signer::address_of(admin),
+        });
+    }
+
+    public entry fun mint(admin: &signer, to: address, amount: u64) acquires ManagedFungibleAsset {
+        let managed = authorized_borrow_refs(admin);
+        let to_store = primary_fungible_store::ensure_primary_store_exists(to, get_metadata());
+        let fa = fungible_asset::mint(&managed.mint_ref, amount);
+        fungible_asset::deposit_with_ref(&managed.transfer_ref, to_store, fa);
+    }
+
+    public entry fun transfer(from: &signer, to: address, amount: u64) {
+        primary_fungible_store::transfer(from, get_metadata(), to, amount);
+    }
+
+    public entry fun burn(account: &signer, amount: u64) acquires ManagedFungibleAsset {
+        let owner = signer::address_of(account);
+        assert!(!primary_fungible_store::is_frozen(owner, get_metadata()), error::permission_denied(ESTORE_FROZEN));
+
+        let managed = borrow_global<ManagedFungibleAsset>(metadata_address());
+        let store = primary_fungible_store::primary_store(owner, get_metadata());
+        fungible_asset::burn_from(&managed.burn_ref, store, amount);
+    }
+
+    public entry fun burn_from(admin: &signer, from: address, amount: u64) acquires ManagedFungibleAsset {
+        let managed = authorized_borrow_refs(admin);
+        let store = primary_fungible_store::primary_store(from, get_metadata());
+        fungible_asset::burn_from(&managed.burn_ref, store, amount);
+    }
+
+    public entry fun set_frozen(admin: &signer, account: address, frozen: bool) acquires ManagedFungibleAsset {
+        let managed = authorized_borrow_refs(admin);
+        let store = primary_fungible_store::ensure_primary_store_exists(account, get_metadata());
+        fungible_asset::set_frozen_flag(&managed.transfer_ref, store, frozen);
+    }
+
+    public entry fun transfer_admin(admin: &signer, new_admin: address) acquires ManagedFungibleAsset {
+        let managed = borrow_global_mut<ManagedFungibleAsset>(metadata_address());
+        assert!(managed.admin == signer::address_of(admin), error::permission_denied(ENOT_ADMIN));
+        managed.admin = new_admin;
+    }
+
+    #[view]
+    public fun metadata_address(): address {
+        object::create_object_address(&@DEPLOYER_ADDRESS, ASSET_SYMBOL)
+    }
+
+    #[view]
+    public fun get_metadata(): Object<Metadata> {
+        object::address_to_object<Metadata>(metadata_address())
+    }
+
+    #[view]
+    public fun balance(owner: address): u64 {
+        primary_fungible_store::balance(owner, get_metadata())
+    }
+
+    #[view]
+    public fun is_frozen(owner: address): bool {
+        primary_fungible_store::is_frozen(owner, get_metadata())
+    }
+
+    /// (name, symbol, decimals, supply, max supply - 0 if unlimited, admin)
+    #[view]
+    public fun token_info(): (String, String, u8, u128, u128, address) acquires ManagedFungibleAsset {
+        let metadata = get_metadata();
+        (
+            fungible_asset::name(metadata),
+            fungible_asset::symbol(metadata),
+            fungible_asset::decimals(metadata),
+            option::get_with_default(&fungible_asset::supply(metadata), 0),
+            option::get_with_default(&fungible_asset::maximum(metadata), 0),
+            borrow_global<ManagedFungibleAsset>(metadata_address()).admin,
+        )
+    }
+
+    inline fun authorized_borrow_refs(admin: &signer): &ManagedFungibleAsset acquires ManagedFungibleAsset {
+        let managed = borrow_global<ManagedFungibleAsset>(metadata_address());
+        assert!(managed.admin == signer::address_of(admin), error::permission_denied(ENOT_ADMIN));
+        managed
+    }
+}`;
+  }
+
+  /**
+   * Module name for a token (Move identifiers: lowercase letters, digits, underscores)
+   */
+  static getModuleName(name) {
+    const identifier = name.toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/^[^a-z]+/, '');
+    if (!identifier) {
+      throw new Error(`Cannot derive a Move module name from "${name}"`);
+    }
+    return `${identifier}_fa`;
+  }
+
+  /**
+   * Address of the fungible asset metadata object:
+   * object::create_object_address(creator, symbol) = sha3-256(creator | seed | 0xFE)
+   */
+  static getMetadataAddress(deployerAddress, symbol) {
+    const creator = Buffer.from(ethToMoveAddress(deployerAddress).replace('0x', ''), 'hex');
+    const hash = crypto.createHash('sha3-256')
+      .update(Buffer.concat([creator, Buffer.from(symbol), Buffer.from([0xfe])]))
+      .digest('hex');
+    return `0x${hash}`;
+  }
+
+  /**
+   * Strings are embedded as Move byte-string literals
+   */
+  static validateMoveString(value, label) {
+    if (typeof value !== 'string') {
+      throw new Error(`${label} must be a string`);
+    }
+    if (!/^[\x20-\x7e]*$/.test(value) || /["\\]/.test(value)) {
+      throw new Error(`${label} must be printable ASCII without quotes or backslashes`);
+    }
+  }
+
+  /**
+   * Replace address placeholder with actual address
+   */
+  static replaceAddress(contractSource, deployerAddress) {
+    return contractSource.replace(/DEPLOYER_ADDRESS/g, ethToMoveAddress(deployerAddress));
+  }
+
+  /**
+   * Generate Move.toml file content
+   */
+  static generateMoveToml(packageName, deployerAddress) {
+    return `[package]
+name = "${packageName}"
+version = "1.0.0"
+authors = []
+
+[addresses]
+DEPLOYER_ADDRESS = "${ethToMoveAddress(deployerAddress)}"
+
+[dependencies.AptosFramework]
+git = "https://github.com/aptos-labs/aptos-framework.git"
+rev = "aptos-release-v1.27"
+subdir = "aptos-framework"`;
+  }
+}
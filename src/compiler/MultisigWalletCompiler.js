@@ -0,0 +1,394 @@
+import solc from 'solc';
+
+/**
+ * EIP-712 domain of the deployed wallet; signers and the contract must agree
+ */
+export const MULTISIG_WALLET_DOMAIN = {
+  name: 'ThresholdMultisigWallet',
+  version: '1'
+};
+
+export class MultisigWalletCompiler {
+  /**
+   * Compile the threshold multisig wallet. Owners sign an EIP-712
+   * Transaction(to, value, data, nonce) off-chain; anyone can submit
+   * execTransaction with `threshold` signatures sorted by signer address.
+   * Nonces are single-use rather than sequential, so independent proposals
+   * can execute in any order and an abandoned one never blocks the rest.
+   */
+  static compileMultisigWallet() {
+    try {
+      const contractSource = MultisigWalletCompiler.getMultisigWalletSource();
+
+      const input = {
+        language: 'Solidity',
+        sources: {
+          'ThresholdMultisigWallet.sol': {
+            content: contractSource,
+          },
+        },
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          outputSelection: {
+            '*': {
+              '*': ['abi', 'evm.bytecode'],
+            },
+          },
+        },
+      };
+
+      const compiled = JSON.parse(solc.compile(JSON.stringify(input)));
+
+      if (compiled.errors) {
+        const hasErrors = compiled.errors.some(error => error.severity === 'error');
+        if (hasErrors) {
+          throw new Error('Multisig wallet compilation errors: ' + compiled.errors.map(e => e.message).join('\n'));
+        }
+      }
+
+      const contract = compiled.contracts['ThresholdMultisigWallet.sol'].ThresholdMultisigWallet;
+
+      return {
+        abi: contract.abi,
+        bytecode: '0x' + contract.evm.bytecode.object,
+        contractName: 'ThresholdMultisigWallet'
+      };
+
+    } catch (error) {
+      throw new Error(`Multisig wallet compilation failed: ${error.message}`);
+    }
+  }
+
+  static getMultisigWalletSource() {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract ThresholdMultisigWallet {
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant TRANSACTION_TYPEHASH = keccak256("Transaction(address to,uint256 value,bytes data,uint256 nonce)");
+    uint256 private constant SIGNATURE_LENGTH = 65;
+
+    string public constant NAME = "${MULTISIG_WALLET_DOMAIN.name}";
+    string public constant VERSION = "${MULTISIG_WALLET_DOMAIN.version}";
+
+    address[] private _owners;
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+    mapping(uint256 => bool) public nonceUsed;
+
+    event ExecutionSuccess(bytes32 indexed txHash, uint256 indexed nonce, address indexed to, uint256 value);
+    event OwnerAdded(address indexed owner);
+    event OwnerRemoved(address indexed owner);
+    event ThresholdChanged(uint256 threshold);
+    event Deposit(address indexed sender, uint256 value);
+
+    /**
+     * Owner management goes through execTransaction with the wallet as target
+     */
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Multisig: only callable through execTransaction");
+        _;
+    }
+
+    constructor(address[] memory owners_, uint256 threshold_) {
+        for (uint256 i = 0; i < owners_.length; i++) {
+            _addOwner(owners_[i]);
+        }
+        _setThreshold(threshold_);
+    }
+
+    receive() external payable {
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    // ========== EXECUTION ==========
+
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint256 nonce,
+        bytes calldata signatures
+    ) external returns (bytes memory result) {
+        require(!nonceUsed[nonce], "Multisig: nonce already used");
+
+        bytes32 txHash = getTransactionHash(to, value, data, nonce);
+        checkSignatures(txHash, signatures);
+
+        // Marked before the call so the transaction cannot be replayed from inside it
+        nonceUsed[nonce] = true;
+
+        bool success;
+        (success, result) = to.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit ExecutionSuccess(txHash, nonce, to, value);
+    }
+
+    /**
+     * Reverts unless the first \`threshold\` signatures are from distinct
+     * owners, sorted by ascending signer address
+     */
+    function checkSignatures(bytes32 txHash, bytes calldata signatures) public view {
+        require(signatures.length >= threshold * SIGNATURE_LENGTH, "Multisig: not enough signatures");
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < threshold; i++) {
+            address signer = _recover(txHash, signatures[i * SIGNATURE_LENGTH:(i + 1) * SIGNATURE_LENGTH]);
+            require(isOwner[signer], "Multisig: signer is not an owner");
+            require(signer > lastSigner, "Multisig: signatures must be sorted by signer");
+            lastSigner = signer;
+        }
+    }
+
+    // ========== VIEWS ==========
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(NAME)), keccak256(bytes(VERSION)), block.chainid, address(this)));
+    }
+
+    function getTransactionHash(address to, uint256 value, bytes calldata data, uint256 nonce) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(TRANSACTION_TYPEHASH, to, value, keccak256(data), nonce));
+        return keccak256(abi.encodePacked("\\x19\\x01", domainSeparator(), structHash));
+    }
+
+    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+
+    // ========== OWNER MANAGEMENT ==========
+
+    function addOwner(address owner, uint256 newThreshold) external onlySelf {
+        _addOwner(owner);
+        _setThreshold(newThreshold);
+    }
+
+    function removeOwner(address owner, uint256 newThreshold) external onlySelf {
+        require(isOwner[owner], "Multisig: not an owner");
+
+        isOwner[owner] = false;
+        for (uint256 i = 0; i < _owners.length; i++) {
+            if (_owners[i] == owner) {
+                _owners[i] = _owners[_owners.length - 1];
+                _owners.pop();
+                break;
+            }
+        }
+
+        emit OwnerRemoved(owner);
+        _setThreshold(newThreshold);
+    }
+
+    function changeThreshold(uint256 newThreshold) external onlySelf {
+        _setThreshold(newThreshold);
+    }
+
+    // ========== INTERNAL ==========
+
+    function _addOwner(address owner) private {
+        require(owner != address(0) && owner != address(this), "Multisig: invalid owner");
+        require(!isOwner[owner], "Multisig: duplicate owner");
+
+        isOwner[owner] = true;
+        _owners.push(owner);
+        emit OwnerAdded(owner);
+    }
+
+    function _setThreshold(uint256 newThreshold) private {
+        require(newThreshold > 0 && newThreshold <= _owners.length, "Multisig: invalid threshold");
+
+        threshold = newThreshold;
+        emit ThresholdChanged(newThreshold);
+    }
+
+    function _recover(bytes32 hash, bytes calldata signature) private pure returns (address signer) {
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (v < 27) v += 27;
+
+        // Reject malleable (high-s) signatures
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Multisig: invalid signature");
+
+        signer = ecrecover(hash, v, r, s);
+        require(signer != address(0), "Multisig: invalid signature");
+    }
+}
+`;
+  }
+
+  /**
+   * Static ABI of ThresholdMultisigWallet for already deployed wallets
+   */
+  static getMultisigWalletABI() {
+    return [
+      {
+        "inputs": [],
+        "name": "NAME",
+        "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "VERSION",
+        "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "owner", "type": "address"},
+          {"internalType": "uint256", "name": "newThreshold", "type": "uint256"}
+        ],
+        "name": "addOwner",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "newThreshold", "type": "uint256"}],
+        "name": "changeThreshold",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "bytes32", "name": "txHash", "type": "bytes32"},
+          {"internalType": "bytes", "name": "signatures", "type": "bytes"}
+        ],
+        "name": "checkSignatures",
+        "outputs": [],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "domainSeparator",
+        "outputs": [{"internalType": "bytes32", "name": "", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "to", "type": "address"},
+          {"internalType": "uint256", "name": "value", "type": "uint256"},
+          {"internalType": "bytes", "name": "data", "type": "bytes"},
+          {"internalType": "uint256", "name": "nonce", "type": "uint256"},
+          {"internalType": "bytes", "name": "signatures", "type": "bytes"}
+        ],
+        "name": "execTransaction",
+        "outputs": [{"internalType": "bytes", "name": "result", "type": "bytes"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "getOwners",
+        "outputs": [{"internalType": "address[]", "name": "", "type": "address[]"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "to", "type": "address"},
+          {"internalType": "uint256", "name": "value", "type": "uint256"},
+          {"internalType": "bytes", "name": "data", "type": "bytes"},
+          {"internalType": "uint256", "name": "nonce", "type": "uint256"}
+        ],
+        "name": "getTransactionHash",
+        "outputs": [{"internalType": "bytes32", "name": "", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "name": "isOwner",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "name": "nonceUsed",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {"internalType": "address", "name": "owner", "type": "address"},
+          {"internalType": "uint256", "name": "newThreshold", "type": "uint256"}
+        ],
+        "name": "removeOwner",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "threshold",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "stateMutability": "payable",
+        "type": "receive"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "sender", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "value", "type": "uint256"}
+        ],
+        "name": "Deposit",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "bytes32", "name": "txHash", "type": "bytes32"},
+          {"indexed": true, "internalType": "uint256", "name": "nonce", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "value", "type": "uint256"}
+        ],
+        "name": "ExecutionSuccess",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "owner", "type": "address"}
+        ],
+        "name": "OwnerAdded",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "owner", "type": "address"}
+        ],
+        "name": "OwnerRemoved",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "threshold", "type": "uint256"}
+        ],
+        "name": "ThresholdChanged",
+        "type": "event"
+      }
+    ];
+  }
+}
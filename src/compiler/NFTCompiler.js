@@ -5,9 +5,17 @@ import solc from 'solc';
 export class NFTCompiler {
   /**
    * Compile simplified OpenZeppelin ERC-721 NFT collection
+   * Options: { soulbound, lockEvents } - non-transferable tokens, with
+   * ERC-5192 Locked events unless lockEvents is false
    */
-  static compileERC721Collection(name, symbol, baseURI = "", maxSupply = 10000, mintPrice = "0") {
+  static compileERC721Collection(name, symbol, baseURI = "", maxSupply = 10000, mintPrice = "0", options = {}) {
     try {
+      const soulbound = options.soulbound === true;
+      const lockEvents = soulbound && options.lockEvents !== false;
+      const transferGuard = soulbound
+        ? 'require(msg.sender == owner, "Soulbound: token is non-transferable");'
+        : 'require(_isApprovedOrOwner(msg.sender, tokenId), "ERC721: caller is not token owner or approved");';
+
       // Simplified OpenZeppelin-style ERC-721 contract (self-contained)
       const contractSource = `
 // SPDX-License-Identifier: MIT
@@ -24,6 +32,7 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
     string public baseTokenURI;
     bool public paused;
     address public owner;
+    bool public constant soulbound = ${soulbound};
     
     uint256 private _tokenIdCounter = 1;
     
@@ -44,12 +53,41 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
     uint256[] private _allTokens;
     mapping(uint256 => uint256) private _allTokensIndex;
     
+    // EIP-2981 royalties (fee in basis points of the sale price)
+    struct RoyaltyInfo {
+        address receiver;
+        uint96 royaltyFraction;
+    }
+    uint96 public constant ROYALTY_DENOMINATOR = 10000;
+    RoyaltyInfo private _defaultRoyalty;
+    mapping(uint256 => RoyaltyInfo) private _tokenRoyalty;
+    
+    // Collection-level marketplace metadata (JSON URI)
+    string public contractURI;
+    
+    // Phased sales - allowlist phases carry a Merkle root, public phases use bytes32(0).
+    // Once a phase exists, minting goes through phaseMint only.
+    struct SalePhase {
+        uint64 startTime;
+        uint64 endTime;       // 0 = open-ended
+        uint256 price;
+        uint256 maxPerWallet; // 0 = no cap
+        bytes32 merkleRoot;
+    }
+    SalePhase[] public salePhases;
+    mapping(uint256 => mapping(address => uint256)) public phaseMinted;
+    
     event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
     event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
     event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
     event TokenMinted(address indexed to, uint256 indexed tokenId);
     event TokenLevelUp(uint256 indexed tokenId, uint256 newLevel);
     event ContractPaused(bool paused);
+    event DefaultRoyaltySet(address indexed receiver, uint96 feeNumerator);
+    event TokenRoyaltySet(uint256 indexed tokenId, address indexed receiver, uint96 feeNumerator);
+    event ContractURIUpdated();
+    event SalePhaseSet(uint256 indexed phaseId, uint64 startTime, uint64 endTime, uint256 price, uint256 maxPerWallet, bytes32 merkleRoot);
+    event PhaseMinted(uint256 indexed phaseId, address indexed minter, address indexed to, uint256 quantity);
     
     modifier onlyOwner() {
         require(msg.sender == owner, "Not the owner");
@@ -72,7 +110,10 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         string memory _baseURI,
         uint256 _maxSupply,
         uint256 _mintPrice,
-        address _owner
+        address _owner,
+        address _royaltyReceiver,
+        uint96 _royaltyBps,
+        string memory _contractURI
     ) {
         name = _name;
         symbol = _symbol;
@@ -81,6 +122,11 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         mintPrice = _mintPrice;
         owner = _owner;
         paused = false;
+        contractURI = _contractURI;
+        
+        if (_royaltyBps > 0) {
+            _setDefaultRoyalty(_royaltyReceiver, _royaltyBps);
+        }
     }
     
     // ERC721 Implementation
@@ -128,7 +174,7 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
     }
     
     function transferFrom(address from, address to, uint256 tokenId) public {
-        require(_isApprovedOrOwner(msg.sender, tokenId), "ERC721: caller is not token owner or approved");
+        ${transferGuard}
         _transfer(from, to, tokenId);
     }
     
@@ -137,12 +183,13 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
     }
     
     function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
-        require(_isApprovedOrOwner(msg.sender, tokenId), "ERC721: caller is not token owner or approved");
+        ${transferGuard}
         _safeTransfer(from, to, tokenId, data);
     }
     
     // Minting functions
     function mint(address to) public payable whenNotPaused {
+        require(salePhases.length == 0, "Phased sale active, use phaseMint");
         require(totalSupply < maxSupply, "Max supply reached");
         require(msg.value >= mintPrice, "Insufficient payment");
         
@@ -183,6 +230,59 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         }
     }
     
+    // Phased sales
+    function phaseMint(uint256 phaseId, address to, uint256 quantity, bytes32[] calldata proof) public payable whenNotPaused {
+        require(quantity > 0, "Quantity must be greater than 0");
+        uint256 price = _checkPhase(phaseId, msg.sender, quantity, proof);
+        require(totalSupply + quantity <= maxSupply, "Would exceed max supply");
+        require(msg.value >= price * quantity, "Insufficient payment");
+        
+        phaseMinted[phaseId][msg.sender] += quantity;
+        
+        for (uint256 i = 0; i < quantity; i++) {
+            uint256 tokenId = _tokenIdCounter;
+            _tokenIdCounter++;
+            
+            _safeMint(to, tokenId);
+            _initializeGamingAttributes(tokenId);
+            
+            emit TokenMinted(to, tokenId);
+        }
+        
+        emit PhaseMinted(phaseId, msg.sender, to, quantity);
+    }
+    
+    function setSalePhase(
+        uint256 phaseId,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 price,
+        uint256 maxPerWallet,
+        bytes32 merkleRoot
+    ) public onlyOwner {
+        require(endTime == 0 || endTime > startTime, "Phase ends before it starts");
+        
+        SalePhase memory phase = SalePhase(startTime, endTime, price, maxPerWallet, merkleRoot);
+        if (phaseId == salePhases.length) {
+            salePhases.push(phase);
+        } else {
+            require(phaseId < salePhases.length, "Invalid phase");
+            salePhases[phaseId] = phase;
+        }
+        
+        emit SalePhaseSet(phaseId, startTime, endTime, price, maxPerWallet, merkleRoot);
+    }
+    
+    function salePhaseCount() public view returns (uint256) {
+        return salePhases.length;
+    }
+    
+    function isAllowlisted(uint256 phaseId, address account, bytes32[] calldata proof) public view returns (bool) {
+        require(phaseId < salePhases.length, "Invalid phase");
+        bytes32 root = salePhases[phaseId].merkleRoot;
+        return root == bytes32(0) || MerkleProof.verify(proof, root, _allowlistLeaf(account));
+    }
+    
     // Gaming features
     function addExperience(uint256 tokenId, uint256 exp) public onlyOwner tokenExists(tokenId) {
         tokenExperience[tokenId] += exp;
@@ -272,6 +372,44 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         require(success, "Withdrawal failed");
     }
     
+    // EIP-2981 royalties
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) public view returns (address receiver, uint256 royaltyAmount) {
+        RoyaltyInfo memory royalty = _tokenRoyalty[tokenId];
+        
+        if (royalty.receiver == address(0)) {
+            royalty = _defaultRoyalty;
+        }
+        
+        return (royalty.receiver, (salePrice * royalty.royaltyFraction) / ROYALTY_DENOMINATOR);
+    }
+    
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) public onlyOwner {
+        _setDefaultRoyalty(receiver, feeNumerator);
+    }
+    
+    function deleteDefaultRoyalty() public onlyOwner {
+        delete _defaultRoyalty;
+        emit DefaultRoyaltySet(address(0), 0);
+    }
+    
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 feeNumerator) public onlyOwner tokenExists(tokenId) {
+        require(feeNumerator <= ROYALTY_DENOMINATOR, "ERC2981: royalty fee will exceed salePrice");
+        require(receiver != address(0), "ERC2981: invalid receiver");
+        
+        _tokenRoyalty[tokenId] = RoyaltyInfo(receiver, feeNumerator);
+        emit TokenRoyaltySet(tokenId, receiver, feeNumerator);
+    }
+    
+    function resetTokenRoyalty(uint256 tokenId) public onlyOwner {
+        delete _tokenRoyalty[tokenId];
+        emit TokenRoyaltySet(tokenId, address(0), 0);
+    }
+    
+    function setContractURI(string calldata _contractURI) public onlyOwner {
+        contractURI = _contractURI;
+        emit ContractURIUpdated();
+    }
+    
     function transferOwnership(address newOwner) public onlyOwner {
         require(newOwner != address(0), "New owner is the zero address");
         owner = newOwner;
@@ -302,7 +440,7 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         _addTokenToOwnerEnumeration(to, tokenId);
         _addTokenToAllTokensEnumeration(tokenId);
         
-        emit Transfer(address(0), to, tokenId);
+        emit Transfer(address(0), to, tokenId);${lockEvents ? '\n        emit Locked(tokenId);' : ''}
     }
     
     function _safeMint(address to, uint256 tokenId) internal {
@@ -336,6 +474,37 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         emit Approval(ownerOf(tokenId), to, tokenId);
     }
     
+    function _setDefaultRoyalty(address receiver, uint96 feeNumerator) internal {
+        require(feeNumerator <= ROYALTY_DENOMINATOR, "ERC2981: royalty fee will exceed salePrice");
+        require(receiver != address(0), "ERC2981: invalid receiver");
+        
+        _defaultRoyalty = RoyaltyInfo(receiver, feeNumerator);
+        emit DefaultRoyaltySet(receiver, feeNumerator);
+    }
+    
+    function _checkPhase(uint256 phaseId, address minter, uint256 quantity, bytes32[] calldata proof) internal view returns (uint256) {
+        require(phaseId < salePhases.length, "Invalid phase");
+        SalePhase memory phase = salePhases[phaseId];
+        
+        require(block.timestamp >= phase.startTime, "Phase not started");
+        require(phase.endTime == 0 || block.timestamp < phase.endTime, "Phase ended");
+        require(
+            phase.maxPerWallet == 0 || phaseMinted[phaseId][minter] + quantity <= phase.maxPerWallet,
+            "Exceeds wallet limit for phase"
+        );
+        
+        if (phase.merkleRoot != bytes32(0)) {
+            require(MerkleProof.verify(proof, phase.merkleRoot, _allowlistLeaf(minter)), "Not on allowlist");
+        }
+        
+        return phase.price;
+    }
+    
+    // Double-hashed leaf (same as OpenZeppelin's StandardMerkleTree)
+    function _allowlistLeaf(address account) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account))));
+    }
+    
     function _initializeGamingAttributes(uint256 tokenId) internal {
         tokenLevel[tokenId] = 1;
         tokenExperience[tokenId] = 0;
@@ -384,13 +553,15 @@ contract ${name.replace(/[^a-zA-Z0-9]/g, '')}NFT {
         }
     }
     
+    ${soulbound ? this.getSoulboundModuleSource(lockEvents) : ''}
     // ERC165
     function supportsInterface(bytes4 interfaceId) public view virtual returns (bool) {
         return
             interfaceId == 0x01ffc9a7 || // ERC165 Interface ID for ERC165
             interfaceId == 0x80ac58cd || // ERC165 Interface ID for ERC721
             interfaceId == 0x5b5e139f || // ERC165 Interface ID for ERC721Metadata
-            interfaceId == 0x780e9d63;   // ERC165 Interface ID for ERC721Enumerable
+            interfaceId == 0x780e9d63 || // ERC165 Interface ID for ERC721Enumerable
+            interfaceId == 0x2a55205a${lockEvents ? ' ||  // ERC165 Interface ID for ERC2981\n            interfaceId == 0xb45a3c0e;   // ERC165 Interface ID for ERC5192' : ';   // ERC165 Interface ID for ERC2981'}
     }
 }
 
@@ -399,6 +570,20 @@ interface IERC721Receiver {
     function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
 }
 
+// Merkle proof verification with sorted pairs (OpenZeppelin compatible)
+library MerkleProof {
+    function verify(bytes32[] memory proof, bytes32 root, bytes32 leaf) internal pure returns (bool) {
+        bytes32 computedHash = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 proofElement = proof[i];
+            computedHash = computedHash < proofElement
+                ? keccak256(abi.encodePacked(computedHash, proofElement))
+                : keccak256(abi.encodePacked(proofElement, computedHash));
+        }
+        return computedHash == root;
+    }
+}
+
 // String utility library (simplified)
 library Strings {
     function toString(uint256 value) internal pure returns (string memory) {
@@ -430,6 +615,11 @@ library Strings {
           },
         },
         settings: {
+          // Royalties push the unoptimized contract past the EIP-170 code size limit
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
           outputSelection: {
             '*': {
               '*': ['abi', 'evm.bytecode'],
@@ -453,7 +643,8 @@ library Strings {
       return {
         abi: contract.abi,
         bytecode: '0x' + contract.evm.bytecode.object,
-        contractName
+        contractName,
+        soulbound
       };
 
     } catch (error) {
@@ -461,6 +652,48 @@ library Strings {
     }
   }
 
+  /**
+   * Soulbound module: holders can't transfer, the issuer (owner) can move a
+   * token (e.g. to a recovered wallet) or revoke it by burning
+   */
+  static getSoulboundModuleSource(lockEvents) {
+    return `
+    event Revoked(uint256 indexed tokenId, address indexed holder);${lockEvents ? `
+    event Locked(uint256 tokenId); // ERC-5192, emitted on mint` : ''}
+    
+    function locked(uint256 tokenId) external view tokenExists(tokenId) returns (bool) {
+        return true;
+    }
+    
+    function revoke(uint256 tokenId) public onlyOwner tokenExists(tokenId) {
+        address holder = ownerOf(tokenId);
+        
+        _approve(address(0), tokenId);
+        _removeTokenFromOwnerEnumeration(holder, tokenId);
+        _removeTokenFromAllTokensEnumeration(tokenId);
+        
+        _balances[holder] -= 1;
+        delete _owners[tokenId];
+        totalSupply -= 1;
+        
+        emit Transfer(holder, address(0), tokenId);
+        emit Revoked(tokenId, holder);
+    }
+    
+    function _removeTokenFromAllTokensEnumeration(uint256 tokenId) private {
+        uint256 lastTokenIndex = _allTokens.length - 1;
+        uint256 tokenIndex = _allTokensIndex[tokenId];
+        uint256 lastTokenId = _allTokens[lastTokenIndex];
+        
+        _allTokens[tokenIndex] = lastTokenId;
+        _allTokensIndex[lastTokenId] = tokenIndex;
+        
+        delete _allTokensIndex[tokenId];
+        _allTokens.pop();
+    }
+    `;
+  }
+
   /**
    * Get simplified OpenZeppelin ERC-721 ABI
    */
@@ -474,6 +707,20 @@ library Strings {
         "stateMutability": "view",
         "type": "function"
       },
+      {
+        "inputs": [],
+        "name": "soulbound",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
       {
         "inputs": [],
         "name": "symbol", 
@@ -544,6 +791,70 @@ library Strings {
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      {
+        "inputs": [{"internalType": "address", "name": "operator", "type": "address"}, {"internalType": "bool", "name": "approved", "type": "bool"}],
+        "name": "setApprovalForAll",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "ownerAddr", "type": "address"}, {"internalType": "address", "name": "operator", "type": "address"}],
+        "name": "isApprovedForAll",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      // Phased sales
+      {
+        "inputs": [],
+        "name": "mintPrice",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "address", "name": "to", "type": "address"}, {"internalType": "uint256", "name": "quantity", "type": "uint256"}, {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}],
+        "name": "phaseMint",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "uint64", "name": "startTime", "type": "uint64"}, {"internalType": "uint64", "name": "endTime", "type": "uint64"}, {"internalType": "uint256", "name": "price", "type": "uint256"}, {"internalType": "uint256", "name": "maxPerWallet", "type": "uint256"}, {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+        "name": "setSalePhase",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "name": "salePhases",
+        "outputs": [{"internalType": "uint64", "name": "startTime", "type": "uint64"}, {"internalType": "uint64", "name": "endTime", "type": "uint64"}, {"internalType": "uint256", "name": "price", "type": "uint256"}, {"internalType": "uint256", "name": "maxPerWallet", "type": "uint256"}, {"internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "salePhaseCount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}, {"internalType": "address", "name": "", "type": "address"}],
+        "name": "phaseMinted",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "phaseId", "type": "uint256"}, {"internalType": "address", "name": "account", "type": "address"}, {"internalType": "bytes32[]", "name": "proof", "type": "bytes32[]"}],
+        "name": "isAllowlisted",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
       // Gaming features
       {
         "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "uint256", "name": "exp", "type": "uint256"}],
@@ -600,6 +911,63 @@ library Strings {
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      // Royalties (EIP-2981) and collection metadata
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "uint256", "name": "salePrice", "type": "uint256"}],
+        "name": "royaltyInfo",
+        "outputs": [{"internalType": "address", "name": "receiver", "type": "address"}, {"internalType": "uint256", "name": "royaltyAmount", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "receiver", "type": "address"}, {"internalType": "uint96", "name": "feeNumerator", "type": "uint96"}],
+        "name": "setDefaultRoyalty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "deleteDefaultRoyalty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}, {"internalType": "address", "name": "receiver", "type": "address"}, {"internalType": "uint96", "name": "feeNumerator", "type": "uint96"}],
+        "name": "setTokenRoyalty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "resetTokenRoyalty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "contractURI",
+        "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "string", "name": "_contractURI", "type": "string"}],
+        "name": "setContractURI",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "bytes4", "name": "interfaceId", "type": "bytes4"}],
+        "name": "supportsInterface",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
       // Events
       {
         "anonymous": false,
@@ -628,6 +996,122 @@ library Strings {
         ],
         "name": "Transfer",
         "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "approved", "type": "address"},
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"}
+        ],
+        "name": "Approval",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "operator", "type": "address"},
+          {"indexed": false, "internalType": "bool", "name": "approved", "type": "bool"}
+        ],
+        "name": "ApprovalForAll",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "bool", "name": "paused", "type": "bool"}
+        ],
+        "name": "ContractPaused",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "receiver", "type": "address"},
+          {"indexed": false, "internalType": "uint96", "name": "feeNumerator", "type": "uint96"}
+        ],
+        "name": "DefaultRoyaltySet",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "receiver", "type": "address"},
+          {"indexed": false, "internalType": "uint96", "name": "feeNumerator", "type": "uint96"}
+        ],
+        "name": "TokenRoyaltySet",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [],
+        "name": "ContractURIUpdated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "phaseId", "type": "uint256"},
+          {"indexed": false, "internalType": "uint64", "name": "startTime", "type": "uint64"},
+          {"indexed": false, "internalType": "uint64", "name": "endTime", "type": "uint64"},
+          {"indexed": false, "internalType": "uint256", "name": "price", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "maxPerWallet", "type": "uint256"},
+          {"indexed": false, "internalType": "bytes32", "name": "merkleRoot", "type": "bytes32"}
+        ],
+        "name": "SalePhaseSet",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "phaseId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "minter", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "quantity", "type": "uint256"}
+        ],
+        "name": "PhaseMinted",
+        "type": "event"
+      }
+    ];
+  }
+
+  /**
+   * ABI of the soulbound module (contracts compiled with { soulbound: true })
+   */
+  static getSoulboundABI() {
+    return [
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "locked",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "tokenId", "type": "uint256"}],
+        "name": "revoke",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "tokenId", "type": "uint256"}
+        ],
+        "name": "Locked",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "uint256", "name": "tokenId", "type": "uint256"},
+          {"indexed": true, "internalType": "address", "name": "holder", "type": "address"}
+        ],
+        "name": "Revoked",
+        "type": "event"
       }
     ];
   }
@@ -1,82 +1,20 @@
 // Fixed SolidityCompiler.js with OpenZeppelin ERC-20 integration
 
 import solc from 'solc';
+import { parseUnits, getAddress } from 'viem';
+
+// Upper bound for the transfer tax feature (10%)
+const MAX_TRANSFER_TAX_BPS = 1000;
 
 export class SolidityCompiler {
   /**
-   * Compile ERC-20 token contract using OpenZeppelin
+   * Compile ERC-20 token contract using OpenZeppelin.
+   * `features` selects the modules to include - see normalizeERC20Features().
    */
-  static compileERC20Token(name, symbol, decimals, initialSupply) {
+  static compileERC20Token(name, symbol, decimals, initialSupply, features = {}) {
     try {
-      // OpenZeppelin-based ERC-20 contract (simplified for compatibility)
-      const contractSource = `
-// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
-
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-
-contract ${name}Token is ERC20, ERC20Burnable, Ownable {
-    uint8 private _decimals;
-    bool private _paused;
-    
-    event Paused(address account);
-    event Unpaused(address account);
-    
-    modifier whenNotPaused() {
-        require(!_paused, "Token is paused");
-        _;
-    }
-    
-    modifier whenPaused() {
-        require(_paused, "Token is not paused");
-        _;
-    }
-    
-    constructor(
-        string memory _name,
-        string memory _symbol,
-        uint8 _decimals,
-        uint256 _initialSupply,
-        address _owner
-    ) ERC20(_name, _symbol) Ownable(_owner) {
-        _decimals = _decimals;
-        _paused = false;
-        _mint(_owner, _initialSupply * 10**_decimals);
-    }
-    
-    function decimals() public view virtual override returns (uint8) {
-        return _decimals;
-    }
-    
-    function mint(address to, uint256 amount) public onlyOwner {
-        _mint(to, amount);
-    }
-    
-    function pause() public onlyOwner whenNotPaused {
-        _paused = true;
-        emit Paused(_msgSender());
-    }
-    
-    function unpause() public onlyOwner whenPaused {
-        _paused = false;
-        emit Unpaused(_msgSender());
-    }
-    
-    function paused() public view returns (bool) {
-        return _paused;
-    }
-    
-    function transfer(address to, uint256 amount) public virtual override whenNotPaused returns (bool) {
-        return super.transfer(to, amount);
-    }
-    
-    function transferFrom(address from, address to, uint256 amount) public virtual override whenNotPaused returns (bool) {
-        return super.transferFrom(from, to, amount);
-    }
-}
-`;
+      const options = this.normalizeERC20Features(features, decimals, initialSupply);
+      const contractSource = this.buildERC20Source(name, decimals, options);
 
       const input = {
         language: 'Solidity',
@@ -86,6 +24,11 @@ contract ${name}Token is ERC20, ERC20Burnable, Ownable {
           },
         },
         settings: {
+          // Keeps tokens with many features under the 24KB contract size limit
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
           outputSelection: {
             '*': {
               '*': ['abi', 'evm.bytecode'],
@@ -99,7 +42,10 @@ contract ${name}Token is ERC20, ERC20Burnable, Ownable {
         const contractsPath = {
           "@openzeppelin/contracts/token/ERC20/ERC20.sol": this.getOpenZeppelinContract('ERC20'),
           "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol": this.getOpenZeppelinContract('ERC20Burnable'),
+          "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol": this.getOpenZeppelinContract('ERC20Permit'),
+          "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol": this.getOpenZeppelinContract('IERC20Permit'),
           "@openzeppelin/contracts/access/Ownable.sol": this.getOpenZeppelinContract('Ownable'),
+          "@openzeppelin/contracts/access/AccessControl.sol": this.getOpenZeppelinContract('AccessControl'),
           "@openzeppelin/contracts/token/ERC20/IERC20.sol": this.getOpenZeppelinContract('IERC20'),
           "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol": this.getOpenZeppelinContract('IERC20Metadata'),
           "@openzeppelin/contracts/utils/Context.sol": this.getOpenZeppelinContract('Context'),
@@ -125,7 +71,8 @@ contract ${name}Token is ERC20, ERC20Burnable, Ownable {
       return {
         abi: contract.abi,
         bytecode: '0x' + contract.evm.bytecode.object,
-        contractName
+        contractName,
+        features: options
       };
 
     } catch (error) {
@@ -133,6 +80,430 @@ contract ${name}Token is ERC20, ERC20Burnable, Ownable {
     }
   }
 
+  /**
+   * Validate and fill in ERC-20 feature flags:
+   *   mintable, burnable, pausable, permit  - on by default
+   *   cap: '1000000'                       - capped supply (whole tokens)
+   *   votes: true                          - checkpointed balances for snapshots / governance
+   *   roles: true                          - AccessControl MINTER_ROLE / PAUSER_ROLE instead of onlyOwner
+   *   transferTax: { rateBps, recipient }  - fee on transfers, owner-adjustable up to 10%
+   *   blacklist: true                      - owner can freeze addresses
+   *   vesting: true | [allocations]        - locked allocations released linearly after a cliff
+   */
+  static normalizeERC20Features(features = {}, decimals = 18, initialSupply = 0) {
+    const options = {
+      mintable: features.mintable !== false,
+      burnable: features.burnable !== false,
+      pausable: features.pausable !== false,
+      permit: features.permit !== false,
+      cap: null,
+      votes: features.votes === true,
+      roles: features.roles === true,
+      transferTax: null,
+      blacklist: features.blacklist === true,
+      vesting: Boolean(features.vesting)
+    };
+
+    if (features.cap !== undefined && features.cap !== null) {
+      const cap = parseUnits(features.cap.toString(), decimals);
+      if (cap === 0n) {
+        throw new Error('Supply cap must be greater than zero');
+      }
+      if (cap < parseUnits(initialSupply.toString(), decimals)) {
+        throw new Error('Supply cap is below the initial supply');
+      }
+      options.cap = cap;
+    }
+
+    if (features.transferTax) {
+      const { rateBps, recipient } = features.transferTax;
+      if (!Number.isInteger(rateBps) || rateBps < 0 || rateBps > MAX_TRANSFER_TAX_BPS) {
+        throw new Error(`Transfer tax must be an integer between 0 and ${MAX_TRANSFER_TAX_BPS} basis points`);
+      }
+      options.transferTax = {
+        rateBps,
+        recipient: recipient ? getAddress(recipient) : null // null = token owner
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * Generate the token contract source for the selected features
+   */
+  static buildERC20Source(name, decimals, options) {
+    const admin = options.roles ? 'onlyRole(DEFAULT_ADMIN_ROLE)' : 'onlyOwner';
+    const imports = ['@openzeppelin/contracts/token/ERC20/ERC20.sol'];
+    const bases = ['ERC20'];
+    const baseConstructors = ['ERC20(_name, _symbol)'];
+    const constructorLines = [];
+    const sections = [];
+    const beforeTransfer = [];
+    const afterTransfer = [];
+
+    if (options.burnable) {
+      imports.push('@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol');
+      bases.push('ERC20Burnable');
+    }
+
+    if (options.permit) {
+      imports.push('@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol');
+      bases.push('ERC20Permit');
+      baseConstructors.push('ERC20Permit(_name)');
+    }
+
+    imports.push('@openzeppelin/contracts/access/Ownable.sol');
+    bases.push('Ownable');
+    baseConstructors.push('Ownable(_owner)');
+
+    if (options.roles) {
+      imports.push('@openzeppelin/contracts/access/AccessControl.sol');
+      bases.push('AccessControl');
+      constructorLines.push(
+        '_grantRole(DEFAULT_ADMIN_ROLE, _owner);',
+        '_grantRole(MINTER_ROLE, _owner);',
+        '_grantRole(PAUSER_ROLE, _owner);'
+      );
+      sections.push(`
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");`);
+    }
+
+    if (options.mintable) {
+      sections.push(`
+    function mint(address to, uint256 amount) public ${options.roles ? 'onlyRole(MINTER_ROLE)' : 'onlyOwner'} {
+        _mint(to, amount);
+    }`);
+    }
+
+    if (options.cap !== null) {
+      beforeTransfer.push('if (from == address(0)) {\n            require(totalSupply() + amount <= _CAP, "ERC20Capped: cap exceeded");\n        }');
+      sections.push(`
+    uint256 private constant _CAP = ${options.cap};
+    
+    function cap() public pure returns (uint256) {
+        return _CAP;
+    }`);
+    }
+
+    if (options.pausable) {
+      const pauser = options.roles ? 'onlyRole(PAUSER_ROLE)' : 'onlyOwner';
+      // Checked in the shared hook so mint, burn and vesting allocations stop too
+      beforeTransfer.push('require(!_paused, "Token is paused");');
+      sections.push(`
+    bool private _paused;
+    
+    event Paused(address account);
+    event Unpaused(address account);
+    
+    modifier whenNotPaused() {
+        require(!_paused, "Token is paused");
+        _;
+    }
+    
+    modifier whenPaused() {
+        require(_paused, "Token is not paused");
+        _;
+    }
+    
+    function pause() public ${pauser} whenNotPaused {
+        _paused = true;
+        emit Paused(_msgSender());
+    }
+    
+    function unpause() public ${pauser} whenPaused {
+        _paused = false;
+        emit Unpaused(_msgSender());
+    }
+    
+    function paused() public view returns (bool) {
+        return _paused;
+    }`);
+    }
+
+    if (options.blacklist) {
+      beforeTransfer.push('require(!_blacklisted[from] && !_blacklisted[to], "Blacklist: account is blacklisted");');
+      sections.push(`
+    mapping(address => bool) private _blacklisted;
+    
+    event Blacklisted(address indexed account);
+    event Unblacklisted(address indexed account);
+    
+    function blacklist(address account) public ${admin} {
+        _blacklisted[account] = true;
+        emit Blacklisted(account);
+    }
+    
+    function unblacklist(address account) public ${admin} {
+        _blacklisted[account] = false;
+        emit Unblacklisted(account);
+    }
+    
+    function isBlacklisted(address account) public view returns (bool) {
+        return _blacklisted[account];
+    }`);
+    }
+
+    if (options.vesting) {
+      beforeTransfer.push('if (from != address(0)) {\n            require(balanceOf(from) >= amount + lockedBalanceOf(from), "Vesting: amount exceeds unlocked balance");\n        }');
+      sections.push(`
+    struct VestingLock {
+        uint256 amount;
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+    }
+    
+    mapping(address => VestingLock) private _vestingLocks;
+    
+    event VestedAllocation(address indexed beneficiary, uint256 amount, uint64 start, uint64 cliff, uint64 duration);
+    
+    function allocateVested(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliffDuration,
+        uint64 duration
+    ) public ${admin} {
+        require(beneficiary != address(0), "Vesting: zero beneficiary");
+        require(_vestingLocks[beneficiary].amount == 0, "Vesting: beneficiary already has an allocation");
+        require(duration > 0 && cliffDuration <= duration, "Vesting: invalid schedule");
+        
+        _vestingLocks[beneficiary] = VestingLock(amount, start, start + cliffDuration, duration);
+        _mint(beneficiary, amount);
+        emit VestedAllocation(beneficiary, amount, start, start + cliffDuration, duration);
+    }
+    
+    function vestingSchedule(address beneficiary) public view returns (uint256 amount, uint64 start, uint64 cliff, uint64 duration) {
+        VestingLock memory lock = _vestingLocks[beneficiary];
+        return (lock.amount, lock.start, lock.cliff, lock.duration);
+    }
+    
+    function lockedBalanceOf(address account) public view returns (uint256) {
+        VestingLock memory lock = _vestingLocks[account];
+        if (lock.amount == 0 || block.timestamp >= uint256(lock.start) + lock.duration) {
+            return 0;
+        }
+        if (block.timestamp < lock.cliff) {
+            return lock.amount;
+        }
+        return lock.amount - (lock.amount * (block.timestamp - lock.start)) / lock.duration;
+    }`);
+    }
+
+    if (options.votes) {
+      afterTransfer.push(
+        'if (from == address(0)) {\n            _writeCheckpoint(_totalSupplyCheckpoints, true, amount);\n        }',
+        'if (to == address(0)) {\n            _writeCheckpoint(_totalSupplyCheckpoints, false, amount);\n        }',
+        '_moveVotingPower(_delegates[from], _delegates[to], amount);'
+      );
+      sections.push(`
+    struct Checkpoint {
+        uint32 fromBlock;
+        uint224 votes;
+    }
+    
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoint[]) private _checkpoints;
+    Checkpoint[] private _totalSupplyCheckpoints;
+    
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
+    
+    function delegates(address account) public view returns (address) {
+        return _delegates[account];
+    }
+    
+    function delegate(address delegatee) public {
+        address delegator = _msgSender();
+        address currentDelegate = _delegates[delegator];
+        _delegates[delegator] = delegatee;
+        emit DelegateChanged(delegator, currentDelegate, delegatee);
+        _moveVotingPower(currentDelegate, delegatee, balanceOf(delegator));
+    }
+    
+    function numCheckpoints(address account) public view returns (uint32) {
+        return uint32(_checkpoints[account].length);
+    }
+    
+    function getVotes(address account) public view returns (uint256) {
+        uint256 pos = _checkpoints[account].length;
+        return pos == 0 ? 0 : _checkpoints[account][pos - 1].votes;
+    }
+    
+    function getPastVotes(address account, uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Votes: block not yet mined");
+        return _checkpointsLookup(_checkpoints[account], blockNumber);
+    }
+    
+    function getPastTotalSupply(uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Votes: block not yet mined");
+        return _checkpointsLookup(_totalSupplyCheckpoints, blockNumber);
+    }
+    
+    function _checkpointsLookup(Checkpoint[] storage ckpts, uint256 blockNumber) private view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = ckpts.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (ckpts[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return high == 0 ? 0 : ckpts[high - 1].votes;
+    }
+    
+    function _moveVotingPower(address src, address dst, uint256 amount) private {
+        if (src == dst || amount == 0) {
+            return;
+        }
+        if (src != address(0)) {
+            (uint256 oldWeight, uint256 newWeight) = _writeCheckpoint(_checkpoints[src], false, amount);
+            emit DelegateVotesChanged(src, oldWeight, newWeight);
+        }
+        if (dst != address(0)) {
+            (uint256 oldWeight, uint256 newWeight) = _writeCheckpoint(_checkpoints[dst], true, amount);
+            emit DelegateVotesChanged(dst, oldWeight, newWeight);
+        }
+    }
+    
+    function _writeCheckpoint(Checkpoint[] storage ckpts, bool add, uint256 delta) private returns (uint256 oldWeight, uint256 newWeight) {
+        uint256 pos = ckpts.length;
+        oldWeight = pos == 0 ? 0 : ckpts[pos - 1].votes;
+        newWeight = add ? oldWeight + delta : oldWeight - delta;
+        require(newWeight <= type(uint224).max, "Votes: value too large");
+        
+        if (pos > 0 && ckpts[pos - 1].fromBlock == block.number) {
+            ckpts[pos - 1].votes = uint224(newWeight);
+        } else {
+            ckpts.push(Checkpoint({fromBlock: uint32(block.number), votes: uint224(newWeight)}));
+        }
+    }`);
+    }
+
+    if (options.transferTax) {
+      const { rateBps, recipient } = options.transferTax;
+      constructorLines.push(
+        `_taxBps = ${rateBps};`,
+        `_taxRecipient = ${recipient || '_owner'};`,
+        '_taxExempt[_owner] = true;',
+        '_taxExempt[_taxRecipient] = true;'
+      );
+      sections.push(`
+    uint256 public constant MAX_TAX_BPS = ${MAX_TRANSFER_TAX_BPS};
+    uint256 private _taxBps;
+    address private _taxRecipient;
+    mapping(address => bool) private _taxExempt;
+    
+    event TaxUpdated(uint256 rateBps, address recipient);
+    event TaxExemptionUpdated(address indexed account, bool exempt);
+    
+    function taxRate() public view returns (uint256) {
+        return _taxBps;
+    }
+    
+    function taxRecipient() public view returns (address) {
+        return _taxRecipient;
+    }
+    
+    function isTaxExempt(address account) public view returns (bool) {
+        return _taxExempt[account];
+    }
+    
+    function setTax(uint256 rateBps, address recipient) public ${admin} {
+        require(rateBps <= MAX_TAX_BPS, "Tax: rate too high");
+        require(recipient != address(0), "Tax: zero recipient");
+        _taxBps = rateBps;
+        _taxRecipient = recipient;
+        emit TaxUpdated(rateBps, recipient);
+    }
+    
+    function setTaxExempt(address account, bool exempt) public ${admin} {
+        _taxExempt[account] = exempt;
+        emit TaxExemptionUpdated(account, exempt);
+    }
+    
+    function _transfer(address from, address to, uint256 amount) internal virtual override {
+        if (_taxBps == 0 || _taxExempt[from] || _taxExempt[to]) {
+            super._transfer(from, to, amount);
+            return;
+        }
+        
+        uint256 tax = (amount * _taxBps) / 10000;
+        if (tax > 0) {
+            super._transfer(from, _taxRecipient, tax);
+        }
+        super._transfer(from, to, amount - tax);
+    }`);
+    }
+
+    if (beforeTransfer.length > 0) {
+      sections.push(`
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal virtual override {
+        ${beforeTransfer.join('\n        ')}
+        super._beforeTokenTransfer(from, to, amount);
+    }`);
+    }
+
+    if (afterTransfer.length > 0) {
+      sections.push(`
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal virtual override {
+        super._afterTokenTransfer(from, to, amount);
+        ${afterTransfer.join('\n        ')}
+    }`);
+    }
+
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+${imports.map(i => `import "${i}";`).join('\n')}
+
+contract ${name}Token is ${bases.join(', ')} {
+    uint8 private _decimals;
+    
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 decimals_,
+        uint256 _initialSupply,
+        address _owner
+    ) ${baseConstructors.join(' ')} {
+        _decimals = decimals_;
+        ${[...constructorLines, '_mint(_owner, _initialSupply * 10**decimals_);'].join('\n        ')}
+    }
+    
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+${sections.join('\n')}
+}
+`;
+  }
+
+  /**
+   * Human-readable feature list for deployment results
+   */
+  static describeERC20Features(options) {
+    return [
+      'ERC20 Standard',
+      'Ownable',
+      options.mintable && 'Mintable',
+      options.burnable && 'Burnable',
+      options.pausable && 'Pausable',
+      options.permit && 'Permit (EIP-2612)',
+      options.cap !== null && 'Capped Supply',
+      options.votes && 'Votes & Snapshots',
+      options.roles && 'Role-based Access (AccessControl)',
+      options.transferTax && `Transfer Tax (${options.transferTax.rateBps / 100}%)`,
+      options.blacklist && 'Blacklist',
+      options.vesting && 'Vesting Locks'
+    ].filter(Boolean);
+  }
+
   /**
    * Get OpenZeppelin contract source code
    */
@@ -373,6 +744,77 @@ abstract contract Ownable is Context {
         emit OwnershipTransferred(oldOwner, newOwner);
     }
 }
+`,
+      'AccessControl': `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../utils/Context.sol";
+
+abstract contract AccessControl is Context {
+    struct RoleData {
+        mapping(address => bool) members;
+        bytes32 adminRole;
+    }
+    
+    mapping(bytes32 => RoleData) private _roles;
+    
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    
+    event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+    
+    function hasRole(bytes32 role, address account) public view virtual returns (bool) {
+        return _roles[role].members[account];
+    }
+    
+    function getRoleAdmin(bytes32 role) public view virtual returns (bytes32) {
+        return _roles[role].adminRole;
+    }
+    
+    function grantRole(bytes32 role, address account) public virtual onlyRole(getRoleAdmin(role)) {
+        _grantRole(role, account);
+    }
+    
+    function revokeRole(bytes32 role, address account) public virtual onlyRole(getRoleAdmin(role)) {
+        _revokeRole(role, account);
+    }
+    
+    function renounceRole(bytes32 role, address account) public virtual {
+        require(account == _msgSender(), "AccessControl: can only renounce roles for self");
+        _revokeRole(role, account);
+    }
+    
+    function _checkRole(bytes32 role) internal view virtual {
+        require(hasRole(role, _msgSender()), "AccessControl: account is missing role");
+    }
+    
+    function _setRoleAdmin(bytes32 role, bytes32 adminRole) internal virtual {
+        bytes32 previousAdminRole = getRoleAdmin(role);
+        _roles[role].adminRole = adminRole;
+        emit RoleAdminChanged(role, previousAdminRole, adminRole);
+    }
+    
+    function _grantRole(bytes32 role, address account) internal virtual {
+        if (!hasRole(role, account)) {
+            _roles[role].members[account] = true;
+            emit RoleGranted(role, account, _msgSender());
+        }
+    }
+    
+    function _revokeRole(bytes32 role, address account) internal virtual {
+        if (hasRole(role, account)) {
+            _roles[role].members[account] = false;
+            emit RoleRevoked(role, account, _msgSender());
+        }
+    }
+}
 `,
       'ERC20Burnable': `
 // SPDX-License-Identifier: MIT
@@ -391,6 +833,86 @@ abstract contract ERC20Burnable is Context, ERC20 {
         _burn(account, amount);
     }
 }
+`,
+      'IERC20Permit': `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20Permit {
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+    function nonces(address owner) external view returns (uint256);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
+`,
+      'ERC20Permit': `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ERC20.sol";
+import "./IERC20Permit.sol";
+
+abstract contract ERC20Permit is ERC20, IERC20Permit {
+    bytes32 private constant _PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 private constant _TYPE_HASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _HASHED_VERSION = keccak256("1");
+    
+    bytes32 private immutable _hashedName;
+    uint256 private immutable _cachedChainId;
+    bytes32 private immutable _cachedDomainSeparator;
+    
+    mapping(address => uint256) private _nonces;
+    
+    constructor(string memory name_) {
+        _hashedName = keccak256(bytes(name_));
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = _buildDomainSeparator(keccak256(bytes(name_)));
+    }
+    
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual override {
+        require(block.timestamp <= deadline, "ERC20Permit: expired deadline");
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "ERC20Permit: invalid signature 's' value"
+        );
+        
+        bytes32 structHash = keccak256(abi.encode(_PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\\x19\\x01", DOMAIN_SEPARATOR(), structHash));
+        
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "ERC20Permit: invalid signature");
+        
+        _approve(owner, spender, value);
+    }
+    
+    function nonces(address owner) public view virtual override returns (uint256) {
+        return _nonces[owner];
+    }
+    
+    function DOMAIN_SEPARATOR() public view virtual override returns (bytes32) {
+        return block.chainid == _cachedChainId
+            ? _cachedDomainSeparator
+            : _buildDomainSeparator(_hashedName);
+    }
+    
+    function _useNonce(address owner) internal virtual returns (uint256 current) {
+        current = _nonces[owner];
+        _nonces[owner] = current + 1;
+    }
+    
+    function _buildDomainSeparator(bytes32 hashedName) private view returns (bytes32) {
+        return keccak256(abi.encode(_TYPE_HASH, hashedName, _HASHED_VERSION, block.chainid, address(this)));
+    }
+}
 `
     };
     
@@ -466,6 +988,50 @@ abstract contract ERC20Burnable is Context, ERC20 {
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      {
+        "inputs": [{"internalType": "address", "name": "spender", "type": "address"}, {"internalType": "uint256", "name": "addedValue", "type": "uint256"}],
+        "name": "increaseAllowance",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "spender", "type": "address"}, {"internalType": "uint256", "name": "subtractedValue", "type": "uint256"}],
+        "name": "decreaseAllowance",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      // EIP-2612 permit
+      {
+        "inputs": [
+          {"internalType": "address", "name": "owner", "type": "address"},
+          {"internalType": "address", "name": "spender", "type": "address"},
+          {"internalType": "uint256", "name": "value", "type": "uint256"},
+          {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+          {"internalType": "uint8", "name": "v", "type": "uint8"},
+          {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+          {"internalType": "bytes32", "name": "s", "type": "bytes32"}
+        ],
+        "name": "permit",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "owner", "type": "address"}],
+        "name": "nonces",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "DOMAIN_SEPARATOR",
+        "outputs": [{"internalType": "bytes32", "name": "", "type": "bytes32"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
       // OpenZeppelin extended functions
       {
         "inputs": [],
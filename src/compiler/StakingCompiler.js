@@ -0,0 +1,578 @@
+import solc from 'solc';
+
+export class StakingCompiler {
+  /**
+   * Compile a staking-rewards pool. stakeType 'erc20' stakes token amounts,
+   * 'erc721' stakes whole NFTs (each NFT is one unit of stake). Rewards are
+   * paid in an ERC-20 at `rewardRate` per second, shared pro rata between
+   * stakers, and only accrue while the pool holds funded rewards.
+   */
+  static compileStakingContract(stakeType = 'erc20') {
+    try {
+      if (!['erc20', 'erc721'].includes(stakeType)) {
+        throw new Error(`Unknown stake type "${stakeType}" (use erc20 or erc721)`);
+      }
+
+      const contractName = stakeType === 'erc721' ? 'NFTStakingRewards' : 'TokenStakingRewards';
+      const contractSource = StakingCompiler.getStakingSource(contractName, stakeType === 'erc721');
+
+      const input = {
+        language: 'Solidity',
+        sources: {
+          [`${contractName}.sol`]: {
+            content: contractSource,
+          },
+        },
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          outputSelection: {
+            '*': {
+              '*': ['abi', 'evm.bytecode'],
+            },
+          },
+        },
+      };
+
+      const compiled = JSON.parse(solc.compile(JSON.stringify(input)));
+
+      if (compiled.errors) {
+        const hasErrors = compiled.errors.some(error => error.severity === 'error');
+        if (hasErrors) {
+          throw new Error('Staking compilation errors: ' + compiled.errors.map(e => e.message).join('\n'));
+        }
+      }
+
+      const contract = compiled.contracts[`${contractName}.sol`][contractName];
+
+      return {
+        abi: contract.abi,
+        bytecode: '0x' + contract.evm.bytecode.object,
+        contractName,
+        stakeType
+      };
+
+    } catch (error) {
+      throw new Error(`Staking contract compilation failed: ${error.message}`);
+    }
+  }
+
+  static getStakingSource(contractName, nft) {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+${nft ? `
+interface IERC721 {
+    function transferFrom(address from, address to, uint256 tokenId) external;
+}
+` : ''}
+contract ${contractName} {
+    bool public constant stakeIsNFT = ${nft};
+
+    address public immutable stakingToken;
+    address public immutable rewardToken;
+    address public owner;
+
+    uint256 public rewardRate;
+    uint256 public periodFinish;
+    uint256 public lockupPeriod;
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;
+    uint256 public totalStaked;
+
+    mapping(address => uint256) public stakedBalance;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards;
+    mapping(address => uint256) public unlockTime;
+${nft ? `
+    mapping(uint256 => address) public tokenStaker;
+    mapping(address => uint256[]) private _stakedTokens;
+    mapping(uint256 => uint256) private _stakedTokenIndex;
+` : ''}
+    uint256 private _locked = 1;
+
+    event Staked(address indexed user, uint256 amount, uint256[] tokenIds);
+    event Unstaked(address indexed user, uint256 amount, uint256[] tokenIds);
+    event RewardPaid(address indexed user, uint256 reward);
+    event RewardsFunded(uint256 amount, uint256 periodFinish);
+    event RewardRateUpdated(uint256 rewardRate, uint256 periodFinish);
+    event LockupPeriodUpdated(uint256 lockupPeriod);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Staking: caller is not the owner");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(_locked == 1, "Staking: reentrant call");
+        _locked = 2;
+        _;
+        _locked = 1;
+    }
+
+    modifier updateReward(address account) {
+        rewardPerTokenStored = rewardPerToken();
+        lastUpdateTime = lastTimeRewardApplicable();
+        if (account != address(0)) {
+            rewards[account] = earned(account);
+            userRewardPerTokenPaid[account] = rewardPerTokenStored;
+        }
+        _;
+    }
+
+    constructor(address stakingToken_, address rewardToken_, uint256 rewardRate_, uint256 lockupPeriod_, address owner_) {
+        require(stakingToken_ != address(0) && rewardToken_ != address(0), "Staking: zero token");
+        require(owner_ != address(0), "Staking: zero owner");
+
+        stakingToken = stakingToken_;
+        rewardToken = rewardToken_;
+        rewardRate = rewardRate_;
+        lockupPeriod = lockupPeriod_;
+        owner = owner_;
+        lastUpdateTime = block.timestamp;
+
+        emit OwnershipTransferred(address(0), owner_);
+    }
+
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    function rewardPerToken() public view returns (uint256) {
+        uint256 applicable = lastTimeRewardApplicable();
+        if (totalStaked == 0 || applicable <= lastUpdateTime) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored + ((applicable - lastUpdateTime) * rewardRate * 1e18) / totalStaked;
+    }
+
+    function earned(address account) public view returns (uint256) {
+        return (stakedBalance[account] * (rewardPerToken() - userRewardPerTokenPaid[account])) / 1e18 + rewards[account];
+    }
+
+    function rewardsRemaining() public view returns (uint256) {
+        return block.timestamp < periodFinish ? (periodFinish - block.timestamp) * rewardRate : 0;
+    }
+${nft ? `
+    function stakedTokens(address account) external view returns (uint256[] memory) {
+        return _stakedTokens[account];
+    }
+
+    function stake(uint256[] calldata tokenIds) external nonReentrant updateReward(msg.sender) {
+        require(tokenIds.length > 0, "Staking: nothing to stake");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            IERC721(stakingToken).transferFrom(msg.sender, address(this), tokenIds[i]);
+            tokenStaker[tokenIds[i]] = msg.sender;
+            _stakedTokenIndex[tokenIds[i]] = _stakedTokens[msg.sender].length;
+            _stakedTokens[msg.sender].push(tokenIds[i]);
+        }
+
+        _afterStake(tokenIds.length);
+        emit Staked(msg.sender, tokenIds.length, tokenIds);
+    }
+
+    function unstake(uint256[] calldata tokenIds) external nonReentrant updateReward(msg.sender) {
+        require(tokenIds.length > 0, "Staking: nothing to unstake");
+        require(block.timestamp >= unlockTime[msg.sender], "Staking: stake is locked");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(tokenStaker[tokenIds[i]] == msg.sender, "Staking: token not staked by caller");
+            _removeStakedToken(msg.sender, tokenIds[i]);
+            IERC721(stakingToken).transferFrom(address(this), msg.sender, tokenIds[i]);
+        }
+
+        totalStaked -= tokenIds.length;
+        stakedBalance[msg.sender] -= tokenIds.length;
+        emit Unstaked(msg.sender, tokenIds.length, tokenIds);
+    }
+
+    function _removeStakedToken(address account, uint256 tokenId) private {
+        uint256[] storage tokens = _stakedTokens[account];
+        uint256 index = _stakedTokenIndex[tokenId];
+        uint256 lastTokenId = tokens[tokens.length - 1];
+
+        tokens[index] = lastTokenId;
+        _stakedTokenIndex[lastTokenId] = index;
+        tokens.pop();
+
+        delete _stakedTokenIndex[tokenId];
+        delete tokenStaker[tokenId];
+    }
+` : `
+    function stake(uint256 amount) external nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "Staking: nothing to stake");
+        require(IERC20(stakingToken).transferFrom(msg.sender, address(this), amount), "Staking: transfer failed");
+
+        _afterStake(amount);
+        emit Staked(msg.sender, amount, new uint256[](0));
+    }
+
+    function unstake(uint256 amount) external nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "Staking: nothing to unstake");
+        require(amount <= stakedBalance[msg.sender], "Staking: amount exceeds stake");
+        require(block.timestamp >= unlockTime[msg.sender], "Staking: stake is locked");
+
+        totalStaked -= amount;
+        stakedBalance[msg.sender] -= amount;
+        require(IERC20(stakingToken).transfer(msg.sender, amount), "Staking: transfer failed");
+
+        emit Unstaked(msg.sender, amount, new uint256[](0));
+    }
+`}
+    /**
+     * Every new stake restarts the caller's lockup
+     */
+    function _afterStake(uint256 amount) private {
+        totalStaked += amount;
+        stakedBalance[msg.sender] += amount;
+        unlockTime[msg.sender] = block.timestamp + lockupPeriod;
+    }
+
+    function claim() external nonReentrant updateReward(msg.sender) {
+        uint256 reward = rewards[msg.sender];
+        require(reward > 0, "Staking: no rewards");
+
+        rewards[msg.sender] = 0;
+        require(IERC20(rewardToken).transfer(msg.sender, reward), "Staking: transfer failed");
+
+        emit RewardPaid(msg.sender, reward);
+    }
+
+    /**
+     * Pull reward tokens from the owner and extend the reward period
+     * by amount / rewardRate seconds
+     */
+    function fundRewards(uint256 amount) external onlyOwner updateReward(address(0)) {
+        require(amount > 0, "Staking: nothing to fund");
+        require(rewardRate > 0, "Staking: reward rate not set");
+        require(IERC20(rewardToken).transferFrom(msg.sender, address(this), amount), "Staking: transfer failed");
+
+        periodFinish = block.timestamp + (rewardsRemaining() + amount) / rewardRate;
+        lastUpdateTime = block.timestamp;
+        emit RewardsFunded(amount, periodFinish);
+    }
+
+    /**
+     * Change the rate; the unspent rewards are spread over the new period
+     */
+    function setRewardRate(uint256 rewardRate_) external onlyOwner updateReward(address(0)) {
+        require(rewardRate_ > 0, "Staking: zero reward rate");
+
+        uint256 remaining = rewardsRemaining();
+        rewardRate = rewardRate_;
+        periodFinish = block.timestamp + remaining / rewardRate_;
+        lastUpdateTime = block.timestamp;
+
+        emit RewardRateUpdated(rewardRate_, periodFinish);
+    }
+
+    function setLockupPeriod(uint256 lockupPeriod_) external onlyOwner {
+        lockupPeriod = lockupPeriod_;
+        emit LockupPeriodUpdated(lockupPeriod_);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Staking: zero owner");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+}
+`;
+  }
+
+  /**
+   * ABI of a deployed pool; the stake/unstake signatures depend on the stake type
+   */
+  static getStakingABI(stakeType = 'erc20') {
+    return [
+      ...(stakeType === 'erc721' ? StakingCompiler._getNFTStakeABI() : StakingCompiler._getTokenStakeABI()),
+      {
+        "inputs": [],
+        "name": "claim",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "account", "type": "address"}],
+        "name": "earned",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "amount", "type": "uint256"}],
+        "name": "fundRewards",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "lastTimeRewardApplicable",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "lastUpdateTime",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "lockupPeriod",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "periodFinish",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "rewardPerToken",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "rewardPerTokenStored",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "rewardRate",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "rewardToken",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "name": "rewards",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "rewardsRemaining",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "lockupPeriod_", "type": "uint256"}],
+        "name": "setLockupPeriod",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "rewardRate_", "type": "uint256"}],
+        "name": "setRewardRate",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "stakeIsNFT",
+        "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "name": "stakedBalance",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "stakingToken",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "totalStaked",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "newOwner", "type": "address"}],
+        "name": "transferOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "name": "unlockTime",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "name": "userRewardPerTokenPaid",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "lockupPeriod", "type": "uint256"}
+        ],
+        "name": "LockupPeriodUpdated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "previousOwner", "type": "address"},
+          {"indexed": true, "internalType": "address", "name": "newOwner", "type": "address"}
+        ],
+        "name": "OwnershipTransferred",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "reward", "type": "uint256"}
+        ],
+        "name": "RewardPaid",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "rewardRate", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "periodFinish", "type": "uint256"}
+        ],
+        "name": "RewardRateUpdated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256", "name": "periodFinish", "type": "uint256"}
+        ],
+        "name": "RewardsFunded",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"}
+        ],
+        "name": "Staked",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+          {"indexed": false, "internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"}
+        ],
+        "name": "Unstaked",
+        "type": "event"
+      }
+    ];
+  }
+
+  static _getTokenStakeABI() {
+    return [
+      {
+        "inputs": [{"internalType": "uint256", "name": "amount", "type": "uint256"}],
+        "name": "stake",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "amount", "type": "uint256"}],
+        "name": "unstake",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      }
+    ];
+  }
+
+  static _getNFTStakeABI() {
+    return [
+      {
+        "inputs": [{"internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"}],
+        "name": "stake",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "address", "name": "account", "type": "address"}],
+        "name": "stakedTokens",
+        "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "name": "tokenStaker",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint256[]", "name": "tokenIds", "type": "uint256[]"}],
+        "name": "unstake",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      }
+    ];
+  }
+}
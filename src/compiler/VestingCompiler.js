@@ -0,0 +1,291 @@
+import solc from 'solc';
+
+// Schedule ids used by the contract's constructor
+export const VESTING_SCHEDULES = {
+  linear: 0,     // linear release from start to start + duration, nothing before the cliff
+  cliff: 1,      // time-lock: everything unlocks at start + cliff
+  milestone: 2   // percentages unlock at fixed timestamps
+};
+
+export class VestingCompiler {
+  /**
+   * Compile the ERC-20 vesting wallet. One contract serves every schedule;
+   * the beneficiary, token and schedule are constructor arguments. The
+   * allocation is whatever token balance the wallet holds plus what it has
+   * already released, so it can be funded (or topped up) by plain transfers.
+   */
+  static compileVestingWallet() {
+    try {
+      const contractSource = VestingCompiler.getVestingWalletSource();
+
+      const input = {
+        language: 'Solidity',
+        sources: {
+          'TokenVestingWallet.sol': {
+            content: contractSource,
+          },
+        },
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          outputSelection: {
+            '*': {
+              '*': ['abi', 'evm.bytecode'],
+            },
+          },
+        },
+      };
+
+      const compiled = JSON.parse(solc.compile(JSON.stringify(input)));
+
+      if (compiled.errors) {
+        const hasErrors = compiled.errors.some(error => error.severity === 'error');
+        if (hasErrors) {
+          throw new Error('Vesting wallet compilation errors: ' + compiled.errors.map(e => e.message).join('\n'));
+        }
+      }
+
+      const contract = compiled.contracts['TokenVestingWallet.sol'].TokenVestingWallet;
+
+      return {
+        abi: contract.abi,
+        bytecode: '0x' + contract.evm.bytecode.object,
+        contractName: 'TokenVestingWallet'
+      };
+
+    } catch (error) {
+      throw new Error(`Vesting wallet compilation failed: ${error.message}`);
+    }
+  }
+
+  static getVestingWalletSource() {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+contract TokenVestingWallet {
+    uint8 public constant SCHEDULE_LINEAR = 0;
+    uint8 public constant SCHEDULE_CLIFF = 1;
+    uint8 public constant SCHEDULE_MILESTONE = 2;
+
+    address public immutable beneficiary;
+    address public immutable token;
+    uint8 public immutable scheduleType;
+    uint64 public immutable start;
+    uint64 public immutable cliff;
+    uint64 public immutable duration;
+
+    uint64[] private _milestoneTimes;
+    uint16[] private _milestoneBps;
+
+    uint256 public released;
+
+    event TokensReleased(address indexed beneficiary, uint256 amount);
+
+    constructor(
+        address beneficiary_,
+        address token_,
+        uint8 scheduleType_,
+        uint64 start_,
+        uint64 cliffDuration_,
+        uint64 duration_,
+        uint64[] memory milestoneTimes_,
+        uint16[] memory milestoneBps_
+    ) {
+        require(beneficiary_ != address(0), "Vesting: zero beneficiary");
+        require(token_ != address(0), "Vesting: zero token");
+        require(scheduleType_ <= SCHEDULE_MILESTONE, "Vesting: unknown schedule");
+
+        if (scheduleType_ == SCHEDULE_LINEAR) {
+            require(duration_ > 0 && cliffDuration_ <= duration_, "Vesting: invalid schedule");
+        } else if (scheduleType_ == SCHEDULE_CLIFF) {
+            require(cliffDuration_ > 0, "Vesting: cliff required");
+            duration_ = cliffDuration_;
+        } else {
+            require(milestoneTimes_.length > 0 && milestoneTimes_.length == milestoneBps_.length, "Vesting: invalid milestones");
+
+            uint256 totalBps;
+            for (uint256 i = 0; i < milestoneTimes_.length; i++) {
+                require(i == 0 || milestoneTimes_[i] > milestoneTimes_[i - 1], "Vesting: milestones out of order");
+                totalBps += milestoneBps_[i];
+            }
+            require(totalBps == 10000, "Vesting: milestones must total 100%");
+
+            _milestoneTimes = milestoneTimes_;
+            _milestoneBps = milestoneBps_;
+            cliffDuration_ = milestoneTimes_[0] > start_ ? milestoneTimes_[0] - start_ : 0;
+            duration_ = milestoneTimes_[milestoneTimes_.length - 1] > start_ ? milestoneTimes_[milestoneTimes_.length - 1] - start_ : 0;
+        }
+
+        beneficiary = beneficiary_;
+        token = token_;
+        scheduleType = scheduleType_;
+        start = start_;
+        cliff = start_ + cliffDuration_;
+        duration = duration_;
+    }
+
+    function end() public view returns (uint256) {
+        return uint256(start) + duration;
+    }
+
+    function milestones() external view returns (uint64[] memory times, uint16[] memory bps) {
+        return (_milestoneTimes, _milestoneBps);
+    }
+
+    function totalAllocation() public view returns (uint256) {
+        return IERC20(token).balanceOf(address(this)) + released;
+    }
+
+    function vestedAmount(uint64 timestamp) public view returns (uint256) {
+        uint256 total = totalAllocation();
+
+        if (scheduleType == SCHEDULE_MILESTONE) {
+            uint256 unlockedBps;
+            for (uint256 i = 0; i < _milestoneTimes.length && timestamp >= _milestoneTimes[i]; i++) {
+                unlockedBps += _milestoneBps[i];
+            }
+            return (total * unlockedBps) / 10000;
+        }
+
+        if (timestamp < cliff) {
+            return 0;
+        }
+        if (timestamp >= end()) {
+            return total;
+        }
+        return (total * (timestamp - start)) / duration;
+    }
+
+    function releasable() public view returns (uint256) {
+        return vestedAmount(uint64(block.timestamp)) - released;
+    }
+
+    function release() external {
+        uint256 amount = releasable();
+        require(amount > 0, "Vesting: nothing to release");
+
+        released += amount;
+        require(IERC20(token).transfer(beneficiary, amount), "Vesting: transfer failed");
+
+        emit TokensReleased(beneficiary, amount);
+    }
+}
+`;
+  }
+
+  static getVestingWalletABI() {
+    return [
+      {
+        "inputs": [],
+        "name": "beneficiary",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "cliff",
+        "outputs": [{"internalType": "uint64", "name": "", "type": "uint64"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "duration",
+        "outputs": [{"internalType": "uint64", "name": "", "type": "uint64"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "end",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "milestones",
+        "outputs": [
+          {"internalType": "uint64[]", "name": "times", "type": "uint64[]"},
+          {"internalType": "uint16[]", "name": "bps", "type": "uint16[]"}
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "releasable",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "release",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "released",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "scheduleType",
+        "outputs": [{"internalType": "uint8", "name": "", "type": "uint8"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "start",
+        "outputs": [{"internalType": "uint64", "name": "", "type": "uint64"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "token",
+        "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "totalAllocation",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [{"internalType": "uint64", "name": "timestamp", "type": "uint64"}],
+        "name": "vestedAmount",
+        "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          {"indexed": true, "internalType": "address", "name": "beneficiary", "type": "address"},
+          {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "name": "TokensReleased",
+        "type": "event"
+      }
+    ];
+  }
+}
@@ -110,9 +110,10 @@ export class EmbeddedDeploymentEngine {
   }
 
   /**
-   * Generate Hardhat config for Umi Network with proper wallet integration
+   * Generate Hardhat config for Umi Network with proper wallet integration.
+   * The gas price is priced from the chain with the given fee strategy.
    */
-  async generateHardhatConfig(deployerWallet, network = 'devnet') {
+  async generateHardhatConfig(deployerWallet, network = 'devnet', feeStrategy) {
     const networkUrls = {
       'devnet': 'https://devnet.moved.network',
       'testnet': 'https://testnet.moved.network', 
@@ -133,6 +134,8 @@ export class EmbeddedDeploymentEngine {
       throw new Error('Invalid wallet type - must be UmiWallet instance or have privateKey property');
     }
 
+    const gasPrice = await this._getDeploymentGasPrice(feeStrategy);
+
     const config = `
 require("@moved/hardhat-plugin");
 
@@ -152,7 +155,7 @@ module.exports = {
       url: "${networkUrls[network]}",
       accounts: ["${privateKey}"],
       gas: 10000000,
-      gasPrice: 20000000000
+      gasPrice: ${gasPrice}
     }
   },
   paths: {
@@ -270,7 +273,7 @@ async logProjectStructure(projectPath) {
       console.log(`❌ Could not log project structure: ${error.message}`);
     }
   }
-  async deployMoveContract(contract, deployerWallet, constructorArgs = {}) {
+  async deployMoveContract(contract, deployerWallet, constructorArgs = {}, feeStrategy) {
     try {
       console.log(`🚀 Deploying Move contract: ${contract.name}`);
       
@@ -278,7 +281,7 @@ async logProjectStructure(projectPath) {
       await this.initializeWorkspace();
       
       // Generate Hardhat config
-      await this.generateHardhatConfig(deployerWallet);
+      await this.generateHardhatConfig(deployerWallet, 'devnet', feeStrategy);
       
       // Create Move project structure with debugging
       const projectPath = await this.createMoveProjectWithDebug(contract, deployerWallet);
@@ -345,7 +348,7 @@ async logProjectStructure(projectPath) {
   /**
    * Deploy Solidity contract using official Umi toolchain
    */
-  async deploySolidityContract(contract, deployerWallet, constructorArgs = {}) {
+  async deploySolidityContract(contract, deployerWallet, constructorArgs = {}, feeStrategy) {
     try {
       console.log(`🚀 Deploying Solidity contract: ${contract.name}`);
       
@@ -353,7 +356,7 @@ async logProjectStructure(projectPath) {
       await this.initializeWorkspace();
       
       // Generate Hardhat config
-      await this.generateHardhatConfig(deployerWallet);
+      await this.generateHardhatConfig(deployerWallet, 'devnet', feeStrategy);
       
       // Create Solidity contract file
       await this.createSolidityContract(contract);
@@ -713,18 +716,32 @@ main()
     }
   }
 
+  /**
+   * Legacy gas price for the Hardhat network config. Hardhat only takes a
+   * single gasPrice, so bid the strategy's expected base + priority fee.
+   */
+  async _getDeploymentGasPrice(feeStrategy) {
+    try {
+      const fees = await this.kit.client.feeEstimator.estimate(feeStrategy);
+      return fees.gasPrice.toString();
+    } catch (error) {
+      console.warn('⚠️ Fee estimation failed, letting Hardhat price gas:', error.message);
+      return '"auto"';
+    }
+  }
+
   /**
    * Deploy multiple contracts in sequence
    */
-  async deployMultipleContracts(contracts, deployerWallet) {
+  async deployMultipleContracts(contracts, deployerWallet, feeStrategy) {
     const results = {};
     
     for (const contract of contracts) {
       try {
         if (contract.content.includes('module ')) {
-          results[contract.name] = await this.deployMoveContract(contract, deployerWallet);
+          results[contract.name] = await this.deployMoveContract(contract, deployerWallet, {}, feeStrategy);
         } else {
-          results[contract.name] = await this.deploySolidityContract(contract, deployerWallet);
+          results[contract.name] = await this.deploySolidityContract(contract, deployerWallet, {}, feeStrategy);
         }
       } catch (error) {
         console.error(`❌ Failed to deploy ${contract.name}:`, error.message);
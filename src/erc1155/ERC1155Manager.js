@@ -1,7 +1,8 @@
 
-import { createWalletClient, http, parseEther, parseUnits, encodeFunctionData, encodeAbiParameters } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
+import { parseEther, parseUnits, formatEther, encodeFunctionData, encodeAbiParameters, zeroHash } from 'viem';
 import { ERC1155Compiler } from '../compiler/ERC1155Compiler.js';
+import { MerkleAllowlist } from '../nft/MerkleAllowlist.js';
+import { createSignerClient } from '../signer/resolveSigner.js';
 
 export class ERC1155Manager {
   constructor(client, chain) {
@@ -14,19 +15,24 @@ export class ERC1155Manager {
    */
   async deployERC1155Contract({ 
     deployerPrivateKey, 
+    signer,
+    feeStrategy,
     name, 
     baseURI = "",
-    owner = null
+    owner = null,
+    crafting = false,
+    soulbound = false,
+    lockEvents = true
   }) {
     try {
       // Validate inputs (exact same as TokenManager)
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('Contract name required');
 
       console.log(`🎨 Generating ${name} ERC1155 contract...`);
 
       // Compile contract (same pattern as TokenManager)
-      const compiled = ERC1155Compiler.compileERC1155Contract(name, baseURI);
+      const compiled = ERC1155Compiler.compileERC1155Contract(name, baseURI, { crafting, soulbound, lockEvents });
       
       if (!compiled.success) {
         throw new Error(`ERC1155 compilation failed: ${compiled.error}`);
@@ -35,17 +41,7 @@ export class ERC1155Manager {
       console.log(`✅ ERC1155 contract compiled successfully`);
 
       // Format private key (EXACT same as TokenManager)
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
 
       console.log(`🚀 Deploying ERC1155 contract from ${account.address}...`);
 
@@ -68,7 +64,7 @@ export class ERC1155Manager {
       const hash = await walletClient.sendTransaction({
         to: null, // Contract creation
         data: serializedBytecode,
-        gas: 4000000n, // Higher gas for ERC1155 contracts
+        gas: crafting ? 6000000n : 4000000n, // Higher gas for ERC1155 contracts (recipe module adds ~3.5KB)
       });
 
       console.log(`📝 Transaction hash: ${hash}`);
@@ -84,6 +80,7 @@ export class ERC1155Manager {
         deployer: account.address,
         name,
         baseURI,
+        soulbound,
         type: 'ERC1155-Custom',
         abi: compiled.abi,
         bytecode: compiled.bytecode,
@@ -93,7 +90,9 @@ export class ERC1155Manager {
           'Batch Operations',
           'Ownable',
           'Pausable',
-          'Custom Token Creation'
+          'Custom Token Creation',
+          ...(crafting ? ['Crafting Recipes'] : []),
+          ...(soulbound ? ['Soulbound'] : [])
         ]
       };
 
@@ -107,27 +106,19 @@ export class ERC1155Manager {
    */
   async createTokenType({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     metadataURI,
     maxSupply,
     mintPrice = "0"
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!metadataURI) throw new Error('Metadata URI required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -165,27 +156,19 @@ export class ERC1155Manager {
    */
   async adminMintERC1155({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenId,
     amount
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -220,43 +203,58 @@ export class ERC1155Manager {
   }
 
   /**
-   * Public mint ERC1155 tokens (requires payment)
+   * Public mint ERC1155 tokens (requires payment). With `phaseId` the token
+   * comes from the sale phase and `proof` (or `allowlist`) is checked against
+   * its allowlist; the payment then defaults to the phase price.
    */
   async mintERC1155({
     fromPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenId,
     amount,
-    payment = "0"
+    payment,
+    phaseId,
+    proof,
+    allowlist
   }) {
     try {
-      if (!fromPrivateKey) throw new Error('Private key required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
 
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      let data, value;
 
-      const data = encodeFunctionData({
-        abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
-        functionName: 'mint',
-        args: [toAddress, BigInt(tokenId), BigInt(amount)]
-      });
+      if (phaseId !== undefined) {
+        const phase = await this._readSalePhase(contractAddress, phaseId);
+        tokenId = phase.tokenId;
+
+        // Proofs are for the sender's address, whoever receives the tokens
+        const mintProof = proof || (allowlist ? new MerkleAllowlist(allowlist).getProof(account.address) : []);
+
+        data = encodeFunctionData({
+          abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+          functionName: 'phaseMint',
+          args: [BigInt(phaseId), toAddress, BigInt(amount), mintProof]
+        });
+        value = payment !== undefined ? parseEther(payment) : phase.price * BigInt(amount);
+      } else {
+        data = encodeFunctionData({
+          abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+          functionName: 'mint',
+          args: [toAddress, BigInt(tokenId), BigInt(amount)]
+        });
+        value = parseEther(payment || "0");
+      }
 
       const hash = await walletClient.sendTransaction({
         to: contractAddress,
         data,
-        value: parseEther(payment),
+        value,
         gas: 200000n,
       });
 
@@ -271,9 +269,10 @@ export class ERC1155Manager {
         to: toAddress,
         tokenId: tokenId.toString(),
         amount: amount.toString(),
-        payment,
+        payment: formatEther(value),
         contractAddress,
-        type: 'public_mint'
+        ...(phaseId !== undefined ? { phaseId: phaseId.toString() } : {}),
+        type: phaseId !== undefined ? 'phase_mint' : 'public_mint'
       };
 
     } catch (error) {
@@ -286,6 +285,8 @@ export class ERC1155Manager {
    */
   async batchMintERC1155({
     fromPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenIds,
@@ -293,21 +294,11 @@ export class ERC1155Manager {
     totalPayment = "0"
   }) {
     try {
-      if (!fromPrivateKey) throw new Error('Private key required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -348,27 +339,19 @@ export class ERC1155Manager {
    */
   async adminBatchMintERC1155({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenIds,
     amounts
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -403,36 +386,31 @@ export class ERC1155Manager {
   }
 
   /**
-   * Transfer ERC1155 tokens
+   * Transfer ERC1155 tokens (on soulbound contracts only the issuer can,
+   * passing the holder as `fromAddress`)
    */
   async transferERC1155({
     fromPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenId,
-    amount
+    amount,
+    fromAddress
   }) {
     try {
-      if (!fromPrivateKey) throw new Error('Private key required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+      await this._assertTransferable(contractAddress, account.address, [tokenId]);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
         functionName: 'safeTransferFrom',
-        args: [account.address, toAddress, BigInt(tokenId), BigInt(amount), '0x']
+        args: [fromAddress || account.address, toAddress, BigInt(tokenId), BigInt(amount), '0x']
       });
 
       const hash = await walletClient.sendTransaction({
@@ -448,7 +426,7 @@ export class ERC1155Manager {
       return {
         hash,
         success: receipt.status === 'success',
-        from: account.address,
+        from: fromAddress || account.address,
         to: toAddress,
         tokenId: tokenId.toString(),
         amount: amount.toString(),
@@ -466,32 +444,26 @@ export class ERC1155Manager {
    */
   async batchTransferERC1155({
     fromPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     toAddress,
     tokenIds,
-    amounts
+    amounts,
+    fromAddress
   }) {
     try {
-      if (!fromPrivateKey) throw new Error('Private key required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
       if (!contractAddress) throw new Error('Contract address required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+      await this._assertTransferable(contractAddress, account.address, tokenIds);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
         functionName: 'safeBatchTransferFrom',
-        args: [account.address, toAddress, tokenIds.map(id => BigInt(id)), amounts.map(amt => BigInt(amt)), '0x']
+        args: [fromAddress || account.address, toAddress, tokenIds.map(id => BigInt(id)), amounts.map(amt => BigInt(amt)), '0x']
       });
 
       const hash = await walletClient.sendTransaction({
@@ -507,7 +479,7 @@ export class ERC1155Manager {
       return {
         hash,
         success: receipt.status === 'success',
-        from: account.address,
+        from: fromAddress || account.address,
         to: toAddress,
         tokenIds: tokenIds.map(id => id.toString()),
         amounts: amounts.map(amt => amt.toString()),
@@ -579,24 +551,16 @@ export class ERC1155Manager {
    */
   async setApprovalForAll({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     operatorAddress,
     approved
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -688,22 +652,14 @@ export class ERC1155Manager {
    */
   async pauseContract({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -738,22 +694,14 @@ export class ERC1155Manager {
    */
   async unpauseContract({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -788,22 +736,14 @@ export class ERC1155Manager {
    */
   async withdrawFunds({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -838,24 +778,16 @@ export class ERC1155Manager {
    */
   async burnTokens({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     tokenId,
     amount
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -893,24 +825,16 @@ export class ERC1155Manager {
    */
   async burnTokensBatch({
     ownerPrivateKey,
+    signer,
+    feeStrategy,
     contractAddress,
     tokenIds,
     amounts
   }) {
     try {
-      if (!ownerPrivateKey) throw new Error('Private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
@@ -943,6 +867,446 @@ export class ERC1155Manager {
     }
   }
 
+  /**
+   * Create or update a sale phase for a token type (owner only). Pass
+   * `allowlist` (addresses) or `merkleRoot` to restrict it to an allowlist;
+   * omitting `phaseId` appends a new phase. Times are unix seconds (0 = no limit).
+   */
+  async setSalePhase({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    phaseId,
+    tokenId,
+    startTime = 0,
+    endTime = 0,
+    price = "0",
+    maxPerWallet = 0,
+    allowlist,
+    merkleRoot
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!contractAddress) throw new Error('Contract address required');
+      if (tokenId === undefined) throw new Error('Token ID required');
+
+      const start = startTime instanceof Date ? Math.floor(startTime.getTime() / 1000) : Number(startTime);
+      const end = endTime instanceof Date ? Math.floor(endTime.getTime() / 1000) : Number(endTime);
+      if (end !== 0 && end <= start) throw new Error('Phase end time must be after its start time');
+
+      const root = allowlist ? new MerkleAllowlist(allowlist).root : (merkleRoot || zeroHash);
+
+      const id = phaseId !== undefined
+        ? BigInt(phaseId)
+        : await this.client.readContract({
+          address: contractAddress,
+          abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+          functionName: 'salePhaseCount'
+        });
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+        functionName: 'setSalePhase',
+        args: [id, BigInt(tokenId), BigInt(start), BigInt(end), parseEther(price), BigInt(maxPerWallet), root]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 250000n,
+      });
+
+      console.log(`🗓️ Sale phase transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        contractAddress,
+        phaseId: id.toString(),
+        tokenId: tokenId.toString(),
+        startTime: start,
+        endTime: end,
+        price,
+        maxPerWallet: maxPerWallet.toString(),
+        merkleRoot: root,
+        type: 'sale_phase'
+      };
+
+    } catch (error) {
+      throw new Error(`Setting sale phase failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all sale phases of a contract
+   */
+  async getSalePhases(contractAddress) {
+    try {
+      const count = await this.client.readContract({
+        address: contractAddress,
+        abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+        functionName: 'salePhaseCount'
+      });
+
+      const phases = [];
+      for (let i = 0; i < Number(count); i++) {
+        const phase = await this._readSalePhase(contractAddress, i);
+        phases.push({
+          phaseId: i.toString(),
+          tokenId: phase.tokenId.toString(),
+          startTime: Number(phase.startTime),
+          endTime: Number(phase.endTime),
+          price: formatEther(phase.price),
+          maxPerWallet: phase.maxPerWallet.toString(),
+          merkleRoot: phase.merkleRoot,
+          allowlistOnly: phase.merkleRoot !== zeroHash
+        });
+      }
+
+      return phases;
+    } catch (error) {
+      throw new Error(`Failed to get sale phases: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a contract was deployed soulbound (false for older contracts)
+   */
+  async isSoulbound(contractAddress) {
+    try {
+      return await this.client.readContract({
+        address: contractAddress,
+        abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+        functionName: 'soulbound'
+      });
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Revoke (burn) soulbound tokens from a holder (issuer only)
+   */
+  async revokeERC1155({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    holderAddress,
+    tokenId,
+    amount
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!holderAddress) throw new Error('Holder address required');
+      if (!(await this.isSoulbound(contractAddress))) {
+        throw new Error('Only soulbound contracts support revocation');
+      }
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: ERC1155Compiler.getSoulboundABI(),
+        functionName: 'revoke',
+        args: [holderAddress, BigInt(tokenId), BigInt(amount)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 150000n,
+      });
+
+      console.log(`🚫 Revoke transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        holder: holderAddress,
+        tokenId: tokenId.toString(),
+        amount: amount.toString(),
+        contractAddress,
+        type: 'revoke'
+      };
+
+    } catch (error) {
+      throw new Error(`Revoke failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or replace a crafting recipe (owner only, contract deployed with
+   * crafting). inputs/outputs: [{ tokenId, amount }]; omit recipeId to add one
+   */
+  async setRecipe({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    recipeId,
+    inputs,
+    outputs
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!inputs?.length || !outputs?.length) throw new Error('Recipe inputs and outputs required');
+      if (new Set(outputs.map(o => String(o.tokenId))).size !== outputs.length) {
+        throw new Error('Recipe outputs must not repeat a token ID');
+      }
+
+      const abi = this._getCraftingABI();
+
+      const id = recipeId !== undefined
+        ? BigInt(recipeId)
+        : await this.client.readContract({ address: contractAddress, abi, functionName: 'recipeCount' });
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi,
+        functionName: 'setRecipe',
+        args: [
+          id,
+          inputs.map(i => BigInt(i.tokenId)),
+          inputs.map(i => BigInt(i.amount)),
+          outputs.map(o => BigInt(o.tokenId)),
+          outputs.map(o => BigInt(o.amount))
+        ]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 150000n + 50000n * BigInt(inputs.length + outputs.length),
+      });
+
+      console.log(`📜 Set recipe transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        contractAddress,
+        recipeId: id.toString(),
+        inputs: inputs.map(i => ({ tokenId: i.tokenId.toString(), amount: i.amount.toString() })),
+        outputs: outputs.map(o => ({ tokenId: o.tokenId.toString(), amount: o.amount.toString() })),
+        type: 'set_recipe'
+      };
+
+    } catch (error) {
+      throw new Error(`Setting recipe failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enable or disable a crafting recipe (owner only)
+   */
+  async setRecipeActive({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    recipeId,
+    active
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (recipeId === undefined) throw new Error('Recipe ID required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: this._getCraftingABI(),
+        functionName: 'setRecipeActive',
+        args: [BigInt(recipeId), Boolean(active)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 100000n,
+      });
+
+      console.log(`📜 Recipe ${recipeId} ${active ? 'enabled' : 'disabled'}: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        contractAddress,
+        recipeId: recipeId.toString(),
+        active: Boolean(active),
+        type: 'recipe_status'
+      };
+
+    } catch (error) {
+      throw new Error(`Updating recipe failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Craft a recipe: burns the inputs from the caller and mints the outputs
+   * to them in a single transaction
+   */
+  async craft({
+    fromPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    recipeId
+  }) {
+    try {
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
+      if (!contractAddress) throw new Error('Contract address required');
+      if (recipeId === undefined) throw new Error('Recipe ID required');
+
+      const recipe = await this.getRecipe(contractAddress, recipeId);
+      if (!recipe.active) throw new Error(`Recipe ${recipeId} is disabled`);
+
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+
+      // Check materials up front for a clearer error than a reverted transaction
+      const balances = await this.client.readContract({
+        address: contractAddress,
+        abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+        functionName: 'balanceOfBatch',
+        args: [recipe.inputs.map(() => account.address), recipe.inputs.map(i => BigInt(i.tokenId))]
+      });
+
+      const required = {};
+      for (const input of recipe.inputs) {
+        required[input.tokenId] = (required[input.tokenId] || 0n) + BigInt(input.amount);
+      }
+      recipe.inputs.forEach((input, i) => {
+        if (balances[i] < required[input.tokenId]) {
+          throw new Error(`Not enough of token ${input.tokenId}: have ${balances[i]}, need ${required[input.tokenId]}`);
+        }
+      });
+
+      const data = encodeFunctionData({
+        abi: this._getCraftingABI(),
+        functionName: 'craft',
+        args: [BigInt(recipeId)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 150000n + 60000n * BigInt(recipe.inputs.length + recipe.outputs.length),
+      });
+
+      console.log(`⚒️ Craft transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        crafter: account.address,
+        contractAddress,
+        recipeId: recipeId.toString(),
+        consumed: recipe.inputs,
+        produced: recipe.outputs,
+        type: 'craft'
+      };
+
+    } catch (error) {
+      throw new Error(`Crafting failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a crafting recipe
+   */
+  async getRecipe(contractAddress, recipeId) {
+    try {
+      const [inputIds, inputAmounts, outputIds, outputAmounts, active] = await this.client.readContract({
+        address: contractAddress,
+        abi: this._getCraftingABI(),
+        functionName: 'getRecipe',
+        args: [BigInt(recipeId)]
+      });
+
+      return {
+        recipeId: recipeId.toString(),
+        inputs: inputIds.map((id, i) => ({ tokenId: id.toString(), amount: inputAmounts[i].toString() })),
+        outputs: outputIds.map((id, i) => ({ tokenId: id.toString(), amount: outputAmounts[i].toString() })),
+        active
+      };
+    } catch (error) {
+      throw new Error(`Failed to get recipe: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all crafting recipes of a contract
+   */
+  async getRecipes(contractAddress) {
+    try {
+      const count = await this.client.readContract({
+        address: contractAddress,
+        abi: this._getCraftingABI(),
+        functionName: 'recipeCount'
+      });
+
+      const recipes = [];
+      for (let i = 0; i < Number(count); i++) {
+        recipes.push(await this.getRecipe(contractAddress, i));
+      }
+      return recipes;
+    } catch (error) {
+      throw new Error(`Failed to get recipes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read one sale phase struct
+   */
+  async _readSalePhase(contractAddress, phaseId) {
+    const [tokenId, startTime, endTime, price, maxPerWallet, merkleRoot] = await this.client.readContract({
+      address: contractAddress,
+      abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+      functionName: 'salePhases',
+      args: [BigInt(phaseId)]
+    });
+
+    return { tokenId, startTime, endTime, price, maxPerWallet, merkleRoot };
+  }
+
+  /**
+   * Fail early with a clear reason instead of a reverted transfer
+   */
+  async _assertTransferable(contractAddress, sender, tokenIds) {
+    if (!(await this.isSoulbound(contractAddress))) return;
+
+    const issuer = await this.client.readContract({
+      address: contractAddress,
+      abi: ERC1155Compiler.getOpenZeppelinERC1155ABI(),
+      functionName: 'owner'
+    });
+
+    if (issuer.toLowerCase() !== sender.toLowerCase()) {
+      throw new Error(`Token ${tokenIds.join(', ')} is soulbound and can only be transferred by the issuer (${issuer})`);
+    }
+  }
+
+  /**
+   * ERC1155 ABI plus the recipe module functions
+   */
+  _getCraftingABI() {
+    return [...ERC1155Compiler.getOpenZeppelinERC1155ABI(), ...ERC1155Compiler.getRecipeABI()];
+  }
+
   /**
    * Encode constructor parameters for ERC1155 contract (EXACT same pattern as TokenManager)
    */
@@ -988,4 +1352,17 @@ export class ERC1155Manager {
       throw new Error(`Umi serialization failed: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+}
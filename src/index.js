@@ -2,15 +2,44 @@
 export { UmiAgentKit } from './UmiAgentKit.js';
 export { UmiWallet, ethToMoveAddress, moveToEthAddress } from './wallet/UmiWallet.js';
 export { WalletManager } from './wallet/WalletManager.js';
+export { KeystoreStorage } from './wallet/KeystoreStorage.js';
+export { HDAccount } from './wallet/HDAccount.js';
+
 export { UmiClient } from './client/UmiClient.js';
+export { NonceManager } from './client/NonceManager.js';
+export { TransactionTracker } from './transaction/TransactionTracker.js';
+export { FeeEstimator, FEE_STRATEGIES } from './transaction/FeeEstimator.js';
+export { MovePayloadBuilder } from './transaction/MovePayloadBuilder.js';
+export { EventIndexer } from './indexer/EventIndexer.js';
+export { IndexerStorage } from './indexer/IndexerStorage.js';
+export { EventSubscriptionManager } from './indexer/EventSubscriptionManager.js';
 export { TransferManager } from './transfer/TransferManager.js';
 export { TokenManager } from './token/TokenManager.js';
+export { VestingManager } from './token/VestingManager.js';
 export { NFTManager } from './nft/NFTManager.js';
+export { MerkleAllowlist } from './nft/MerkleAllowlist.js';
+export { MetadataBuilder } from './nft/MetadataBuilder.js';
+export { IPFSPacker } from './nft/IPFSPacker.js';
+export { TraitGenerator } from './nft/TraitGenerator.js';
+export { StakingManager } from './staking/StakingManager.js';
+export { MarketplaceManager } from './marketplace/MarketplaceManager.js';
 export { SolidityCompiler } from './compiler/SolidityCompiler.js';
 export { NFTCompiler } from './compiler/NFTCompiler.js';
 export { MoveNFTCompiler } from './compiler/MoveNFTCompiler.js';
+export { MoveTokenCompiler } from './compiler/MoveTokenCompiler.js';
+export { VestingCompiler, VESTING_SCHEDULES } from './compiler/VestingCompiler.js';
+export { StakingCompiler } from './compiler/StakingCompiler.js';
+export { MarketplaceCompiler } from './compiler/MarketplaceCompiler.js';
+export { MultisigWalletCompiler, MULTISIG_WALLET_DOMAIN } from './compiler/MultisigWalletCompiler.js';
 export { DEFAULT_CONFIG } from './config.js';
 
+// Signer exports
+export { Signer } from './signer/Signer.js';
+export { LocalKeySigner } from './signer/LocalKeySigner.js';
+export { KeystoreSigner } from './signer/KeystoreSigner.js';
+export { RemoteSigner } from './signer/RemoteSigner.js';
+export { resolveSigner, createSignerClient } from './signer/resolveSigner.js';
+
 // AI exports
 export { AIManager } from './ai/AIManager.js';
 export { GroqEngine } from './ai/GroqEngine.js';
@@ -24,6 +53,8 @@ export { ProposalEngine } from './multisig/ProposalEngine.js';
 export { PermissionSystem } from './multisig/PermissionSystem.js';
 export { NotificationService } from './multisig/NotificationService.js';
 export { MultisigStorage } from './multisig/MultisigStorage.js';
+export { OperationRegistry } from './multisig/OperationRegistry.js';
+export { OnChainMultisigManager } from './multisig/OnChainMultisigManager.js';
 
 // NEW: Deployment exports (FIXED PATHS)
 export { MultiContractDeployer } from './deployment/MultiContractDeployer.js';
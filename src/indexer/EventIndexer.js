@@ -0,0 +1,528 @@
+import { EventEmitter } from 'events';
+import { decodeEventLog, getAddress, parseAbi, toEventSelector, zeroAddress } from 'viem';
+import { IndexerStorage } from './IndexerStorage.js';
+
+// Transfer shares a selector between ERC-20 and ERC-721; the indexed tokenId
+// (4 topics instead of 3) tells them apart
+const ERC20_TRANSFER = parseAbi(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+const ERC721_TRANSFER = parseAbi(['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)']);
+
+const INDEXED_EVENTS = {
+  [toEventSelector(ERC20_TRANSFER[0])]: { name: 'Transfer' },
+  [toEventSelector('TransferSingle(address,address,address,uint256,uint256)')]: {
+    name: 'TransferSingle',
+    standard: 'erc1155',
+    abi: parseAbi(['event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)'])
+  },
+  [toEventSelector('TransferBatch(address,address,address,uint256[],uint256[])')]: {
+    name: 'TransferBatch',
+    standard: 'erc1155',
+    abi: parseAbi(['event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'])
+  },
+  [toEventSelector('Paused(address)')]: {
+    name: 'Paused',
+    abi: parseAbi(['event Paused(address account)'])
+  },
+  [toEventSelector('Unpaused(address)')]: {
+    name: 'Unpaused',
+    abi: parseAbi(['event Unpaused(address account)'])
+  },
+  [toEventSelector('Mint(address,uint256)')]: {
+    name: 'Mint',
+    standard: 'erc20',
+    abi: parseAbi(['event Mint(address indexed to, uint256 value)'])
+  }
+};
+
+/**
+ * Scans blocks for events of the contracts the kit deployed or registered
+ * and keeps them in a local store, so history, NFT ownership and token
+ * holder queries work without a block explorer.
+ *
+ * Reorg safety: the hashes of recently indexed blocks are kept; before every
+ * sync the newest one is re-checked against the chain and on a mismatch
+ * everything after the last block that still matches is dropped and rescanned.
+ *
+ * Events: 'event' (decoded event), 'sync' (summary), 'reorg', 'contract'
+ */
+export class EventIndexer extends EventEmitter {
+  constructor(client, config = {}) {
+    super();
+
+    this.client = client;
+    this.config = {
+      batchSize: 2000,     // blocks per eth_getLogs request
+      confirmations: 2,    // stay this far behind the head
+      reorgDepth: 64,      // block hashes kept for reorg checks
+      pollInterval: 10000, // ms between syncs when running
+      ...config
+    };
+
+    this.storage = config.storage || new IndexerStorage(config);
+    // A corrupt store must not break kit construction; load() has already
+    // reset the data to an empty store for this chain
+    this._ready = this.storage.load(client.chain?.id ?? 'default').catch(error => {
+      console.warn(`⚠️ ${error.message}; starting with an empty index`);
+    });
+    this._syncing = null;
+    this._timer = null;
+  }
+
+  /**
+   * Start indexing a contract. `fromBlock` defaults to the current head, so
+   * pass the deployment block to backfill older events.
+   */
+  async registerContract(address, { type = 'unknown', name = null, fromBlock } = {}) {
+    await this._ready;
+
+    const contractAddress = getAddress(address);
+    const existing = this.storage.getContract(contractAddress);
+
+    if (existing) {
+      // Keep progress, just fill in better metadata
+      if (type !== 'unknown') existing.type = type;
+      if (name) existing.name = name;
+      await this.storage.save();
+      return existing;
+    }
+
+    const startBlock = fromBlock !== undefined
+      ? Number(fromBlock)
+      : Number(await this.client.getBlockNumber());
+
+    const contract = this.storage.setContract({
+      address: contractAddress,
+      type,
+      name,
+      fromBlock: startBlock,
+      lastBlock: startBlock - 1,
+      registeredAt: new Date().toISOString()
+    });
+
+    await this.storage.save();
+
+    console.log(`📇 Indexing ${name || contractAddress} from block ${startBlock}`);
+    this.emit('contract', contract);
+
+    return contract;
+  }
+
+  /**
+   * Stop indexing a contract and drop its events
+   */
+  async unregisterContract(address) {
+    await this._ready;
+
+    const removed = this.storage.removeContract(getAddress(address));
+    await this.storage.save();
+
+    return removed;
+  }
+
+  /**
+   * List indexed contracts
+   */
+  async getContracts() {
+    await this._ready;
+    return this.storage.getContracts();
+  }
+
+  /**
+   * Scan from each contract's last indexed block up to the confirmed head.
+   * Concurrent calls share the sync already in flight.
+   */
+  async sync({ toBlock } = {}) {
+    await this._ready;
+
+    if (!this._syncing) {
+      this._syncing = this._sync(toBlock).finally(() => {
+        this._syncing = null;
+      });
+    }
+
+    return await this._syncing;
+  }
+
+  /**
+   * Sync in the background every pollInterval ms
+   */
+  start(pollInterval = this.config.pollInterval) {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.sync().catch(error => console.warn(`Indexer sync failed: ${error.message}`));
+    }, pollInterval);
+
+    // Don't keep the process alive just for indexing
+    this._timer.unref?.();
+  }
+
+  /**
+   * Stop background syncing
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  isRunning() {
+    return this._timer !== null;
+  }
+
+  // ========== QUERIES ==========
+
+  /**
+   * Query stored events ({ contract, event, address, fromBlock, toBlock, limit }),
+   * newest first
+   */
+  async getEvents({ contract, event, address, fromBlock, toBlock, limit } = {}) {
+    await this._ready;
+
+    const contractAddress = contract ? getAddress(contract) : null;
+    const account = address ? getAddress(address) : null;
+
+    const events = this.storage.getEvents().filter(e =>
+      (!contractAddress || e.contract === contractAddress) &&
+      (!event || e.event === event) &&
+      (fromBlock === undefined || e.blockNumber >= Number(fromBlock)) &&
+      (toBlock === undefined || e.blockNumber <= Number(toBlock)) &&
+      (!account || this._involves(e, account))
+    ).reverse();
+
+    return limit ? events.slice(0, limit) : events;
+  }
+
+  /**
+   * Transfers, mints and pauses involving an address, newest first
+   */
+  async getTransactionHistory(address, { contract, limit = 20 } = {}) {
+    return await this.getEvents({ address, contract, limit });
+  }
+
+  /**
+   * Holders of an ERC-20 token, or of one ERC-1155 token id, by balance
+   */
+  async getTokenHolders(contract, { tokenId, limit } = {}) {
+    await this._ready;
+
+    const contractAddress = getAddress(contract);
+    const balances = new Map();
+    const add = (account, amount) => {
+      if (account === zeroAddress) return;
+      balances.set(account, (balances.get(account) || 0n) + amount);
+    };
+
+    for (const e of this.storage.getEvents()) {
+      if (e.contract !== contractAddress) continue;
+
+      for (const { from, to, id, amount } of this._balanceChanges(e)) {
+        if (tokenId === undefined ? id !== null : id !== String(tokenId)) continue;
+        add(from, -amount);
+        add(to, amount);
+      }
+    }
+
+    const holders = Array.from(balances.entries())
+      .filter(([, balance]) => balance > 0n)
+      .sort((a, b) => (a[1] < b[1] ? 1 : a[1] > b[1] ? -1 : 0))
+      .map(([holder, balance]) => ({ address: holder, balance: balance.toString() }));
+
+    return limit ? holders.slice(0, limit) : holders;
+  }
+
+  /**
+   * Current owner of every ERC-721 token of a collection
+   */
+  async getNFTOwners(contract) {
+    await this._ready;
+
+    const owners = this._erc721Owners(getAddress(contract));
+
+    return Array.from(owners.entries())
+      .map(([tokenId, owner]) => ({ tokenId, owner }))
+      .sort((a, b) => (BigInt(a.tokenId) < BigInt(b.tokenId) ? -1 : 1));
+  }
+
+  /**
+   * ERC-721 tokens and ERC-1155 balances held by an address across indexed contracts
+   */
+  async getNFTsOwnedBy(address) {
+    await this._ready;
+
+    const owner = getAddress(address);
+    const erc721 = [];
+    const erc1155 = new Map();
+
+    for (const { address: contract } of this.storage.getContracts()) {
+      for (const [tokenId, current] of this._erc721Owners(contract)) {
+        if (current === owner) erc721.push({ contract, tokenId });
+      }
+    }
+
+    for (const e of this.storage.getEvents()) {
+      if (e.standard !== 'erc1155') continue;
+
+      for (const { from, to, id, amount } of this._balanceChanges(e)) {
+        const key = `${e.contract}:${id}`;
+        if (from === owner) erc1155.set(key, (erc1155.get(key) || 0n) - amount);
+        if (to === owner) erc1155.set(key, (erc1155.get(key) || 0n) + amount);
+      }
+    }
+
+    return {
+      address: owner,
+      erc721,
+      erc1155: Array.from(erc1155.entries())
+        .filter(([, amount]) => amount > 0n)
+        .map(([key, amount]) => {
+          const [contract, tokenId] = key.split(':');
+          return { contract, tokenId, amount: amount.toString() };
+        })
+    };
+  }
+
+  /**
+   * Paused state from the latest Paused/Unpaused event (null if never seen)
+   */
+  async isPaused(contract) {
+    await this._ready;
+
+    const contractAddress = getAddress(contract);
+    const latest = this.storage.getEvents()
+      .filter(e => e.contract === contractAddress && (e.event === 'Paused' || e.event === 'Unpaused'))
+      .pop();
+
+    return latest ? latest.event === 'Paused' : null;
+  }
+
+  /**
+   * Indexer progress summary
+   */
+  async getStatus() {
+    await this._ready;
+
+    return {
+      checkpoint: this.storage.getCheckpoint(),
+      contracts: this.storage.getContracts().length,
+      events: this.storage.getEvents().length,
+      running: this.isRunning(),
+      syncing: this._syncing !== null
+    };
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _sync(toBlock) {
+    try {
+      const head = Number(await this.client.getBlockNumber()) - this.config.confirmations;
+      const target = toBlock !== undefined ? Math.min(Number(toBlock), head) : head;
+
+      const reorg = await this._checkReorg();
+
+      const contracts = this.storage.getContracts();
+      if (contracts.length === 0 || target < 0) {
+        return { fromBlock: null, toBlock: target, newEvents: 0, reorg };
+      }
+
+      const startBlock = Math.min(...contracts.map(c => Math.max(c.lastBlock + 1, c.fromBlock)));
+      let newEvents = 0;
+
+      for (let from = startBlock; from <= target; from += this.config.batchSize) {
+        const to = Math.min(from + this.config.batchSize - 1, target);
+        newEvents += await this._scanRange(from, to);
+      }
+
+      const summary = {
+        fromBlock: startBlock <= target ? startBlock : null,
+        toBlock: target,
+        newEvents,
+        reorg,
+        checkpoint: this.storage.getCheckpoint()
+      };
+
+      if (newEvents > 0) {
+        console.log(`📚 Indexed ${newEvents} events up to block ${target}`);
+      }
+      this.emit('sync', summary);
+
+      return summary;
+
+    } catch (error) {
+      throw new Error(`Indexer sync failed: ${error.message}`);
+    }
+  }
+
+  async _scanRange(from, to) {
+    const active = this.storage.getContracts().filter(c => c.lastBlock < to && c.fromBlock <= to);
+    let added = [];
+
+    if (active.length > 0) {
+      const logs = await this.client.getLogs({
+        address: active.map(c => c.address),
+        fromBlock: BigInt(from),
+        toBlock: BigInt(to)
+      });
+
+      const events = [];
+      const blocks = new Map();
+
+      for (const log of logs) {
+        const contract = this.storage.getContract(getAddress(log.address));
+        const blockNumber = Number(log.blockNumber);
+
+        // Already covered by an earlier sync, or before the contract was registered
+        if (!contract || blockNumber <= contract.lastBlock || blockNumber < contract.fromBlock) continue;
+
+        const event = this._decodeLog(log);
+        if (!event) continue;
+
+        if (!blocks.has(blockNumber)) {
+          blocks.set(blockNumber, await this.client.getBlock({ blockNumber: log.blockNumber }));
+        }
+        event.timestamp = Number(blocks.get(blockNumber).timestamp);
+
+        if (contract.type === 'unknown' && event.standard) contract.type = event.standard;
+        events.push(event);
+      }
+
+      // Blocks with events are reorg check points too
+      for (const [blockNumber, block] of blocks) {
+        this.storage.recordBlock({ blockNumber, blockHash: block.hash }, this.config.reorgDepth);
+      }
+
+      added = this.storage.addEvents(events);
+      active.forEach(c => { c.lastBlock = to; });
+    }
+
+    const endBlock = await this.client.getBlock({ blockNumber: BigInt(to) });
+    this.storage.setCheckpoint({ blockNumber: to, blockHash: endBlock.hash }, this.config.reorgDepth);
+    await this.storage.save();
+
+    added.forEach(event => this.emit('event', event));
+
+    return added.length;
+  }
+
+  /**
+   * Compare stored block hashes with the chain; roll back to the newest
+   * block that still matches
+   */
+  async _checkReorg() {
+    const blocks = this.storage.getRecentBlocks();
+    if (blocks.length === 0) return null;
+
+    const latest = blocks[blocks.length - 1];
+    if (await this._getBlockHash(latest.blockNumber) === latest.blockHash) return null;
+
+    let ancestor = null;
+    for (let i = blocks.length - 2; i >= 0; i--) {
+      if (await this._getBlockHash(blocks[i].blockNumber) === blocks[i].blockHash) {
+        ancestor = blocks[i];
+        break;
+      }
+    }
+
+    // Deeper than the kept hashes - rescan everything we can't vouch for
+    const rollbackTo = ancestor ? ancestor.blockNumber : blocks[0].blockNumber - 1;
+    const removedEvents = this.storage.rollback(rollbackTo);
+    await this.storage.save();
+
+    const reorg = { detectedAt: latest.blockNumber, rolledBackTo: rollbackTo, removedEvents };
+    console.log(`🔀 Reorg detected at block ${latest.blockNumber}, rolled back to ${rollbackTo} (${removedEvents} events removed)`);
+    this.emit('reorg', reorg);
+
+    return reorg;
+  }
+
+  async _getBlockHash(blockNumber) {
+    try {
+      const block = await this.client.getBlock({ blockNumber: BigInt(blockNumber) });
+      return block?.hash || null;
+    } catch {
+      return null; // Block no longer exists (chain got shorter)
+    }
+  }
+
+  _decodeLog(log) {
+    const definition = INDEXED_EVENTS[log.topics[0]];
+    if (!definition) return null;
+
+    let abi = definition.abi;
+    let standard = definition.standard || null;
+
+    if (definition.name === 'Transfer') {
+      const isERC721 = log.topics.length === 4;
+      abi = isERC721 ? ERC721_TRANSFER : ERC20_TRANSFER;
+      standard = isERC721 ? 'erc721' : 'erc20';
+    }
+
+    try {
+      const { args } = decodeEventLog({ abi, data: log.data, topics: log.topics });
+
+      return {
+        id: `${log.transactionHash}:${log.logIndex}`,
+        contract: getAddress(log.address),
+        event: definition.name,
+        standard,
+        args: this._serializeArgs(args),
+        blockNumber: Number(log.blockNumber),
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.logIndex)
+      };
+    } catch {
+      return null; // Same selector, different layout - not ours
+    }
+  }
+
+  _serializeArgs(args) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(args)) {
+      serialized[key] = Array.isArray(value)
+        ? value.map(v => v.toString())
+        : typeof value === 'bigint' ? value.toString() : value;
+    }
+    return serialized;
+  }
+
+  /**
+   * Fungible balance movements of an event: { from, to, id (null for ERC-20), amount }
+   */
+  _balanceChanges(event) {
+    const { args } = event;
+
+    switch (event.standard === 'erc721' ? null : event.event) {
+      case 'Transfer':
+        return [{ from: args.from, to: args.to, id: null, amount: BigInt(args.value) }];
+      case 'TransferSingle':
+        return [{ from: args.from, to: args.to, id: args.id, amount: BigInt(args.value) }];
+      case 'TransferBatch':
+        return args.ids.map((id, i) => ({ from: args.from, to: args.to, id, amount: BigInt(args.values[i]) }));
+      default:
+        return [];
+    }
+  }
+
+  _erc721Owners(contract) {
+    const owners = new Map();
+
+    for (const e of this.storage.getEvents()) {
+      if (e.contract !== contract || e.standard !== 'erc721') continue;
+
+      if (e.args.to === zeroAddress) {
+        owners.delete(e.args.tokenId); // Burned
+      } else {
+        owners.set(e.args.tokenId, e.args.to);
+      }
+    }
+
+    return owners;
+  }
+
+  _involves(event, account) {
+    const { from, to, operator, account: actor } = event.args;
+    return from === account || to === account || operator === account || actor === account;
+  }
+}
@@ -0,0 +1,404 @@
+import { EventEmitter } from 'events';
+import { createPublicClient, decodeEventLog, getAddress, webSocket } from 'viem';
+import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
+import { NFTCompiler } from '../compiler/NFTCompiler.js';
+import { ERC1155Compiler } from '../compiler/ERC1155Compiler.js';
+
+/**
+ * A single contract event subscription. Logs are queued and handed to the
+ * handler one at a time; `lastBlock` only advances once every event up to
+ * that block has been handled, so `fromBlock: lastBlock + 1` resumes safely.
+ */
+class EventSubscription {
+  constructor(manager, { id, address, eventName, handler, abis, nextBlock, maxQueueSize, onError }) {
+    this.manager = manager;
+    this.id = id;
+    this.address = address;
+    this.eventName = eventName;
+    this.handler = handler;
+    this.abis = abis;
+    this.nextBlock = nextBlock;     // next block to fetch logs for
+    this.lastBlock = nextBlock - 1; // last block fully handled
+    this.maxQueueSize = maxQueueSize;
+    this.onError = onError;
+
+    this.queue = [];
+    this.active = true;
+    this.paused = false;
+    this.processing = false;
+    this.throttled = false;
+    this.delivered = 0;
+    this.errors = 0;
+  }
+
+  /**
+   * Stop receiving events (queued events are dropped)
+   */
+  unsubscribe() {
+    return this.manager.unsubscribe(this.id);
+  }
+
+  /**
+   * Stop fetching new logs; queued events still drain
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.manager.poll().catch(error => console.warn(`Event polling failed: ${error.message}`));
+  }
+
+  /**
+   * Where to resume from after a restart
+   */
+  getCursor() {
+    return { lastBlock: this.lastBlock, fromBlock: this.lastBlock + 1 };
+  }
+
+  /**
+   * Queued events not yet handed to the handler
+   */
+  getQueueSize() {
+    return this.queue.filter(item => item.checkpoint === undefined).length;
+  }
+
+  isSaturated() {
+    return this.getQueueSize() >= this.maxQueueSize;
+  }
+}
+
+/**
+ * Contract event subscriptions decoded against the kit's contract ABIs.
+ * New blocks are detected with eth_subscribe('newHeads') when a WebSocket
+ * URL is configured and by polling otherwise; logs are always fetched with
+ * eth_getLogs so a missed notification can never drop events.
+ *
+ * Events: 'error' ({ subscription, event, error }), 'backpressure' (subscription)
+ */
+export class EventSubscriptionManager extends EventEmitter {
+  constructor(client, config = {}) {
+    super();
+
+    this.client = client;
+    this.config = {
+      pollInterval: 4000,   // ms between polls without WebSocket
+      batchSize: 2000,      // blocks per eth_getLogs request
+      maxQueueSize: 1000,   // queued events per subscription before fetching pauses
+      confirmations: 0,     // deliver events this many blocks behind the head
+      wsUrl: null,
+      ...config
+    };
+
+    this.subscriptions = new Map(); // id -> EventSubscription
+    this.abis = new Map();          // address -> abi
+    this._nextId = 1;
+    this._polling = false;
+    this._repoll = false;
+    this._timer = null;
+    this._unwatch = null;
+  }
+
+  /**
+   * Use a specific ABI for a contract (e.g. a feature-built ERC-20)
+   */
+  registerAbi(address, abi) {
+    this.abis.set(getAddress(address), abi);
+  }
+
+  /**
+   * Subscribe to an event of a contract ('*' for every event in its ABI).
+   * Options: { abi, fromBlock, maxQueueSize, onError }
+   */
+  async subscribe(address, eventName, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('Event handler must be a function');
+    }
+
+    const contractAddress = getAddress(address);
+    const abis = this._resolveAbis(contractAddress, options.abi);
+
+    if (eventName !== '*' && !abis.some(abi => abi.some(item => item.type === 'event' && item.name === eventName))) {
+      throw new Error(`Event "${eventName}" not found in the ABI for ${contractAddress}`);
+    }
+
+    const nextBlock = options.fromBlock !== undefined
+      ? Number(options.fromBlock)
+      : Number(await this.client.getBlockNumber()) - this.config.confirmations + 1;
+
+    const subscription = new EventSubscription(this, {
+      id: this._nextId++,
+      address: contractAddress,
+      eventName,
+      handler,
+      abis,
+      nextBlock,
+      maxQueueSize: options.maxQueueSize || this.config.maxQueueSize,
+      onError: options.onError
+    });
+
+    this.subscriptions.set(subscription.id, subscription);
+    console.log(`👂 Subscribed to ${eventName} on ${contractAddress} from block ${nextBlock}`);
+
+    this._startWatching();
+
+    // Backfill right away when resuming from an older block
+    this.poll().catch(error => console.warn(`Event polling failed: ${error.message}`));
+
+    return subscription;
+  }
+
+  /**
+   * Remove a subscription (by id or subscription object)
+   */
+  unsubscribe(idOrSubscription) {
+    const id = typeof idOrSubscription === 'object' ? idOrSubscription.id : idOrSubscription;
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) return false;
+
+    subscription.active = false;
+    subscription.queue = [];
+    this.subscriptions.delete(id);
+
+    if (this.subscriptions.size === 0) this._stopWatching();
+
+    return true;
+  }
+
+  /**
+   * Remove every subscription
+   */
+  unsubscribeAll() {
+    for (const id of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(id);
+    }
+  }
+
+  /**
+   * Summary of active subscriptions
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.values()).map(s => ({
+      id: s.id,
+      address: s.address,
+      eventName: s.eventName,
+      lastBlock: s.lastBlock,
+      queued: s.getQueueSize(),
+      delivered: s.delivered,
+      errors: s.errors,
+      paused: s.paused
+    }));
+  }
+
+  /**
+   * Fetch new logs for every subscription that has room in its queue
+   */
+  async poll() {
+    if (this._polling) {
+      this._repoll = true;
+      return;
+    }
+    this._polling = true;
+
+    try {
+      do {
+        this._repoll = false;
+
+        const head = Number(await this.client.getBlockNumber()) - this.config.confirmations;
+
+        // Subscriptions on the same contract at the same position share one request
+        const groups = new Map();
+        for (const subscription of this.subscriptions.values()) {
+          if (subscription.paused || subscription.nextBlock > head) continue;
+
+          if (subscription.isSaturated()) {
+            if (!subscription.throttled) this.emit('backpressure', subscription);
+            subscription.throttled = true;
+            continue;
+          }
+
+          const key = `${subscription.address}:${subscription.nextBlock}`;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(subscription);
+        }
+
+        for (const subscriptions of groups.values()) {
+          const { address, nextBlock } = subscriptions[0];
+          const toBlock = Math.min(nextBlock + this.config.batchSize - 1, head);
+
+          const logs = await this.client.getLogs({
+            address,
+            fromBlock: BigInt(nextBlock),
+            toBlock: BigInt(toBlock)
+          });
+
+          for (const subscription of subscriptions) {
+            if (!subscription.active) continue;
+            this._enqueue(subscription, logs, toBlock);
+            if (toBlock < head) this._repoll = true; // Still catching up
+          }
+        }
+      } while (this._repoll && this.subscriptions.size > 0);
+
+    } finally {
+      this._polling = false;
+    }
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _enqueue(subscription, logs, toBlock) {
+    for (const log of logs) {
+      const event = this._decode(log, subscription.abis);
+      if (!event) continue;
+      if (subscription.eventName !== '*' && event.eventName !== subscription.eventName) continue;
+      subscription.queue.push(event);
+    }
+
+    // Marks the range as handled once everything before it has been processed
+    subscription.queue.push({ checkpoint: toBlock });
+    subscription.nextBlock = toBlock + 1;
+
+    this._drain(subscription).catch(error => console.warn(`⚠️ ${subscription.eventName} delivery stopped: ${error.message}`));
+  }
+
+  /**
+   * Hand queued events to the handler one at a time, so a slow handler
+   * holds back fetching instead of piling up unbounded work
+   */
+  async _drain(subscription) {
+    if (subscription.processing) return;
+    subscription.processing = true;
+
+    try {
+      while (subscription.active && subscription.queue.length > 0) {
+        const item = subscription.queue.shift();
+
+        if (item.checkpoint !== undefined) {
+          subscription.lastBlock = item.checkpoint;
+          continue;
+        }
+
+        try {
+          await subscription.handler(item, subscription);
+          subscription.delivered++;
+        } catch (error) {
+          subscription.errors++;
+          this._reportError(subscription, item, error);
+        }
+      }
+    } finally {
+      subscription.processing = false;
+    }
+
+    // Fetching stopped while the queue was full - pick it back up
+    if (subscription.throttled && subscription.active) {
+      subscription.throttled = false;
+      this.poll().catch(error => console.warn(`Event polling failed: ${error.message}`));
+    }
+  }
+
+  _reportError(subscription, event, error) {
+    if (subscription.onError) {
+      // A throwing error callback must not stop delivery of later events
+      try {
+        subscription.onError(error, event);
+      } catch (callbackError) {
+        console.warn(`⚠️ ${subscription.eventName} onError callback failed: ${callbackError.message}`);
+      }
+    } else if (this.listenerCount('error') > 0) {
+      this.emit('error', { subscription, event, error });
+    } else {
+      console.warn(`⚠️ ${subscription.eventName} handler failed for ${event.transactionHash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode a log with the first ABI that matches it (ERC-20 and ERC-721
+   * Transfer share a selector but differ in indexed topics)
+   */
+  _decode(log, abis) {
+    for (const abi of abis) {
+      try {
+        const { eventName, args } = decodeEventLog({ abi, data: log.data, topics: log.topics, strict: true });
+
+        return {
+          eventName,
+          args,
+          address: getAddress(log.address),
+          blockNumber: Number(log.blockNumber),
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: Number(log.logIndex)
+        };
+      } catch {
+        // Try the next ABI
+      }
+    }
+    return null;
+  }
+
+  _resolveAbis(address, abi) {
+    if (abi) return [abi];
+    if (this.abis.has(address)) return [this.abis.get(address)];
+
+    // Unknown contract - try the ABIs of every contract type the kit deploys
+    return [
+      SolidityCompiler.getOpenZeppelinERC20ABI(),
+      NFTCompiler.getOpenZeppelinERC721ABI(),
+      ERC1155Compiler.getOpenZeppelinERC1155ABI()
+    ];
+  }
+
+  _startWatching() {
+    if (this._timer || this._unwatch) return;
+
+    const onTick = () => this.poll().catch(error => console.warn(`Event polling failed: ${error.message}`));
+
+    if (this.config.wsUrl) {
+      try {
+        const wsClient = createPublicClient({
+          chain: this.client.chain,
+          transport: webSocket(this.config.wsUrl)
+        });
+
+        this._unwatch = wsClient.watchBlockNumber({
+          poll: false,
+          onBlockNumber: onTick,
+          onError: (error) => {
+            console.warn(`⚠️ newHeads subscription failed, falling back to polling: ${error.message}`);
+            this._unwatch?.();
+            this._unwatch = null;
+            this._startPolling(onTick);
+          }
+        });
+        return;
+      } catch (error) {
+        console.warn(`⚠️ WebSocket unavailable, falling back to polling: ${error.message}`);
+      }
+    }
+
+    this._startPolling(onTick);
+  }
+
+  _startPolling(onTick) {
+    if (this._timer || this.subscriptions.size === 0) return;
+
+    this._timer = setInterval(onTick, this.config.pollInterval);
+
+    // Don't keep the process alive just for subscriptions
+    this._timer.unref?.();
+  }
+
+  _stopWatching() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (this._unwatch) {
+      this._unwatch();
+      this._unwatch = null;
+    }
+  }
+}
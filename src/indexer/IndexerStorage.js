@@ -0,0 +1,180 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const STORE_VERSION = 1;
+
+/**
+ * JSON-file store for the event indexer. Everything is kept in memory; with
+ * enableFileStorage it is loaded from storageDir and flushed after each
+ * scanned batch. Writes go to a temp file first so a crash mid-write never
+ * leaves a half-written store behind.
+ */
+export class IndexerStorage {
+  constructor(config = {}) {
+    this.config = {
+      storageDir: config.storageDir || './indexer_data',
+      enableFileStorage: config.enableFileStorage === true, // Default false: index in memory only
+      ...config
+    };
+
+    this.data = this._emptyStore();
+    this.filepath = null;
+  }
+
+  /**
+   * Load the store for a chain (creates an empty one if missing)
+   */
+  async load(chainId) {
+    this.filepath = path.join(this.config.storageDir, `events_${chainId}.json`);
+    this.data = this._emptyStore(chainId);
+
+    if (!this.config.enableFileStorage) {
+      return this.data;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filepath, 'utf8'));
+
+      if (stored.version !== STORE_VERSION) {
+        console.warn(`⚠️ Ignoring indexer store with version ${stored.version}`);
+        return this.data;
+      }
+
+      this.data = { ...this.data, ...stored };
+      console.log(`📁 Indexer store loaded: ${this.data.events.length} events, checkpoint ${this.data.checkpoint?.blockNumber ?? 'none'}`);
+      return this.data;
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.data; // Fresh store
+      }
+      throw new Error(`Failed to load indexer store: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flush the store to disk
+   */
+  async save() {
+    if (!this.config.enableFileStorage || !this.filepath) {
+      return { saved: false, reason: 'File storage disabled' };
+    }
+
+    try {
+      await fs.mkdir(this.config.storageDir, { recursive: true });
+
+      const tmpPath = `${this.filepath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(this.data));
+      await fs.rename(tmpPath, this.filepath);
+
+      return { saved: true, filepath: this.filepath };
+
+    } catch (error) {
+      throw new Error(`Failed to save indexer store: ${error.message}`);
+    }
+  }
+
+  // ========== CONTRACTS ==========
+
+  getContract(address) {
+    return this.data.contracts[address] || null;
+  }
+
+  getContracts() {
+    return Object.values(this.data.contracts);
+  }
+
+  setContract(contract) {
+    this.data.contracts[contract.address] = contract;
+    return contract;
+  }
+
+  removeContract(address) {
+    const existed = Boolean(this.data.contracts[address]);
+    delete this.data.contracts[address];
+    this.data.events = this.data.events.filter(e => e.contract !== address);
+    return existed;
+  }
+
+  // ========== EVENTS ==========
+
+  /**
+   * Add decoded events, skipping ones already stored (same tx + log index)
+   */
+  addEvents(events) {
+    const known = new Set(this.data.events.map(e => e.id));
+    const added = events.filter(e => !known.has(e.id));
+
+    this.data.events.push(...added);
+    this.data.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    return added;
+  }
+
+  getEvents() {
+    return this.data.events;
+  }
+
+  // ========== CHECKPOINTS ==========
+
+  getCheckpoint() {
+    return this.data.checkpoint;
+  }
+
+  /**
+   * Advance the checkpoint and remember the block hash for reorg checks
+   */
+  setCheckpoint(block, keepBlocks) {
+    if (!this.data.checkpoint || block.blockNumber >= this.data.checkpoint.blockNumber) {
+      this.data.checkpoint = block;
+    }
+    this.recordBlock(block, keepBlocks);
+  }
+
+  /**
+   * Remember a block hash (block numbers the indexer has seen, newest last)
+   */
+  recordBlock(block, keepBlocks) {
+    const blocks = this.data.recentBlocks.filter(b => b.blockNumber !== block.blockNumber);
+    blocks.push({ blockNumber: block.blockNumber, blockHash: block.blockHash });
+    blocks.sort((a, b) => a.blockNumber - b.blockNumber);
+
+    this.data.recentBlocks = blocks.slice(-keepBlocks);
+  }
+
+  getRecentBlocks() {
+    return this.data.recentBlocks;
+  }
+
+  /**
+   * Drop everything after a block (chain reorganisation)
+   */
+  rollback(blockNumber) {
+    const before = this.data.events.length;
+
+    this.data.events = this.data.events.filter(e => e.blockNumber <= blockNumber);
+    this.data.recentBlocks = this.data.recentBlocks.filter(b => b.blockNumber <= blockNumber);
+
+    for (const contract of Object.values(this.data.contracts)) {
+      if (contract.lastBlock > blockNumber) contract.lastBlock = blockNumber;
+    }
+
+    const ancestor = this.data.recentBlocks[this.data.recentBlocks.length - 1];
+    this.data.checkpoint = ancestor && ancestor.blockNumber === blockNumber ? { ...ancestor } : null;
+
+    return before - this.data.events.length;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _emptyStore(chainId = null) {
+    return {
+      version: STORE_VERSION,
+      chainId,
+      checkpoint: null,  // { blockNumber, blockHash } - highest fully indexed block
+      recentBlocks: [],  // block hashes kept to detect reorgs
+      contracts: {},     // address -> { address, type, name, fromBlock, lastBlock }
+      events: []
+    };
+  }
+}
@@ -0,0 +1,686 @@
+import { parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters, decodeEventLog, getAddress, zeroAddress } from 'viem';
+import { MarketplaceCompiler } from '../compiler/MarketplaceCompiler.js';
+import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
+import { NFTCompiler } from '../compiler/NFTCompiler.js';
+import { createSignerClient } from '../signer/resolveSigner.js';
+
+const PAGE_SIZE = 100n;
+
+/**
+ * Peer-to-peer trading of game items (ERC-721 and ERC-1155). Listings and
+ * offers never leave the owner's wallet: the marketplace settles a trade
+ * in one transaction using the seller's operator approval and the buyer's
+ * ETH or ERC-20 payment, taking a fee and paying EIP-2981 royalties.
+ */
+export class MarketplaceManager {
+  constructor(client, chain) {
+    this.client = client;
+    this.chain = chain;
+  }
+
+  /**
+   * Deploy a marketplace. feeBps is the protocol fee (max 1000 = 10%),
+   * paid to feeRecipient (defaults to the owner).
+   */
+  async deployMarketplace({
+    deployerPrivateKey,
+    signer,
+    feeStrategy,
+    feeBps = 250,
+    feeRecipient = null,
+    owner = null
+  }) {
+    try {
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
+      this._validateFeeBps(feeBps);
+
+      console.log(`🔨 Compiling marketplace...`);
+
+      const compiled = MarketplaceCompiler.compileMarketplace();
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
+      const marketplaceOwner = owner || account.address;
+
+      console.log(`🚀 Deploying marketplace from ${account.address}...`);
+
+      const constructorParams = encodeAbiParameters(
+        [
+          { type: 'address' },   // owner
+          { type: 'uint256' },   // fee (basis points)
+          { type: 'address' }    // fee recipient
+        ],
+        [marketplaceOwner, BigInt(feeBps), feeRecipient || marketplaceOwner]
+      );
+
+      const hash = await walletClient.sendTransaction({
+        to: null, // Contract creation
+        data: this._serializeForUmi(compiled.bytecode + constructorParams.slice(2)),
+        gas: 3000000n,
+      });
+
+      console.log(`📝 Transaction hash: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      console.log(`✅ Marketplace deployed at: ${receipt.contractAddress}`);
+
+      return {
+        hash,
+        contractAddress: receipt.contractAddress,
+        deployer: account.address,
+        owner: marketplaceOwner,
+        feeBps,
+        feeRecipient: feeRecipient || marketplaceOwner,
+        type: 'Marketplace',
+        abi: compiled.abi
+      };
+
+    } catch (error) {
+      throw new Error(`Marketplace deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the protocol fee and/or its recipient (marketplace owner only)
+   */
+  async setMarketplaceFee({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    feeBps,
+    feeRecipient
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      this._validateFeeBps(feeBps);
+
+      const { walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+      const recipient = feeRecipient || await this._read(contractAddress, 'feeRecipient');
+
+      const result = await this._sendMarketCall(walletClient, contractAddress, 'setFee', [BigInt(feeBps), recipient], 80000n);
+
+      console.log(`💸 Marketplace fee set to ${feeBps / 100}%: ${result.hash}`);
+
+      return { hash: result.hash, success: result.success, contractAddress, feeBps, feeRecipient: recipient, type: 'marketplace_fee' };
+
+    } catch (error) {
+      throw new Error(`Failed to set marketplace fee: ${error.message}`);
+    }
+  }
+
+  /**
+   * List an item at a fixed price per unit. paymentToken null = ETH.
+   * quantity > 1 is only valid for ERC-1155; buyers can fill it partially.
+   * Expiry is optional: expiresIn (seconds from now) or expiresAt (unix / Date).
+   */
+  async listItem({
+    sellerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    nftAddress,
+    tokenId,
+    quantity = 1,
+    price,
+    paymentToken = null,
+    expiresIn,
+    expiresAt
+  }) {
+    try {
+      if (!signer && !sellerPrivateKey) throw new Error('Seller signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (!nftAddress) throw new Error('NFT contract address required');
+      if (tokenId === undefined || tokenId === null) throw new Error('Token ID required');
+      if (!price) throw new Error('Price required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || sellerPrivateKey, feeStrategy);
+      const pricePerUnit = await this._toPaymentUnits(paymentToken, price);
+      const expiry = this._toExpiry(expiresIn, expiresAt);
+
+      await this._ensureNFTApproval(walletClient, account.address, nftAddress, contractAddress);
+
+      const result = await this._sendMarketCall(
+        walletClient,
+        contractAddress,
+        'createListing',
+        [nftAddress, BigInt(tokenId), BigInt(quantity), pricePerUnit, paymentToken || zeroAddress, expiry],
+        300000n
+      );
+      const listingId = this._getEventArg(result.receipt, 'ListingCreated', 'listingId');
+
+      console.log(`🏷️ Listed token ${tokenId} x${quantity} for ${price} ${paymentToken ? 'tokens' : 'ETH'} each: ${result.hash}`);
+
+      return {
+        hash: result.hash,
+        success: result.success,
+        listingId,
+        seller: account.address,
+        contractAddress,
+        nftAddress,
+        tokenId: tokenId.toString(),
+        quantity: quantity.toString(),
+        price: price.toString(),
+        paymentToken: paymentToken || null,
+        expiresAt: expiry ? Number(expiry) : null,
+        type: 'marketplace_listing'
+      };
+
+    } catch (error) {
+      throw new Error(`Listing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buy a listing (or part of an ERC-1155 listing). ETH is sent with the
+   * call; ERC-20 listings are approved for the exact total first.
+   */
+  async buyItem({
+    buyerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    listingId,
+    quantity
+  }) {
+    try {
+      if (!signer && !buyerPrivateKey) throw new Error('Buyer signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (listingId === undefined || listingId === null) throw new Error('Listing ID required');
+
+      const listing = await this._read(contractAddress, 'getListing', [BigInt(listingId)]);
+      this._assertOpen(listing, 'Listing');
+
+      const units = quantity !== undefined ? BigInt(quantity) : listing.quantity;
+      if (units <= 0n || units > listing.quantity) {
+        throw new Error(`Quantity must be between 1 and ${listing.quantity}`);
+      }
+
+      const { account, walletClient } = await this._createWalletClient(signer || buyerPrivateKey, feeStrategy);
+      const total = listing.pricePerUnit * units;
+      const paysInETH = listing.paymentToken === zeroAddress;
+
+      if (!paysInETH) {
+        await this._ensureTokenAllowance(walletClient, account.address, listing.paymentToken, contractAddress, total);
+      }
+
+      const result = await this._sendMarketCall(
+        walletClient,
+        contractAddress,
+        'buy',
+        [BigInt(listingId), units],
+        400000n,
+        paysInETH ? total : 0n
+      );
+      const totalPrice = await this._formatPayment(listing.paymentToken, total);
+
+      console.log(`🛒 Bought listing #${listingId} x${units} for ${totalPrice}: ${result.hash}`);
+
+      return {
+        hash: result.hash,
+        success: result.success,
+        listingId: listingId.toString(),
+        buyer: account.address,
+        seller: listing.seller,
+        nftAddress: listing.nft,
+        tokenId: listing.tokenId.toString(),
+        quantity: units.toString(),
+        totalPrice,
+        paymentToken: paysInETH ? null : listing.paymentToken,
+        contractAddress,
+        type: 'marketplace_purchase'
+      };
+
+    } catch (error) {
+      throw new Error(`Purchase failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a listing (seller or marketplace owner)
+   */
+  async cancelListing({
+    sellerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    listingId
+  }) {
+    try {
+      if (!signer && !sellerPrivateKey) throw new Error('Seller signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (listingId === undefined || listingId === null) throw new Error('Listing ID required');
+
+      const { walletClient } = await this._createWalletClient(signer || sellerPrivateKey, feeStrategy);
+      const result = await this._sendMarketCall(walletClient, contractAddress, 'cancelListing', [BigInt(listingId)], 80000n);
+
+      console.log(`🚫 Cancelled listing #${listingId}: ${result.hash}`);
+
+      return { hash: result.hash, success: result.success, listingId: listingId.toString(), contractAddress, type: 'marketplace_listing_cancel' };
+
+    } catch (error) {
+      throw new Error(`Failed to cancel listing: ${error.message}`);
+    }
+  }
+
+  /**
+   * Offer an ERC-20 price for an item, listed or not. The tokens stay in
+   * the buyer's wallet (allowance only) until the holder accepts.
+   */
+  async makeOffer({
+    buyerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    nftAddress,
+    tokenId,
+    quantity = 1,
+    price,
+    paymentToken,
+    expiresIn,
+    expiresAt
+  }) {
+    try {
+      if (!signer && !buyerPrivateKey) throw new Error('Buyer signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (!nftAddress) throw new Error('NFT contract address required');
+      if (tokenId === undefined || tokenId === null) throw new Error('Token ID required');
+      if (!price) throw new Error('Price required');
+      if (!paymentToken) throw new Error('Offers are paid in an ERC-20 token: payment token required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || buyerPrivateKey, feeStrategy);
+      const pricePerUnit = await this._toPaymentUnits(paymentToken, price);
+      const expiry = this._toExpiry(expiresIn, expiresAt);
+
+      await this._ensureTokenAllowance(walletClient, account.address, paymentToken, contractAddress, pricePerUnit * BigInt(quantity));
+
+      const result = await this._sendMarketCall(
+        walletClient,
+        contractAddress,
+        'makeOffer',
+        [nftAddress, BigInt(tokenId), BigInt(quantity), pricePerUnit, paymentToken, expiry],
+        300000n
+      );
+      const offerId = this._getEventArg(result.receipt, 'OfferCreated', 'offerId');
+
+      console.log(`🤝 Offered ${price} each for token ${tokenId} x${quantity}: ${result.hash}`);
+
+      return {
+        hash: result.hash,
+        success: result.success,
+        offerId,
+        buyer: account.address,
+        contractAddress,
+        nftAddress,
+        tokenId: tokenId.toString(),
+        quantity: quantity.toString(),
+        price: price.toString(),
+        paymentToken,
+        expiresAt: expiry ? Number(expiry) : null,
+        type: 'marketplace_offer'
+      };
+
+    } catch (error) {
+      throw new Error(`Offer failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accept an offer on an item the caller holds (approves the marketplace
+   * as operator first if needed)
+   */
+  async acceptOffer({
+    sellerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    offerId
+  }) {
+    try {
+      if (!signer && !sellerPrivateKey) throw new Error('Seller signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (offerId === undefined || offerId === null) throw new Error('Offer ID required');
+
+      const offer = await this._read(contractAddress, 'getOffer', [BigInt(offerId)]);
+      this._assertOpen(offer, 'Offer');
+
+      const { account, walletClient } = await this._createWalletClient(signer || sellerPrivateKey, feeStrategy);
+      await this._ensureNFTApproval(walletClient, account.address, offer.nft, contractAddress);
+
+      const result = await this._sendMarketCall(walletClient, contractAddress, 'acceptOffer', [BigInt(offerId)], 400000n);
+      const totalPrice = await this._formatPayment(offer.paymentToken, offer.pricePerUnit * offer.quantity);
+
+      console.log(`✅ Accepted offer #${offerId} for ${totalPrice}: ${result.hash}`);
+
+      return {
+        hash: result.hash,
+        success: result.success,
+        offerId: offerId.toString(),
+        seller: account.address,
+        buyer: offer.buyer,
+        nftAddress: offer.nft,
+        tokenId: offer.tokenId.toString(),
+        quantity: offer.quantity.toString(),
+        totalPrice,
+        paymentToken: offer.paymentToken,
+        contractAddress,
+        type: 'marketplace_offer_accept'
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to accept offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw an offer (offer maker or marketplace owner)
+   */
+  async cancelOffer({
+    buyerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    offerId
+  }) {
+    try {
+      if (!signer && !buyerPrivateKey) throw new Error('Buyer signer or private key required');
+      if (!contractAddress) throw new Error('Marketplace address required');
+      if (offerId === undefined || offerId === null) throw new Error('Offer ID required');
+
+      const { walletClient } = await this._createWalletClient(signer || buyerPrivateKey, feeStrategy);
+      const result = await this._sendMarketCall(walletClient, contractAddress, 'cancelOffer', [BigInt(offerId)], 80000n);
+
+      console.log(`🚫 Cancelled offer #${offerId}: ${result.hash}`);
+
+      return { hash: result.hash, success: result.success, offerId: offerId.toString(), contractAddress, type: 'marketplace_offer_cancel' };
+
+    } catch (error) {
+      throw new Error(`Failed to cancel offer: ${error.message}`);
+    }
+  }
+
+  /**
+   * A single listing, formatted
+   */
+  async getListing({ contractAddress, listingId }) {
+    try {
+      const listing = await this._read(contractAddress, 'getListing', [BigInt(listingId)]);
+      return await this._formatEntry(listing, listingId, 'seller');
+
+    } catch (error) {
+      throw new Error(`Failed to get listing: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listings that can still be bought, optionally filtered by collection
+   * and/or seller
+   */
+  async getActiveListings({ contractAddress, nftAddress, seller }) {
+    try {
+      const listings = await this._readAll(contractAddress, 'listingCount', 'getListings');
+
+      const active = listings.filter(({ entry }) =>
+        this._isOpen(entry) &&
+        (!nftAddress || getAddress(entry.nft) === getAddress(nftAddress)) &&
+        (!seller || getAddress(entry.seller) === getAddress(seller))
+      );
+
+      return await Promise.all(active.map(({ entry, id }) => this._formatEntry(entry, id, 'seller')));
+
+    } catch (error) {
+      throw new Error(`Failed to get active listings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open offers, optionally filtered by item and/or offer maker
+   */
+  async getOffers({ contractAddress, nftAddress, tokenId, buyer }) {
+    try {
+      const offers = await this._readAll(contractAddress, 'offerCount', 'getOffers');
+
+      const open = offers.filter(({ entry }) =>
+        this._isOpen(entry) &&
+        (!nftAddress || getAddress(entry.nft) === getAddress(nftAddress)) &&
+        (tokenId === undefined || tokenId === null || entry.tokenId === BigInt(tokenId)) &&
+        (!buyer || getAddress(entry.buyer) === getAddress(buyer))
+      );
+
+      return await Promise.all(open.map(({ entry, id }) => this._formatEntry(entry, id, 'buyer')));
+
+    } catch (error) {
+      throw new Error(`Failed to get offers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fee settings of a marketplace
+   */
+  async getMarketplaceInfo({ contractAddress }) {
+    try {
+      const [owner, feeBps, feeRecipient, listingCount, offerCount] = await Promise.all([
+        this._read(contractAddress, 'owner'),
+        this._read(contractAddress, 'feeBps'),
+        this._read(contractAddress, 'feeRecipient'),
+        this._read(contractAddress, 'listingCount'),
+        this._read(contractAddress, 'offerCount')
+      ]);
+
+      return {
+        contractAddress,
+        owner,
+        feeBps: Number(feeBps),
+        feePercent: Number(feeBps) / 100,
+        feeRecipient,
+        listingCount: Number(listingCount),
+        offerCount: Number(offerCount)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get marketplace info: ${error.message}`);
+    }
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _validateFeeBps(feeBps) {
+    if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > 1000) {
+      throw new Error('Marketplace fee must be an integer between 0 and 1000 basis points');
+    }
+  }
+
+  _toExpiry(expiresIn, expiresAt) {
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const seconds = expiresAt instanceof Date ? Math.floor(expiresAt.getTime() / 1000) : Number(expiresAt);
+      if (!Number.isInteger(seconds) || seconds <= Math.floor(Date.now() / 1000)) {
+        throw new Error(`Expiry must be a future time: ${expiresAt}`);
+      }
+      return BigInt(seconds);
+    }
+    if (expiresIn) {
+      return BigInt(Math.floor(Date.now() / 1000) + Number(expiresIn));
+    }
+    return 0n;
+  }
+
+  _isOpen(entry) {
+    return entry.active && (entry.expiresAt === 0n || Number(entry.expiresAt) > Math.floor(Date.now() / 1000));
+  }
+
+  _assertOpen(entry, label) {
+    if (!entry.active) throw new Error(`${label} is no longer active`);
+    if (!this._isOpen(entry)) throw new Error(`${label} expired at ${new Date(Number(entry.expiresAt) * 1000).toISOString()}`);
+  }
+
+  async _formatEntry(entry, id, party) {
+    return {
+      id: id.toString(),
+      [party]: entry[party],
+      nftAddress: entry.nft,
+      tokenId: entry.tokenId.toString(),
+      quantity: entry.quantity.toString(),
+      standard: entry.is1155 ? 'ERC1155' : 'ERC721',
+      price: await this._formatPayment(entry.paymentToken, entry.pricePerUnit),
+      paymentToken: entry.paymentToken === zeroAddress ? null : entry.paymentToken,
+      currency: entry.paymentToken === zeroAddress ? 'ETH' : 'ERC20',
+      expiresAt: entry.expiresAt === 0n ? null : Number(entry.expiresAt),
+      active: this._isOpen(entry)
+    };
+  }
+
+  /**
+   * Every listing or offer with its id, read in pages
+   */
+  async _readAll(contractAddress, countFunction, pageFunction) {
+    const count = await this._read(contractAddress, countFunction);
+    const entries = [];
+
+    for (let from = 0n; from < count; from += PAGE_SIZE) {
+      const page = await this._read(contractAddress, pageFunction, [from, PAGE_SIZE]);
+      page.forEach((entry, i) => entries.push({ entry, id: from + BigInt(i) }));
+    }
+
+    return entries;
+  }
+
+  async _toPaymentUnits(paymentToken, amount) {
+    const decimals = paymentToken ? await this._getDecimals(paymentToken) : 18;
+    return parseUnits(amount.toString(), decimals);
+  }
+
+  async _formatPayment(paymentToken, value) {
+    const decimals = paymentToken && paymentToken !== zeroAddress ? await this._getDecimals(paymentToken) : 18;
+    return formatUnits(value, decimals);
+  }
+
+  _getEventArg(receipt, eventName, argName) {
+    for (const log of receipt.logs || []) {
+      try {
+        const { eventName: name, args } = decodeEventLog({
+          abi: MarketplaceCompiler.getMarketplaceABI(),
+          data: log.data,
+          topics: log.topics
+        });
+        if (name === eventName) return args[argName].toString();
+      } catch {
+        // Not a marketplace event
+      }
+    }
+    return null;
+  }
+
+  async _ensureTokenAllowance(walletClient, ownerAddress, tokenAddress, spender, value) {
+    const allowance = await this.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'allowance',
+      args: [ownerAddress, spender]
+    });
+    if (allowance >= value) return;
+
+    const hash = await walletClient.sendTransaction({
+      to: tokenAddress,
+      data: encodeFunctionData({
+        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        functionName: 'approve',
+        args: [spender, value]
+      }),
+      gas: 60000n,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+    if (receipt.status !== 'success') {
+      throw new Error(`Token approval reverted: ${hash}`);
+    }
+  }
+
+  /**
+   * setApprovalForAll / isApprovedForAll share their signatures between
+   * ERC-721 and ERC-1155, so the ERC-721 ABI covers both collections
+   */
+  async _ensureNFTApproval(walletClient, ownerAddress, collectionAddress, operator) {
+    const approved = await this.client.readContract({
+      address: collectionAddress,
+      abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+      functionName: 'isApprovedForAll',
+      args: [ownerAddress, operator]
+    });
+    if (approved) return;
+
+    const hash = await walletClient.sendTransaction({
+      to: collectionAddress,
+      data: encodeFunctionData({
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'setApprovalForAll',
+        args: [operator, true]
+      }),
+      gas: 60000n,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+    if (receipt.status !== 'success') {
+      throw new Error(`NFT approval reverted: ${hash}`);
+    }
+  }
+
+  async _sendMarketCall(walletClient, contractAddress, functionName, args, gas, value = 0n) {
+    const hash = await walletClient.sendTransaction({
+      to: contractAddress,
+      data: encodeFunctionData({
+        abi: MarketplaceCompiler.getMarketplaceABI(),
+        functionName,
+        args
+      }),
+      value,
+      gas,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+
+    return { hash, success: receipt.status === 'success', receipt };
+  }
+
+  async _read(contractAddress, functionName, args = []) {
+    return await this.client.readContract({
+      address: contractAddress,
+      abi: MarketplaceCompiler.getMarketplaceABI(),
+      functionName,
+      args
+    });
+  }
+
+  async _getDecimals(tokenAddress) {
+    return await this.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'decimals'
+    });
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Serialize bytecode for Umi network deployment
+   */
+  _serializeForUmi(bytecode) {
+    const code = Buffer.from(bytecode.replace('0x', ''), 'hex');
+
+    // Length prefix (little-endian) inside the EvmContract enum variant
+    const lengthBytes = Buffer.alloc(4);
+    lengthBytes.writeUInt32LE(code.length);
+
+    return '0x' + Buffer.concat([Buffer.from([2]), lengthBytes, code]).toString('hex');
+  }
+}
@@ -102,6 +102,114 @@ export class NotificationService {
     }
   }
 
+  /**
+   * Notify that rejections blocked a proposal
+   */
+  async notifyRejected(multisigConfig, proposal) {
+    try {
+      const message = this._createRejectedMessage(multisigConfig, proposal);
+
+      console.log('📢 PROPOSAL REJECTED NOTIFICATION');
+      console.log('=================================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'rejected');
+
+    } catch (error) {
+      console.error(`❌ Failed to send rejection notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify that the proposer withdrew a proposal
+   */
+  async notifyWithdrawn(multisigConfig, proposal) {
+    try {
+      const message = this._createWithdrawnMessage(multisigConfig, proposal);
+
+      console.log('📢 PROPOSAL WITHDRAWN NOTIFICATION');
+      console.log('==================================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'withdrawn');
+
+    } catch (error) {
+      console.error(`❌ Failed to send withdrawal notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify that a proposal was amended and needs new votes
+   */
+  async notifyAmended(multisigConfig, proposal, amendment) {
+    try {
+      const message = this._createAmendedMessage(multisigConfig, proposal, amendment);
+
+      console.log('📢 PROPOSAL AMENDED NOTIFICATION');
+      console.log('================================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'amended');
+
+    } catch (error) {
+      console.error(`❌ Failed to send amendment notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify that an approved proposal entered its timelock
+   */
+  async notifyQueued(multisigConfig, proposal) {
+    try {
+      const message = this._createQueuedMessage(multisigConfig, proposal);
+
+      console.log('📢 PROPOSAL QUEUED NOTIFICATION');
+      console.log('===============================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'queued');
+
+    } catch (error) {
+      console.error(`❌ Failed to send queued notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify that a queued proposal was vetoed
+   */
+  async notifyVeto(multisigConfig, proposal, veto) {
+    try {
+      const message = this._createVetoMessage(multisigConfig, proposal, veto);
+
+      console.log('📢 PROPOSAL VETO NOTIFICATION');
+      console.log('==============================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'veto');
+
+    } catch (error) {
+      console.error(`❌ Failed to send veto notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify that a queued proposal's timelock has passed
+   */
+  async notifyTimelockExpired(multisigConfig, proposal) {
+    try {
+      const message = this._createTimelockExpiredMessage(multisigConfig, proposal);
+
+      console.log('📢 TIMELOCK EXPIRED NOTIFICATION');
+      console.log('=================================');
+      console.log(message.text);
+
+      await this._sendToAllChannels(message, 'timelock_expired');
+
+    } catch (error) {
+      console.error(`❌ Failed to send timelock notification: ${error.message}`);
+    }
+  }
+
   /**
    * Send daily summary of pending proposals
    */
@@ -167,7 +275,10 @@ Required Approvals: ${proposal.requiredApprovals.join(', ')}
 Expires: ${new Date(proposal.expiresAt).toLocaleString()}
 
 ${this._getOperationDetails(proposal)}
-
+${proposal.transaction ? `
+Wallet: ${proposal.transaction.walletAddress}
+Wallet transaction hash: ${proposal.transaction.txHash}
+` : ''}
 ⏰ Please review and approve/reject this proposal.`;
 
     return {
@@ -200,6 +311,7 @@ Current Status:
 ✅ Approved: ${status.approved.join(', ') || 'None'}
 ⏳ Pending: ${status.pending.join(', ') || 'None'}
 ❌ Rejected: ${status.rejected.join(', ') || 'None'}
+${proposal.voting?.mode === 'weighted' ? this._getWeightLine(proposal.getWeightStatus()) : ''}
 
 ${status.canExecute ? '🚀 Ready for execution!' : `Still waiting for: ${status.pending.join(', ')}`}`;
 
@@ -270,6 +382,160 @@ Expires: ${new Date(proposal.expiresAt).toLocaleString()}
     };
   }
 
+  /**
+   * Create rejected proposal message
+   */
+  _createRejectedMessage(multisigConfig, proposal) {
+    const text = `
+🚫 PROPOSAL REJECTED
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+Proposer: ${proposal.proposerWalletName}
+
+Rejected by: ${Array.from(proposal.rejections.keys()).join(', ')} (${proposal.rejections.size}/${proposal.rejectionThreshold} needed to block)
+Reason: ${proposal.statusReason}
+
+❌ The proposal will not be executed.`;
+
+    return {
+      text,
+      type: 'rejected',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id
+    };
+  }
+
+  /**
+   * Create withdrawn proposal message
+   */
+  _createWithdrawnMessage(multisigConfig, proposal) {
+    const text = `
+↩️ PROPOSAL WITHDRAWN
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+Withdrawn by: ${proposal.proposerWalletName}
+Reason: ${proposal.statusReason}
+
+No further action is needed.`;
+
+    return {
+      text,
+      type: 'withdrawn',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id
+    };
+  }
+
+  /**
+   * Create amended proposal message
+   */
+  _createAmendedMessage(multisigConfig, proposal, amendment) {
+    const text = `
+✏️ PROPOSAL AMENDED (revision ${proposal.revision})
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+Proposer: ${proposal.proposerWalletName}
+${amendment.reason ? `Reason: ${amendment.reason}` : ''}
+
+${this._getOperationDetails(proposal)}
+${proposal.transaction ? `
+Wallet transaction hash: ${proposal.transaction.txHash}
+` : ''}
+🔄 ${amendment.clearedVotes} earlier vote(s) were cleared.
+Required Approvals: ${proposal.requiredApprovals.join(', ')}
+⏰ Please review and vote again.`;
+
+    return {
+      text,
+      type: 'amended',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id,
+      revision: proposal.revision
+    };
+  }
+
+  /**
+   * Create queued (timelocked) proposal message
+   */
+  _createQueuedMessage(multisigConfig, proposal) {
+    const text = `
+⏳ PROPOSAL QUEUED
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+
+✅ All required approvals received.
+Executable after: ${new Date(proposal.executableAt).toLocaleString()}
+${proposal.vetoRoles.length > 0 ? `Veto roles: ${proposal.vetoRoles.join(', ')}` : ''}
+
+${this._getOperationDetails(proposal)}
+
+🛑 Members with a veto role can cancel it until then.`;
+
+    return {
+      text,
+      type: 'queued',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id,
+      executableAt: proposal.executableAt
+    };
+  }
+
+  /**
+   * Create veto message
+   */
+  _createVetoMessage(multisigConfig, proposal, veto) {
+    const text = `
+🛑 PROPOSAL VETOED
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+
+Vetoed by: ${veto.walletName} (${veto.role})
+${veto.reason ? `Reason: ${veto.reason}` : ''}
+
+❌ The proposal will not be executed.`;
+
+    return {
+      text,
+      type: 'veto',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id
+    };
+  }
+
+  /**
+   * Create timelock expired message
+   */
+  _createTimelockExpiredMessage(multisigConfig, proposal) {
+    const text = `
+🔓 TIMELOCK EXPIRED
+
+Multisig: ${multisigConfig.name}
+Proposal ID: ${proposal.id}
+Operation: ${proposal.operation}
+Queued at: ${new Date(proposal.queuedAt).toLocaleString()}
+
+${this._getOperationDetails(proposal)}
+
+🚀 The proposal can now be executed.`;
+
+    return {
+      text,
+      type: 'timelock_expired',
+      multisigId: multisigConfig.id,
+      proposalId: proposal.id
+    };
+  }
+
   /**
    * Create daily summary message
    */
@@ -483,6 +749,11 @@ ${this._getOperationDetails(proposal)}`,
    */
   _getOperationDetails(proposal) {
     const { operation, params } = proposal;
+
+    // Written by the operation handler when the proposal was created
+    if (proposal.summary) {
+      return proposal.summary;
+    }
     
     switch (operation) {
       case 'createERC20Token':
@@ -497,7 +768,6 @@ Max Supply: ${params.maxSupply?.toLocaleString()}`;
 
       case 'mintNFT':
         return `Recipient: ${params.to}
-Token ID: ${params.tokenId}
 Contract: ${params.contractAddress}`;
 
       case 'transferETH':
@@ -532,7 +802,6 @@ Collection: ${result.collectionName}`;
 
       case 'nftMint':
         return `Transaction: ${result.transactionHash}
-Token ID: ${result.tokenId}
 Recipient: ${result.recipient}`;
 
       case 'ethTransfer':
@@ -546,11 +815,24 @@ Amount: ${result.amount} ETH`;
 Successful: ${result.successful}
 Failed: ${result.failed}`;
 
+      case 'walletTransaction':
+        return `Wallet: ${result.walletAddress}
+Transaction: ${result.transactionHash}
+Signed by: ${result.signers.join(', ')}`;
+
       default:
         return `Transaction completed successfully`;
     }
   }
 
+  /**
+   * Weight progress line for weighted proposals
+   */
+  _getWeightLine(weight) {
+    const quorum = weight.quorum > 0 ? `, participation ${weight.participation}/${weight.quorumWeight}` : '';
+    return `⚖️ Weight: ${weight.approved}/${weight.threshold} approving${quorum}`;
+  }
+
   /**
    * Get time left until expiration
    */
@@ -579,6 +861,12 @@ Failed: ${result.failed}`;
       execution: ':rocket:',
       urgent_proposal: ':rotating_light:',
       ready_for_execution: ':rocket:',
+      rejected: ':no_entry_sign:',
+      withdrawn: ':leftwards_arrow_with_hook:',
+      amended: ':pencil2:',
+      queued: ':hourglass_flowing_sand:',
+      veto: ':octagonal_sign:',
+      timelock_expired: ':unlock:',
       daily_summary: ':bar_chart:'
     };
     return emojis[eventType] || ':gear:';
@@ -597,6 +885,12 @@ Failed: ${result.failed}`;
       execution: '#ff9500',
       urgent_proposal: '#ff0000',
       ready_for_execution: '#ff9500',
+      rejected: '#ff0000',
+      withdrawn: '#999999',
+      amended: '#ff9500',
+      queued: '#439fe0',
+      veto: '#ff0000',
+      timelock_expired: '#ff9500',
       daily_summary: '#439fe0'
     };
     return colors[eventType] || '#439fe0';
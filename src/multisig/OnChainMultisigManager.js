@@ -0,0 +1,317 @@
+import { randomBytes } from 'crypto';
+import { encodeFunctionData, encodeAbiParameters, formatEther, getAddress, hashTypedData, recoverTypedDataAddress, concat } from 'viem';
+import { MultisigWalletCompiler, MULTISIG_WALLET_DOMAIN } from '../compiler/MultisigWalletCompiler.js';
+import { createSignerClient, resolveSigner } from '../signer/resolveSigner.js';
+
+/**
+ * Threshold multisig wallets on-chain. Funds live in the wallet contract;
+ * owners sign EIP-712 transaction hashes off-chain and any account submits
+ * execTransaction once `threshold` signatures are collected.
+ *
+ * A transaction is { to, value, data, nonce } with value in wei.
+ */
+export class OnChainMultisigManager {
+  constructor(client, chain) {
+    this.client = client;
+    this.chain = chain;
+  }
+
+  /**
+   * Deploy a multisig wallet owned by `owners` (addresses)
+   */
+  async deployMultisigWallet({
+    deployerPrivateKey,
+    signer,
+    feeStrategy,
+    owners,
+    threshold
+  }) {
+    try {
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
+      if (!Array.isArray(owners) || owners.length === 0) throw new Error('At least one owner required');
+
+      const ownerAddresses = owners.map(owner => getAddress(owner));
+      if (new Set(ownerAddresses).size !== ownerAddresses.length) throw new Error('Duplicate owner address');
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > ownerAddresses.length) {
+        throw new Error(`Threshold must be between 1 and ${ownerAddresses.length}`);
+      }
+
+      console.log(`🔨 Compiling multisig wallet...`);
+
+      const compiled = MultisigWalletCompiler.compileMultisigWallet();
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
+
+      console.log(`🚀 Deploying ${threshold}-of-${ownerAddresses.length} multisig wallet...`);
+
+      const constructorParams = encodeAbiParameters(
+        [
+          { type: 'address[]' },  // owners
+          { type: 'uint256' }     // threshold
+        ],
+        [ownerAddresses, BigInt(threshold)]
+      );
+
+      const hash = await walletClient.sendTransaction({
+        to: null, // Contract creation
+        data: this._serializeForUmi(compiled.bytecode + constructorParams.slice(2)),
+        gas: 1500000n + 50000n * BigInt(ownerAddresses.length),
+      });
+
+      console.log(`📝 Transaction hash: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      console.log(`✅ Multisig wallet deployed at: ${receipt.contractAddress}`);
+
+      return {
+        hash,
+        contractAddress: receipt.contractAddress,
+        deployer: account.address,
+        owners: ownerAddresses,
+        threshold,
+        type: 'MultisigWallet',
+        abi: compiled.abi
+      };
+
+    } catch (error) {
+      throw new Error(`Multisig wallet deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * A fresh transaction for the wallet. Nonces are single-use, not
+   * sequential, so a random one never collides with pending proposals.
+   */
+  createTransaction({ to, value = 0n, data = '0x', nonce }) {
+    if (!to) throw new Error('Transaction target required');
+
+    return {
+      to: getAddress(to),
+      value: BigInt(value).toString(),
+      data,
+      nonce: (nonce !== undefined ? BigInt(nonce) : BigInt('0x' + randomBytes(16).toString('hex'))).toString()
+    };
+  }
+
+  /**
+   * EIP-712 typed data owners sign for a wallet transaction
+   */
+  buildTransactionTypedData({ walletAddress, transaction }) {
+    return {
+      domain: {
+        ...MULTISIG_WALLET_DOMAIN,
+        chainId: this.chain.id,
+        verifyingContract: getAddress(walletAddress)
+      },
+      types: {
+        Transaction: [
+          { name: 'to', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'data', type: 'bytes' },
+          { name: 'nonce', type: 'uint256' }
+        ]
+      },
+      primaryType: 'Transaction',
+      message: {
+        to: getAddress(transaction.to),
+        value: BigInt(transaction.value || 0),
+        data: transaction.data || '0x',
+        nonce: BigInt(transaction.nonce)
+      }
+    };
+  }
+
+  /**
+   * Hash the wallet contract checks signatures against (getTransactionHash)
+   */
+  getTransactionHash({ walletAddress, transaction }) {
+    return hashTypedData(this.buildTransactionTypedData({ walletAddress, transaction }));
+  }
+
+  /**
+   * Sign a wallet transaction off-chain (no gas)
+   */
+  async signTransaction({
+    signerPrivateKey,
+    signer,
+    walletAddress,
+    transaction
+  }) {
+    try {
+      if (!signer && !signerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!walletAddress) throw new Error('Multisig wallet address required');
+
+      const ownerSigner = resolveSigner(signer || signerPrivateKey);
+      const ownerAddress = getAddress(await ownerSigner.getAddress());
+      const typedData = this.buildTransactionTypedData({ walletAddress, transaction });
+
+      const signature = await ownerSigner.signTypedData(typedData);
+
+      console.log(`✍️ Multisig transaction signed by ${ownerAddress}`);
+
+      return {
+        signer: ownerAddress,
+        signature,
+        txHash: hashTypedData(typedData)
+      };
+
+    } catch (error) {
+      throw new Error(`Multisig signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Address that produced a signature over the transaction
+   */
+  async recoverSigner({ walletAddress, transaction, signature }) {
+    return await recoverTypedDataAddress({
+      ...this.buildTransactionTypedData({ walletAddress, transaction }),
+      signature
+    });
+  }
+
+  /**
+   * Submit a transaction with owner signatures ([{ signer, signature }] or
+   * raw signatures). Signatures are verified, de-duplicated and sorted by
+   * signer address as the contract requires.
+   */
+  async execTransaction({
+    executorPrivateKey,
+    signer,
+    feeStrategy,
+    walletAddress,
+    transaction,
+    signatures,
+    gas = 500000n
+  }) {
+    try {
+      if (!signer && !executorPrivateKey) throw new Error('Executor signer or private key required');
+      if (!walletAddress) throw new Error('Multisig wallet address required');
+
+      const [threshold, owners, nonceUsed] = await Promise.all([
+        this._read(walletAddress, 'threshold'),
+        this._read(walletAddress, 'getOwners'),
+        this._read(walletAddress, 'nonceUsed', [BigInt(transaction.nonce)])
+      ]);
+      if (nonceUsed) throw new Error(`Nonce ${transaction.nonce} was already executed`);
+
+      const ownerSet = new Set(owners.map(owner => getAddress(owner)));
+      const bySigner = new Map();
+
+      for (const entry of signatures || []) {
+        const signature = typeof entry === 'string' ? entry : entry.signature;
+        const recovered = getAddress(await this.recoverSigner({ walletAddress, transaction, signature }));
+        if (ownerSet.has(recovered)) bySigner.set(recovered, signature);
+      }
+
+      if (BigInt(bySigner.size) < threshold) {
+        throw new Error(`Need ${threshold} owner signatures, have ${bySigner.size}`);
+      }
+
+      const sorted = [...bySigner.entries()]
+        .sort(([a], [b]) => (BigInt(a) < BigInt(b) ? -1 : 1))
+        .slice(0, Number(threshold));
+
+      const { account, walletClient } = await this._createWalletClient(signer || executorPrivateKey, feeStrategy);
+
+      const hash = await walletClient.sendTransaction({
+        to: walletAddress,
+        data: encodeFunctionData({
+          abi: MultisigWalletCompiler.getMultisigWalletABI(),
+          functionName: 'execTransaction',
+          args: [
+            getAddress(transaction.to),
+            BigInt(transaction.value || 0),
+            transaction.data || '0x',
+            BigInt(transaction.nonce),
+            concat(sorted.map(([, signature]) => signature))
+          ]
+        }),
+        gas: BigInt(gas),
+      });
+
+      console.log(`🔐 Multisig transaction submitted: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      return {
+        hash,
+        success: receipt.status === 'success',
+        executor: account.address,
+        walletAddress,
+        to: transaction.to,
+        value: transaction.value,
+        nonce: transaction.nonce,
+        txHash: this.getTransactionHash({ walletAddress, transaction }),
+        signers: sorted.map(([address]) => address)
+      };
+
+    } catch (error) {
+      throw new Error(`Multisig execution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Owners, threshold and ETH balance of a wallet
+   */
+  async getWalletInfo({ walletAddress }) {
+    try {
+      const [owners, threshold, balance] = await Promise.all([
+        this._read(walletAddress, 'getOwners'),
+        this._read(walletAddress, 'threshold'),
+        this.client.getBalance(walletAddress)
+      ]);
+
+      return {
+        walletAddress,
+        owners,
+        threshold: Number(threshold),
+        balance: formatEther(balance)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get multisig wallet info: ${error.message}`);
+    }
+  }
+
+  async isNonceUsed({ walletAddress, nonce }) {
+    return await this._read(walletAddress, 'nonceUsed', [BigInt(nonce)]);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _read(contractAddress, functionName, args = []) {
+    return await this.client.readContract({
+      address: contractAddress,
+      abi: MultisigWalletCompiler.getMultisigWalletABI(),
+      functionName,
+      args
+    });
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Serialize bytecode for Umi network deployment
+   */
+  _serializeForUmi(bytecode) {
+    const code = Buffer.from(bytecode.replace('0x', ''), 'hex');
+
+    // Length prefix (little-endian) inside the EvmContract enum variant
+    const lengthBytes = Buffer.alloc(4);
+    lengthBytes.writeUInt32LE(code.length);
+
+    return '0x' + Buffer.concat([Buffer.from([2]), lengthBytes, code]).toString('hex');
+  }
+}
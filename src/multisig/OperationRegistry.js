@@ -0,0 +1,545 @@
+import { isAddress, encodeFunctionData, parseEther, parseUnits } from 'viem';
+import { VESTING_SCHEDULES } from '../compiler/VestingCompiler.js';
+import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
+import { createSignerClient } from '../signer/resolveSigner.js';
+
+/**
+ * Operations a multisig proposal can execute. Each handler declares:
+ *   description - what the operation does
+ *   parameters  - JSON-schema style { type: 'object', properties, required }
+ *   validate    - optional (params, context) => void, throws on bad params
+ *   summarize   - (params) => human-readable lines for notifications
+ *   execute     - async ({ proposal, params, proposerWallet, kit, manager }) => result
+ *   buildTransaction - optional async (params, { kit, multisig }) => { to, value, data },
+ *                 the call an on-chain multisig wallet makes; operations
+ *                 without it can only be proposed to server-side groups
+ *
+ * Params are checked against the schema and validate() when the proposal
+ * is created, so a proposal that could never execute is rejected up front.
+ */
+export class OperationRegistry {
+  constructor() {
+    this.operations = new Map();
+
+    this._registerDefaultOperations();
+  }
+
+  /**
+   * Register (or replace) an operation handler
+   */
+  registerOperation(name, handler) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Operation name is required');
+    }
+    if (typeof handler?.execute !== 'function') {
+      throw new Error(`Operation ${name} needs an execute function`);
+    }
+
+    this.operations.set(name, {
+      name,
+      description: handler.description || `${name} operation`,
+      parameters: handler.parameters || { type: 'object', properties: {}, required: [] },
+      validate: handler.validate,
+      summarize: handler.summarize,
+      execute: handler.execute,
+      buildTransaction: handler.buildTransaction
+    });
+  }
+
+  unregisterOperation(name) {
+    return this.operations.delete(name);
+  }
+
+  hasOperation(name) {
+    return this.operations.has(name);
+  }
+
+  getOperation(name) {
+    const handler = this.operations.get(name);
+    if (!handler) {
+      throw new Error(`Unknown operation: ${name} (registered: ${this.getOperationNames().join(', ')})`);
+    }
+    return handler;
+  }
+
+  getOperationNames() {
+    return Array.from(this.operations.keys());
+  }
+
+  /**
+   * Name, description and parameter schema of every operation
+   */
+  listOperations() {
+    return Array.from(this.operations.values()).map(({ name, description, parameters, buildTransaction }) => ({
+      name,
+      description,
+      parameters,
+      onChain: typeof buildTransaction === 'function'
+    }));
+  }
+
+  /**
+   * Check params against the schema, then the handler's own validation
+   */
+  validateParams(name, params = {}, context = {}) {
+    const handler = this.getOperation(name);
+    const { properties = {}, required = [] } = handler.parameters;
+
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error(`Parameters for ${name} must be an object`);
+    }
+
+    for (const key of required) {
+      if (params[key] === undefined || params[key] === null || params[key] === '') {
+        throw new Error(`Missing required parameter "${key}" for ${name}`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+      const schema = properties[key];
+      if (!schema?.type || value === undefined || value === null) continue;
+
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._matchesType(value, type))) {
+        throw new Error(`Parameter "${key}" for ${name} must be ${types.join(' or ')}`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        throw new Error(`Parameter "${key}" for ${name} must be one of: ${schema.enum.join(', ')}`);
+      }
+    }
+
+    if (handler.validate) {
+      handler.validate(params, context);
+    }
+  }
+
+  /**
+   * Human-readable description of a proposal's params
+   */
+  summarize(name, params = {}) {
+    const handler = this.operations.get(name);
+
+    if (handler?.summarize) {
+      return handler.summarize(params);
+    }
+
+    return Object.entries(params)
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join('\n');
+  }
+
+  async execute(name, context) {
+    return await this.getOperation(name).execute(context);
+  }
+
+  /**
+   * Whether an on-chain multisig wallet can run this operation
+   */
+  supportsOnChain(name) {
+    return typeof this.operations.get(name)?.buildTransaction === 'function';
+  }
+
+  async buildTransaction(name, params, context) {
+    const handler = this.getOperation(name);
+    if (!handler.buildTransaction) {
+      throw new Error(`Operation ${name} cannot be executed by an on-chain multisig wallet`);
+    }
+    return await handler.buildTransaction(params, context);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _matchesType(value, type) {
+    switch (type) {
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      case 'address':
+        return typeof value === 'string' && isAddress(value);
+      case 'integer':
+        return Number.isInteger(Number(value)) && (typeof value === 'number' || typeof value === 'bigint' || /^\d+$/.test(value));
+      default:
+        return typeof value === type;
+    }
+  }
+
+  _encodeCall(params) {
+    return params.data || encodeFunctionData({
+      abi: params.abi,
+      functionName: params.functionName,
+      args: params.args || []
+    });
+  }
+
+  async _getDecimals(kit, tokenAddress) {
+    return await kit.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'decimals'
+    });
+  }
+
+  _assertPositiveAmount(amount, label = 'amount') {
+    if (!(Number(amount) > 0)) {
+      throw new Error(`${label} must be greater than 0`);
+    }
+  }
+
+  /**
+   * Built-in operations, executed through the kit with the proposer's wallet
+   */
+  _registerDefaultOperations() {
+    this.registerOperation('createERC20Token', {
+      description: 'Deploy a new ERC-20 token',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Token name' },
+          symbol: { type: 'string', description: 'Token symbol' },
+          decimals: { type: 'integer', description: 'Token decimals (default 18)' },
+          initialSupply: { type: ['string', 'number'], description: 'Initial supply minted to the proposer' }
+        },
+        required: ['name', 'symbol', 'initialSupply']
+      },
+      validate: (params) => this._assertPositiveAmount(params.initialSupply, 'initialSupply'),
+      summarize: (params) => `Token Name: ${params.name}
+Symbol: ${params.symbol}
+Initial Supply: ${params.initialSupply?.toLocaleString()}`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.createERC20Token({
+          deployerWallet: proposerWallet,
+          name: params.name,
+          symbol: params.symbol,
+          decimals: params.decimals || 18,
+          initialSupply: params.initialSupply
+        });
+
+        return {
+          type: 'tokenCreation',
+          contractAddress: result.contractAddress,
+          transactionHash: result.hash,
+          tokenName: params.name,
+          tokenSymbol: params.symbol
+        };
+      }
+    });
+
+    this.registerOperation('createNFTCollection', {
+      description: 'Deploy a new ERC-721 collection',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Collection name' },
+          symbol: { type: 'string', description: 'Collection symbol' },
+          baseURI: { type: 'string', description: 'Metadata base URI' },
+          maxSupply: { type: 'integer', description: 'Maximum supply (default 10000)' }
+        },
+        required: ['name', 'symbol']
+      },
+      summarize: (params) => `Collection: ${params.name}
+Symbol: ${params.symbol}
+Max Supply: ${(params.maxSupply || 10000).toLocaleString()}`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.createNFTCollection({
+          deployerWallet: proposerWallet,
+          name: params.name,
+          symbol: params.symbol,
+          baseURI: params.baseURI || "",
+          maxSupply: params.maxSupply || 10000
+        });
+
+        return {
+          type: 'nftCollection',
+          contractAddress: result.contractAddress,
+          transactionHash: result.hash,
+          collectionName: params.name
+        };
+      }
+    });
+
+    this.registerOperation('mintNFT', {
+      description: 'Mint an NFT from a collection owned by the proposer',
+      parameters: {
+        type: 'object',
+        properties: {
+          contractAddress: { type: 'address', description: 'Collection address' },
+          to: { type: 'address', description: 'Recipient address' }
+        },
+        required: ['contractAddress', 'to']
+      },
+      // The collection assigns the next token ID itself
+      summarize: (params) => `Recipient: ${params.to}
+Contract: ${params.contractAddress}`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.mintNFT({
+          ownerWallet: proposerWallet,
+          contractAddress: params.contractAddress,
+          to: params.to
+        });
+
+        return {
+          type: 'nftMint',
+          transactionHash: result.hash,
+          recipient: params.to
+        };
+      }
+    });
+
+    this.registerOperation('transferETH', {
+      description: 'Send ETH from the proposer wallet',
+      parameters: {
+        type: 'object',
+        properties: {
+          to: { type: 'address', description: 'Recipient address' },
+          amount: { type: ['string', 'number'], description: 'Amount in ETH' }
+        },
+        required: ['to', 'amount']
+      },
+      validate: (params) => this._assertPositiveAmount(params.amount),
+      summarize: (params) => `Recipient: ${params.to}
+Amount: ${params.amount} ETH`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.sendETH({
+          fromWallet: proposerWallet,
+          to: params.to,
+          amount: params.amount
+        });
+
+        return {
+          type: 'ethTransfer',
+          transactionHash: result.hash,
+          from: result.from,
+          to: params.to,
+          amount: params.amount
+        };
+      },
+      buildTransaction: async (params) => ({
+        to: params.to,
+        value: parseEther(params.amount.toString()),
+        data: '0x'
+      })
+    });
+
+    this.registerOperation('transferERC20', {
+      description: 'Send ERC-20 tokens',
+      parameters: {
+        type: 'object',
+        properties: {
+          tokenAddress: { type: 'address', description: 'Token contract' },
+          to: { type: 'address', description: 'Recipient address' },
+          amount: { type: ['string', 'number'], description: 'Amount in whole tokens' }
+        },
+        required: ['tokenAddress', 'to', 'amount']
+      },
+      validate: (params) => this._assertPositiveAmount(params.amount),
+      summarize: (params) => `Recipient: ${params.to}
+Amount: ${params.amount}
+Token: ${params.tokenAddress}`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.transferERC20Tokens({
+          fromWallet: proposerWallet,
+          tokenAddress: params.tokenAddress,
+          to: params.to,
+          amount: params.amount
+        });
+
+        return {
+          type: 'tokenTransfer',
+          transactionHash: result.hash,
+          tokenAddress: params.tokenAddress,
+          to: params.to,
+          amount: params.amount
+        };
+      },
+      buildTransaction: async (params, { kit }) => ({
+        to: params.tokenAddress,
+        value: 0n,
+        data: encodeFunctionData({
+          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          functionName: 'transfer',
+          args: [params.to, parseUnits(params.amount.toString(), await this._getDecimals(kit, params.tokenAddress))]
+        })
+      })
+    });
+
+    this.registerOperation('contractCall', {
+      description: 'Call any contract: raw calldata, or abi + functionName + args',
+      parameters: {
+        type: 'object',
+        properties: {
+          to: { type: 'address', description: 'Target contract' },
+          value: { type: ['string', 'number'], description: 'ETH to send with the call' },
+          data: { type: 'string', description: 'Raw calldata (0x...)' },
+          abi: { type: 'array', description: 'ABI used to encode functionName/args' },
+          functionName: { type: 'string', description: 'Function to call' },
+          args: { type: 'array', description: 'Function arguments' }
+        },
+        required: ['to']
+      },
+      validate: (params) => {
+        if (!params.data && !(params.abi && params.functionName)) {
+          throw new Error('contractCall needs data, or abi and functionName');
+        }
+        this._encodeCall(params);
+      },
+      summarize: (params) => `Contract: ${params.to}
+Call: ${params.functionName ? `${params.functionName}(${(params.args || []).join(', ')})` : params.data}
+Value: ${params.value || 0} ETH`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const { walletClient } = await createSignerClient(proposerWallet.getSigner(), kit.client.chain, {
+          nonceManager: kit.client.nonceManager,
+          tracker: kit.client.transactionTracker,
+          feeEstimator: kit.client.feeEstimator
+        });
+
+        const hash = await walletClient.sendTransaction({
+          to: params.to,
+          value: parseEther((params.value || 0).toString()),
+          data: this._encodeCall(params)
+        });
+        const receipt = await kit.client.waitForTransaction(hash);
+
+        return {
+          type: 'contractCall',
+          transactionHash: hash,
+          success: receipt.status === 'success',
+          to: params.to,
+          functionName: params.functionName
+        };
+      },
+      buildTransaction: async (params) => ({
+        to: params.to,
+        value: parseEther((params.value || 0).toString()),
+        data: this._encodeCall(params)
+      })
+    });
+
+    this.registerOperation('batchPlayerRewards', {
+      description: 'Send token transfers and NFT mints to several players',
+      parameters: {
+        type: 'object',
+        properties: {
+          rewards: { type: 'array', description: 'Rewards: { type: "token" | "nft", recipient, ... }' }
+        },
+        required: ['rewards']
+      },
+      validate: (params) => {
+        if (params.rewards.length === 0) throw new Error('At least one reward is required');
+
+        params.rewards.forEach((reward, i) => {
+          if (!isAddress(reward.recipient || '')) throw new Error(`Reward ${i}: invalid recipient`);
+          if (reward.type === 'token') {
+            if (!isAddress(reward.tokenAddress || '')) throw new Error(`Reward ${i}: token address required`);
+            this._assertPositiveAmount(reward.amount, `Reward ${i}: amount`);
+          } else if (reward.type === 'nft') {
+            if (!isAddress(reward.contractAddress || '')) throw new Error(`Reward ${i}: collection address required`);
+          } else {
+            throw new Error(`Reward ${i}: type must be "token" or "nft"`);
+          }
+        });
+      },
+      summarize: (params) => `Number of players: ${new Set(params.rewards.map(reward => reward.recipient)).size}
+Total rewards: ${params.rewards.length} items`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const results = [];
+
+        for (const reward of params.rewards) {
+          try {
+            let result;
+
+            if (reward.type === 'token') {
+              result = await kit.transferERC20Tokens({
+                fromWallet: proposerWallet,
+                tokenAddress: reward.tokenAddress,
+                to: reward.recipient,
+                amount: reward.amount
+              });
+            } else if (reward.type === 'nft') {
+              result = await kit.mintNFT({
+                ownerWallet: proposerWallet,
+                contractAddress: reward.contractAddress,
+                to: reward.recipient
+              });
+            }
+
+            results.push({
+              recipient: reward.recipient,
+              type: reward.type,
+              success: true,
+              transactionHash: result.hash
+            });
+
+          } catch (error) {
+            results.push({
+              recipient: reward.recipient,
+              type: reward.type,
+              success: false,
+              error: error.message
+            });
+          }
+        }
+
+        return {
+          type: 'batchRewards',
+          totalRewards: params.rewards.length,
+          successful: results.filter(r => r.success).length,
+          failed: results.filter(r => !r.success).length,
+          results
+        };
+      }
+    });
+
+    this.registerOperation('createVestingSchedule', {
+      description: 'Deploy and fund a token vesting wallet from the proposer wallet',
+      parameters: {
+        type: 'object',
+        properties: {
+          tokenAddress: { type: 'address', description: 'Vested ERC-20 token' },
+          beneficiary: { type: 'address', description: 'Who receives the vested tokens' },
+          amount: { type: ['string', 'number'], description: 'Tokens to lock' },
+          schedule: { type: 'string', enum: Object.keys(VESTING_SCHEDULES), description: 'Vesting schedule' },
+          start: { type: ['integer', 'object'], description: 'Start time (unix seconds or Date)' },
+          cliffSeconds: { type: 'integer', description: 'Cliff length in seconds' },
+          durationSeconds: { type: 'integer', description: 'Linear vesting duration in seconds' },
+          milestones: { type: 'array', description: 'Milestones: [{ time, percent }]' }
+        },
+        required: ['tokenAddress', 'beneficiary', 'amount']
+      },
+      validate: (params) => {
+        this._assertPositiveAmount(params.amount);
+        const schedule = params.schedule || 'linear';
+        if (schedule === 'linear' && !(params.durationSeconds > 0)) throw new Error('durationSeconds required for a linear schedule');
+        if (schedule === 'cliff' && !(params.cliffSeconds > 0)) throw new Error('cliffSeconds required for a cliff schedule');
+        if (schedule === 'milestone' && !params.milestones?.length) throw new Error('milestones required for a milestone schedule');
+      },
+      summarize: (params) => `Beneficiary: ${params.beneficiary}
+Token: ${params.tokenAddress}
+Amount: ${params.amount}
+Schedule: ${params.schedule || 'linear'}`,
+      execute: async ({ params, proposerWallet, kit }) => {
+        const result = await kit.createVestingWallet({
+          deployerWallet: proposerWallet,
+          tokenAddress: params.tokenAddress,
+          beneficiary: params.beneficiary,
+          amount: params.amount,
+          schedule: params.schedule || 'linear',
+          start: params.start,
+          cliffSeconds: params.cliffSeconds || 0,
+          durationSeconds: params.durationSeconds || 0,
+          milestones: params.milestones || []
+        });
+
+        return {
+          type: 'vestingSchedule',
+          contractAddress: result.contractAddress,
+          transactionHash: result.hash,
+          fundingHash: result.funding?.hash,
+          beneficiary: params.beneficiary,
+          amount: params.amount,
+          schedule: result.schedule
+        };
+      }
+    });
+  }
+}
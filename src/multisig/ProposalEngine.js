@@ -18,7 +18,11 @@ export class ProposalEngine {
     params,
     description = "",
     urgency = 'normal',
+    summary = "",
+    transaction = null,
     requiredApprovals = [],
+    rejectionThreshold = 1,
+    voting = null,
     expiresAt = null
   }) {
     try {
@@ -38,12 +42,24 @@ export class ProposalEngine {
         params,
         description,
         urgency,
+        summary, // Human-readable params, from the operation handler
+        transaction, // On-chain groups: { walletAddress, to, value, data, nonce, txHash } owners sign
         requiredApprovals, // Array of wallet names that need to approve
         approvals: new Map(), // walletName -> approval object
         rejections: new Map(), // walletName -> rejection object
-        status: 'pending', // 'pending', 'executed', 'rejected', 'expired', 'failed'
+        rejectionThreshold, // Rejections that block the proposal
+        voting: voting || this._defaultVoting(requiredApprovals),
+        status: 'pending', // 'pending', 'queued', 'executed', 'rejected', 'withdrawn', 'vetoed', 'expired', 'failed'
+        statusReason: null, // Why it was rejected or withdrawn
+        revision: 1,
+        amendments: [], // Earlier revisions, oldest first
         createdAt: new Date().toISOString(),
         expiresAt,
+        queuedAt: null, // Timelocked rules: approved proposals wait until executableAt
+        executableAt: null,
+        vetoRoles: [],
+        veto: null,
+        timelockNotified: false,
         executedAt: null,
         executionResult: null
       };
@@ -51,6 +67,7 @@ export class ProposalEngine {
       // Add helper methods to proposal
       proposal.hasRequiredApprovals = () => this._hasRequiredApprovals(proposal);
       proposal.getApprovalStatus = () => this._getApprovalStatus(proposal);
+      proposal.getWeightStatus = () => this._getWeightStatus(proposal);
       proposal.isExpired = () => new Date() > new Date(proposal.expiresAt);
 
       // Store proposal
@@ -130,8 +147,19 @@ export class ProposalEngine {
         console.log(`✅ ${approverWalletName} approved proposal ${proposalId}`);
       } else if (decision === 'reject') {
         proposal.rejections.set(approverWalletName, approval);
-        proposal.status = 'rejected'; // One rejection kills the proposal
-        console.log(`❌ ${approverWalletName} rejected proposal ${proposalId}`);
+        console.log(`❌ ${approverWalletName} rejected proposal ${proposalId} (${proposal.rejections.size}/${proposal.rejectionThreshold})`);
+
+        if (proposal.rejections.size >= proposal.rejectionThreshold) {
+          proposal.status = 'rejected';
+          proposal.statusReason = comment || `Blocked by ${proposal.rejections.size} rejection(s)`;
+          console.log(`🚫 Proposal ${proposalId} rejected`);
+        } else if (!this._canStillPass(proposal)) {
+          proposal.status = 'rejected';
+          proposal.statusReason = comment || (proposal.voting.mode === 'weighted'
+            ? 'Remaining voters cannot reach the weight threshold'
+            : 'Every required approver must approve');
+          console.log(`🚫 Proposal ${proposalId} rejected by a blocking minority`);
+        }
       }
 
       // Index by approver wallet
@@ -149,6 +177,131 @@ export class ProposalEngine {
     }
   }
 
+  /**
+   * Withdraw a proposal; only its proposer can, and only before execution
+   */
+  async withdrawProposal(proposalId, { walletName, reason = "" }) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+
+    if (proposal.proposerWalletName !== walletName) {
+      throw new Error(`Only the proposer (${proposal.proposerWalletName}) can withdraw proposal ${proposalId}`);
+    }
+
+    if (!['pending', 'queued'].includes(proposal.status)) {
+      throw new Error(`Proposal ${proposalId} can no longer be withdrawn (status: ${proposal.status})`);
+    }
+
+    proposal.status = 'withdrawn';
+    proposal.statusReason = reason || 'Withdrawn by proposer';
+
+    console.log(`↩️ Proposal ${proposalId} withdrawn by ${walletName}`);
+
+    return proposal;
+  }
+
+  /**
+   * Replace a pending proposal's content. Votes were cast on the old
+   * content, so approvals and rejections are cleared.
+   */
+  async amendProposal(proposalId, {
+    walletName,
+    params,
+    description,
+    summary,
+    transaction,
+    reason = ""
+  }) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+
+    if (proposal.proposerWalletName !== walletName) {
+      throw new Error(`Only the proposer (${proposal.proposerWalletName}) can amend proposal ${proposalId}`);
+    }
+
+    if (proposal.status !== 'pending' || proposal.isExpired()) {
+      throw new Error(`Only pending proposals can be amended (status: ${proposal.isExpired() ? 'expired' : proposal.status})`);
+    }
+
+    const amendment = {
+      revision: proposal.revision,
+      params: proposal.params,
+      description: proposal.description,
+      summary: proposal.summary,
+      transaction: proposal.transaction,
+      clearedVotes: proposal.approvals.size + proposal.rejections.size,
+      reason,
+      amendedAt: new Date().toISOString()
+    };
+    proposal.amendments.push(amendment);
+
+    proposal.params = params;
+    if (description !== undefined) proposal.description = description;
+    if (summary !== undefined) proposal.summary = summary;
+    if (transaction !== undefined) proposal.transaction = transaction;
+
+    proposal.approvals.clear();
+    proposal.rejections.clear();
+    proposal.revision++;
+
+    console.log(`✏️ Proposal ${proposalId} amended to revision ${proposal.revision}, ${amendment.clearedVotes} vote(s) cleared`);
+
+    return amendment;
+  }
+
+  /**
+   * Move a fully approved proposal into its timelock
+   */
+  async queueProposal(proposalId, { executableAt, vetoRoles = [] }) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal ${proposalId} is no longer pending (status: ${proposal.status})`);
+    }
+
+    proposal.status = 'queued';
+    proposal.queuedAt = new Date().toISOString();
+    proposal.executableAt = executableAt;
+    proposal.vetoRoles = vetoRoles;
+
+    console.log(`⏳ Proposal ${proposalId} queued until ${executableAt}`);
+
+    return proposal;
+  }
+
+  /**
+   * Cancel a queued proposal before its timelock ends
+   */
+  async recordVeto(proposalId, { walletName, role, reason = "", timestamp = new Date().toISOString() }) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      throw new Error(`Proposal ${proposalId} not found`);
+    }
+
+    if (proposal.status !== 'queued') {
+      throw new Error(`Only queued proposals can be vetoed (status: ${proposal.status})`);
+    }
+
+    // Once the timelock ends the proposal may already be executing
+    if (Date.now() >= new Date(proposal.executableAt).getTime()) {
+      throw new Error(`Proposal ${proposalId} timelock ended at ${proposal.executableAt}, too late to veto`);
+    }
+
+    proposal.veto = { walletName, role, reason, timestamp };
+    proposal.status = 'vetoed';
+
+    console.log(`🛑 ${walletName} vetoed proposal ${proposalId}`);
+
+    return proposal.veto;
+  }
+
   /**
    * Get a proposal by ID
    */
@@ -166,6 +319,17 @@ export class ProposalEngine {
       .filter(proposal => proposal && proposal.status === 'pending' && !proposal.isExpired());
   }
 
+  /**
+   * Get queued (timelocked) proposals, for one multisig group or all of them
+   */
+  async getQueuedProposals(multisigId = null) {
+    const proposals = multisigId
+      ? (this.proposalsByMultisig.get(multisigId) || []).map(id => this.proposals.get(id))
+      : Array.from(this.proposals.values());
+
+    return proposals.filter(proposal => proposal && proposal.status === 'queued');
+  }
+
   /**
    * Get all proposals for a specific wallet
    */
@@ -228,8 +392,11 @@ export class ProposalEngine {
     const stats = {
       total: proposals.length,
       pending: proposals.filter(p => p.status === 'pending' && !p.isExpired()).length,
+      queued: proposals.filter(p => p.status === 'queued').length,
       executed: proposals.filter(p => p.status === 'executed').length,
       rejected: proposals.filter(p => p.status === 'rejected').length,
+      withdrawn: proposals.filter(p => p.status === 'withdrawn').length,
+      vetoed: proposals.filter(p => p.status === 'vetoed').length,
       expired: proposals.filter(p => p.isExpired()).length,
       failed: proposals.filter(p => p.status === 'failed').length,
       byOperation: {},
@@ -288,16 +455,24 @@ export class ProposalEngine {
       operation: proposal.operation,
       proposer: proposal.proposerWalletName,
       description: proposal.description,
+      summary: proposal.summary,
       urgency: proposal.urgency,
       status: proposal.status,
+      statusReason: proposal.statusReason,
+      revision: proposal.revision,
       createdAt: proposal.createdAt,
       expiresAt: proposal.expiresAt,
       approvalStatus: proposal.getApprovalStatus(),
+      weightStatus: proposal.getWeightStatus(),
       requiredCount: proposal.requiredApprovals.length,
       approvedCount: proposal.approvals.size,
       rejectedCount: proposal.rejections.size,
+      rejectionThreshold: proposal.rejectionThreshold,
       isExpired: proposal.isExpired(),
-      timeLeft: this._getTimeLeft(proposal.expiresAt)
+      timeLeft: this._getTimeLeft(proposal.expiresAt),
+      executableAt: proposal.executableAt,
+      timelockLeft: proposal.status === 'queued' ? this._getTimeLeft(proposal.executableAt) : null,
+      veto: proposal.veto
     };
 
     // Add operation-specific details
@@ -338,10 +513,27 @@ export class ProposalEngine {
 
   // ========== PRIVATE METHODS ==========
 
+  /**
+   * Unweighted proposals: every required approver counts 1 and all must approve
+   */
+  _defaultVoting(requiredApprovals) {
+    return {
+      mode: 'all',
+      weights: Object.fromEntries(requiredApprovals.map(walletName => [walletName, 1])),
+      weightThreshold: requiredApprovals.length,
+      quorum: 0
+    };
+  }
+
   /**
    * Check if proposal has required approvals
    */
   _hasRequiredApprovals(proposal) {
+    if (proposal.voting.mode === 'weighted') {
+      const weight = this._getWeightStatus(proposal);
+      return weight.approved >= weight.threshold && weight.quorumReached;
+    }
+
     // Check if all required approvers have approved
     for (const requiredApprover of proposal.requiredApprovals) {
       if (!proposal.approvals.has(requiredApprover)) {
@@ -378,6 +570,44 @@ export class ProposalEngine {
     };
   }
 
+  /**
+   * Approving, rejecting and participating weight against the proposal's
+   * weight threshold and quorum (a fraction of the total eligible weight)
+   */
+  _getWeightStatus(proposal) {
+    const { weights, weightThreshold, quorum } = proposal.voting;
+    const sum = walletNames => walletNames.reduce((total, walletName) => total + (weights[walletName] || 0), 0);
+
+    const total = sum(proposal.requiredApprovals);
+    const approved = sum(Array.from(proposal.approvals.keys()));
+    const rejected = sum(Array.from(proposal.rejections.keys()));
+    const quorumWeight = Number((quorum * total).toFixed(6)); // Drop float noise, e.g. 0.8 * 6
+
+    return {
+      mode: proposal.voting.mode,
+      approved,
+      rejected,
+      participation: approved + rejected,
+      total,
+      threshold: weightThreshold,
+      quorum,
+      quorumWeight,
+      quorumReached: approved + rejected >= quorumWeight,
+      progress: `${approved}/${weightThreshold}`
+    };
+  }
+
+  /**
+   * Whether the proposal can still pass if every remaining voter approves:
+   * in 'all' mode a single rejection from a required approver is final
+   */
+  _canStillPass(proposal) {
+    if (proposal.voting.mode !== 'weighted') return proposal.rejections.size === 0;
+
+    const weight = this._getWeightStatus(proposal);
+    return weight.total - weight.rejected >= weight.threshold;
+  }
+
   /**
    * Get time left until expiration
    */
@@ -3,6 +3,7 @@ import { ProposalEngine } from './ProposalEngine.js';
 import { PermissionSystem } from './PermissionSystem.js';
 import { NotificationService } from './NotificationService.js';
 import { MultisigStorage } from './MultisigStorage.js';
+import { OperationRegistry } from './OperationRegistry.js';
 
 export class ServerMultisigManager {
   constructor(umiClient, serverWallets = {}) {
@@ -14,9 +15,11 @@ export class ServerMultisigManager {
     this.permissionSystem = new PermissionSystem();
     this.notificationService = new NotificationService();
     this.storage = new MultisigStorage();
+    this.operationRegistry = new OperationRegistry();
     
     // Track active multisig groups
     this.multisigGroups = new Map();
+    this._timelockTimer = null;
     
     console.log(`🔐 ServerMultisigManager initialized with ${Object.keys(serverWallets).length} wallets`);
   }
@@ -30,11 +33,18 @@ export class ServerMultisigManager {
     members, // Array of wallet names or {walletName, role, weight}
     threshold = 2,
     rules = {},
-    notifications = true
+    notifications = true,
+    onChain = false, // Deploy a multisig wallet contract that holds the funds
+    deployerWalletName = null,
+    feeStrategy
   }) {
     try {
       // Validate members exist on server
       const validatedMembers = this._validateMembers(members);
+
+      const wallet = onChain
+        ? await this._deployGroupWallet(validatedMembers, threshold, deployerWalletName, feeStrategy)
+        : null;
       
       // Create multisig configuration
       const multisigConfig = {
@@ -45,6 +55,8 @@ export class ServerMultisigManager {
         threshold,
         rules: this._processRules(rules),
         notifications,
+        mode: onChain ? 'onchain' : 'server',
+        walletAddress: wallet?.contractAddress || null,
         createdAt: new Date().toISOString(),
         status: 'active'
       };
@@ -59,6 +71,9 @@ export class ServerMultisigManager {
       console.log(`✅ Multisig group "${name}" created with ID: ${multisigConfig.id}`);
       console.log(`👥 Members: ${validatedMembers.map(m => m.walletName).join(', ')}`);
       console.log(`🎯 Threshold: ${threshold}/${validatedMembers.length}`);
+      if (wallet) {
+        console.log(`🏦 On-chain wallet: ${wallet.contractAddress}`);
+      }
 
       return multisigConfig;
 
@@ -152,8 +167,9 @@ export class ServerMultisigManager {
         description: 'Upgrade guild facilities'
       },
       memberReward: { 
-        requiredRoles: ['officer'], 
+        requiredRoles: ['leader', 'officer', 'member'], 
         threshold: 1,
+        weightThreshold: 2, // The leader or an officer alone, or two members
         maxAmount: '1',
         description: 'Reward guild members'
       },
@@ -225,6 +241,21 @@ export class ServerMultisigManager {
         throw new Error(`Permission denied: ${canPropose.reason}`);
       }
 
+      // Reject proposals that could never execute
+      this.operationRegistry.validateParams(operation, params, { multisig, proposerWalletName, manager: this });
+
+      const requiredApprovals = this._calculateRequiredApprovals(multisig, operation);
+      const voting = this._calculateVoting(multisig, operation, requiredApprovals);
+
+      // On-chain groups: fix the exact wallet transaction owners will sign
+      let transaction = null;
+      if (multisig.mode === 'onchain') {
+        if (requiredApprovals.length < multisig.threshold) {
+          throw new Error(`Rule for ${operation} requires ${requiredApprovals.length} approvals but the wallet needs ${multisig.threshold} signatures`);
+        }
+        transaction = await this._buildWalletTransaction(multisig, operation, params);
+      }
+
       // Create proposal
       const proposal = await this.proposalEngine.createProposal({
         multisigId,
@@ -233,7 +264,11 @@ export class ServerMultisigManager {
         params,
         description,
         urgency,
-        requiredApprovals: this._calculateRequiredApprovals(multisig, operation)
+        summary: this.operationRegistry.summarize(operation, params),
+        transaction,
+        requiredApprovals,
+        rejectionThreshold: this._calculateRejectionThreshold(multisig, operation, requiredApprovals),
+        voting
       });
 
       // Send notifications
@@ -244,7 +279,7 @@ export class ServerMultisigManager {
       console.log(`📝 Proposal created: ${proposal.id}`);
       console.log(`🎯 Operation: ${operation}`);
       console.log(`👤 Proposer: ${proposerWalletName}`);
-      console.log(`✅ Required approvals: ${proposal.requiredApprovals.length}`);
+      console.log(`✅ Required approvals: ${voting ? `weight ${voting.weightThreshold} of ${requiredApprovals.length} voters` : proposal.requiredApprovals.length}`);
 
       return proposal;
 
@@ -292,8 +327,24 @@ export class ServerMultisigManager {
 
       console.log(`${decision === 'approve' ? '✅' : '❌'} ${approverWalletName} ${decision}d proposal ${proposalId}`);
 
-      // Check if proposal is ready for execution
-      if (decision === 'approve' && proposal.hasRequiredApprovals()) {
+      if (decision === 'reject') {
+        await this._audit('reject', proposal, { walletName: approverWalletName, reason: comment });
+
+        if (proposal.status === 'rejected') {
+          await this._audit('rejected', proposal, { reason: proposal.statusReason, rejectedBy: Array.from(proposal.rejections.keys()) });
+          if (multisig.notifications) {
+            await this.notificationService.notifyRejected(multisig, proposal);
+          }
+          return approval;
+        }
+      }
+
+      // Check if proposal is ready for execution (a rejection can complete a weighted quorum)
+      if (proposal.status === 'pending' && this._isReadyToExecute(multisig, proposal)) {
+        if (this._getTimelock(multisig, proposal) > 0) {
+          return await this._queueProposal(multisig, proposal);
+        }
+
         console.log(`🚀 Proposal ${proposalId} has enough approvals, executing...`);
         return await this.executeProposal(proposalId);
       }
@@ -310,35 +361,156 @@ export class ServerMultisigManager {
     }
   }
 
+  /**
+   * Vote against a proposal; it is rejected once the rule's
+   * rejectionThreshold is reached or it can no longer pass (in 'all'
+   * voting mode that is the first rejection)
+   */
+  async rejectProposal({
+    proposalId,
+    rejecterWalletName,
+    reason = ""
+  }) {
+    return await this.approveProposal({
+      proposalId,
+      approverWalletName: rejecterWalletName,
+      decision: 'reject',
+      comment: reason
+    });
+  }
+
+  /**
+   * Withdraw a pending or queued proposal (proposer only)
+   */
+  async withdrawProposal({
+    proposalId,
+    proposerWalletName,
+    reason = ""
+  }) {
+    try {
+      const proposal = await this.proposalEngine.getProposal(proposalId);
+      if (!proposal) {
+        throw new Error(`Proposal ${proposalId} not found`);
+      }
+
+      await this.proposalEngine.withdrawProposal(proposalId, { walletName: proposerWalletName, reason });
+      await this._audit('withdraw', proposal, { walletName: proposerWalletName, reason: proposal.statusReason });
+
+      const multisig = this.multisigGroups.get(proposal.multisigId);
+      if (multisig.notifications) {
+        await this.notificationService.notifyWithdrawn(multisig, proposal);
+      }
+
+      return {
+        proposalId,
+        status: proposal.status,
+        reason: proposal.statusReason
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to withdraw proposal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a pending proposal (proposer only). `params` are merged over the
+   * current ones; every approval and rejection is reset.
+   */
+  async amendProposal({
+    proposalId,
+    proposerWalletName,
+    params = {},
+    description,
+    reason = ""
+  }) {
+    try {
+      const proposal = await this.proposalEngine.getProposal(proposalId);
+      if (!proposal) {
+        throw new Error(`Proposal ${proposalId} not found`);
+      }
+
+      const multisig = this.multisigGroups.get(proposal.multisigId);
+      const amendedParams = { ...proposal.params, ...params };
+
+      this.operationRegistry.validateParams(proposal.operation, amendedParams, { multisig, proposerWalletName, manager: this });
+
+      // Signatures cover the old wallet transaction, so on-chain groups sign a new one
+      const transaction = proposal.transaction
+        ? await this._buildWalletTransaction(multisig, proposal.operation, amendedParams)
+        : undefined;
+
+      const amendment = await this.proposalEngine.amendProposal(proposalId, {
+        walletName: proposerWalletName,
+        params: amendedParams,
+        description,
+        summary: this.operationRegistry.summarize(proposal.operation, amendedParams),
+        transaction,
+        reason
+      });
+
+      await this._audit('amend', proposal, {
+        walletName: proposerWalletName,
+        reason,
+        revision: proposal.revision,
+        previousParams: amendment.params,
+        params: amendedParams,
+        clearedVotes: amendment.clearedVotes
+      });
+
+      if (multisig.notifications) {
+        await this.notificationService.notifyAmended(multisig, proposal, amendment);
+      }
+
+      return proposal;
+
+    } catch (error) {
+      throw new Error(`Failed to amend proposal: ${error.message}`);
+    }
+  }
+
   /**
    * Execute an approved proposal
    */
   async executeProposal(proposalId) {
+    let attempted = false; // Premature calls must not fail a pending or queued proposal
+
     try {
       const proposal = await this.proposalEngine.getProposal(proposalId);
       if (!proposal) {
         throw new Error(`Proposal ${proposalId} not found`);
       }
 
+      const multisig = this.multisigGroups.get(proposal.multisigId);
+
       // Verify proposal is ready for execution
       if (!proposal.hasRequiredApprovals()) {
         throw new Error(`Proposal ${proposalId} does not have required approvals`);
       }
 
-      if (proposal.status !== 'pending') {
+      if (!this._isReadyToExecute(multisig, proposal)) {
+        throw new Error(`Proposal ${proposalId} needs ${multisig.threshold} approving owners for the on-chain wallet`);
+      }
+
+      if (proposal.status === 'queued') {
+        if (Date.now() < new Date(proposal.executableAt).getTime()) {
+          throw new Error(`Proposal ${proposalId} is timelocked until ${proposal.executableAt}`);
+        }
+      } else if (proposal.status !== 'pending') {
         throw new Error(`Proposal ${proposalId} is not in pending status`);
+      } else if (this._getTimelock(multisig, proposal) > 0) {
+        return await this._queueProposal(multisig, proposal);
       }
 
       console.log(`⚡ Executing proposal ${proposalId}: ${proposal.operation}`);
 
       // Execute the actual blockchain operation
+      attempted = true;
       const result = await this._executeOperation(proposal);
 
       // Update proposal status
       await this.proposalEngine.updateProposalStatus(proposalId, 'executed', result);
 
       // Send notifications
-      const multisig = this.multisigGroups.get(proposal.multisigId);
       if (multisig.notifications) {
         await this.notificationService.notifyExecution(multisig, proposal, result);
       }
@@ -355,11 +527,125 @@ export class ServerMultisigManager {
 
     } catch (error) {
       // Update proposal status to failed
-      await this.proposalEngine.updateProposalStatus(proposalId, 'failed', { error: error.message });
+      if (attempted) {
+        await this.proposalEngine.updateProposalStatus(proposalId, 'failed', { error: error.message });
+      }
       throw new Error(`Failed to execute proposal: ${error.message}`);
     }
   }
 
+  /**
+   * Cancel a queued proposal during its timelock. Only members whose role
+   * is in the rule's vetoRoles may veto. On-chain groups have no owner
+   * signatures until the timelock ends, so a veto leaves nothing to submit.
+   */
+  async vetoProposal({
+    proposalId,
+    vetoerWalletName,
+    reason = ""
+  }) {
+    try {
+      const proposal = await this.proposalEngine.getProposal(proposalId);
+      if (!proposal) {
+        throw new Error(`Proposal ${proposalId} not found`);
+      }
+
+      const multisig = this.multisigGroups.get(proposal.multisigId);
+      const member = multisig.members.find(m => m.walletName === vetoerWalletName);
+      if (!member) {
+        throw new Error(`${vetoerWalletName} is not a member of ${multisig.name}`);
+      }
+
+      if (!proposal.vetoRoles.includes(member.role)) {
+        throw new Error(`Permission denied: role ${member.role} cannot veto ${proposal.operation}`);
+      }
+
+      const veto = await this.proposalEngine.recordVeto(proposalId, {
+        walletName: vetoerWalletName,
+        role: member.role,
+        reason
+      });
+
+      await this._audit('veto', proposal, { walletName: vetoerWalletName, role: member.role, reason });
+
+      if (multisig.notifications) {
+        await this.notificationService.notifyVeto(multisig, proposal, veto);
+      }
+
+      return {
+        proposalId,
+        status: proposal.status,
+        veto
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to veto proposal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify once for each queued proposal whose timelock has passed, and
+   * optionally execute it
+   */
+  async processTimelocks({ autoExecute = false } = {}) {
+    const now = Date.now();
+    const due = (await this.proposalEngine.getQueuedProposals())
+      .filter(proposal => !proposal.timelockNotified && now >= new Date(proposal.executableAt).getTime());
+
+    const processed = [];
+    for (const proposal of due) {
+      const multisig = this.multisigGroups.get(proposal.multisigId);
+      proposal.timelockNotified = true;
+
+      if (multisig.notifications) {
+        await this.notificationService.notifyTimelockExpired(multisig, proposal);
+      }
+
+      if (!autoExecute) {
+        processed.push({ proposalId: proposal.id, executed: false });
+        continue;
+      }
+
+      try {
+        const execution = await this.executeProposal(proposal.id);
+        processed.push({ proposalId: proposal.id, executed: true, result: execution.result });
+      } catch (error) {
+        console.warn(`⚠️ ${error.message}`);
+        processed.push({ proposalId: proposal.id, executed: false, error: error.message });
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Check timelocks in the background
+   */
+  startTimelockMonitor({ interval = 60000, autoExecute = false } = {}) {
+    if (this._timelockTimer) return;
+
+    this._timelockTimer = setInterval(() => {
+      this.processTimelocks({ autoExecute }).catch(error => console.warn(`Timelock check failed: ${error.message}`));
+    }, interval);
+
+    this._timelockTimer.unref?.();
+    console.log(`⏱️ Timelock monitor started (every ${interval / 1000}s)`);
+  }
+
+  stopTimelockMonitor() {
+    if (this._timelockTimer) {
+      clearInterval(this._timelockTimer);
+      this._timelockTimer = null;
+    }
+  }
+
+  /**
+   * Get queued (timelocked) proposals for a multisig group
+   */
+  async getQueuedProposals(multisigId) {
+    return await this.proposalEngine.getQueuedProposals(multisigId);
+  }
+
   /**
    * Get multisig group information
    */
@@ -374,6 +660,22 @@ export class ServerMultisigManager {
     return Array.from(this.multisigGroups.values());
   }
 
+  /**
+   * Add an operation proposals can execute (see OperationRegistry for the
+   * handler shape). Replaces any handler registered under the same name.
+   */
+  registerOperation(name, handler) {
+    this.operationRegistry.registerOperation(name, handler);
+    console.log(`🧩 Multisig operation registered: ${name}`);
+  }
+
+  /**
+   * Operations that can be proposed, with their parameter schemas
+   */
+  getSupportedOperations() {
+    return this.operationRegistry.listOperations();
+  }
+
   /**
    * Get pending proposals for a multisig group
    */
@@ -421,10 +723,22 @@ export class ServerMultisigManager {
     const processed = {};
     
     for (const [operation, rule] of Object.entries(rules)) {
+      // Without weighted voting every required approver must approve, so
+      // the first rejection already decides the proposal
+      if (!rule.weightThreshold && rule.rejectionThreshold > 1) {
+        throw new Error(`Rule for ${operation}: rejectionThreshold needs weightThreshold, since without weighted voting the first rejection is final`);
+      }
+
       processed[operation] = {
         requiredRoles: rule.requiredRoles || [],
         threshold: rule.threshold || 1,
         maxAmount: rule.maxAmount,
+        timelock: rule.timelock || 0, // Seconds an approved proposal waits before it can execute
+        timelockAbove: rule.timelockAbove, // Only timelock when params.amount exceeds this
+        vetoRoles: rule.vetoRoles || [], // Roles that may cancel during the timelock
+        rejectionThreshold: rule.rejectionThreshold, // Weighted rules: rejections that block a proposal
+        weightThreshold: rule.weightThreshold, // Set for weighted voting: approving weight needed to pass
+        quorum: rule.quorum || 0, // Weighted voting: share (0-1) of eligible weight that must vote
         description: rule.description || `${operation} operation`,
         ...rule
       };
@@ -448,9 +762,93 @@ export class ServerMultisigManager {
       rule.requiredRoles.includes(member.role)
     );
 
+    // Weighted rules let every eligible member vote
+    if (rule.weightThreshold) {
+      return eligibleMembers.map(m => m.walletName);
+    }
+
     return eligibleMembers.slice(0, rule.threshold).map(m => m.walletName);
   }
 
+  /**
+   * Member weights, weight threshold and quorum for weighted rules; null
+   * when every required approver must approve
+   */
+  _calculateVoting(multisig, operation, requiredApprovals) {
+    const rule = multisig.rules[operation];
+    if (!rule?.weightThreshold) return null;
+
+    const weights = Object.fromEntries(
+      multisig.members
+        .filter(member => requiredApprovals.includes(member.walletName))
+        .map(member => [member.walletName, member.weight])
+    );
+    const totalWeight = Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+    if (totalWeight < rule.weightThreshold) {
+      throw new Error(`Rule for ${operation} needs approving weight ${rule.weightThreshold} but eligible members hold ${totalWeight}`);
+    }
+    if (rule.quorum < 0 || rule.quorum > 1) {
+      throw new Error(`Quorum for ${operation} must be between 0 and 1`);
+    }
+
+    return {
+      mode: 'weighted',
+      weights,
+      weightThreshold: rule.weightThreshold,
+      quorum: rule.quorum
+    };
+  }
+
+  /**
+   * Rejections that block a proposal; never more than there are voters.
+   * Weighted rules default to blocking only once the remaining weight
+   * can't pass.
+   */
+  _calculateRejectionThreshold(multisig, operation, requiredApprovals) {
+    const rule = multisig.rules[operation];
+    const threshold = rule?.rejectionThreshold || (rule?.weightThreshold ? requiredApprovals.length : 1);
+    return Math.max(1, Math.min(threshold, requiredApprovals.length));
+  }
+
+  /**
+   * Timelock in seconds that applies to a proposal under its rule (0 = none)
+   */
+  _getTimelock(multisig, proposal) {
+    const rule = multisig.rules[proposal.operation];
+    if (!rule?.timelock) return 0;
+
+    if (rule.timelockAbove !== undefined && !(Number(proposal.params?.amount) > Number(rule.timelockAbove))) {
+      return 0;
+    }
+
+    return Number(rule.timelock);
+  }
+
+  async _queueProposal(multisig, proposal) {
+    const delay = this._getTimelock(multisig, proposal);
+
+    await this.proposalEngine.queueProposal(proposal.id, {
+      executableAt: new Date(Date.now() + delay * 1000).toISOString(),
+      vetoRoles: multisig.rules[proposal.operation].vetoRoles
+    });
+
+    console.log(`⏳ Proposal ${proposal.id} approved, timelocked for ${delay}s`);
+
+    if (multisig.notifications) {
+      await this.notificationService.notifyQueued(multisig, proposal);
+    }
+
+    return {
+      proposalId: proposal.id,
+      operation: proposal.operation,
+      status: proposal.status,
+      queuedAt: proposal.queuedAt,
+      executableAt: proposal.executableAt,
+      vetoRoles: proposal.vetoRoles
+    };
+  }
+
   /**
    * Detect gaming role from wallet name
    */
@@ -465,173 +863,136 @@ export class ServerMultisigManager {
   }
 
   /**
-   * Execute the actual blockchain operation
+   * Execute the actual blockchain operation through its registered handler
    */
   async _executeOperation(proposal) {
-    const { operation, params } = proposal;
-    
-    switch (operation) {
-      case 'createERC20Token':
-        return await this._executeTokenCreation(proposal);
-      case 'createNFTCollection':
-        return await this._executeNFTCollection(proposal);
-      case 'mintNFT':
-        return await this._executeNFTMint(proposal);
-      case 'transferETH':
-        return await this._executeETHTransfer(proposal);
-      case 'batchPlayerRewards':
-        return await this._executeBatchRewards(proposal);
-      default:
-        throw new Error(`Unknown operation: ${operation}`);
+    if (proposal.transaction) {
+      return await this._executeWalletTransaction(proposal);
     }
+
+    return await this.operationRegistry.execute(proposal.operation, {
+      proposal,
+      params: proposal.params,
+      proposerWallet: this.serverWallets[proposal.proposerWalletName],
+      kit: this.client,
+      manager: this
+    });
   }
 
   /**
-   * Execute token creation
+   * Deploy the wallet contract of an on-chain group; members' addresses
+   * become its owners
    */
-  async _executeTokenCreation(proposal) {
-    const { params } = proposal;
-    const proposerWallet = this.serverWallets[proposal.proposerWalletName];
-    
-    // Use UmiAgentKit to create token
-    const result = await this.client.createERC20Token({
-      deployerWallet: proposerWallet,
-      name: params.name,
-      symbol: params.symbol,
-      decimals: params.decimals || 18,
-      initialSupply: params.initialSupply
+  async _deployGroupWallet(members, threshold, deployerWalletName, feeStrategy) {
+    const deployer = this.serverWallets[deployerWalletName || members[0].walletName];
+    if (!deployer) {
+      throw new Error(`Wallet ${deployerWalletName} not found on server`);
+    }
+
+    return await this.client.onChainMultisigManager.deployMultisigWallet({
+      signer: deployer.getSigner(),
+      owners: members.map(member => member.wallet.getAddress()),
+      threshold,
+      feeStrategy
     });
+  }
+
+  async _buildWalletTransaction(multisig, operation, params) {
+    const call = await this.operationRegistry.buildTransaction(operation, params, { kit: this.client, multisig });
+    const onChain = this.client.onChainMultisigManager;
+    const transaction = onChain.createTransaction(call);
 
     return {
-      type: 'tokenCreation',
-      contractAddress: result.contractAddress,
-      transactionHash: result.hash,
-      tokenName: params.name,
-      tokenSymbol: params.symbol
+      walletAddress: multisig.walletAddress,
+      ...transaction,
+      txHash: onChain.getTransactionHash({ walletAddress: multisig.walletAddress, transaction })
     };
   }
 
   /**
-   * Execute NFT collection creation
+   * Owner signatures for the wallet transaction, made by the approvers'
+   * server wallets only when the proposal executes. Signing at approval
+   * time would let anyone holding threshold signatures call execTransaction
+   * while the proposal still needs votes, or after it was rejected or amended.
    */
-  async _executeNFTCollection(proposal) {
-    const { params } = proposal;
-    const proposerWallet = this.serverWallets[proposal.proposerWalletName];
-    
-    const result = await this.client.createNFTCollection({
-      deployerWallet: proposerWallet,
-      name: params.name,
-      symbol: params.symbol,
-      baseURI: params.baseURI || "",
-      maxSupply: params.maxSupply || 10000
-    });
+  async _signWalletTransaction(multisig, proposal) {
+    // No signature may exist while a veto can still cancel the proposal,
+    // since the contract itself knows nothing about timelocks
+    const timelocked = proposal.status === 'queued'
+      ? Date.now() < new Date(proposal.executableAt).getTime()
+      : this._getTimelock(multisig, proposal) > 0;
+    if (timelocked || !['pending', 'queued'].includes(proposal.status)) {
+      throw new Error(`Proposal ${proposal.id} cannot be signed yet (status: ${proposal.status})`);
+    }
 
-    return {
-      type: 'nftCollection',
-      contractAddress: result.contractAddress,
-      transactionHash: result.hash,
-      collectionName: params.name
-    };
+    const onChain = this.client.onChainMultisigManager;
+    const { walletAddress, ...transaction } = proposal.transaction;
+
+    const signers = multisig.members
+      .filter(member => proposal.approvals.has(member.walletName))
+      .slice(0, multisig.threshold);
+
+    const signatures = [];
+    for (const member of signers) {
+      const signed = await onChain.signTransaction({ signer: member.wallet.getSigner(), walletAddress, transaction });
+      signatures.push(signed.signature);
+    }
+
+    return signatures;
   }
 
   /**
-   * Execute NFT mint
+   * Server groups only need the approvals; on-chain groups also need as
+   * many approving owners as the wallet threshold
    */
-  async _executeNFTMint(proposal) {
-    const { params } = proposal;
-    const proposerWallet = this.serverWallets[proposal.proposerWalletName];
-    
-    const result = await this.client.mintNFT({
-      ownerWallet: proposerWallet,
-      contractAddress: params.contractAddress,
-      to: params.to,
-      tokenId: params.tokenId,
-      metadataURI: params.metadataURI || ""
-    });
+  _isReadyToExecute(multisig, proposal) {
+    if (!proposal.hasRequiredApprovals()) return false;
+    if (!proposal.transaction) return true;
 
-    return {
-      type: 'nftMint',
-      transactionHash: result.hash,
-      tokenId: params.tokenId,
-      recipient: params.to
-    };
+    return proposal.approvals.size >= multisig.threshold;
   }
 
   /**
-   * Execute ETH transfer
+   * Sign and submit execTransaction (the proposer pays gas)
    */
-  async _executeETHTransfer(proposal) {
-    const { params } = proposal;
-    const proposerWallet = this.serverWallets[proposal.proposerWalletName];
-    
-    const result = await this.client.sendETH({
-      fromWallet: proposerWallet,
-      to: params.to,
-      amount: params.amount
+  async _executeWalletTransaction(proposal) {
+    const multisig = this.multisigGroups.get(proposal.multisigId);
+    const { walletAddress, ...transaction } = proposal.transaction;
+
+    const result = await this.client.onChainMultisigManager.execTransaction({
+      signer: this.serverWallets[proposal.proposerWalletName].getSigner(),
+      walletAddress,
+      transaction,
+      signatures: await this._signWalletTransaction(multisig, proposal)
     });
 
+    if (!result.success) {
+      throw new Error(`Wallet transaction reverted: ${result.hash}`);
+    }
+
     return {
-      type: 'ethTransfer',
+      type: 'walletTransaction',
       transactionHash: result.hash,
-      from: result.from,
-      to: params.to,
-      amount: params.amount
+      walletAddress,
+      operation: proposal.operation,
+      to: transaction.to,
+      value: transaction.value,
+      nonce: transaction.nonce,
+      signers: result.signers
     };
   }
 
   /**
-   * Execute batch player rewards
+   * Append a proposal state change to the audit log
    */
-  async _executeBatchRewards(proposal) {
-    const { params } = proposal;
-    const proposerWallet = this.serverWallets[proposal.proposerWalletName];
-    const results = [];
-
-    for (const reward of params.rewards) {
-      try {
-        let result;
-        
-        if (reward.type === 'token') {
-          result = await this.client.transferERC20Tokens({
-            fromWallet: proposerWallet,
-            tokenAddress: reward.tokenAddress,
-            to: reward.recipient,
-            amount: reward.amount
-          });
-        } else if (reward.type === 'nft') {
-          result = await this.client.mintNFT({
-            ownerWallet: proposerWallet,
-            contractAddress: reward.contractAddress,
-            to: reward.recipient,
-            tokenId: reward.tokenId,
-            metadataURI: reward.metadataURI
-          });
-        }
-
-        results.push({
-          recipient: reward.recipient,
-          type: reward.type,
-          success: true,
-          transactionHash: result.hash
-        });
-
-      } catch (error) {
-        results.push({
-          recipient: reward.recipient,
-          type: reward.type,
-          success: false,
-          error: error.message
-        });
-      }
-    }
-
-    return {
-      type: 'batchRewards',
-      totalRewards: params.rewards.length,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      results
-    };
+  async _audit(action, proposal, details = {}) {
+    await this.storage.saveAuditLog({
+      action,
+      multisigId: proposal.multisigId,
+      proposalId: proposal.id,
+      operation: proposal.operation,
+      ...details
+    });
   }
 
   /**
@@ -0,0 +1,202 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const MAX_FILE_SIZE = 262144;     // one raw block, kubo's default chunk size
+const MAX_BLOCK_SIZE = 1048576;   // larger directory blocks won't transfer over bitswap
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Packs a flat directory of small files (token metadata) into IPFS blocks
+ * without an IPFS node. CIDs are CIDv1/sha2-256 with raw leaves, the same
+ * as `ipfs add -r --cid-version=1`, so pinning the CAR (or re-adding the
+ * written directory) yields the CID computed here.
+ */
+export class IPFSPacker {
+  constructor() {
+    this.files = new Map(); // name -> bytes
+  }
+
+  /**
+   * Add a file to the directory (objects are written as JSON)
+   */
+  addFile(name, content) {
+    const fileName = String(name);
+    if (!fileName || fileName.includes('/') || fileName === '.' || fileName === '..') {
+      throw new Error(`Invalid file name: ${fileName}`);
+    }
+
+    const bytes = Buffer.isBuffer(content) || content instanceof Uint8Array
+      ? Buffer.from(content)
+      : Buffer.from(typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+
+    if (bytes.length > MAX_FILE_SIZE) {
+      throw new Error(`${fileName} is ${bytes.length} bytes; files above ${MAX_FILE_SIZE} bytes are not supported`);
+    }
+
+    this.files.set(fileName, bytes);
+    return this;
+  }
+
+  /**
+   * Build the blocks: { cid, files: { name: { cid, size } }, blocks }
+   */
+  pack() {
+    if (this.files.size === 0) throw new Error('Nothing to pack');
+
+    const names = Array.from(this.files.keys()).sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+    const blocks = [];
+    const files = {};
+    const links = [];
+
+    for (const name of names) {
+      const data = this.files.get(name);
+      const cid = IPFSPacker._cid(CODEC_RAW, data);
+
+      blocks.push({ cid, data });
+      links.push({ name, cid, size: data.length });
+      files[name] = { cid: IPFSPacker.toCIDString(cid), size: data.length };
+    }
+
+    const directory = IPFSPacker._encodeDirectory(links);
+    if (directory.length > MAX_BLOCK_SIZE) {
+      throw new Error(`Directory block is ${directory.length} bytes; split the collection into smaller directories`);
+    }
+
+    const rootCid = IPFSPacker._cid(CODEC_DAG_PB, directory);
+    blocks.unshift({ cid: rootCid, data: directory });
+
+    return { cid: IPFSPacker.toCIDString(rootCid), rootCid, files, blocks };
+  }
+
+  /**
+   * CARv1 archive with the directory as its root (`ipfs dag import`, pinning services)
+   */
+  toCar() {
+    const { rootCid, blocks } = this.pack();
+
+    // dag-cbor { roots: [CID], version: 1 }, keys in canonical order
+    const cidBytes = Buffer.concat([Buffer.from([0x00]), rootCid]);
+    const header = Buffer.concat([
+      Buffer.from([0xa2, 0x65]), Buffer.from('roots'),
+      Buffer.from([0x81, 0xd8, 0x2a, 0x58, cidBytes.length]), cidBytes,
+      Buffer.from([0x67]), Buffer.from('version'), Buffer.from([0x01])
+    ]);
+
+    const parts = [IPFSPacker._varint(header.length), header];
+    for (const { cid, data } of blocks) {
+      parts.push(IPFSPacker._varint(cid.length + data.length), cid, data);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Write the plain directory and/or a CAR file to disk
+   */
+  async write(outputDir, { directory = true, car = true, carName = 'bundle.car' } = {}) {
+    try {
+      const packed = this.pack();
+      const result = { cid: packed.cid, files: packed.files, directory: null, carPath: null };
+
+      if (directory) {
+        const dir = path.join(outputDir, packed.cid);
+        await fs.mkdir(dir, { recursive: true });
+        for (const [name, data] of this.files) {
+          await fs.writeFile(path.join(dir, name), data);
+        }
+        result.directory = dir;
+      }
+
+      if (car) {
+        await fs.mkdir(outputDir, { recursive: true });
+        result.carPath = path.join(outputDir, carName);
+        await fs.writeFile(result.carPath, this.toCar());
+      }
+
+      return result;
+
+    } catch (error) {
+      throw new Error(`Failed to write IPFS bundle: ${error.message}`);
+    }
+  }
+
+  /**
+   * CIDv1 (raw, sha2-256) of a single file, as `ipfs add --cid-version=1` reports it
+   */
+  static cidForFile(content) {
+    const bytes = Buffer.isBuffer(content) ? content : Buffer.from(typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    if (bytes.length > MAX_FILE_SIZE) {
+      throw new Error(`Files above ${MAX_FILE_SIZE} bytes are not supported`);
+    }
+    return IPFSPacker.toCIDString(IPFSPacker._cid(CODEC_RAW, bytes));
+  }
+
+  /**
+   * Multibase base32 string form ("b...") of binary CID bytes
+   */
+  static toCIDString(cid) {
+    let bits = 0;
+    let value = 0;
+    let output = 'b';
+
+    for (const byte of cid) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  static _cid(codec, data) {
+    const digest = createHash('sha256').update(data).digest();
+    return Buffer.concat([
+      IPFSPacker._varint(1),
+      IPFSPacker._varint(codec),
+      Buffer.from([MULTIHASH_SHA2_256, digest.length]),
+      digest
+    ]);
+  }
+
+  /**
+   * dag-pb node of a UnixFS directory: links first, then Data { Type: Directory }
+   */
+  static _encodeDirectory(links) {
+    const parts = [];
+
+    for (const link of links) {
+      const name = Buffer.from(link.name);
+      const body = Buffer.concat([
+        Buffer.from([0x0a]), IPFSPacker._varint(link.cid.length), link.cid,
+        Buffer.from([0x12]), IPFSPacker._varint(name.length), name,
+        Buffer.from([0x18]), IPFSPacker._varint(link.size)
+      ]);
+      parts.push(Buffer.from([0x12]), IPFSPacker._varint(body.length), body);
+    }
+
+    parts.push(Buffer.from([0x0a, 0x02, 0x08, 0x01]));
+
+    return Buffer.concat(parts);
+  }
+
+  static _varint(value) {
+    const bytes = [];
+    let n = value;
+    while (n >= 0x80) {
+      bytes.push((n & 0x7f) | 0x80);
+      n = Math.floor(n / 128);
+    }
+    bytes.push(n);
+    return Buffer.from(bytes);
+  }
+}
@@ -0,0 +1,109 @@
+import { encodeAbiParameters, getAddress, keccak256, concat } from 'viem';
+
+/**
+ * Merkle tree over an address allowlist for phased NFT sales.
+ * Leaves are keccak256(keccak256(abi.encode(address))) and pairs are hashed
+ * in sorted order, matching the MerkleProof check in the generated contracts
+ * (and OpenZeppelin's StandardMerkleTree).
+ */
+export class MerkleAllowlist {
+  constructor(addresses) {
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      throw new Error('Allowlist must contain at least one address');
+    }
+
+    this.addresses = Array.from(new Set(addresses.map(address => getAddress(address))));
+    this.leaves = new Map(this.addresses.map(address => [address, MerkleAllowlist.leaf(address)]));
+    this.layers = this._buildLayers(Array.from(new Set(this.leaves.values())).sort());
+    this.root = this.layers[this.layers.length - 1][0];
+  }
+
+  /**
+   * Leaf hash for an address
+   */
+  static leaf(address) {
+    return keccak256(keccak256(encodeAbiParameters([{ type: 'address' }], [getAddress(address)])));
+  }
+
+  /**
+   * Whether the address is on the list
+   */
+  includes(address) {
+    return this.leaves.has(getAddress(address));
+  }
+
+  /**
+   * Proof for an address (pass to mintNFT / mintERC1155 as `proof`)
+   */
+  getProof(address) {
+    const account = getAddress(address);
+    if (!this.leaves.has(account)) {
+      throw new Error(`${account} is not on the allowlist`);
+    }
+
+    const proof = [];
+    let index = this.layers[0].indexOf(this.leaves.get(account));
+
+    for (let level = 0; level < this.layers.length - 1; level++) {
+      const layer = this.layers[level];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+
+      // The last node of an odd layer is carried up without a sibling
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Proofs for every address, e.g. to publish for a mint site
+   */
+  getAllProofs() {
+    return Object.fromEntries(this.addresses.map(address => [address, this.getProof(address)]));
+  }
+
+  /**
+   * Verify a proof the same way the contract does
+   */
+  static verify(root, address, proof) {
+    let hash = MerkleAllowlist.leaf(address);
+    for (const element of proof) {
+      hash = MerkleAllowlist._hashPair(hash, element);
+    }
+    return hash === root;
+  }
+
+  toJSON() {
+    return {
+      root: this.root,
+      count: this.addresses.length,
+      proofs: this.getAllProofs()
+    };
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _buildLayers(leaves) {
+    const layers = [leaves];
+
+    while (layers[layers.length - 1].length > 1) {
+      const current = layers[layers.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length
+          ? MerkleAllowlist._hashPair(current[i], current[i + 1])
+          : current[i]);
+      }
+
+      layers.push(next);
+    }
+
+    return layers;
+  }
+
+  static _hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+  }
+}
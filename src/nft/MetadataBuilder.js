@@ -0,0 +1,151 @@
+import { IPFSPacker } from './IPFSPacker.js';
+
+/**
+ * Builds OpenSea-compatible token metadata for ERC-721 collections and
+ * packages it for IPFS. The contract's tokenURI is `baseURI + tokenId`, so
+ * each token's JSON is stored under its bare id (no `.json` extension).
+ */
+export class MetadataBuilder {
+  constructor(config = {}) {
+    this.config = {
+      name: config.name || '',                 // collection name, used for "<name> #<id>"
+      description: config.description || '',
+      imageBaseURI: config.imageBaseURI || '', // image = imageBaseURI + tokenId + imageExtension
+      imageExtension: config.imageExtension || '.png',
+      externalUrl: config.externalUrl || '',
+      ...config
+    };
+  }
+
+  /**
+   * Metadata JSON for one token
+   * ({ tokenId, name, description, image, animationUrl, externalUrl,
+   *    backgroundColor, traits, level, experience })
+   */
+  buildToken(token) {
+    if (token.tokenId === undefined || token.tokenId === null) {
+      throw new Error('Token ID required');
+    }
+
+    const tokenId = token.tokenId.toString();
+    const attributes = this._normalizeTraits(token.traits ?? token.attributes);
+
+    // Gaming fields tracked on-chain by addExperience / calculateLevel
+    if (token.experience !== undefined || token.level !== undefined) {
+      const experience = token.experience !== undefined ? Number(token.experience) : 0;
+      const level = token.level !== undefined ? Number(token.level) : MetadataBuilder.calculateLevel(experience);
+
+      attributes.push({ trait_type: 'Level', value: level, display_type: 'number' });
+      attributes.push({ trait_type: 'Experience', value: experience, display_type: 'number' });
+    }
+
+    const image = token.image
+      || (this.config.imageBaseURI ? `${this.config.imageBaseURI}${tokenId}${this.config.imageExtension}` : undefined);
+
+    const metadata = {
+      name: token.name || (this.config.name ? `${this.config.name} #${tokenId}` : `#${tokenId}`),
+      description: token.description ?? this.config.description,
+      image,
+      animation_url: token.animationUrl,
+      external_url: token.externalUrl || (this.config.externalUrl ? `${this.config.externalUrl.replace(/\/$/, '')}/${tokenId}` : undefined),
+      background_color: token.backgroundColor?.replace(/^#/, ''),
+      attributes
+    };
+
+    // Drop unset optional fields so the JSON stays minimal (and its CID stable)
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== ''));
+  }
+
+  /**
+   * Metadata for many tokens: [{ tokenId, metadata }]
+   */
+  buildCollection(tokens) {
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      throw new Error('At least one token required');
+    }
+
+    const seen = new Set();
+    return tokens.map(token => {
+      const tokenId = token.tokenId?.toString();
+      if (seen.has(tokenId)) throw new Error(`Duplicate token ID: ${tokenId}`);
+      seen.add(tokenId);
+
+      return { tokenId, metadata: this.buildToken(token) };
+    });
+  }
+
+  /**
+   * Build every token's JSON and package it as an IPFS directory.
+   * Returns the directory CID and the `ipfs://<cid>/` baseURI to deploy with;
+   * with `outputDir` the directory and a CAR file are written to disk.
+   * `contractMetadata` (see NFTManager.buildContractMetadata) is added as
+   * contract.json for use as the contractURI.
+   */
+  async pack(tokens, { outputDir, car = true, directory = true, contractMetadata } = {}) {
+    const packer = new IPFSPacker();
+
+    for (const { tokenId, metadata } of this.buildCollection(tokens)) {
+      packer.addFile(tokenId, metadata);
+    }
+    if (contractMetadata) {
+      packer.addFile('contract.json', contractMetadata);
+    }
+
+    const bundle = outputDir
+      ? await packer.write(outputDir, { car, directory })
+      : { ...packer.pack(), directory: null, carPath: null };
+
+    console.log(`📦 Packed metadata for ${tokens.length} tokens: ipfs://${bundle.cid}/`);
+
+    return {
+      cid: bundle.cid,
+      baseURI: `ipfs://${bundle.cid}/`,
+      contractURI: contractMetadata ? `ipfs://${bundle.cid}/contract.json` : null,
+      tokenCount: tokens.length,
+      files: bundle.files,
+      directory: bundle.directory,
+      carPath: bundle.carPath
+    };
+  }
+
+  /**
+   * Same level curve as the contract's calculateLevel
+   */
+  static calculateLevel(experience) {
+    if (experience < 100) return 1;
+    if (experience < 300) return 2;
+    if (experience < 600) return 3;
+    if (experience < 1000) return 4;
+    if (experience < 1500) return 5;
+    return 5 + Math.floor((experience - 1500) / 500);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  /**
+   * Traits as { Class: 'Mage' }, an OpenSea attributes array, or the JSON
+   * string stored on-chain by setNFTAttributes
+   */
+  _normalizeTraits(traits) {
+    if (traits === undefined || traits === null || traits === '') return [];
+
+    if (typeof traits === 'string') {
+      let parsed;
+      try {
+        parsed = JSON.parse(traits);
+      } catch {
+        throw new Error('Trait string must be JSON');
+      }
+      return this._normalizeTraits(parsed);
+    }
+
+    if (Array.isArray(traits)) {
+      return traits.map(trait => {
+        if (trait.value === undefined) throw new Error('Every trait needs a value');
+        return { ...trait };
+      });
+    }
+
+    return Object.entries(traits).map(([trait_type, value]) => ({ trait_type, value }));
+  }
+}
@@ -1,8 +1,9 @@
 // Complete NFTManager.js with OpenZeppelin ERC-721 support
 
-import { createWalletClient, http, parseEther, encodeFunctionData, encodeAbiParameters } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
+import { parseEther, formatEther, encodeFunctionData, encodeAbiParameters, decodeEventLog, zeroHash } from 'viem';
 import { NFTCompiler } from '../compiler/NFTCompiler.js';
+import { MerkleAllowlist } from './MerkleAllowlist.js';
+import { createSignerClient, resolveSigner } from '../signer/resolveSigner.js';
 import { MoveNFTCompiler } from '../compiler/MoveNFTCompiler.js';
 import { AccountAddress, EntryFunction, TransactionPayloadEntryFunction } from '@aptos-labs/ts-sdk';
 
@@ -17,39 +18,40 @@ export class NFTManager {
    */
   async deployNFTCollection({ 
     deployerPrivateKey, 
+    signer,
+    feeStrategy,
     name, 
     symbol,
     baseURI = "",
     maxSupply = 10000,
-    mintPrice = "0"
+    mintPrice = "0",
+    royaltyReceiver,
+    royaltyBps = 0,
+    contractURI = "",
+    soulbound = false,
+    lockEvents = true
   }) {
     try {
       // Validate inputs
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('Collection name required');
       if (!symbol) throw new Error('Collection symbol required');
+      this._validateRoyaltyBps(royaltyBps);
 
       console.log(`🎨 Compiling ${name} NFT collection with OpenZeppelin...`);
 
       // Compile the OpenZeppelin NFT contract
-      const compiled = NFTCompiler.compileERC721Collection(name, symbol, baseURI, maxSupply, mintPrice);
+      const compiled = NFTCompiler.compileERC721Collection(name, symbol, baseURI, maxSupply, mintPrice, { soulbound, lockEvents });
       console.log(`✅ OpenZeppelin NFT contract compiled successfully`);
 
-      // Format private key
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      // Resolve signer
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
 
       console.log(`🚀 Deploying NFT collection from ${account.address}...`);
 
+      // Royalties go to the deployer unless another receiver is given
+      const royaltyRecipient = royaltyReceiver || account.address;
+
       // Encode constructor parameters for OpenZeppelin NFT contract
       const constructorParams = this._encodeNFTConstructorParams(
         name,
@@ -57,7 +59,10 @@ export class NFTManager {
         baseURI,
         maxSupply,
         parseEther(mintPrice),
-        account.address // owner address
+        account.address, // owner address
+        royaltyRecipient,
+        royaltyBps,
+        contractURI
       );
 
       // Combine bytecode with constructor parameters
@@ -91,8 +96,17 @@ export class NFTManager {
         baseURI,
         maxSupply: maxSupply.toString(),
         mintPrice: mintPrice.toString(),
+        royalty: {
+          receiver: royaltyBps > 0 ? royaltyRecipient : null,
+          royaltyBps,
+          percentage: `${royaltyBps / 100}%`
+        },
+        contractURI,
+        soulbound,
         type: 'ERC721-OpenZeppelin',
-        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        abi: soulbound
+          ? [...NFTCompiler.getOpenZeppelinERC721ABI(), ...NFTCompiler.getSoulboundABI()]
+          : NFTCompiler.getOpenZeppelinERC721ABI(),
         bytecode: compiled.bytecode,
         features: [
           'ERC721 Standard',
@@ -101,7 +115,10 @@ export class NFTManager {
           'Ownable',
           'Gaming Features',
           'Batch Operations',
-          'Pausable'
+          'Pausable',
+          'EIP-2981 Royalties',
+          'Contract-level Metadata',
+          ...(soulbound ? [lockEvents ? 'Soulbound (ERC-5192)' : 'Soulbound'] : [])
         ]
       };
 
@@ -116,25 +133,17 @@ export class NFTManager {
   async ownerMintNFT({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     toAddress, 
     quantity = 1 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!toAddress) throw new Error('Recipient address required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       // Encode owner mint function call
       const data = encodeFunctionData({
@@ -168,42 +177,65 @@ export class NFTManager {
   }
 
   /**
-   * Public mint NFT (requires payment)
+   * Public mint NFT (requires payment). With `phaseId` it mints through that
+   * sale phase, using `proof` (or building it from `allowlist`) for allowlist
+   * phases. The payment defaults to the on-chain price when omitted.
    */
   async mintNFT({ 
     contractAddress, 
     userPrivateKey, 
-    paymentAmount 
+    signer,
+    feeStrategy,
+    paymentAmount,
+    to,
+    quantity = 1,
+    phaseId,
+    proof,
+    allowlist
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!userPrivateKey) throw new Error('User private key required');
-      if (!paymentAmount) throw new Error('Payment amount required');
-
-      const formattedKey = userPrivateKey.startsWith('0x') 
-        ? userPrivateKey 
-        : '0x' + userPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
-
-      // Encode mint function call
-      const data = encodeFunctionData({
-        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
-        functionName: 'mint',
-        args: [account.address]
-      });
+      if (!signer && !userPrivateKey) throw new Error('User signer or private key required');
+      if (phaseId === undefined && quantity !== 1) {
+        throw new Error('Minting more than one token requires a sale phase');
+      }
+
+      const { account, walletClient } = await this._createWalletClient(signer || userPrivateKey, feeStrategy);
+      const abi = NFTCompiler.getOpenZeppelinERC721ABI();
+      const recipient = to || account.address;
+
+      let data, value, gas;
+
+      if (phaseId !== undefined) {
+        const phase = await this._readSalePhase(contractAddress, phaseId);
+
+        // The contract checks the proof against the sender, not the recipient
+        const mintProof = proof || (allowlist ? new MerkleAllowlist(allowlist).getProof(account.address) : []);
+
+        data = encodeFunctionData({
+          abi,
+          functionName: 'phaseMint',
+          args: [BigInt(phaseId), recipient, BigInt(quantity), mintProof]
+        });
+        value = paymentAmount !== undefined ? parseEther(paymentAmount.toString()) : phase.price * BigInt(quantity);
+        gas = 100000n + 150000n * BigInt(quantity);
+      } else {
+        data = encodeFunctionData({
+          abi,
+          functionName: 'mint',
+          args: [recipient]
+        });
+        value = paymentAmount !== undefined
+          ? parseEther(paymentAmount.toString())
+          : await this.client.readContract({ address: contractAddress, abi, functionName: 'mintPrice' });
+        gas = 150000n;
+      }
 
       const hash = await walletClient.sendTransaction({
         to: contractAddress,
         data,
-        value: parseEther(paymentAmount),
-        gas: 150000n,
+        value,
+        gas,
       });
 
       console.log(`💰 Paid mint transaction hash: ${hash}`);
@@ -214,9 +246,12 @@ export class NFTManager {
         hash,
         success: receipt.status === 'success',
         minter: account.address,
-        paymentAmount,
+        recipient,
+        quantity: quantity.toString(),
+        paymentAmount: formatEther(value),
         contractAddress,
-        type: 'paid_mint'
+        ...(phaseId !== undefined ? { phaseId: phaseId.toString() } : {}),
+        type: phaseId !== undefined ? 'phase_mint' : 'paid_mint'
       };
 
     } catch (error) {
@@ -230,24 +265,16 @@ export class NFTManager {
   async batchMintNFTs({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     recipients 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!recipients || recipients.length === 0) throw new Error('Recipients required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       // Encode batch mint function call
       const data = encodeFunctionData({
@@ -270,6 +297,7 @@ export class NFTManager {
         hash,
         success: receipt.status === 'success',
         recipients,
+        tokenIds: this._getMintedTokenIds(receipt),
         contractAddress,
         type: 'batch_mint'
       };
@@ -285,26 +313,18 @@ export class NFTManager {
   async addExperience({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     tokenId, 
     experience 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (tokenId === undefined) throw new Error('Token ID required');
       if (!experience) throw new Error('Experience amount required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
@@ -342,26 +362,18 @@ export class NFTManager {
   async setNFTAttributes({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     tokenId, 
     attributes 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (tokenId === undefined) throw new Error('Token ID required');
       if (!attributes) throw new Error('Attributes required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
@@ -395,22 +407,12 @@ export class NFTManager {
   /**
    * Pause NFT collection
    */
-  async pauseNFTCollection({ contractAddress, ownerPrivateKey }) {
+  async pauseNFTCollection({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
-
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
@@ -443,22 +445,12 @@ export class NFTManager {
   /**
    * Unpause NFT collection
    */
-  async unpauseNFTCollection({ contractAddress, ownerPrivateKey }) {
+  async unpauseNFTCollection({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
@@ -614,36 +606,31 @@ export class NFTManager {
   }
 
   /**
-   * Transfer NFT between addresses
+   * Transfer NFT between addresses. On soulbound collections only the issuer
+   * can transfer, passing the holder as `fromAddress`
    */
   async transferNFT({ 
     contractAddress, 
     fromPrivateKey, 
+    signer,
+    feeStrategy,
     toAddress, 
-    tokenId 
+    tokenId,
+    fromAddress
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!fromPrivateKey) throw new Error('From private key required');
+      if (!signer && !fromPrivateKey) throw new Error('From signer or private key required');
       if (!toAddress) throw new Error('To address required');
       if (tokenId === undefined) throw new Error('Token ID required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+      await this._assertTransferable(contractAddress, account.address, tokenId);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
         functionName: 'safeTransferFrom',
-        args: [account.address, toAddress, BigInt(tokenId)]
+        args: [fromAddress || account.address, toAddress, BigInt(tokenId)]
       });
 
       const hash = await walletClient.sendTransaction({
@@ -659,7 +646,7 @@ export class NFTManager {
       return {
         hash,
         success: receipt.status === 'success',
-        from: account.address,
+        from: fromAddress || account.address,
         to: toAddress,
         tokenId: tokenId.toString(),
         contractAddress,
@@ -674,22 +661,12 @@ export class NFTManager {
   /**
    * Withdraw contract funds (owner only)
    */
-  async withdrawNFTFunds({ contractAddress, ownerPrivateKey }) {
+  async withdrawNFTFunds({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
-
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
         abi: NFTCompiler.getOpenZeppelinERC721ABI(),
@@ -719,6 +696,359 @@ export class NFTManager {
     }
   }
 
+  // ======================================
+  // ROYALTIES (EIP-2981) & COLLECTION METADATA
+  // ======================================
+
+  /**
+   * Set the collection-wide royalty receiver and fee (owner only)
+   */
+  async setDefaultRoyalty({ contractAddress, ownerPrivateKey, signer, feeStrategy, receiver, royaltyBps }) {
+    try {
+      if (!receiver) throw new Error('Royalty receiver required');
+      this._validateRoyaltyBps(royaltyBps);
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'setDefaultRoyalty',
+        [receiver, BigInt(royaltyBps)]
+      );
+
+      console.log(`💸 Default royalty set to ${royaltyBps / 100}% for ${receiver}: ${hash}`);
+
+      return {
+        hash,
+        success,
+        contractAddress,
+        receiver,
+        royaltyBps,
+        action: 'default_royalty_set'
+      };
+
+    } catch (error) {
+      throw new Error(`Setting default royalty failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the collection-wide royalty (per-token overrides stay)
+   */
+  async deleteDefaultRoyalty({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
+    try {
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'deleteDefaultRoyalty',
+        []
+      );
+
+      console.log(`💸 Default royalty removed: ${hash}`);
+
+      return { hash, success, contractAddress, action: 'default_royalty_deleted' };
+
+    } catch (error) {
+      throw new Error(`Deleting default royalty failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Override the royalty for a single token (owner only)
+   */
+  async setTokenRoyalty({ contractAddress, ownerPrivateKey, signer, feeStrategy, tokenId, receiver, royaltyBps }) {
+    try {
+      if (tokenId === undefined) throw new Error('Token ID required');
+      if (!receiver) throw new Error('Royalty receiver required');
+      this._validateRoyaltyBps(royaltyBps);
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'setTokenRoyalty',
+        [BigInt(tokenId), receiver, BigInt(royaltyBps)]
+      );
+
+      console.log(`💸 Royalty for token ${tokenId} set to ${royaltyBps / 100}% for ${receiver}: ${hash}`);
+
+      return {
+        hash,
+        success,
+        contractAddress,
+        tokenId: tokenId.toString(),
+        receiver,
+        royaltyBps,
+        action: 'token_royalty_set'
+      };
+
+    } catch (error) {
+      throw new Error(`Setting token royalty failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop a token's royalty override so the default applies again
+   */
+  async resetTokenRoyalty({ contractAddress, ownerPrivateKey, signer, feeStrategy, tokenId }) {
+    try {
+      if (tokenId === undefined) throw new Error('Token ID required');
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'resetTokenRoyalty',
+        [BigInt(tokenId)]
+      );
+
+      console.log(`💸 Royalty override for token ${tokenId} removed: ${hash}`);
+
+      return { hash, success, contractAddress, tokenId: tokenId.toString(), action: 'token_royalty_reset' };
+
+    } catch (error) {
+      throw new Error(`Resetting token royalty failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Royalty owed on a sale (salePrice in ETH)
+   */
+  async getRoyaltyInfo({ contractAddress, tokenId, salePrice = "1" }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (tokenId === undefined) throw new Error('Token ID required');
+
+      const price = parseEther(salePrice.toString());
+
+      const [receiver, royaltyAmount] = await this.client.readContract({
+        address: contractAddress,
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'royaltyInfo',
+        args: [BigInt(tokenId), price]
+      });
+
+      const royaltyBps = price > 0n ? Number(royaltyAmount * 10000n / price) : 0;
+
+      return {
+        contractAddress,
+        tokenId: tokenId.toString(),
+        receiver: royaltyAmount > 0n ? receiver : null,
+        salePrice: salePrice.toString(),
+        royaltyAmount: formatEther(royaltyAmount),
+        royaltyBps,
+        percentage: `${royaltyBps / 100}%`
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get royalty info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point the collection at new marketplace metadata (owner only)
+   */
+  async setContractURI({ contractAddress, ownerPrivateKey, signer, feeStrategy, contractURI }) {
+    try {
+      if (contractURI === undefined) throw new Error('Contract URI required');
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'setContractURI',
+        [contractURI],
+        150000n
+      );
+
+      console.log(`🗂️ Contract URI updated: ${hash}`);
+
+      return { hash, success, contractAddress, contractURI, action: 'contract_uri_set' };
+
+    } catch (error) {
+      throw new Error(`Setting contract URI failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the collection metadata URI
+   */
+  async getContractURI({ contractAddress }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+
+      return await this.client.readContract({
+        address: contractAddress,
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'contractURI'
+      });
+
+    } catch (error) {
+      throw new Error(`Failed to get contract URI: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collection metadata JSON in the format marketplaces read from contractURI
+   * (upload it and pass the URI to setContractURI / deployNFTCollection)
+   */
+  buildContractMetadata({ name, description = "", image = "", externalLink = "", royaltyReceiver, royaltyBps = 0 }) {
+    if (!name) throw new Error('Collection name required');
+    this._validateRoyaltyBps(royaltyBps);
+    if (royaltyBps > 0 && !royaltyReceiver) throw new Error('Royalty receiver required');
+
+    return {
+      name,
+      description,
+      image,
+      external_link: externalLink,
+      seller_fee_basis_points: royaltyBps,
+      fee_recipient: royaltyBps > 0 ? royaltyReceiver : undefined
+    };
+  }
+
+  // ======================================
+  // SALE PHASES & ALLOWLISTS
+  // ======================================
+
+  /**
+   * Create or update a sale phase (owner only). Pass `allowlist` (addresses)
+   * or `merkleRoot` to restrict the phase; without either it is public.
+   * Omitting `phaseId` appends a new phase. Times are unix seconds or Dates.
+   */
+  async setSalePhase({ 
+    contractAddress, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    phaseId,
+    startTime = 0,
+    endTime = 0,
+    price = "0",
+    maxPerWallet = 0,
+    allowlist,
+    merkleRoot
+  }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+
+      const start = this._toUnixSeconds(startTime);
+      const end = this._toUnixSeconds(endTime);
+      if (end !== 0 && end <= start) throw new Error('Phase end time must be after its start time');
+
+      const root = allowlist ? new MerkleAllowlist(allowlist).root : (merkleRoot || zeroHash);
+
+      const id = phaseId !== undefined
+        ? BigInt(phaseId)
+        : await this.client.readContract({
+          address: contractAddress,
+          abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+          functionName: 'salePhaseCount'
+        });
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'setSalePhase',
+        [id, BigInt(start), BigInt(end), parseEther(price.toString()), BigInt(maxPerWallet), root],
+        200000n
+      );
+
+      console.log(`🗓️ Sale phase ${id} set${root !== zeroHash ? ' (allowlist)' : ''}: ${hash}`);
+
+      return {
+        hash,
+        success,
+        contractAddress,
+        phaseId: id.toString(),
+        startTime: start,
+        endTime: end,
+        price: price.toString(),
+        maxPerWallet: maxPerWallet.toString(),
+        merkleRoot: root,
+        allowlistSize: allowlist ? new Set(allowlist.map(a => a.toLowerCase())).size : null,
+        action: 'sale_phase_set'
+      };
+
+    } catch (error) {
+      throw new Error(`Setting sale phase failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * All sale phases of a collection
+   */
+  async getSalePhases({ contractAddress }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+
+      const count = await this.client.readContract({
+        address: contractAddress,
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'salePhaseCount'
+      });
+
+      const now = Math.floor(Date.now() / 1000);
+      const phases = [];
+
+      for (let i = 0; i < Number(count); i++) {
+        const phase = await this._readSalePhase(contractAddress, i);
+
+        phases.push({
+          phaseId: i.toString(),
+          startTime: phase.startTime,
+          endTime: phase.endTime,
+          price: formatEther(phase.price),
+          maxPerWallet: phase.maxPerWallet.toString(),
+          merkleRoot: phase.merkleRoot,
+          allowlistOnly: phase.merkleRoot !== zeroHash,
+          active: now >= phase.startTime && (phase.endTime === 0 || now < phase.endTime)
+        });
+      }
+
+      return phases;
+
+    } catch (error) {
+      throw new Error(`Failed to get sale phases: ${error.message}`);
+    }
+  }
+
+  // ======================================
+  // SOULBOUND TOKENS
+  // ======================================
+
+  /**
+   * Whether a collection was deployed soulbound (false for older contracts)
+   */
+  async isSoulbound({ contractAddress }) {
+    try {
+      return await this.client.readContract({
+        address: contractAddress,
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'soulbound'
+      });
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Revoke (burn) a soulbound token from its holder (issuer only)
+   */
+  async revokeNFT({ contractAddress, ownerPrivateKey, signer, feeStrategy, tokenId }) {
+    try {
+      if (tokenId === undefined) throw new Error('Token ID required');
+      if (!(await this.isSoulbound({ contractAddress }))) {
+        throw new Error('Only soulbound collections support revocation');
+      }
+
+      const { hash, success } = await this._sendCollectionAdminCall(
+        { contractAddress, ownerPrivateKey, signer, feeStrategy },
+        'revoke',
+        [BigInt(tokenId)],
+        150000n,
+        [...NFTCompiler.getOpenZeppelinERC721ABI(), ...NFTCompiler.getSoulboundABI()]
+      );
+
+      console.log(`🚫 Token ${tokenId} revoked: ${hash}`);
+
+      return { hash, success, contractAddress, tokenId: tokenId.toString(), action: 'token_revoked' };
+
+    } catch (error) {
+      throw new Error(`Revoking token failed: ${error.message}`);
+    }
+  }
+
   // ======================================
   // MOVE NFT METHODS (existing)
   // ======================================
@@ -728,6 +1058,7 @@ export class NFTManager {
    */
   async deployMoveNFTCollection({ 
     deployerPrivateKey, 
+    signer,
     name, 
     symbol,
     description = "",
@@ -735,19 +1066,14 @@ export class NFTManager {
   }) {
     try {
       // Validate inputs
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('Collection name required');
       if (!symbol) throw new Error('Collection symbol required');
 
       console.log(`🎨 Generating ${name} Move NFT collection...`);
 
-      // Format private key and get address
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
       // Convert ETH address to Move address (simplified)
-      const account = privateKeyToAccount(formattedKey);
+      const account = await resolveSigner(signer || deployerPrivateKey).toAccount();
       const moveAddress = this._convertEthToMoveAddress(account.address);
 
       console.log(`🔄 Converted address: ${account.address} -> ${moveAddress}`);
@@ -800,22 +1126,18 @@ export class NFTManager {
   async mintMoveNFT({ 
     moveAddress, 
     deployerPrivateKey, 
+    signer,
     name, 
     description 
   }) {
     try {
       if (!moveAddress) throw new Error('Move address required');
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('NFT name required');
 
       console.log(`🎨 Minting Move NFT: ${name}`);
 
-      // Format private key
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
+      const minter = await resolveSigner(signer || deployerPrivateKey).getAddress();
 
       // Create Move NFT minting transaction (simplified)
       const payload = new TransactionPayloadEntryFunction(
@@ -837,7 +1159,7 @@ export class NFTManager {
         moveAddress,
         nftName: name,
         description,
-        minter: account.address,
+        minter,
         type: 'move_nft_mint',
         hash: `0x${Date.now().toString(16)}` // Simplified hash
       };
@@ -877,7 +1199,7 @@ export class NFTManager {
   /**
    * Encode constructor parameters for OpenZeppelin NFT contract
    */
-  _encodeNFTConstructorParams(name, symbol, baseURI, maxSupply, mintPrice, owner) {
+  _encodeNFTConstructorParams(name, symbol, baseURI, maxSupply, mintPrice, owner, royaltyReceiver, royaltyBps, contractURI) {
     try {
       return encodeAbiParameters(
         [
@@ -886,15 +1208,128 @@ export class NFTManager {
           { type: 'string' },   // baseURI
           { type: 'uint256' },  // maxSupply
           { type: 'uint256' },  // mintPrice
-          { type: 'address' }   // owner
+          { type: 'address' },  // owner
+          { type: 'address' },  // royaltyReceiver
+          { type: 'uint96' },   // royaltyBps
+          { type: 'string' }    // contractURI
         ],
-        [name, symbol, baseURI, BigInt(maxSupply), mintPrice, owner]
+        [name, symbol, baseURI, BigInt(maxSupply), mintPrice, owner, royaltyReceiver, BigInt(royaltyBps), contractURI]
       );
     } catch (error) {
       throw new Error(`NFT constructor encoding failed: ${error.message}`);
     }
   }
 
+  /**
+   * Royalty fee in basis points (250 = 2.5%), at most the full sale price
+   */
+  _validateRoyaltyBps(royaltyBps) {
+    if (!Number.isInteger(royaltyBps) || royaltyBps < 0 || royaltyBps > 10000) {
+      throw new Error('Royalty must be an integer between 0 and 10000 basis points');
+    }
+  }
+
+  /**
+   * Token ids minted in a receipt, in mint order (Transfer events from 0x0)
+   */
+  _getMintedTokenIds(receipt) {
+    const tokenIds = [];
+
+    for (const log of receipt.logs || []) {
+      try {
+        const { eventName, args } = decodeEventLog({
+          abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+          data: log.data,
+          topics: log.topics
+        });
+        if (eventName === 'Transfer' && BigInt(args.from) === 0n) tokenIds.push(args.tokenId.toString());
+      } catch {
+        // Not a collection event
+      }
+    }
+
+    return tokenIds;
+  }
+
+  /**
+   * Fail early with a clear reason instead of a reverted transfer
+   */
+  async _assertTransferable(contractAddress, sender, tokenId) {
+    if (!(await this.isSoulbound({ contractAddress }))) return;
+
+    const issuer = await this.client.readContract({
+      address: contractAddress,
+      abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+      functionName: 'owner'
+    });
+
+    if (issuer.toLowerCase() !== sender.toLowerCase()) {
+      throw new Error(`Token ${tokenId} is soulbound and can only be transferred by the issuer (${issuer})`);
+    }
+  }
+
+  /**
+   * Read one sale phase struct
+   */
+  async _readSalePhase(contractAddress, phaseId) {
+    const [startTime, endTime, price, maxPerWallet, merkleRoot] = await this.client.readContract({
+      address: contractAddress,
+      abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+      functionName: 'salePhases',
+      args: [BigInt(phaseId)]
+    });
+
+    return { startTime: Number(startTime), endTime: Number(endTime), price, maxPerWallet, merkleRoot };
+  }
+
+  /**
+   * Unix seconds from a Date or a number of seconds (0 = no limit)
+   */
+  _toUnixSeconds(value) {
+    const seconds = value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+    if (!Number.isInteger(seconds) || seconds < 0) throw new Error(`Invalid phase time: ${value}`);
+    return seconds;
+  }
+
+  /**
+   * Send an owner-only collection call and wait for it
+   */
+  async _sendCollectionAdminCall({ contractAddress, ownerPrivateKey, signer, feeStrategy }, functionName, args, gas = 80000n, abi = NFTCompiler.getOpenZeppelinERC721ABI()) {
+    if (!contractAddress) throw new Error('Contract address required');
+    if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+
+    const { walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+    const data = encodeFunctionData({
+      abi,
+      functionName,
+      args
+    });
+
+    const hash = await walletClient.sendTransaction({
+      to: contractAddress,
+      data,
+      gas,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+
+    return { hash, success: receipt.status === 'success' };
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
   /**
    * Serialize bytecode for Umi network deployment
    */
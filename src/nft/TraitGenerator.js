@@ -0,0 +1,183 @@
+import { createHash } from 'crypto';
+
+const DEFAULT_TIERS = [
+  { name: 'common', weight: 60 },
+  { name: 'rare', weight: 25 },
+  { name: 'epic', weight: 12 },
+  { name: 'legendary', weight: 3 }
+];
+
+/**
+ * Generative trait engine for loot drops. Every random draw is derived from
+ * sha256(seed:index:draw), so anyone holding the seed and the layer config
+ * can regenerate the exact drop and check it against the provenance hash.
+ *
+ * Layers: [{ name, traits: [{ value, weight, tiers? }] }]. A trait with
+ * `tiers` only appears on items of those rarity tiers.
+ * Tiers:  [{ name, weight }] (defaults to common/rare/epic/legendary)
+ */
+export class TraitGenerator {
+  constructor({ layers, tiers = DEFAULT_TIERS, seed, maxAttempts = 1000 } = {}) {
+    if (!Array.isArray(layers) || layers.length === 0) {
+      throw new Error('At least one trait layer required');
+    }
+    if (seed === undefined || seed === null || seed === '') {
+      throw new Error('Seed required for a reproducible drop');
+    }
+
+    this.tiers = this._validateWeights(tiers.map(t => (typeof t === 'string' ? { name: t, weight: 1 } : t)), 'tier');
+    this.layers = layers.map(layer => {
+      if (!layer.name) throw new Error('Every layer needs a name');
+      return { name: layer.name, traits: this._validateWeights(layer.traits, `trait in layer "${layer.name}"`, 'value') };
+    });
+    this.seed = seed.toString();
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Generate `count` unique items:
+   * { seed, provenanceHash, items: [{ tokenId, tier, attributes, dna, rarityScore, rank }], stats }
+   */
+  generate(count, { startTokenId = 1 } = {}) {
+    if (!Number.isInteger(count) || count <= 0) throw new Error('Count must be a positive integer');
+
+    const combinations = this.layers.reduce((total, layer) => total * layer.traits.length, 1);
+    if (count > combinations) {
+      throw new Error(`Only ${combinations} trait combinations exist, cannot generate ${count} unique items`);
+    }
+
+    const seen = new Set();
+    const items = [];
+
+    for (let index = 0; index < count; index++) {
+      let item = null;
+
+      for (let attempt = 0; attempt < this.maxAttempts && !item; attempt++) {
+        const candidate = this._generateItem(index, attempt);
+        if (!seen.has(candidate.dna)) item = candidate;
+      }
+
+      if (!item) {
+        throw new Error(`No unique combination found for item ${index} after ${this.maxAttempts} attempts`);
+      }
+
+      seen.add(item.dna);
+      items.push({ tokenId: (startTokenId + index).toString(), ...item });
+    }
+
+    const stats = this._scoreItems(items);
+
+    return {
+      seed: this.seed,
+      provenanceHash: '0x' + createHash('sha256').update(items.map(i => i.dna).join('')).digest('hex'),
+      count: items.length,
+      items,
+      stats
+    };
+  }
+
+  /**
+   * On-chain attribute string for setNFTAttributes
+   */
+  static toAttributeString(item) {
+    return JSON.stringify(item.attributes);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _generateItem(index, attempt) {
+    let draw = 0;
+    const random = () => this._random(index, attempt, draw++);
+
+    const tier = this._pick(this.tiers, random()).name;
+    const attributes = [];
+
+    for (const layer of this.layers) {
+      const eligible = layer.traits.filter(trait => !trait.tiers || trait.tiers.includes(tier));
+      if (eligible.length === 0) {
+        throw new Error(`Layer "${layer.name}" has no traits for tier "${tier}"`);
+      }
+
+      const trait = this._pick(eligible, random());
+      attributes.push({ trait_type: layer.name, value: trait.value });
+    }
+
+    attributes.push({ trait_type: 'Rarity', value: tier });
+
+    // Tier is excluded from the DNA so uniqueness is about the visible traits
+    const dna = createHash('sha256')
+      .update(JSON.stringify(attributes.slice(0, -1).map(a => a.value)))
+      .digest('hex')
+      .slice(0, 16);
+
+    return { tier, attributes, dna };
+  }
+
+  /**
+   * Statistical rarity: sum over layers of 1 / (share of items with that trait)
+   */
+  _scoreItems(items) {
+    const counts = {};
+    for (const item of items) {
+      for (const { trait_type, value } of item.attributes) {
+        counts[trait_type] ??= {};
+        counts[trait_type][value] = (counts[trait_type][value] || 0) + 1;
+      }
+    }
+
+    for (const item of items) {
+      const score = item.attributes
+        .filter(a => a.trait_type !== 'Rarity')
+        .reduce((sum, a) => sum + items.length / counts[a.trait_type][a.value], 0);
+      item.rarityScore = Math.round(score * 100) / 100;
+    }
+
+    const ranked = [...items].sort((a, b) => b.rarityScore - a.rarityScore || Number(a.tokenId) - Number(b.tokenId));
+    ranked.forEach((item, i) => { item.rank = i + 1; });
+
+    const stats = {};
+    for (const [layer, values] of Object.entries(counts)) {
+      stats[layer] = Object.fromEntries(Object.entries(values).map(([value, count]) => [
+        value,
+        { count, frequency: Math.round((count / items.length) * 10000) / 100 }
+      ]));
+    }
+
+    return stats;
+  }
+
+  _pick(options, roll) {
+    const total = options.reduce((sum, option) => sum + option.weight, 0);
+    let target = roll * total;
+
+    for (const option of options) {
+      target -= option.weight;
+      if (target < 0) return option;
+    }
+    return options[options.length - 1];
+  }
+
+  /**
+   * Uniform [0, 1) from sha256(seed:index:attempt:draw)
+   */
+  _random(index, attempt, draw) {
+    const digest = createHash('sha256').update(`${this.seed}:${index}:${attempt}:${draw}`).digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+  }
+
+  _validateWeights(options, label, key = 'name') {
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new Error(`At least one ${label} required`);
+    }
+
+    return options.map(option => {
+      if (option[key] === undefined) throw new Error(`Every ${label} needs a ${key}`);
+
+      const weight = option.weight ?? 1;
+      if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`Invalid weight for ${label} "${option[key]}"`);
+      }
+      return { ...option, weight };
+    });
+  }
+}
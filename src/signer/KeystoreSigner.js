@@ -0,0 +1,92 @@
+import { ethers } from 'ethers';
+import { Signer } from './Signer.js';
+import { LocalKeySigner } from './LocalKeySigner.js';
+
+/**
+ * Signs with a Web3 Secret Storage v3 keystore.
+ * The key is only decrypted when needed and can be locked again.
+ */
+export class KeystoreSigner extends Signer {
+  constructor(keystoreJson, { password } = {}) {
+    super('keystore');
+
+    if (!keystoreJson || !ethers.isKeystoreJson(keystoreJson)) {
+      throw new Error('Invalid keystore JSON');
+    }
+
+    this.keystoreJson = keystoreJson;
+    const { address } = JSON.parse(keystoreJson);
+    if (!address) {
+      throw new Error('Keystore has no address field');
+    }
+
+    this.address = ethers.getAddress(address.startsWith('0x') ? address : '0x' + address);
+    this._password = password || null;
+    this._localSigner = null;
+  }
+
+  /**
+   * Create a signer from a keystore saved in KeystoreStorage
+   */
+  static async fromStorage(storage, label, options = {}) {
+    const keystoreJson = await storage.load(label);
+    if (!keystoreJson) {
+      throw new Error(`Keystore "${label}" not found`);
+    }
+    return new KeystoreSigner(keystoreJson, options);
+  }
+
+  /**
+   * Decrypt the keystore and keep the key until lock() is called
+   */
+  async unlock(password = this._password) {
+    if (this._localSigner) {
+      return true;
+    }
+    if (!password) {
+      throw new Error('Keystore is locked and no password was provided');
+    }
+
+    try {
+      const account = await ethers.decryptKeystoreJson(this.keystoreJson, password);
+      this._localSigner = new LocalKeySigner(account.privateKey);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to unlock keystore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the decrypted key from memory
+   */
+  lock() {
+    this._localSigner = null;
+  }
+
+  isUnlocked() {
+    return this._localSigner !== null;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(transaction, options = {}) {
+    return await (await this._getLocalSigner()).signTransaction(transaction, options);
+  }
+
+  async signMessage(message) {
+    return await (await this._getLocalSigner()).signMessage(message);
+  }
+
+  async signTypedData(typedData) {
+    return await (await this._getLocalSigner()).signTypedData(typedData);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _getLocalSigner() {
+    await this.unlock();
+    return this._localSigner;
+  }
+}
@@ -0,0 +1,48 @@
+import { privateKeyToAccount } from 'viem/accounts';
+import { Signer } from './Signer.js';
+
+/**
+ * Signs with a private key held in this process
+ */
+export class LocalKeySigner extends Signer {
+  constructor(privateKey) {
+    super('local');
+
+    if (!privateKey || typeof privateKey !== 'string') {
+      throw new Error('Private key is required');
+    }
+
+    const formattedKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+
+    if (formattedKey.length !== 66) {
+      throw new Error('Invalid private key format. Expected 64 hex characters (with or without 0x prefix)');
+    }
+
+    // Keep the key inside the viem account only
+    this._account = privateKeyToAccount(formattedKey);
+    this.address = this._account.address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signTransaction(transaction, options = {}) {
+    return await this._account.signTransaction(transaction, options);
+  }
+
+  async signMessage(message) {
+    return await this._account.signMessage({ message });
+  }
+
+  async signTypedData(typedData) {
+    return await this._account.signTypedData(typedData);
+  }
+
+  /**
+   * The local viem account can be used directly
+   */
+  async toAccount() {
+    return this._account;
+  }
+}
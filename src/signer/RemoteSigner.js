@@ -0,0 +1,125 @@
+import { getAddress, rpcTransactionType, toHex } from 'viem';
+import { Signer } from './Signer.js';
+
+/**
+ * Signs through a separate signing service over HTTP JSON-RPC
+ * (eth_accounts / eth_signTransaction / eth_sign / eth_signTypedData_v4,
+ * as exposed by Web3Signer, Clef and similar services).
+ * Keys never enter this process.
+ */
+export class RemoteSigner extends Signer {
+  constructor(config = {}) {
+    super('remote');
+
+    if (!config.url) {
+      throw new Error('Remote signer URL required');
+    }
+
+    this.config = {
+      timeout: 15000,
+      headers: {},
+      ...config
+    };
+
+    this.address = config.address ? getAddress(config.address) : null;
+    this._requestId = 0;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const accounts = await this._rpc('eth_accounts', []);
+      if (!accounts || accounts.length === 0) {
+        throw new Error('Remote signer returned no accounts');
+      }
+      this.address = getAddress(accounts[0]);
+    }
+    return this.address;
+  }
+
+  async signTransaction(transaction, options = {}) {
+    const from = await this.getAddress();
+    const result = await this._rpc('eth_signTransaction', [
+      this._formatTransaction({ ...transaction, from })
+    ]);
+
+    // Clef/geth return { raw, tx }, Web3Signer returns the raw hex
+    return typeof result === 'string' ? result : result.raw;
+  }
+
+  async signMessage(message) {
+    const data = typeof message === 'string'
+      ? toHex(message)
+      : (typeof message.raw === 'string' ? message.raw : toHex(message.raw));
+
+    return await this._rpc('eth_sign', [await this.getAddress(), data]);
+  }
+
+  async signTypedData(typedData) {
+    const payload = JSON.stringify(typedData, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    );
+
+    return await this._rpc('eth_signTypedData_v4', [await this.getAddress(), payload]);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _rpc(method, params) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(this.config.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.config.headers
+        },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: ++this._requestId,
+          method,
+          params
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const body = await response.json();
+      if (body.error) {
+        throw new Error(body.error.message || JSON.stringify(body.error));
+      }
+
+      return body.result;
+
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? 'request timed out' : error.message;
+      throw new Error(`Remote signer ${method} failed: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * JSON-RPC expects hex quantities instead of bigints/numbers, and the
+   * type code ('0x2') instead of viem's name ('eip1559')
+   */
+  _formatTransaction(transaction) {
+    const formatted = {};
+    const quantities = ['gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value', 'nonce', 'chainId'];
+
+    for (const [key, value] of Object.entries(transaction)) {
+      if (value === undefined || value === null) continue;
+      if (key === 'type') {
+        formatted.type = rpcTransactionType[value] || value;
+        continue;
+      }
+      formatted[key] = quantities.includes(key) ? toHex(value) : value;
+    }
+
+    return formatted;
+  }
+}
@@ -0,0 +1,63 @@
+import { toAccount } from 'viem/accounts';
+
+/**
+ * Base signer interface. Managers only talk to signers through these
+ * methods, so keys can live in memory, in a keystore or in another process.
+ */
+export class Signer {
+  constructor(type = 'abstract') {
+    this.type = type;
+  }
+
+  /**
+   * Get the signer's address
+   */
+  async getAddress() {
+    throw new Error(`${this.constructor.name} must implement getAddress()`);
+  }
+
+  /**
+   * Sign a prepared transaction, returning the serialized signed transaction
+   */
+  async signTransaction(transaction, options = {}) {
+    throw new Error(`${this.constructor.name} must implement signTransaction()`);
+  }
+
+  /**
+   * Sign a message (string or { raw } bytes)
+   */
+  async signMessage(message) {
+    throw new Error(`${this.constructor.name} must implement signMessage()`);
+  }
+
+  /**
+   * Sign EIP-712 typed data ({ domain, types, primaryType, message })
+   */
+  async signTypedData(typedData) {
+    throw new Error(`${this.constructor.name} must implement signTypedData()`);
+  }
+
+  /**
+   * Build a viem account backed by this signer (for createWalletClient)
+   */
+  async toAccount() {
+    const address = await this.getAddress();
+
+    return toAccount({
+      address,
+      signMessage: ({ message }) => this.signMessage(message),
+      signTransaction: (transaction, options) => this.signTransaction(transaction, options),
+      signTypedData: (typedData) => this.signTypedData(typedData)
+    });
+  }
+
+  /**
+   * Get signer info (no secrets)
+   */
+  async getInfo() {
+    return {
+      type: this.type,
+      address: await this.getAddress()
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import { createWalletClient, http } from 'viem';
+import { Signer } from './Signer.js';
+import { LocalKeySigner } from './LocalKeySigner.js';
+
+/**
+ * Normalize whatever a caller passed as the sender into a Signer:
+ * a Signer, anything exposing getSigner() (e.g. UmiWallet) or a raw private key
+ */
+export function resolveSigner(signerOrKey) {
+  if (!signerOrKey) {
+    throw new Error('Signer or private key required');
+  }
+
+  if (signerOrKey instanceof Signer) {
+    return signerOrKey;
+  }
+
+  if (typeof signerOrKey.getSigner === 'function') {
+    return signerOrKey.getSigner();
+  }
+
+  if (typeof signerOrKey === 'string') {
+    return new LocalKeySigner(signerOrKey);
+  }
+
+  throw new Error('Unsupported signer: expected a Signer, wallet or private key');
+}
+
+/**
+ * Create a viem wallet client whose account is backed by the signer.
+ * Pass a nonceManager to allocate nonces locally instead of per-send RPC lookups,
+ * a tracker to record every transaction the client sends, and a feeEstimator
+ * (+ optional feeStrategy) to price sends that don't set their own fees.
+ */
+export async function createSignerClient(signerOrKey, chain, { nonceManager, tracker, feeEstimator, feeStrategy } = {}) {
+  const signer = resolveSigner(signerOrKey);
+  const signerAccount = await signer.toAccount();
+  const account = nonceManager ? { ...signerAccount, nonceManager } : signerAccount;
+
+  const walletClient = createWalletClient({
+    account,
+    chain,
+    transport: http(chain.rpcUrls.default.http[0])
+  });
+
+  if (tracker) {
+    tracker.attach(walletClient);
+  }
+
+  // Outermost wrapper: fees must be set before the tracker prepares the request
+  const strategy = feeStrategy ?? feeEstimator?.config.defaultStrategy;
+  if (feeEstimator && strategy) {
+    const send = walletClient.sendTransaction;
+    walletClient.sendTransaction = async (parameters) => {
+      const hasFees = parameters.gasPrice !== undefined || parameters.maxFeePerGas !== undefined;
+      return await send(hasFees
+        ? parameters
+        : { ...parameters, ...await feeEstimator.getTransactionFees(strategy) });
+    };
+  }
+
+  return { signer, account, walletClient };
+}
@@ -0,0 +1,531 @@
+import { parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters, getAddress } from 'viem';
+import { StakingCompiler } from '../compiler/StakingCompiler.js';
+import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
+import { NFTCompiler } from '../compiler/NFTCompiler.js';
+import { createSignerClient } from '../signer/resolveSigner.js';
+
+const SECONDS_PER_DAY = 86400n;
+const SECONDS_PER_YEAR = 31536000;
+
+/**
+ * Staking pools for game tokens: stake an ERC-20 (or ERC-721 NFTs), earn an
+ * ERC-20 reward at a fixed daily rate shared between stakers, with an
+ * optional lockup restarted by every stake.
+ */
+export class StakingManager {
+  constructor(client, chain) {
+    this.client = client;
+    this.chain = chain;
+  }
+
+  /**
+   * Deploy a staking pool.
+   * rewardsPerDay: reward tokens paid per day across the whole pool
+   * lockupSeconds: how long each stake is locked before it can be withdrawn
+   */
+  async deployStakingContract({
+    deployerPrivateKey,
+    signer,
+    feeStrategy,
+    stakingToken,
+    rewardToken,
+    stakeType = 'erc20',
+    rewardsPerDay,
+    lockupSeconds = 0,
+    owner = null
+  }) {
+    try {
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
+      if (!stakingToken) throw new Error('Staking token address required');
+      if (!rewardToken) throw new Error('Reward token address required');
+      if (!rewardsPerDay) throw new Error('Rewards per day required');
+
+      console.log(`🔨 Compiling ${stakeType.toUpperCase()} staking pool...`);
+
+      const compiled = StakingCompiler.compileStakingContract(stakeType);
+      const rewardRate = await this._toRewardRate(rewardToken, rewardsPerDay);
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
+
+      console.log(`🚀 Deploying staking pool from ${account.address}...`);
+
+      const constructorParams = encodeAbiParameters(
+        [
+          { type: 'address' },   // staking token
+          { type: 'address' },   // reward token
+          { type: 'uint256' },   // reward rate (per second)
+          { type: 'uint256' },   // lockup period
+          { type: 'address' }    // owner
+        ],
+        [stakingToken, rewardToken, rewardRate, BigInt(lockupSeconds), owner || account.address]
+      );
+
+      const hash = await walletClient.sendTransaction({
+        to: null, // Contract creation
+        data: this._serializeForUmi(compiled.bytecode + constructorParams.slice(2)),
+        gas: 2000000n,
+      });
+
+      console.log(`📝 Transaction hash: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      console.log(`✅ Staking pool deployed at: ${receipt.contractAddress}`);
+
+      return {
+        hash,
+        contractAddress: receipt.contractAddress,
+        deployer: account.address,
+        owner: owner || account.address,
+        stakingToken,
+        rewardToken,
+        stakeType,
+        rewardsPerDay: rewardsPerDay.toString(),
+        rewardRate: rewardRate.toString(),
+        lockupSeconds: Number(lockupSeconds),
+        type: 'StakingRewards',
+        abi: compiled.abi
+      };
+
+    } catch (error) {
+      throw new Error(`Staking pool deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve and deposit reward tokens (pool owner only). The reward period
+   * is extended by amount / rate, so rewards stop when the funds run out.
+   */
+  async fundRewards({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    amount
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!contractAddress) throw new Error('Staking pool address required');
+      if (!amount) throw new Error('Amount required');
+
+      const { rewardToken } = await this._readPoolTokens(contractAddress);
+      const value = parseUnits(amount.toString(), await this._getDecimals(rewardToken));
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      await this._ensureTokenAllowance(walletClient, account.address, rewardToken, contractAddress, value);
+
+      const result = await this._sendPoolCall(walletClient, contractAddress, 'fundRewards', [value], 150000n);
+      const periodFinish = await this._read(contractAddress, 'periodFinish');
+
+      console.log(`💰 Funded staking rewards with ${amount}: ${result.hash}`);
+
+      return {
+        ...result,
+        contractAddress,
+        rewardToken,
+        amount: amount.toString(),
+        rewardsEndAt: Number(periodFinish),
+        type: 'staking_fund'
+      };
+
+    } catch (error) {
+      throw new Error(`Staking reward funding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the reward rate (pool owner only); unspent rewards are spread
+   * over the new period
+   */
+  async setRewardRate({
+    ownerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    rewardsPerDay
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!contractAddress) throw new Error('Staking pool address required');
+      if (!rewardsPerDay) throw new Error('Rewards per day required');
+
+      const { rewardToken } = await this._readPoolTokens(contractAddress);
+      const rewardRate = await this._toRewardRate(rewardToken, rewardsPerDay);
+      const { walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const result = await this._sendPoolCall(walletClient, contractAddress, 'setRewardRate', [rewardRate], 120000n);
+
+      return {
+        ...result,
+        contractAddress,
+        rewardsPerDay: rewardsPerDay.toString(),
+        rewardRate: rewardRate.toString(),
+        type: 'staking_rate'
+      };
+
+    } catch (error) {
+      throw new Error(`Reward rate update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stake tokens (amount) or NFTs (tokenIds); approves the pool first when needed
+   */
+  async stake({
+    stakerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    amount,
+    tokenIds
+  }) {
+    try {
+      if (!signer && !stakerPrivateKey) throw new Error('Staker signer or private key required');
+      if (!contractAddress) throw new Error('Staking pool address required');
+
+      const { stakingToken, stakeIsNFT } = await this._readPoolTokens(contractAddress);
+      const { account, walletClient } = await this._createWalletClient(signer || stakerPrivateKey, feeStrategy);
+      let args;
+
+      if (stakeIsNFT) {
+        if (!Array.isArray(tokenIds) || tokenIds.length === 0) throw new Error('Token IDs required for an NFT pool');
+        await this._ensureNFTApproval(walletClient, account.address, stakingToken, contractAddress);
+        args = [tokenIds.map(id => BigInt(id))];
+      } else {
+        if (!amount) throw new Error('Amount required');
+        const value = parseUnits(amount.toString(), await this._getDecimals(stakingToken));
+        await this._ensureTokenAllowance(walletClient, account.address, stakingToken, contractAddress, value);
+        args = [value];
+      }
+
+      const result = await this._sendPoolCall(walletClient, contractAddress, 'stake', args, stakeIsNFT ? 150000n + 120000n * BigInt(tokenIds.length) : 200000n, stakeIsNFT);
+
+      console.log(`🥩 Staked ${stakeIsNFT ? `${tokenIds.length} NFT(s)` : amount} in ${contractAddress}: ${result.hash}`);
+
+      return {
+        ...result,
+        staker: account.address,
+        contractAddress,
+        amount: stakeIsNFT ? tokenIds.length.toString() : amount.toString(),
+        tokenIds: stakeIsNFT ? tokenIds.map(id => id.toString()) : [],
+        type: 'stake'
+      };
+
+    } catch (error) {
+      throw new Error(`Staking failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw staked tokens (amount) or NFTs (tokenIds) once the lockup is over
+   */
+  async unstake({
+    stakerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    amount,
+    tokenIds
+  }) {
+    try {
+      if (!signer && !stakerPrivateKey) throw new Error('Staker signer or private key required');
+      if (!contractAddress) throw new Error('Staking pool address required');
+
+      const { stakingToken, stakeIsNFT } = await this._readPoolTokens(contractAddress);
+      const { account, walletClient } = await this._createWalletClient(signer || stakerPrivateKey, feeStrategy);
+
+      const unlockTime = Number(await this._read(contractAddress, 'unlockTime', [account.address]));
+      if (unlockTime > Math.floor(Date.now() / 1000)) {
+        throw new Error(`Stake is locked until ${new Date(unlockTime * 1000).toISOString()}`);
+      }
+
+      let args;
+      if (stakeIsNFT) {
+        if (!Array.isArray(tokenIds) || tokenIds.length === 0) throw new Error('Token IDs required for an NFT pool');
+        args = [tokenIds.map(id => BigInt(id))];
+      } else {
+        if (!amount) throw new Error('Amount required');
+        const decimals = await this._getDecimals(stakingToken);
+        const value = parseUnits(amount.toString(), decimals);
+        const staked = await this._read(contractAddress, 'stakedBalance', [account.address]);
+        if (value > staked) {
+          throw new Error(`Amount exceeds stake (${formatUnits(staked, decimals)} staked)`);
+        }
+        args = [value];
+      }
+
+      const result = await this._sendPoolCall(walletClient, contractAddress, 'unstake', args, stakeIsNFT ? 150000n + 80000n * BigInt(tokenIds.length) : 150000n, stakeIsNFT);
+
+      console.log(`📤 Unstaked from ${contractAddress}: ${result.hash}`);
+
+      return {
+        ...result,
+        staker: account.address,
+        contractAddress,
+        amount: stakeIsNFT ? tokenIds.length.toString() : amount.toString(),
+        tokenIds: stakeIsNFT ? tokenIds.map(id => id.toString()) : [],
+        type: 'unstake'
+      };
+
+    } catch (error) {
+      throw new Error(`Unstaking failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim all earned rewards
+   */
+  async claimRewards({
+    stakerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress
+  }) {
+    try {
+      if (!signer && !stakerPrivateKey) throw new Error('Staker signer or private key required');
+      if (!contractAddress) throw new Error('Staking pool address required');
+
+      const { rewardToken } = await this._readPoolTokens(contractAddress);
+      const { account, walletClient } = await this._createWalletClient(signer || stakerPrivateKey, feeStrategy);
+
+      const earned = await this._read(contractAddress, 'earned', [account.address]);
+      if (earned === 0n) {
+        throw new Error('No rewards to claim');
+      }
+
+      const result = await this._sendPoolCall(walletClient, contractAddress, 'claim', [], 120000n);
+      const decimals = await this._getDecimals(rewardToken);
+
+      console.log(`🎁 Claimed ${formatUnits(earned, decimals)} rewards: ${result.hash}`);
+
+      return {
+        ...result,
+        staker: account.address,
+        contractAddress,
+        rewardToken,
+        amount: formatUnits(earned, decimals),
+        type: 'staking_claim'
+      };
+
+    } catch (error) {
+      throw new Error(`Reward claim failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * A staker's position: staked amount (or NFT ids), pending rewards and lockup
+   */
+  async getPosition({ contractAddress, address }) {
+    try {
+      if (!contractAddress) throw new Error('Staking pool address required');
+      if (!address) throw new Error('Address required');
+
+      const { stakingToken, rewardToken, stakeIsNFT } = await this._readPoolTokens(contractAddress);
+      const [staked, earned, unlockTime, tokenIds] = await Promise.all([
+        this._read(contractAddress, 'stakedBalance', [address]),
+        this._read(contractAddress, 'earned', [address]),
+        this._read(contractAddress, 'unlockTime', [address]),
+        stakeIsNFT ? this._read(contractAddress, 'stakedTokens', [address], true) : []
+      ]);
+      const rewardDecimals = await this._getDecimals(rewardToken);
+
+      return {
+        contractAddress,
+        address,
+        staked: stakeIsNFT ? staked.toString() : formatUnits(staked, await this._getDecimals(stakingToken)),
+        tokenIds: tokenIds.map(id => id.toString()),
+        earned: formatUnits(earned, rewardDecimals),
+        unlockTime: Number(unlockTime),
+        locked: Number(unlockTime) > Math.floor(Date.now() / 1000)
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get staking position: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pool totals, reward schedule and APR. APR needs a price ratio between
+   * the two tokens: pass stakePrice / rewardPrice in any common unit (they
+   * default to 1 when the pool stakes and rewards the same token).
+   * With nothing staked the APR is what the first staker would earn.
+   */
+  async getPoolInfo({ contractAddress, stakePrice, rewardPrice }) {
+    try {
+      if (!contractAddress) throw new Error('Staking pool address required');
+
+      const { stakingToken, rewardToken, stakeIsNFT } = await this._readPoolTokens(contractAddress);
+      const [totalStaked, rewardRate, periodFinish, lockupPeriod, rewardsRemaining, owner] = await Promise.all([
+        this._read(contractAddress, 'totalStaked'),
+        this._read(contractAddress, 'rewardRate'),
+        this._read(contractAddress, 'periodFinish'),
+        this._read(contractAddress, 'lockupPeriod'),
+        this._read(contractAddress, 'rewardsRemaining'),
+        this._read(contractAddress, 'owner')
+      ]);
+      const rewardDecimals = await this._getDecimals(rewardToken);
+      const stakeDecimals = stakeIsNFT ? 0 : await this._getDecimals(stakingToken);
+
+      // Yearly rewards for one staked token (or one NFT)
+      const active = rewardsRemaining > 0n;
+      const stakedUnits = Math.max(Number(formatUnits(totalStaked, stakeDecimals)), 1);
+      const yearlyRewardPerUnit = active
+        ? Number(formatUnits(rewardRate, rewardDecimals)) * SECONDS_PER_YEAR / stakedUnits
+        : 0;
+
+      const sameToken = getAddress(stakingToken) === getAddress(rewardToken);
+      const priceRatio = stakePrice && rewardPrice
+        ? Number(rewardPrice) / Number(stakePrice)
+        : (sameToken ? 1 : null);
+
+      return {
+        contractAddress,
+        owner,
+        stakeType: stakeIsNFT ? 'erc721' : 'erc20',
+        stakingToken,
+        rewardToken,
+        totalStaked: formatUnits(totalStaked, stakeDecimals),
+        rewardsPerDay: formatUnits(rewardRate * SECONDS_PER_DAY, rewardDecimals),
+        rewardsRemaining: formatUnits(rewardsRemaining, rewardDecimals),
+        rewardsEndAt: Number(periodFinish),
+        lockupSeconds: Number(lockupPeriod),
+        active,
+        yearlyRewardPerUnit: Math.round(yearlyRewardPerUnit * 1e6) / 1e6,
+        apr: priceRatio === null ? null : Math.round(yearlyRewardPerUnit * priceRatio * 10000) / 100
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get staking pool info: ${error.message}`);
+    }
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _readPoolTokens(contractAddress) {
+    const [stakingToken, rewardToken, stakeIsNFT] = await Promise.all([
+      this._read(contractAddress, 'stakingToken'),
+      this._read(contractAddress, 'rewardToken'),
+      this._read(contractAddress, 'stakeIsNFT')
+    ]);
+    return { stakingToken, rewardToken, stakeIsNFT };
+  }
+
+  /**
+   * Human rewards-per-day to the contract's per-second rate in base units
+   */
+  async _toRewardRate(rewardToken, rewardsPerDay) {
+    const rate = parseUnits(rewardsPerDay.toString(), await this._getDecimals(rewardToken)) / SECONDS_PER_DAY;
+    if (rate === 0n) {
+      throw new Error(`Reward rate of ${rewardsPerDay} per day rounds to zero per second`);
+    }
+    return rate;
+  }
+
+  async _ensureTokenAllowance(walletClient, ownerAddress, tokenAddress, spender, value) {
+    const allowance = await this.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'allowance',
+      args: [ownerAddress, spender]
+    });
+    if (allowance >= value) return;
+
+    const hash = await walletClient.sendTransaction({
+      to: tokenAddress,
+      data: encodeFunctionData({
+        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        functionName: 'approve',
+        args: [spender, value]
+      }),
+      gas: 60000n,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+    if (receipt.status !== 'success') {
+      throw new Error(`Token approval reverted: ${hash}`);
+    }
+  }
+
+  async _ensureNFTApproval(walletClient, ownerAddress, collectionAddress, operator) {
+    const approved = await this.client.readContract({
+      address: collectionAddress,
+      abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+      functionName: 'isApprovedForAll',
+      args: [ownerAddress, operator]
+    });
+    if (approved) return;
+
+    const hash = await walletClient.sendTransaction({
+      to: collectionAddress,
+      data: encodeFunctionData({
+        abi: NFTCompiler.getOpenZeppelinERC721ABI(),
+        functionName: 'setApprovalForAll',
+        args: [operator, true]
+      }),
+      gas: 60000n,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+    if (receipt.status !== 'success') {
+      throw new Error(`NFT approval reverted: ${hash}`);
+    }
+  }
+
+  async _sendPoolCall(walletClient, contractAddress, functionName, args, gas, stakeIsNFT = false) {
+    const hash = await walletClient.sendTransaction({
+      to: contractAddress,
+      data: encodeFunctionData({
+        abi: StakingCompiler.getStakingABI(stakeIsNFT ? 'erc721' : 'erc20'),
+        functionName,
+        args
+      }),
+      gas,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+
+    return { hash, success: receipt.status === 'success' };
+  }
+
+  async _read(contractAddress, functionName, args = [], stakeIsNFT = false) {
+    return await this.client.readContract({
+      address: contractAddress,
+      abi: StakingCompiler.getStakingABI(stakeIsNFT ? 'erc721' : 'erc20'),
+      functionName,
+      args
+    });
+  }
+
+  async _getDecimals(tokenAddress) {
+    return await this.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'decimals'
+    });
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Serialize bytecode for Umi network deployment
+   */
+  _serializeForUmi(bytecode) {
+    const code = Buffer.from(bytecode.replace('0x', ''), 'hex');
+
+    // Length prefix (little-endian) inside the EvmContract enum variant
+    const lengthBytes = Buffer.alloc(4);
+    lengthBytes.writeUInt32LE(code.length);
+
+    return '0x' + Buffer.concat([Buffer.from([2]), lengthBytes, code]).toString('hex');
+  }
+}
@@ -1,14 +1,33 @@
 // Complete TokenManager.js with OpenZeppelin ERC-20 support
 
-import { createWalletClient, http, parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
+import { parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters, maxUint256, parseSignature, getAddress, keccak256, toHex, zeroHash, parseAbi } from 'viem';
 import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
-import { AccountAddress, EntryFunction, TransactionPayloadEntryFunction } from '@aptos-labs/ts-sdk';
+import { createSignerClient, resolveSigner } from '../signer/resolveSigner.js';
+import { MoveTokenCompiler } from '../compiler/MoveTokenCompiler.js';
+import { MovePayloadBuilder } from '../transaction/MovePayloadBuilder.js';
+import { ethToMoveAddress } from '../wallet/UmiWallet.js';
+
+// Move fungible asset amounts are u64
+const MAX_U64 = 2n ** 64n - 1n;
+
+// Roles compiled into ERC-20 tokens deployed with features.roles
+const TOKEN_ROLES = {
+  admin: zeroHash, // DEFAULT_ADMIN_ROLE - may grant and revoke every role
+  minter: keccak256(toHex('MINTER_ROLE')),
+  pauser: keccak256(toHex('PAUSER_ROLE'))
+};
+
+const ACCESS_CONTROL_ABI = parseAbi([
+  'function grantRole(bytes32 role, address account)',
+  'function revokeRole(bytes32 role, address account)',
+  'function hasRole(bytes32 role, address account) view returns (bool)'
+]);
 
 export class TokenManager {
   constructor(client, chain) {
     this.client = client;
     this.chain = chain;
+    this.deployedTokens = new Map(); // contract address -> { abi, features } of ERC-20s deployed here
   }
 
   /**
@@ -16,14 +35,17 @@ export class TokenManager {
    */
   async deployERC20Token({ 
     deployerPrivateKey, 
+    signer,
+    feeStrategy,
     name, 
     symbol, 
     decimals = 18, 
-    initialSupply 
+    initialSupply,
+    features = {}
   }) {
     try {
       // Validate inputs
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('Token name required');
       if (!symbol) throw new Error('Token symbol required');
       if (!initialSupply) throw new Error('Initial supply required');
@@ -31,21 +53,11 @@ export class TokenManager {
       console.log(`🔨 Compiling ${name} token contract with OpenZeppelin...`);
 
       // Compile the OpenZeppelin-based contract
-      const compiled = SolidityCompiler.compileERC20Token(name, symbol, decimals, initialSupply);
+      const compiled = SolidityCompiler.compileERC20Token(name, symbol, decimals, initialSupply, features);
       console.log(`✅ OpenZeppelin contract compiled successfully`);
 
-      // Format private key
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      // Resolve signer
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
 
       console.log(`🚀 Deploying contract from ${account.address}...`);
 
@@ -80,6 +92,13 @@ export class TokenManager {
       
       console.log(`✅ Contract deployed at: ${receipt.contractAddress}`);
 
+      this.deployedTokens.set(getAddress(receipt.contractAddress), { abi: compiled.abi, features: compiled.features });
+
+      // Locked allocations are minted by the owner right after deployment
+      const vestingAllocations = Array.isArray(features.vesting)
+        ? await this._allocateVested(walletClient, receipt.contractAddress, compiled.abi, decimals, features.vesting)
+        : [];
+
       return {
         hash,
         contractAddress: receipt.contractAddress,
@@ -89,15 +108,10 @@ export class TokenManager {
         decimals,
         initialSupply: initialSupply.toString(),
         type: 'ERC20-OpenZeppelin',
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: compiled.abi,
         bytecode: compiled.bytecode,
-        features: [
-          'ERC20 Standard',
-          'Ownable',
-          'Burnable', 
-          'Pausable',
-          'Mintable'
-        ]
+        features: SolidityCompiler.describeERC20Features(compiled.features),
+        vestingAllocations
       };
 
     } catch (error) {
@@ -106,59 +120,312 @@ export class TokenManager {
   }
 
   /**
-   * Deploy Move token contract using Umi-specific method
+   * Deploy a Move fungible asset token.
+   *
+   * Generates the managed fungible-asset module for this deployer. Move
+   * modules are compiled with the Move toolchain (aptos move compile /
+   * hardhat): pass the compiled `moduleBytecode` to publish and initialize it
+   * here, or omit it to get the source and Move.toml to compile.
    */
   async deployMoveToken({ 
     deployerPrivateKey, 
+    signer,
+    feeStrategy,
     name, 
     symbol, 
     decimals = 8, 
-    monitorSupply = true 
+    maxSupply = null,
+    iconUri = '',
+    projectUri = '',
+    moduleBytecode = null
   }) {
     try {
       // Validate inputs
-      if (!deployerPrivateKey) throw new Error('Deployer private key required');
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
       if (!name) throw new Error('Token name required');
       if (!symbol) throw new Error('Token symbol required');
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > 32) throw new Error('Decimals must be between 0 and 32');
 
-      console.log(`🔨 Creating ${name} Move token contract...`);
-
-      // Format private key for Move operations
-      const formattedKey = deployerPrivateKey.startsWith('0x') 
-        ? deployerPrivateKey 
-        : '0x' + deployerPrivateKey;
-
-      // Create Move token using Aptos SDK
-      const payload = new TransactionPayloadEntryFunction(
-        EntryFunction.natural(
-          "0x1::managed_coin",
-          "initialize",
-          [],
-          [
-            Buffer.from(name),
-            Buffer.from(symbol),
-            decimals,
-            monitorSupply
-          ]
-        )
+      console.log(`🔨 Creating ${name} Move fungible asset...`);
+
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
+
+      const moduleName = MoveTokenCompiler.getModuleName(name);
+      const moduleAddress = ethToMoveAddress(account.address);
+      const moduleId = `${moduleAddress}::${moduleName}`;
+      const source = MoveTokenCompiler.replaceAddress(
+        MoveTokenCompiler.generateFungibleAsset(name, symbol, decimals, {
+          maxSupply: maxSupply !== null ? this._parseMoveAmount(maxSupply, decimals) : null,
+          iconUri,
+          projectUri
+        }),
+        account.address
       );
 
-      console.log(`🚀 Deploying Move token...`);
+      const result = {
+        type: 'Move-FungibleAsset',
+        name,
+        symbol,
+        decimals,
+        maxSupply: maxSupply !== null ? maxSupply.toString() : null,
+        deployer: account.address,
+        moduleAddress,
+        moduleId,
+        metadataAddress: MoveTokenCompiler.getMetadataAddress(account.address, symbol),
+        source,
+        moveToml: MoveTokenCompiler.generateMoveToml(moduleName, account.address),
+        features: ['Fungible Asset Standard', 'Primary Stores', 'Mintable', 'Burnable', 'Freezable']
+      };
+
+      if (!moduleBytecode) {
+        console.log(`📄 Module source generated - compile it and pass moduleBytecode to publish ${moduleId}`);
+        return { ...result, deployed: false };
+      }
+
+      console.log(`🚀 Publishing ${moduleId}...`);
+
+      const hash = await walletClient.sendTransaction({
+        to: null, // Module deployment
+        data: MovePayloadBuilder.modulePublish(moduleBytecode),
+        gas: 5000000n,
+      });
+
+      const receipt = await this.client.waitForTransaction(hash);
+      if (receipt.status !== 'success') {
+        throw new Error(`Module publish reverted: ${hash}`);
+      }
+
+      console.log(`📝 Module published: ${hash}`);
+
+      const init = await this._sendEntryFunction(walletClient, account, moduleId, 'initialize', [], 3000000n);
+      if (!init.success) {
+        throw new Error(`Token initialization reverted: ${init.hash}`);
+      }
+
+      console.log(`✅ Move token ${symbol} initialized at ${result.metadataAddress}`);
+
+      return {
+        ...result,
+        deployed: true,
+        hash,
+        initHash: init.hash
+      };
+
+    } catch (error) {
+      throw new Error(`Move token deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mint Move tokens (token admin only)
+   */
+  async mintMoveToken({ 
+    moduleId, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    to, 
+    amount, 
+    decimals 
+  }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!to) throw new Error('Recipient address required');
+      if (!amount) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const result = await this._sendEntryFunction(walletClient, account, moduleId, 'mint', [
+        MovePayloadBuilder.address(to),
+        MovePayloadBuilder.u64(this._parseMoveAmount(amount, await this._getMoveDecimals(moduleId, decimals)))
+      ]);
+
+      console.log(`🪙 Move mint transaction hash: ${result.hash}`);
+
+      return {
+        ...result,
+        moduleId,
+        to,
+        amount: amount.toString(),
+        type: 'move_mint'
+      };
+
+    } catch (error) {
+      throw new Error(`Move token minting failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Burn Move tokens from the caller's own store
+   */
+  async burnMoveToken({ 
+    moduleId, 
+    fromPrivateKey, 
+    signer,
+    feeStrategy,
+    amount, 
+    decimals 
+  }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key required');
+      if (!amount) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+
+      const result = await this._sendEntryFunction(walletClient, account, moduleId, 'burn', [
+        MovePayloadBuilder.u64(this._parseMoveAmount(amount, await this._getMoveDecimals(moduleId, decimals)))
+      ]);
+
+      console.log(`🔥 Move burn transaction hash: ${result.hash}`);
+
+      return {
+        ...result,
+        moduleId,
+        amount: amount.toString(),
+        type: 'move_burn'
+      };
+
+    } catch (error) {
+      throw new Error(`Move token burning failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer Move tokens between primary stores
+   */
+  async transferMoveToken({ 
+    moduleId, 
+    fromPrivateKey, 
+    signer,
+    feeStrategy,
+    to, 
+    amount, 
+    decimals 
+  }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+      if (!signer && !fromPrivateKey) throw new Error('From signer or private key required');
+      if (!to) throw new Error('To address required');
+      if (!amount) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
+
+      const result = await this._sendEntryFunction(walletClient, account, moduleId, 'transfer', [
+        MovePayloadBuilder.address(to),
+        MovePayloadBuilder.u64(this._parseMoveAmount(amount, await this._getMoveDecimals(moduleId, decimals)))
+      ]);
+
+      console.log(`💸 Move transfer transaction hash: ${result.hash}`);
 
-      // This would be implemented with proper Aptos SDK integration
-      // For now, return a placeholder structure
       return {
-        type: 'Move-Token',
+        ...result,
+        moduleId,
+        from: account.address,
+        to,
+        amount: amount.toString(),
+        type: 'move_transfer'
+      };
+
+    } catch (error) {
+      throw new Error(`Move token transfer failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Freeze (or unfreeze) an account's primary store (token admin only)
+   */
+  async freezeMoveTokenStore({ 
+    moduleId, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    account: target, 
+    frozen = true 
+  }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!target) throw new Error('Account address required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+
+      const result = await this._sendEntryFunction(walletClient, account, moduleId, 'set_frozen', [
+        MovePayloadBuilder.address(target),
+        MovePayloadBuilder.bool(frozen)
+      ]);
+
+      console.log(`${frozen ? '🧊 Froze' : '♨️ Unfroze'} store of ${target}: ${result.hash}`);
+
+      return {
+        ...result,
+        moduleId,
+        account: target,
+        frozen,
+        type: frozen ? 'move_freeze' : 'move_unfreeze'
+      };
+
+    } catch (error) {
+      throw new Error(`Move store freeze failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get Move token balance (primary store) and frozen flag for an address
+   */
+  async getMoveTokenBalance({ moduleId, address, decimals }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+      if (!address) throw new Error('Address required');
+
+      const [[balance], [frozen], tokenDecimals] = await Promise.all([
+        this._viewMoveFunction(moduleId, 'balance', [MovePayloadBuilder.address(address)], ['u64']),
+        this._viewMoveFunction(moduleId, 'is_frozen', [MovePayloadBuilder.address(address)], ['bool']),
+        this._getMoveDecimals(moduleId, decimals)
+      ]);
+
+      return {
+        address,
+        moduleId,
+        balance: formatUnits(balance, tokenDecimals),
+        balanceRaw: balance.toString(),
+        frozen,
+        decimals: tokenDecimals
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get Move token balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get Move token metadata (name, symbol, decimals, supply, admin)
+   */
+  async getMoveTokenMetadata({ moduleId }) {
+    try {
+      if (!moduleId) throw new Error('Module ID required');
+
+      const [name, symbol, decimals, supply, maxSupply, admin] = await this._viewMoveFunction(
+        moduleId,
+        'token_info',
+        [],
+        ['string', 'string', 'u8', 'u128', 'u128', 'address']
+      );
+
+      return {
+        moduleId,
         name,
         symbol,
         decimals,
-        monitorSupply,
-        deployer: 'move-address', // Would be converted from ETH address
-        features: ['Move Standard', 'Supply Monitoring']
+        totalSupply: formatUnits(supply, decimals),
+        maxSupply: maxSupply === 0n ? null : formatUnits(maxSupply, decimals),
+        admin,
+        type: 'Move-FungibleAsset'
       };
 
     } catch (error) {
-      throw new Error(`Move token deployment failed: ${error.message}`);
+      throw new Error(`Failed to get Move token metadata: ${error.message}`);
     }
   }
 
@@ -168,30 +435,22 @@ export class TokenManager {
   async mintTokens({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     toAddress, 
     amount 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
       if (!toAddress) throw new Error('Recipient address required');
       if (!amount) throw new Error('Amount required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       // Encode mint function call
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'mint',
         args: [toAddress, parseUnits(amount.toString(), 18)]
       });
@@ -199,7 +458,7 @@ export class TokenManager {
       const hash = await walletClient.sendTransaction({
         to: contractAddress,
         data,
-        gas: 100000n,
+        ...this._gasLimit(contractAddress, 100000n),
       });
 
       console.log(`🪙 Mint transaction hash: ${hash}`);
@@ -226,27 +485,19 @@ export class TokenManager {
   async burnTokens({ 
     contractAddress, 
     ownerPrivateKey, 
+    signer,
+    feeStrategy,
     amount 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Signer or private key required');
       if (!amount) throw new Error('Amount required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'burn',
         args: [parseUnits(amount.toString(), 18)]
       });
@@ -254,7 +505,7 @@ export class TokenManager {
       const hash = await walletClient.sendTransaction({
         to: contractAddress,
         data,
-        gas: 80000n,
+        ...this._gasLimit(contractAddress, 80000n),
       });
 
       console.log(`🔥 Burn transaction hash: ${hash}`);
@@ -277,25 +528,15 @@ export class TokenManager {
   /**
    * Pause token transfers (OpenZeppelin feature)
    */
-  async pauseToken({ contractAddress, ownerPrivateKey }) {
+  async pauseToken({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'pause',
         args: []
       });
@@ -325,25 +566,15 @@ export class TokenManager {
   /**
    * Unpause token transfers (OpenZeppelin feature)
    */
-  async unpauseToken({ contractAddress, ownerPrivateKey }) {
+  async unpauseToken({ contractAddress, ownerPrivateKey, signer, feeStrategy }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!ownerPrivateKey) throw new Error('Owner private key required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
 
-      const formattedKey = ownerPrivateKey.startsWith('0x') 
-        ? ownerPrivateKey 
-        : '0x' + ownerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'unpause',
         args: []
       });
@@ -376,27 +607,19 @@ export class TokenManager {
   async transferTokenOwnership({ 
     contractAddress, 
     currentOwnerPrivateKey, 
+    signer,
+    feeStrategy,
     newOwnerAddress 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!currentOwnerPrivateKey) throw new Error('Current owner private key required');
+      if (!signer && !currentOwnerPrivateKey) throw new Error('Current owner private key required');
       if (!newOwnerAddress) throw new Error('New owner address required');
 
-      const formattedKey = currentOwnerPrivateKey.startsWith('0x') 
-        ? currentOwnerPrivateKey 
-        : '0x' + currentOwnerPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || currentOwnerPrivateKey, feeStrategy);
 
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'transferOwnership',
         args: [newOwnerAddress]
       });
@@ -425,6 +648,41 @@ export class TokenManager {
     }
   }
 
+  /**
+   * Grant a role on a token deployed with features.roles
+   * (role: 'minter' | 'pauser' | 'admin'; caller needs the admin role)
+   */
+  async grantTokenRole(params) {
+    return await this._setTokenRole('grantRole', params);
+  }
+
+  /**
+   * Revoke a role on a token deployed with features.roles
+   */
+  async revokeTokenRole(params) {
+    return await this._setTokenRole('revokeRole', params);
+  }
+
+  /**
+   * Check whether an account holds a token role
+   */
+  async hasTokenRole({ contractAddress, role, account }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!account) throw new Error('Account address required');
+
+      return await this.client.readContract({
+        address: contractAddress,
+        abi: ACCESS_CONTROL_ABI,
+        functionName: 'hasRole',
+        args: [this._getRoleId(role), account]
+      });
+
+    } catch (error) {
+      throw new Error(`Role check failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get token information
    */
@@ -438,27 +696,27 @@ export class TokenManager {
       const [name, symbol, decimals, totalSupply, paused] = await Promise.all([
         client.readContract({
           address: contractAddress,
-          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          abi: this._getTokenABI(contractAddress),
           functionName: 'name'
         }),
         client.readContract({
           address: contractAddress,
-          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          abi: this._getTokenABI(contractAddress),
           functionName: 'symbol'
         }),
         client.readContract({
           address: contractAddress,
-          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          abi: this._getTokenABI(contractAddress),
           functionName: 'decimals'
         }),
         client.readContract({
           address: contractAddress,
-          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          abi: this._getTokenABI(contractAddress),
           functionName: 'totalSupply'
         }),
         client.readContract({
           address: contractAddress,
-          abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+          abi: this._getTokenABI(contractAddress),
           functionName: 'paused'
         }).catch(() => false) // In case contract doesn't have pause functionality
       ]);
@@ -488,14 +746,14 @@ export class TokenManager {
 
       const balance = await this.client.readContract({
         address: contractAddress,
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'balanceOf',
         args: [address]
       });
 
       const decimals = await this.client.readContract({
         address: contractAddress,
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'decimals'
       });
 
@@ -518,36 +776,28 @@ export class TokenManager {
   async transferTokens({ 
     contractAddress, 
     fromPrivateKey, 
+    signer,
+    feeStrategy,
     toAddress, 
     amount 
   }) {
     try {
       if (!contractAddress) throw new Error('Contract address required');
-      if (!fromPrivateKey) throw new Error('From private key required');
+      if (!signer && !fromPrivateKey) throw new Error('From signer or private key required');
       if (!toAddress) throw new Error('To address required');
       if (!amount) throw new Error('Amount required');
 
-      const formattedKey = fromPrivateKey.startsWith('0x') 
-        ? fromPrivateKey 
-        : '0x' + fromPrivateKey;
-
-      const account = privateKeyToAccount(formattedKey);
-      
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
 
       // Get decimals for proper amount formatting
       const decimals = await this.client.readContract({
         address: contractAddress,
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'decimals'
       });
 
       const data = encodeFunctionData({
-        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        abi: this._getTokenABI(contractAddress),
         functionName: 'transfer',
         args: [toAddress, parseUnits(amount.toString(), decimals)]
       });
@@ -555,7 +805,7 @@ export class TokenManager {
       const hash = await walletClient.sendTransaction({
         to: contractAddress,
         data,
-        gas: 70000n,
+        ...this._gasLimit(contractAddress, 70000n),
       });
 
       console.log(`💸 Transfer transaction hash: ${hash}`);
@@ -577,6 +827,353 @@ export class TokenManager {
     }
   }
 
+  /**
+   * Approve a spender to move tokens on the caller's behalf.
+   * Pass amount 'max' for an unlimited allowance.
+   */
+  async approveTokens({ 
+    contractAddress, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    spenderAddress, 
+    amount 
+  }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!spenderAddress) throw new Error('Spender address required');
+      if (amount === undefined || amount === null) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+      const value = await this._parseAllowanceAmount(contractAddress, amount);
+
+      const data = encodeFunctionData({
+        abi: this._getTokenABI(contractAddress),
+        functionName: 'approve',
+        args: [spenderAddress, value]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 60000n,
+      });
+
+      console.log(`✅ Approve transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        owner: account.address,
+        spender: spenderAddress,
+        amount: amount.toString(),
+        unlimited: value === maxUint256,
+        contractAddress,
+        type: 'approve'
+      };
+
+    } catch (error) {
+      throw new Error(`Token approval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Raise an existing allowance without resetting it first
+   */
+  async increaseAllowance({ 
+    contractAddress, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    spenderAddress, 
+    amount 
+  }) {
+    return await this._changeAllowance('increaseAllowance', {
+      contractAddress, ownerPrivateKey, signer, feeStrategy, spenderAddress, amount
+    });
+  }
+
+  /**
+   * Lower an existing allowance
+   */
+  async decreaseAllowance({ 
+    contractAddress, 
+    ownerPrivateKey, 
+    signer,
+    feeStrategy,
+    spenderAddress, 
+    amount 
+  }) {
+    return await this._changeAllowance('decreaseAllowance', {
+      contractAddress, ownerPrivateKey, signer, feeStrategy, spenderAddress, amount
+    });
+  }
+
+  /**
+   * Get how many tokens a spender may still move for an owner
+   */
+  async getAllowance({ contractAddress, ownerAddress, spenderAddress }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!ownerAddress) throw new Error('Owner address required');
+      if (!spenderAddress) throw new Error('Spender address required');
+
+      const [allowance, decimals] = await Promise.all([
+        this.client.readContract({
+          address: contractAddress,
+          abi: this._getTokenABI(contractAddress),
+          functionName: 'allowance',
+          args: [ownerAddress, spenderAddress]
+        }),
+        this._getDecimals(contractAddress)
+      ]);
+
+      return {
+        contractAddress,
+        owner: ownerAddress,
+        spender: spenderAddress,
+        allowance: formatUnits(allowance, decimals),
+        allowanceWei: allowance.toString(),
+        unlimited: allowance === maxUint256,
+        decimals
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get allowance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move tokens from an owner using the caller's allowance
+   */
+  async transferTokensFrom({ 
+    contractAddress, 
+    spenderPrivateKey, 
+    signer,
+    feeStrategy,
+    fromAddress, 
+    toAddress, 
+    amount 
+  }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!signer && !spenderPrivateKey) throw new Error('Spender signer or private key required');
+      if (!fromAddress) throw new Error('From address required');
+      if (!toAddress) throw new Error('To address required');
+      if (!amount) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || spenderPrivateKey, feeStrategy);
+      const decimals = await this._getDecimals(contractAddress);
+
+      const data = encodeFunctionData({
+        abi: this._getTokenABI(contractAddress),
+        functionName: 'transferFrom',
+        args: [fromAddress, toAddress, parseUnits(amount.toString(), decimals)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        ...this._gasLimit(contractAddress, 90000n),
+      });
+
+      console.log(`💸 TransferFrom transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        spender: account.address,
+        from: fromAddress,
+        to: toAddress,
+        amount: amount.toString(),
+        contractAddress,
+        type: 'transferFrom'
+      };
+
+    } catch (error) {
+      throw new Error(`Token transferFrom failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build EIP-2612 permit typed data, ready for any signer's signTypedData.
+   * Reads the token name and the owner's current permit nonce from the chain.
+   */
+  async buildPermitTypedData({ 
+    contractAddress, 
+    ownerAddress, 
+    spenderAddress, 
+    amount, 
+    deadline, 
+    nonce 
+  }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!ownerAddress) throw new Error('Owner address required');
+      if (!spenderAddress) throw new Error('Spender address required');
+      if (amount === undefined || amount === null) throw new Error('Amount required');
+
+      const abi = this._getTokenABI(contractAddress);
+      const [name, currentNonce, value] = await Promise.all([
+        this.client.readContract({ address: contractAddress, abi, functionName: 'name' }),
+        nonce !== undefined
+          ? BigInt(nonce)
+          : this.client.readContract({ address: contractAddress, abi, functionName: 'nonces', args: [ownerAddress] }),
+        this._parseAllowanceAmount(contractAddress, amount)
+      ]);
+
+      // Default: valid for one hour
+      const permitDeadline = deadline !== undefined
+        ? BigInt(deadline)
+        : BigInt(Math.floor(Date.now() / 1000) + 3600);
+
+      return {
+        domain: {
+          name,
+          version: '1',
+          chainId: this.chain.id,
+          verifyingContract: getAddress(contractAddress)
+        },
+        types: {
+          Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+          ]
+        },
+        primaryType: 'Permit',
+        message: {
+          owner: getAddress(ownerAddress),
+          spender: getAddress(spenderAddress),
+          value,
+          nonce: currentNonce,
+          deadline: permitDeadline
+        }
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to build permit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign an EIP-2612 permit off-chain (no gas). Anyone can later submit it
+   * with submitPermit - typically the spender, e.g. a marketplace.
+   */
+  async signPermit({ 
+    contractAddress, 
+    ownerPrivateKey, 
+    signer,
+    spenderAddress, 
+    amount, 
+    deadline, 
+    nonce 
+  }) {
+    try {
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+
+      const ownerSigner = resolveSigner(signer || ownerPrivateKey);
+      const ownerAddress = await ownerSigner.getAddress();
+
+      const typedData = await this.buildPermitTypedData({
+        contractAddress,
+        ownerAddress,
+        spenderAddress,
+        amount,
+        deadline,
+        nonce
+      });
+
+      const signature = await ownerSigner.signTypedData(typedData);
+      const { v, r, s, yParity } = parseSignature(signature);
+
+      console.log(`✍️ Permit signed by ${ownerAddress} for ${spenderAddress}`);
+
+      return {
+        contractAddress,
+        owner: typedData.message.owner,
+        spender: typedData.message.spender,
+        value: typedData.message.value.toString(),
+        nonce: typedData.message.nonce.toString(),
+        deadline: typedData.message.deadline.toString(),
+        signature,
+        v: Number(v ?? BigInt(yParity + 27)),
+        r,
+        s
+      };
+
+    } catch (error) {
+      throw new Error(`Permit signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submit a signed permit on-chain, setting the allowance for the owner.
+   * The sender pays the gas, so the owner never needs native tokens.
+   */
+  async submitPermit({ 
+    permit, 
+    senderPrivateKey, 
+    signer,
+    feeStrategy 
+  }) {
+    try {
+      if (!permit?.signature) throw new Error('Signed permit required');
+      if (!signer && !senderPrivateKey) throw new Error('Sender signer or private key required');
+
+      if (BigInt(permit.deadline) < BigInt(Math.floor(Date.now() / 1000))) {
+        throw new Error('Permit deadline has passed');
+      }
+
+      const { account, walletClient } = await this._createWalletClient(signer || senderPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: this._getTokenABI(permit.contractAddress),
+        functionName: 'permit',
+        args: [
+          permit.owner,
+          permit.spender,
+          BigInt(permit.value),
+          BigInt(permit.deadline),
+          permit.v,
+          permit.r,
+          permit.s
+        ]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: permit.contractAddress,
+        data,
+        gas: 100000n,
+      });
+
+      console.log(`📜 Permit transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        submittedBy: account.address,
+        owner: permit.owner,
+        spender: permit.spender,
+        value: permit.value,
+        contractAddress: permit.contractAddress,
+        type: 'permit'
+      };
+
+    } catch (error) {
+      throw new Error(`Permit submission failed: ${error.message}`);
+    }
+  }
+
   /**
    * Encode constructor parameters for OpenZeppelin contract
    */
@@ -597,6 +1194,263 @@ export class TokenManager {
     }
   }
 
+  /**
+   * Create vesting-locked allocations on a freshly deployed token.
+   * Each allocation: { beneficiary, amount, durationSeconds, cliffSeconds = 0, start = now }
+   */
+  async _allocateVested(walletClient, contractAddress, abi, decimals, allocations) {
+    const results = [];
+
+    for (const allocation of allocations) {
+      const { beneficiary, amount, durationSeconds, cliffSeconds = 0 } = allocation;
+      if (!beneficiary) throw new Error('Vesting beneficiary required');
+      if (!amount) throw new Error('Vesting amount required');
+      if (!durationSeconds) throw new Error('Vesting duration required');
+
+      const start = BigInt(allocation.start ?? Math.floor(Date.now() / 1000));
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data: encodeFunctionData({
+          abi,
+          functionName: 'allocateVested',
+          args: [
+            beneficiary,
+            parseUnits(amount.toString(), decimals),
+            start,
+            BigInt(cliffSeconds),
+            BigInt(durationSeconds)
+          ]
+        }),
+        gas: 200000n,
+      });
+
+      const receipt = await this.client.waitForTransaction(hash);
+      console.log(`🔒 Vested ${amount} to ${beneficiary}: ${hash}`);
+
+      results.push({
+        hash,
+        success: receipt.status === 'success',
+        beneficiary,
+        amount: amount.toString(),
+        start: start.toString(),
+        cliffSeconds,
+        durationSeconds
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Shared body of increaseAllowance / decreaseAllowance
+   */
+  async _changeAllowance(functionName, { contractAddress, ownerPrivateKey, signer, feeStrategy, spenderAddress, amount }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!signer && !ownerPrivateKey) throw new Error('Owner signer or private key required');
+      if (!spenderAddress) throw new Error('Spender address required');
+      if (!amount) throw new Error('Amount required');
+
+      const { account, walletClient } = await this._createWalletClient(signer || ownerPrivateKey, feeStrategy);
+      const decimals = await this._getDecimals(contractAddress);
+
+      const data = encodeFunctionData({
+        abi: this._getTokenABI(contractAddress),
+        functionName,
+        args: [spenderAddress, parseUnits(amount.toString(), decimals)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 60000n,
+      });
+
+      console.log(`✅ ${functionName} transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        owner: account.address,
+        spender: spenderAddress,
+        amount: amount.toString(),
+        contractAddress,
+        type: functionName
+      };
+
+    } catch (error) {
+      throw new Error(`Allowance change failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shared body of grantTokenRole / revokeTokenRole
+   */
+  async _setTokenRole(functionName, { contractAddress, adminPrivateKey, signer, feeStrategy, role, account }) {
+    try {
+      if (!contractAddress) throw new Error('Contract address required');
+      if (!signer && !adminPrivateKey) throw new Error('Admin signer or private key required');
+      if (!account) throw new Error('Account address required');
+
+      const roleId = this._getRoleId(role);
+      const { account: admin, walletClient } = await this._createWalletClient(signer || adminPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: ACCESS_CONTROL_ABI,
+        functionName,
+        args: [roleId, account]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data,
+        gas: 80000n,
+      });
+
+      console.log(`🛡️ ${functionName} ${role} transaction hash: ${hash}`);
+      
+      const receipt = await this.client.waitForTransaction(hash);
+      
+      return {
+        hash,
+        success: receipt.status === 'success',
+        admin: admin.address,
+        role,
+        account,
+        contractAddress,
+        type: functionName
+      };
+
+    } catch (error) {
+      throw new Error(`Role update failed: ${error.message}`);
+    }
+  }
+
+  _getRoleId(role) {
+    const roleId = TOKEN_ROLES[role];
+    if (!roleId) {
+      throw new Error(`Unknown token role "${role}". Use ${Object.keys(TOKEN_ROLES).join(', ')}`);
+    }
+    return roleId;
+  }
+
+  /**
+   * ABI compiled for a token deployed here (feature functions included),
+   * otherwise the standard OpenZeppelin ERC-20 ABI
+   */
+  _getTokenABI(contractAddress) {
+    return this.deployedTokens.get(getAddress(contractAddress))?.abi || SolidityCompiler.getOpenZeppelinERC20ABI();
+  }
+
+  /**
+   * Gas limit for a balance-changing call. Tax, votes, vesting and blacklist
+   * hooks make transfers cost more than the standard limits allow, so those
+   * tokens are left to the node's estimate
+   */
+  _gasLimit(contractAddress, gas) {
+    const features = this.deployedTokens.get(getAddress(contractAddress))?.features;
+    if (features && (features.transferTax || features.votes || features.vesting || features.blacklist)) {
+      return {};
+    }
+    return { gas };
+  }
+
+  async _getDecimals(contractAddress) {
+    return await this.client.readContract({
+      address: contractAddress,
+      abi: this._getTokenABI(contractAddress),
+      functionName: 'decimals'
+    });
+  }
+
+  /**
+   * Token amount to base units; 'max' means an unlimited allowance
+   */
+  async _parseAllowanceAmount(contractAddress, amount) {
+    if (amount === 'max' || amount === maxUint256) {
+      return maxUint256;
+    }
+    return parseUnits(amount.toString(), await this._getDecimals(contractAddress));
+  }
+
+  /**
+   * Send a Move entry function call from the account (signer passed as first argument)
+   */
+  async _sendEntryFunction(walletClient, account, moduleId, functionName, args, gas = 500000n) {
+    const data = MovePayloadBuilder.entryFunction(moduleId, functionName, [], [
+      MovePayloadBuilder.signer(account.address),
+      ...args
+    ]);
+
+    const hash = await walletClient.sendTransaction({
+      to: account.address,
+      data,
+      gas,
+    });
+
+    const receipt = await this.client.waitForTransaction(hash);
+
+    return {
+      hash,
+      success: receipt.status === 'success'
+    };
+  }
+
+  /**
+   * Call a Move #[view] function through eth_call and decode its BCS results
+   */
+  async _viewMoveFunction(moduleId, functionName, args, returnTypes) {
+    const moduleAddress = moduleId.split('::')[0];
+    const { data } = await this.client.call({
+      to: `0x${moduleAddress.replace(/^0x/, '').slice(-40)}`,
+      data: MovePayloadBuilder.entryFunction(moduleId, functionName, [], args)
+    });
+
+    if (!data) {
+      throw new Error(`${moduleId}::${functionName} returned no data`);
+    }
+
+    return MovePayloadBuilder.decode(data, returnTypes);
+  }
+
+  /**
+   * Decimals for Move amounts: the caller's, else the token's own from
+   * token_info
+   */
+  async _getMoveDecimals(moduleId, decimals) {
+    if (decimals !== undefined && decimals !== null) return decimals;
+
+    const metadata = await this.getMoveTokenMetadata({ moduleId });
+    return metadata.decimals;
+  }
+
+  /**
+   * Token amount to u64 base units
+   */
+  _parseMoveAmount(amount, decimals) {
+    const value = parseUnits(amount.toString(), decimals);
+    if (value < 0n || value > MAX_U64) {
+      throw new Error(`Amount ${amount} does not fit in a Move u64`);
+    }
+    return value;
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
   /**
    * Serialize bytecode for Umi network deployment
    */
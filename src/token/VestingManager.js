@@ -0,0 +1,369 @@
+import { parseUnits, formatUnits, encodeFunctionData, encodeAbiParameters } from 'viem';
+import { VestingCompiler, VESTING_SCHEDULES } from '../compiler/VestingCompiler.js';
+import { SolidityCompiler } from '../compiler/SolidityCompiler.js';
+import { createSignerClient } from '../signer/resolveSigner.js';
+
+/**
+ * Vesting wallets for ERC-20 allocations (team, investors, advisors).
+ * Each beneficiary gets its own wallet contract holding the locked tokens;
+ * anyone can trigger release, tokens always go to the beneficiary.
+ */
+export class VestingManager {
+  constructor(client, chain) {
+    this.client = client;
+    this.chain = chain;
+  }
+
+  /**
+   * Deploy a vesting wallet and (optionally) fund it from the deployer.
+   *
+   * schedule: 'linear'    - durationSeconds, optional cliffSeconds
+   *           'cliff'     - time-lock, everything unlocks after cliffSeconds
+   *           'milestone' - milestones: [{ time, percent }], percents total 100
+   * start defaults to now; times are unix seconds or Dates.
+   */
+  async deployVestingWallet({
+    deployerPrivateKey,
+    signer,
+    feeStrategy,
+    tokenAddress,
+    beneficiary,
+    schedule = 'linear',
+    start,
+    cliffSeconds = 0,
+    durationSeconds = 0,
+    milestones = [],
+    amount
+  }) {
+    try {
+      if (!signer && !deployerPrivateKey) throw new Error('Deployer signer or private key required');
+      if (!tokenAddress) throw new Error('Token address required');
+      if (!beneficiary) throw new Error('Beneficiary address required');
+
+      const scheduleType = VESTING_SCHEDULES[schedule];
+      if (scheduleType === undefined) {
+        throw new Error(`Unknown vesting schedule "${schedule}" (use ${Object.keys(VESTING_SCHEDULES).join(', ')})`);
+      }
+
+      const startTime = start !== undefined ? this._toUnixSeconds(start) : Math.floor(Date.now() / 1000);
+      const { times, bps } = schedule === 'milestone' ? this._parseMilestones(milestones) : { times: [], bps: [] };
+
+      if (schedule === 'linear' && !(durationSeconds > 0)) throw new Error('Vesting duration required');
+      if (schedule === 'linear' && cliffSeconds > durationSeconds) throw new Error('Cliff cannot be longer than the vesting duration');
+      if (schedule === 'cliff' && !(cliffSeconds > 0)) throw new Error('Cliff (lock) duration required');
+
+      console.log(`🔨 Compiling vesting wallet...`);
+
+      const compiled = VestingCompiler.compileVestingWallet();
+      const { account, walletClient } = await this._createWalletClient(signer || deployerPrivateKey, feeStrategy);
+
+      console.log(`🚀 Deploying ${schedule} vesting wallet for ${beneficiary}...`);
+
+      const constructorParams = encodeAbiParameters(
+        [
+          { type: 'address' },   // beneficiary
+          { type: 'address' },   // token
+          { type: 'uint8' },     // schedule type
+          { type: 'uint64' },    // start
+          { type: 'uint64' },    // cliff duration
+          { type: 'uint64' },    // duration
+          { type: 'uint64[]' },  // milestone times
+          { type: 'uint16[]' }   // milestone basis points
+        ],
+        [beneficiary, tokenAddress, scheduleType, BigInt(startTime), BigInt(cliffSeconds), BigInt(durationSeconds), times, bps]
+      );
+
+      const hash = await walletClient.sendTransaction({
+        to: null, // Contract creation
+        data: this._serializeForUmi(compiled.bytecode + constructorParams.slice(2)),
+        gas: 1500000n,
+      });
+
+      console.log(`📝 Transaction hash: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      console.log(`✅ Vesting wallet deployed at: ${receipt.contractAddress}`);
+
+      const funding = amount
+        ? await this.fundVestingWallet({
+          signer: signer || deployerPrivateKey,
+          feeStrategy,
+          contractAddress: receipt.contractAddress,
+          tokenAddress,
+          amount
+        })
+        : null;
+
+      return {
+        hash,
+        contractAddress: receipt.contractAddress,
+        deployer: account.address,
+        beneficiary,
+        tokenAddress,
+        schedule,
+        start: startTime,
+        cliff: schedule === 'milestone' ? null : startTime + Number(cliffSeconds),
+        end: schedule === 'milestone'
+          ? Number(times[times.length - 1])
+          : startTime + Number(schedule === 'cliff' ? cliffSeconds : durationSeconds),
+        milestones: schedule === 'milestone'
+          ? times.map((time, i) => ({ time: Number(time), percent: bps[i] / 100 }))
+          : [],
+        funding,
+        type: 'VestingWallet',
+        abi: compiled.abi
+      };
+
+    } catch (error) {
+      throw new Error(`Vesting wallet deployment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transfer tokens into a vesting wallet (the allocation is its balance
+   * plus what it already released, so this can also top it up)
+   */
+  async fundVestingWallet({
+    funderPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress,
+    tokenAddress,
+    amount
+  }) {
+    try {
+      if (!signer && !funderPrivateKey) throw new Error('Funder signer or private key required');
+      if (!contractAddress) throw new Error('Vesting wallet address required');
+      if (!amount) throw new Error('Amount required');
+
+      const token = tokenAddress || await this._read(contractAddress, 'token');
+      const decimals = await this._getDecimals(token);
+      const { account, walletClient } = await this._createWalletClient(signer || funderPrivateKey, feeStrategy);
+
+      const data = encodeFunctionData({
+        abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+        functionName: 'transfer',
+        args: [contractAddress, parseUnits(amount.toString(), decimals)]
+      });
+
+      const hash = await walletClient.sendTransaction({
+        to: token,
+        data,
+        gas: 70000n,
+      });
+
+      console.log(`🔒 Funded vesting wallet ${contractAddress} with ${amount}: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      return {
+        hash,
+        success: receipt.status === 'success',
+        from: account.address,
+        contractAddress,
+        tokenAddress: token,
+        amount: amount.toString(),
+        type: 'vesting_funding'
+      };
+
+    } catch (error) {
+      throw new Error(`Vesting wallet funding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release everything vested so far to the beneficiary (any account can call)
+   */
+  async releaseVestedTokens({
+    callerPrivateKey,
+    signer,
+    feeStrategy,
+    contractAddress
+  }) {
+    try {
+      if (!signer && !callerPrivateKey) throw new Error('Caller signer or private key required');
+      if (!contractAddress) throw new Error('Vesting wallet address required');
+
+      const { releasable, beneficiary, decimals } = await this.getClaimableAmount({ contractAddress });
+      if (Number(releasable) === 0) {
+        throw new Error('Nothing to release yet');
+      }
+
+      const { account, walletClient } = await this._createWalletClient(signer || callerPrivateKey, feeStrategy);
+
+      const hash = await walletClient.sendTransaction({
+        to: contractAddress,
+        data: encodeFunctionData({
+          abi: VestingCompiler.getVestingWalletABI(),
+          functionName: 'release'
+        }),
+        gas: 120000n,
+      });
+
+      console.log(`🔓 Release transaction hash: ${hash}`);
+
+      const receipt = await this.client.waitForTransaction(hash);
+
+      return {
+        hash,
+        success: receipt.status === 'success',
+        caller: account.address,
+        beneficiary,
+        amount: releasable,
+        decimals,
+        contractAddress,
+        type: 'vesting_release'
+      };
+
+    } catch (error) {
+      throw new Error(`Vesting release failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Amount the beneficiary can claim right now
+   */
+  async getClaimableAmount({ contractAddress }) {
+    try {
+      const [token, beneficiary, releasable] = await Promise.all([
+        this._read(contractAddress, 'token'),
+        this._read(contractAddress, 'beneficiary'),
+        this._read(contractAddress, 'releasable')
+      ]);
+      const decimals = await this._getDecimals(token);
+
+      return {
+        contractAddress,
+        beneficiary,
+        tokenAddress: token,
+        releasable: formatUnits(releasable, decimals),
+        decimals
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get claimable amount: ${error.message}`);
+    }
+  }
+
+  /**
+   * Full schedule and progress of a vesting wallet
+   */
+  async getVestingInfo({ contractAddress }) {
+    try {
+      const [token, beneficiary, scheduleType, start, cliff, end, totalAllocation, released, releasable, milestones] = await Promise.all([
+        this._read(contractAddress, 'token'),
+        this._read(contractAddress, 'beneficiary'),
+        this._read(contractAddress, 'scheduleType'),
+        this._read(contractAddress, 'start'),
+        this._read(contractAddress, 'cliff'),
+        this._read(contractAddress, 'end'),
+        this._read(contractAddress, 'totalAllocation'),
+        this._read(contractAddress, 'released'),
+        this._read(contractAddress, 'releasable'),
+        this._read(contractAddress, 'milestones')
+      ]);
+      const decimals = await this._getDecimals(token);
+      const schedule = Object.keys(VESTING_SCHEDULES).find(name => VESTING_SCHEDULES[name] === Number(scheduleType));
+      const [times, bps] = milestones;
+
+      return {
+        contractAddress,
+        beneficiary,
+        tokenAddress: token,
+        schedule,
+        start: Number(start),
+        cliff: Number(cliff),
+        end: Number(end),
+        milestones: times.map((time, i) => ({ time: Number(time), percent: Number(bps[i]) / 100 })),
+        totalAllocation: formatUnits(totalAllocation, decimals),
+        released: formatUnits(released, decimals),
+        releasable: formatUnits(releasable, decimals),
+        locked: formatUnits(totalAllocation - released - releasable, decimals),
+        decimals
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get vesting info: ${error.message}`);
+    }
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  /**
+   * [{ time, percent }] -> sorted unix times and basis points totalling 10000
+   */
+  _parseMilestones(milestones) {
+    if (!Array.isArray(milestones) || milestones.length === 0) {
+      throw new Error('Milestone schedule needs at least one milestone');
+    }
+
+    const sorted = milestones
+      .map(milestone => ({ time: this._toUnixSeconds(milestone.time), bps: Math.round(Number(milestone.percent) * 100) }))
+      .sort((a, b) => a.time - b.time);
+
+    sorted.forEach((milestone, i) => {
+      if (!(milestone.bps > 0)) throw new Error(`Invalid milestone percent at ${milestone.time}`);
+      if (i > 0 && milestone.time === sorted[i - 1].time) throw new Error(`Duplicate milestone time ${milestone.time}`);
+    });
+
+    const total = sorted.reduce((sum, milestone) => sum + milestone.bps, 0);
+    if (total !== 10000) {
+      throw new Error(`Milestone percents must total 100 (got ${total / 100})`);
+    }
+
+    return {
+      times: sorted.map(milestone => BigInt(milestone.time)),
+      bps: sorted.map(milestone => milestone.bps)
+    };
+  }
+
+  _toUnixSeconds(value) {
+    const seconds = value instanceof Date ? Math.floor(value.getTime() / 1000) : Number(value);
+    if (!Number.isInteger(seconds) || seconds < 0) throw new Error(`Invalid vesting time: ${value}`);
+    return seconds;
+  }
+
+  async _read(contractAddress, functionName, args = []) {
+    return await this.client.readContract({
+      address: contractAddress,
+      abi: VestingCompiler.getVestingWalletABI(),
+      functionName,
+      args
+    });
+  }
+
+  async _getDecimals(tokenAddress) {
+    return await this.client.readContract({
+      address: tokenAddress,
+      abi: SolidityCompiler.getOpenZeppelinERC20ABI(),
+      functionName: 'decimals'
+    });
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+
+  /**
+   * Serialize bytecode for Umi network deployment
+   */
+  _serializeForUmi(bytecode) {
+    const code = Buffer.from(bytecode.replace('0x', ''), 'hex');
+
+    // Length prefix (little-endian) inside the EvmContract enum variant
+    const lengthBytes = Buffer.alloc(4);
+    lengthBytes.writeUInt32LE(code.length);
+
+    return '0x' + Buffer.concat([Buffer.from([2]), lengthBytes, code]).toString('hex');
+  }
+}
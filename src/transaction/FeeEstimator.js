@@ -0,0 +1,219 @@
+import { formatGwei, parseGwei } from 'viem';
+
+/**
+ * Named fee strategies. `percentile` picks the priority fee from recent
+ * eth_feeHistory rewards; `baseFeeMultiplier` is headroom over the next
+ * block's base fee (each full block can raise it by 12.5%).
+ */
+export const FEE_STRATEGIES = {
+  slow: { percentile: 10, baseFeeMultiplier: 1.125 },
+  standard: { percentile: 50, baseFeeMultiplier: 1.25 },
+  fast: { percentile: 90, baseFeeMultiplier: 1.5 }
+};
+
+export class FeeEstimator {
+  constructor(client, config = {}) {
+    this.client = client;
+    this.config = {
+      defaultStrategy: 'standard',
+      blockCount: 10,   // blocks of fee history to sample
+      cacheTtl: 3000,   // ms to reuse a fee history sample
+      custom: null,     // strategy object used for the 'custom' name
+      ...config
+    };
+
+    this._cache = null;
+  }
+
+  /**
+   * Estimate fees for a strategy name ('slow' | 'standard' | 'fast', or
+   * 'custom' for the `custom` object in the config) or a custom strategy
+   * object:
+   *   { maxFeePerGas, maxPriorityFeePerGas }  - fixed fees (wei bigint or gwei string)
+   *   { maxPriorityFeePerGas }                 - fixed tip on top of the estimated base fee
+   *   { percentile, baseFeeMultiplier }        - own point on the fee history curve
+   */
+  async estimate(strategy = this.config.defaultStrategy) {
+    const { name, params } = this._resolveStrategy(strategy);
+
+    try {
+      // Fixed custom fees need no network data
+      if (params.maxFeePerGas !== undefined || params.gasPrice !== undefined) {
+        return this._fixedFees(name, params);
+      }
+
+      const history = await this._getFeeHistory();
+
+      // Node without EIP-1559 support - fall back to legacy gas price
+      if (!history) {
+        const gasPrice = await this.client.getGasPrice();
+        return { strategy: name, type: 'legacy', gasPrice };
+      }
+
+      let maxPriorityFeePerGas;
+      if (params.maxPriorityFeePerGas !== undefined) {
+        maxPriorityFeePerGas = this._toWei(params.maxPriorityFeePerGas);
+      } else {
+        const percentileIndex = history.percentiles.indexOf(params.percentile);
+        maxPriorityFeePerGas = percentileIndex >= 0
+          ? this._median(history.reward.map(r => r[percentileIndex]))
+          : await this._priorityFeeAtPercentile(params.percentile);
+      }
+
+      const baseFeePerGas = history.nextBaseFee;
+      const maxFeePerGas = this._applyMultiplier(baseFeePerGas, params.baseFeeMultiplier) + maxPriorityFeePerGas;
+
+      return {
+        strategy: name,
+        type: 'eip1559',
+        baseFeePerGas,
+        maxPriorityFeePerGas,
+        maxFeePerGas,
+        // What a legacy transaction should bid for the same inclusion speed
+        gasPrice: baseFeePerGas + maxPriorityFeePerGas
+      };
+
+    } catch (error) {
+      throw new Error(`Fee estimation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fee fields to spread into a viem transaction request
+   */
+  async getTransactionFees(strategy = this.config.defaultStrategy) {
+    const fees = await this.estimate(strategy);
+
+    if (fees.type === 'legacy') {
+      return { gasPrice: fees.gasPrice };
+    }
+
+    return {
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Estimate all named strategies side by side (for display / AI answers)
+   */
+  async compareStrategies() {
+    const result = {};
+    for (const name of Object.keys(FEE_STRATEGIES)) {
+      result[name] = FeeEstimator.formatFees(await this.estimate(name));
+    }
+    return result;
+  }
+
+  /**
+   * Human-readable gwei values
+   */
+  static formatFees(fees) {
+    const formatted = { strategy: fees.strategy, type: fees.type };
+    for (const key of ['baseFeePerGas', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gasPrice']) {
+      if (fees[key] !== undefined) formatted[key] = `${formatGwei(fees[key])} gwei`;
+    }
+    return formatted;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _resolveStrategy(strategy) {
+    if (strategy === 'custom') {
+      if (!this.config.custom || typeof this.config.custom !== 'object') {
+        throw new Error('Fee strategy "custom" needs a custom strategy object in the fee estimator config');
+      }
+      strategy = this.config.custom;
+    }
+
+    if (typeof strategy === 'string') {
+      if (!FEE_STRATEGIES[strategy]) {
+        throw new Error(`Unknown fee strategy "${strategy}". Use slow, standard, fast, custom or a custom object`);
+      }
+      return { name: strategy, params: FEE_STRATEGIES[strategy] };
+    }
+
+    if (strategy && typeof strategy === 'object') {
+      return {
+        name: 'custom',
+        params: { ...FEE_STRATEGIES.standard, ...strategy }
+      };
+    }
+
+    throw new Error('Fee strategy required');
+  }
+
+  _fixedFees(name, params) {
+    if (params.gasPrice !== undefined) {
+      return { strategy: name, type: 'legacy', gasPrice: this._toWei(params.gasPrice) };
+    }
+
+    const maxFeePerGas = this._toWei(params.maxFeePerGas);
+    const maxPriorityFeePerGas = params.maxPriorityFeePerGas !== undefined
+      ? this._toWei(params.maxPriorityFeePerGas)
+      : 0n;
+
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      throw new Error('maxPriorityFeePerGas cannot exceed maxFeePerGas');
+    }
+
+    return { strategy: name, type: 'eip1559', maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Sample eth_feeHistory for the named strategy percentiles (cached briefly)
+   */
+  async _getFeeHistory() {
+    if (this._cache && Date.now() - this._cache.fetchedAt < this.config.cacheTtl) {
+      return this._cache.history;
+    }
+
+    const percentiles = Object.values(FEE_STRATEGIES).map(s => s.percentile);
+    let feeHistory;
+
+    try {
+      feeHistory = await this.client.publicClient.getFeeHistory({
+        blockCount: this.config.blockCount,
+        rewardPercentiles: percentiles
+      });
+    } catch {
+      feeHistory = null;
+    }
+
+    const baseFees = feeHistory?.baseFeePerGas || [];
+    const history = baseFees.length > 0 && baseFees[baseFees.length - 1] > 0n
+      ? {
+          percentiles,
+          reward: feeHistory.reward || [],
+          // The extra last entry is the base fee of the next block
+          nextBaseFee: baseFees[baseFees.length - 1]
+        }
+      : null;
+
+    this._cache = { history, fetchedAt: Date.now() };
+    return history;
+  }
+
+  async _priorityFeeAtPercentile(percentile) {
+    const feeHistory = await this.client.publicClient.getFeeHistory({
+      blockCount: this.config.blockCount,
+      rewardPercentiles: [percentile]
+    });
+    return this._median((feeHistory.reward || []).map(r => r[0]));
+  }
+
+  _median(values) {
+    const sorted = values.filter(v => v !== undefined).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    if (sorted.length === 0) return 0n;
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  _toWei(value) {
+    return typeof value === 'bigint' ? value : parseGwei(String(value));
+  }
+
+  _applyMultiplier(value, multiplier) {
+    // Multiply in basis points to stay in bigint math
+    return value * BigInt(Math.round(multiplier * 10000)) / 10000n;
+  }
+}
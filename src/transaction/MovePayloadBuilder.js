@@ -0,0 +1,119 @@
+import {
+  AccountAddress,
+  Bool,
+  Deserializer,
+  EntryFunction,
+  FixedBytes,
+  MoveString,
+  Serializer,
+  TransactionPayloadEntryFunction,
+  U8,
+  U64,
+  U128
+} from '@aptos-labs/ts-sdk';
+import { ethToMoveAddress } from '../wallet/UmiWallet.js';
+
+// ScriptOrDeployment variants understood by Umi (EVM deployments use EvmContract = 2)
+const MODULE_DEPLOYMENT_VARIANT = 1;
+
+/**
+ * Builds Move transaction data for Umi. Entry-function calls are sent as a
+ * regular EVM transaction to the sender's own address with the BCS payload
+ * as calldata; the `&signer` argument is passed explicitly.
+ */
+export class MovePayloadBuilder {
+
+  /**
+   * BCS-encoded entry function payload, ready for `data`
+   */
+  static entryFunction(moduleId, functionName, typeArgs = [], args = []) {
+    try {
+      const entryFunction = EntryFunction.build(moduleId, functionName, typeArgs, args);
+      return new TransactionPayloadEntryFunction(entryFunction).bcsToHex().toString();
+    } catch (error) {
+      throw new Error(`Entry function encoding failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Module publish payload for a compiled Move module (to: null)
+   */
+  static modulePublish(bytecode) {
+    const code = typeof bytecode === 'string'
+      ? Buffer.from(bytecode.replace(/^0x/, ''), 'hex')
+      : Buffer.from(bytecode);
+
+    if (code.length === 0) {
+      throw new Error('Module bytecode is empty');
+    }
+
+    const serializer = new Serializer();
+    serializer.serializeU32AsUleb128(MODULE_DEPLOYMENT_VARIANT);
+    serializer.serializeBytes(code);
+    return '0x' + Buffer.from(serializer.toUint8Array()).toString('hex');
+  }
+
+  // ========== ARGUMENT HELPERS ==========
+
+  /**
+   * `&signer` argument for the sending account
+   */
+  static signer(address) {
+    const moveAddress = AccountAddress.fromString(ethToMoveAddress(address));
+    return new FixedBytes(new Uint8Array([33, 0, ...moveAddress.toUint8Array()]));
+  }
+
+  /**
+   * Move `address` argument from an ETH (20-byte) or Move (32-byte) address
+   */
+  static address(address) {
+    const clean = address.replace(/^0x/, '');
+    return AccountAddress.fromString(clean.length === 40 ? ethToMoveAddress(address) : address);
+  }
+
+  static u8(value) {
+    return new U8(Number(value));
+  }
+
+  static u64(value) {
+    return new U64(BigInt(value));
+  }
+
+  static u128(value) {
+    return new U128(BigInt(value));
+  }
+
+  static bool(value) {
+    return new Bool(Boolean(value));
+  }
+
+  static string(value) {
+    return new MoveString(String(value));
+  }
+
+  // ========== RESULT DECODING ==========
+
+  /**
+   * Decode BCS return values from a view call, in order.
+   * `types` is a list of 'u8' | 'u64' | 'u128' | 'bool' | 'string' | 'address'.
+   */
+  static decode(hex, types) {
+    try {
+      const deserializer = new Deserializer(Buffer.from(hex.replace(/^0x/, ''), 'hex'));
+
+      return types.map((type) => {
+        switch (type) {
+          case 'u8': return deserializer.deserializeU8();
+          case 'u64': return deserializer.deserializeU64();
+          case 'u128': return deserializer.deserializeU128();
+          case 'bool': return deserializer.deserializeBool();
+          case 'string': return deserializer.deserializeStr();
+          case 'address': return AccountAddress.deserialize(deserializer).toString();
+          default: throw new Error(`Unsupported return type: ${type}`);
+        }
+      });
+    } catch (error) {
+      throw new Error(`Move result decoding failed: ${error.message}`);
+    }
+  }
+}
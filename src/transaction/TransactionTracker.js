@@ -0,0 +1,444 @@
+import { EventEmitter } from 'events';
+import { getAddress } from 'viem';
+
+const FINAL_STATUSES = ['mined', 'failed', 'dropped', 'replaced'];
+
+/**
+ * Records every transaction sent through a tracked wallet client and follows
+ * it until it is mined, fails, is dropped from the mempool or is replaced.
+ *
+ * Events (payload is the transaction record unless noted):
+ *   'sent', 'mined', 'failed', 'dropped', 'replaced',
+ *   'status'  - any status change,
+ *   'speedup' / 'cancel' - { original, replacement }
+ */
+export class TransactionTracker extends EventEmitter {
+  constructor(client, config = {}) {
+    super();
+
+    this.client = client;
+    this.nonceManager = config.nonceManager || null;
+    this.config = {
+      pollInterval: 4000,      // ms between pending checks
+      dropTimeout: 600000,     // ms a tx may be missing from the node before it counts as dropped
+      bumpPercent: 20,         // default fee bump for speed-up/cancel (nodes require >= 10%)
+      maxRecords: 1000,
+      ...config
+    };
+
+    this.transactions = new Map(); // hash -> record
+    this.senders = new Map();      // address -> { walletClient, send }
+    this._timer = null;
+    this._polling = false;
+  }
+
+  /**
+   * Route a viem wallet client's sendTransaction through the tracker
+   */
+  attach(walletClient) {
+    const send = walletClient.sendTransaction;
+    const address = getAddress(walletClient.account.address);
+
+    this.senders.set(address, { walletClient, send });
+    walletClient.sendTransaction = (parameters) =>
+      this._sendAndTrack(walletClient, send, parameters);
+
+    return walletClient;
+  }
+
+  /**
+   * Get a tracked transaction
+   */
+  getTransaction(hash) {
+    return this.transactions.get(hash) || null;
+  }
+
+  /**
+   * List tracked transactions, optionally filtered by sender and/or status
+   */
+  getTransactions({ from, status } = {}) {
+    let records = Array.from(this.transactions.values());
+    if (from) records = records.filter(r => r.from === getAddress(from));
+    if (status) records = records.filter(r => r.status === status);
+    return records.sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  /**
+   * List transactions still waiting to be mined
+   */
+  getPendingTransactions(from) {
+    return this.getTransactions({ from, status: 'pending' });
+  }
+
+  /**
+   * Re-send a pending transaction at the same nonce with a higher fee
+   */
+  async speedUp(hash, options = {}) {
+    try {
+      const original = this._getPendingRecord(hash);
+
+      const replacement = await this._replace(original, {
+        to: original.to,
+        data: original.data,
+        value: original.value,
+        gas: original.gas
+      }, 'speedup', options);
+
+      console.log(`⚡ Sped up ${hash} -> ${replacement.hash} (nonce ${original.nonce})`);
+      this.emit('speedup', { original, replacement });
+
+      return replacement;
+    } catch (error) {
+      throw new Error(`Speed up failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a pending transaction with a zero-value self-transfer at the same nonce
+   */
+  async cancel(hash, options = {}) {
+    try {
+      const original = this._getPendingRecord(hash);
+
+      const replacement = await this._replace(original, {
+        to: original.from,
+        value: 0n,
+        gas: 21000n
+      }, 'cancel', options);
+
+      console.log(`🛑 Cancelling ${hash} with ${replacement.hash} (nonce ${original.nonce})`);
+      this.emit('cancel', { original, replacement });
+
+      return replacement;
+    } catch (error) {
+      throw new Error(`Cancel failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait until a transaction reaches a final status. Follows speed-up/cancel
+   * replacements so the caller gets the transaction that actually landed.
+   */
+  async wait(hash, { timeout = 300000, followReplacements = true } = {}) {
+    const record = this.transactions.get(hash);
+    if (!record) throw new Error(`Transaction ${hash} is not tracked`);
+
+    const final = await new Promise((resolve, reject) => {
+      const done = (r) => {
+        clearTimeout(timer);
+        this.off('status', onStatus);
+        resolve(r);
+      };
+      const onStatus = (r) => {
+        if (r.hash === hash && FINAL_STATUSES.includes(r.status)) done(r);
+      };
+      const timer = setTimeout(() => {
+        this.off('status', onStatus);
+        reject(new Error(`Timed out waiting for ${hash}`));
+      }, timeout);
+
+      this.on('status', onStatus);
+      if (FINAL_STATUSES.includes(record.status)) done(record);
+      this._startPolling();
+    });
+
+    if (followReplacements && final.status === 'replaced' && final.replacedBy) {
+      return await this.wait(final.replacedBy, { timeout, followReplacements });
+    }
+
+    return final;
+  }
+
+  /**
+   * Check all pending transactions once
+   */
+  async poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    try {
+      // Group pending records by sender + nonce so replacements resolve together
+      const groups = new Map();
+      for (const record of this.getPendingTransactions()) {
+        const key = `${record.from}.${record.nonce}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+      }
+
+      const confirmedNonces = new Map();
+
+      for (const records of groups.values()) {
+        try {
+          await this._checkNonceGroup(records, confirmedNonces);
+        } catch (error) {
+          console.warn(`Transaction check failed for ${records[0].hash}: ${error.message}`);
+        }
+      }
+    } finally {
+      this._polling = false;
+      if (this.getPendingTransactions().length === 0) this.stop();
+    }
+  }
+
+  /**
+   * Stop background polling
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Get counts by status
+   */
+  getStats() {
+    const stats = { total: this.transactions.size, pending: 0, mined: 0, failed: 0, dropped: 0, replaced: 0 };
+    for (const record of this.transactions.values()) {
+      stats[record.status] = (stats[record.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _sendAndTrack(walletClient, send, parameters, meta = {}) {
+    const from = getAddress(walletClient.account.address);
+    const nonceManager = walletClient.account.nonceManager;
+
+    // Take the nonce ourselves: viem consumes it before estimating gas, so a
+    // reverting estimate would otherwise leave a gap nobody fills
+    const consumed = parameters.nonce === undefined && nonceManager
+      ? await nonceManager.consume({ address: from, chainId: walletClient.chain?.id ?? this.client.chain?.id })
+      : undefined;
+
+    let request;
+    let hash;
+    try {
+      // Prepare first so nonce, gas and fees are known before broadcasting
+      request = await walletClient.prepareTransactionRequest({
+        ...parameters,
+        ...(consumed !== undefined && { nonce: consumed }),
+        nonceManager
+      });
+      hash = await send(request);
+    } catch (error) {
+      // The nonce was consumed but never used - hand it back
+      if (consumed !== undefined) this._releaseNonce(from, consumed, nonceManager);
+      throw error;
+    }
+
+    const record = {
+      hash,
+      from,
+      to: request.to || null,
+      nonce: Number(request.nonce),
+      value: request.value || 0n,
+      data: request.data,
+      gas: request.gas,
+      type: request.type,
+      gasPrice: request.gasPrice,
+      maxFeePerGas: request.maxFeePerGas,
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+      kind: meta.kind || this._detectKind(request),
+      status: 'pending',
+      replaces: meta.replaces || null,
+      replacedBy: null,
+      replacements: [],
+      blockNumber: null,
+      gasUsed: null,
+      submittedAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this._store(record);
+    this.emit('sent', record);
+    this.emit('status', record);
+    this._startPolling();
+
+    return hash;
+  }
+
+  async _replace(original, params, kind, options) {
+    const { walletClient, send } = this._getSender(original.from, options);
+    const fees = await this._getReplacementFees(original, options);
+
+    const hash = await this._sendAndTrack(walletClient, send, {
+      ...params,
+      ...fees,
+      nonce: original.nonce
+    }, { kind, replaces: original.hash });
+
+    original.replacements.push(hash);
+    original.updatedAt = Date.now();
+
+    return this.transactions.get(hash);
+  }
+
+  async _getReplacementFees(original, options) {
+    const bump = (value) =>
+      value === undefined || value === null
+        ? undefined
+        : value * BigInt(100 + (options.bumpPercent ?? this.config.bumpPercent)) / 100n;
+
+    if (original.type === 'legacy' || (original.gasPrice !== undefined && original.maxFeePerGas === undefined)) {
+      let gasPrice = options.gasPrice ?? bump(original.gasPrice);
+      const current = await this.client.getGasPrice().catch(() => 0n);
+      if (current > gasPrice) gasPrice = current;
+      return { gasPrice };
+    }
+
+    let maxFeePerGas = options.maxFeePerGas ?? bump(original.maxFeePerGas);
+    let maxPriorityFeePerGas = options.maxPriorityFeePerGas ?? bump(original.maxPriorityFeePerGas);
+
+    // Never go below what the network currently asks for
+    const current = await this.client.publicClient.estimateFeesPerGas().catch(() => null);
+    if (current) {
+      if (current.maxFeePerGas > maxFeePerGas) maxFeePerGas = current.maxFeePerGas;
+      if (current.maxPriorityFeePerGas > maxPriorityFeePerGas) maxPriorityFeePerGas = current.maxPriorityFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  async _checkNonceGroup(records, confirmedNonces) {
+    const { from, nonce } = records[0];
+
+    // Read the mined nonce before the receipts: anything mined before this point
+    // must then show up as a receipt below, so it is never mistaken for an
+    // external replacement
+    if (!confirmedNonces.has(from)) {
+      confirmedNonces.set(from, await this.client.getTransactionCount(from, 'latest'));
+    }
+
+    // A receipt for any transaction in the group settles the whole group
+    for (const record of records) {
+      const receipt = await this._getReceipt(record.hash);
+      if (!receipt) continue;
+
+      this._setStatus(record, receipt.status === 'success' ? 'mined' : 'failed', {
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed,
+        contractAddress: receipt.contractAddress || null
+      });
+
+      for (const other of records) {
+        if (other !== record) this._setStatus(other, 'replaced', { replacedBy: record.hash });
+      }
+
+      // The original of a speed-up/cancel may already be settled; link it too
+      if (record.replaces) {
+        const original = this.transactions.get(record.replaces);
+        if (original && !original.replacedBy) original.replacedBy = record.hash;
+      }
+
+      this.nonceManager?.confirm(from, nonce);
+      return;
+    }
+
+    // Nonce used by a transaction we didn't send (e.g. another tool)
+    if (confirmedNonces.get(from) > nonce) {
+      records.forEach(record => this._setStatus(record, 'replaced'));
+      this.nonceManager?.confirm(from, nonce);
+      return;
+    }
+
+    // Gone from the node for too long - treat as dropped and free the nonce
+    for (const record of records) {
+      const known = await this.client.getTransaction(record.hash).then(() => true, () => false);
+      if (known) {
+        record.lastSeenAt = Date.now();
+        continue;
+      }
+      if (Date.now() - (record.lastSeenAt || record.submittedAt) > this.config.dropTimeout) {
+        this._setStatus(record, 'dropped');
+      }
+    }
+
+    if (records.every(record => record.status === 'dropped')) {
+      this._releaseNonce(from, nonce);
+    }
+  }
+
+  /**
+   * Receipt or null while pending; RPC errors propagate so a flaky node
+   * can't make a mined transaction look replaced
+   */
+  async _getReceipt(hash) {
+    try {
+      return await this.client.publicClient.getTransactionReceipt({ hash });
+    } catch (error) {
+      if (error.name === 'TransactionReceiptNotFoundError') return null;
+      throw error;
+    }
+  }
+
+  _setStatus(record, status, updates = {}) {
+    if (record.status === status) return;
+
+    Object.assign(record, updates, { status, updatedAt: Date.now() });
+
+    this.emit(status, record);
+    this.emit('status', record);
+  }
+
+  _getPendingRecord(hash) {
+    const record = this.transactions.get(hash);
+    if (!record) throw new Error(`Transaction ${hash} is not tracked`);
+    if (record.status !== 'pending') throw new Error(`Transaction ${hash} is already ${record.status}`);
+    return record;
+  }
+
+  _getSender(address, options) {
+    if (options.walletClient) {
+      return { walletClient: options.walletClient, send: options.walletClient.sendTransaction };
+    }
+
+    const sender = this.senders.get(address);
+    if (!sender) throw new Error(`No signer available for ${address}`);
+    return sender;
+  }
+
+  _releaseNonce(address, nonce, nonceManager = this.nonceManager) {
+    if (!nonceManager || nonce === undefined) return;
+
+    if (typeof nonceManager.release === 'function') {
+      nonceManager.release(address, nonce);
+    } else {
+      nonceManager.reset({ address, chainId: this.client.chain?.id });
+    }
+  }
+
+  _detectKind(request) {
+    if (!request.to) return 'deploy';
+    if (!request.data || request.data === '0x') return 'transfer';
+    return 'contractCall';
+  }
+
+  _store(record) {
+    this.transactions.set(record.hash, record);
+
+    // Trim the oldest settled records
+    if (this.transactions.size > this.config.maxRecords) {
+      for (const [hash, old] of this.transactions) {
+        if (old.status !== 'pending') {
+          this.transactions.delete(hash);
+          break;
+        }
+      }
+    }
+  }
+
+  _startPolling() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.poll().catch(error => console.warn(`Transaction polling failed: ${error.message}`));
+    }, this.config.pollInterval);
+
+    // Don't keep the process alive just for tracking
+    this._timer.unref?.();
+  }
+}
@@ -1,5 +1,5 @@
-import { createWalletClient, http, parseEther, formatEther } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
+import { parseEther, formatEther } from 'viem';
+import { createSignerClient } from '../signer/resolveSigner.js';
 
 export class TransferManager {
   constructor(client, chain) {
@@ -10,40 +10,17 @@ export class TransferManager {
   /**
    * Send ETH from one wallet to another
    */
-  async sendETH({ fromPrivateKey, to, amount, gasLimit, gasPrice }) {
+  async sendETH({ fromPrivateKey, signer, feeStrategy, to, amount, gasLimit, gasPrice }) {
     try {
       // Validate inputs
-      if (!fromPrivateKey) throw new Error('Private key is required');
+      if (!signer && !fromPrivateKey) throw new Error('Signer or private key is required');
       if (!to) throw new Error('Recipient address is required');
       if (!amount) throw new Error('Amount is required');
 
-      // Ensure private key is properly formatted (0x prefix)
-      let formattedPrivateKey = fromPrivateKey;
-      if (!formattedPrivateKey.startsWith('0x')) {
-        formattedPrivateKey = '0x' + formattedPrivateKey;
-      }
-
-      // Validate private key length (should be 66 chars including 0x)
-      if (formattedPrivateKey.length !== 66) {
-        throw new Error('Invalid private key format. Expected 64 hex characters (with or without 0x prefix)');
-      }
-
-      // Create account from private key
-      const account = privateKeyToAccount(formattedPrivateKey);
+      // Resolve signer (private keys are validated by LocalKeySigner)
+      const { account, walletClient } = await this._createWalletClient(signer || fromPrivateKey, feeStrategy);
       
       console.log(`Sending from: ${account.address} to: ${to}`);
-      
-      // Create wallet client for sending transactions
-      const walletClient = createWalletClient({
-        account,
-        chain: this.chain,
-        transport: http(this.chain.rpcUrls.default.http[0])
-      });
-
-      // Get current gas price if not provided
-      if (!gasPrice) {
-        gasPrice = await this.client.getGasPrice();
-      }
 
       // Estimate gas if not provided
       if (!gasLimit) {
@@ -54,12 +31,12 @@ export class TransferManager {
         });
       }
 
-      // Send transaction
+      // Send transaction (an explicit gasPrice overrides the fee strategy)
       const hash = await walletClient.sendTransaction({
         to,
         value: parseEther(amount.toString()),
         gas: gasLimit,
-        gasPrice: gasPrice
+        ...(gasPrice ? { gasPrice } : {})
       });
 
       return {
@@ -95,6 +72,13 @@ export class TransferManager {
     }
   }
 
+  /**
+   * Estimate EIP-1559 fees for a strategy ('slow' | 'standard' | 'fast' | 'custom' | custom object)
+   */
+  async getFeeEstimate(feeStrategy) {
+    return await this.client.feeEstimator.estimate(feeStrategy);
+  }
+
   /**
    * Get current gas price with priority fee
    */
@@ -112,15 +96,14 @@ export class TransferManager {
   /**
    * Check if address has enough balance for transfer
    */
-  async checkBalance({ address, amount, includeGas = true }) {
+  async checkBalance({ address, amount, includeGas = true, feeStrategy }) {
     try {
       const balance = await this.client.getBalance(address);
       const requiredAmount = parseEther(amount.toString());
       
       if (includeGas) {
-        const gasPrice = await this.getGasPrice();
         const gasLimit = 21000n; // Standard ETH transfer
-        const gasCost = gasPrice * gasLimit;
+        const gasCost = await this._getMaxFeePerGas(feeStrategy) * gasLimit;
         const totalRequired = requiredAmount + gasCost;
         
         return {
@@ -180,6 +163,18 @@ export class TransferManager {
         blockNumber: receipt.blockNumber.toString()
       };
     } catch (error) {
+      // Tracked transactions know if they were dropped or replaced
+      const tracked = this.client.transactionTracker?.getTransaction(hash);
+      if (tracked) {
+        return {
+          hash,
+          status: tracked.status,
+          nonce: tracked.nonce,
+          replacedBy: tracked.replacedBy,
+          replacements: tracked.replacements
+        };
+      }
+
       // Transaction might be pending
       try {
         await this.client.getTransaction(hash);
@@ -199,22 +194,51 @@ export class TransferManager {
   /**
    * Calculate transaction cost
    */
-  async calculateTransactionCost(amount) {
+  async calculateTransactionCost(amount, feeStrategy) {
     try {
-      const gasPrice = await this.getGasPrice();
+      const fees = await this.getFeeEstimate(feeStrategy);
       const gasLimit = 21000n; // Standard ETH transfer
-      const gasCost = gasPrice * gasLimit;
+
+      // Expected cost is what is normally paid; max cost is the fee cap
+      const expectedGasPrice = fees.gasPrice ?? fees.maxFeePerGas;
+      const gasCost = expectedGasPrice * gasLimit;
+      const maxGasCost = (fees.maxFeePerGas ?? fees.gasPrice) * gasLimit;
       const totalCost = parseEther(amount.toString()) + gasCost;
       
       return {
         amount: amount.toString(),
         gasCost: formatEther(gasCost),
+        maxGasCost: formatEther(maxGasCost),
         totalCost: formatEther(totalCost),
-        gasPrice: gasPrice.toString(),
+        gasPrice: expectedGasPrice.toString(),
+        maxFeePerGas: fees.maxFeePerGas?.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString(),
+        feeStrategy: fees.strategy,
         gasLimit: gasLimit.toString()
       };
     } catch (error) {
       throw new Error(`Cost calculation failed: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Worst-case fee per gas for a strategy
+   */
+  async _getMaxFeePerGas(feeStrategy) {
+    const fees = await this.getFeeEstimate(feeStrategy);
+    return fees.maxFeePerGas ?? fees.gasPrice;
+  }
+
+  /**
+   * Wallet client for the signer, wired to the shared nonce manager,
+   * transaction tracker and fee strategy
+   */
+  async _createWalletClient(signerOrKey, feeStrategy) {
+    return await createSignerClient(signerOrKey, this.chain, {
+      nonceManager: this.client.nonceManager,
+      tracker: this.client.transactionTracker,
+      feeEstimator: this.client.feeEstimator,
+      feeStrategy
+    });
+  }
+}
@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import { UmiWallet } from './UmiWallet.js';
+
+// BIP-44 coin type 60 (Ethereum) - Umi EVM addresses use the same derivation
+export const DEFAULT_BASE_PATH = "m/44'/60'/0'/0";
+
+export class HDAccount {
+  constructor(mnemonic, client, options = {}) {
+    if (!mnemonic) {
+      throw new Error('Mnemonic phrase is required');
+    }
+
+    try {
+      this.mnemonic = ethers.Mnemonic.fromPhrase(mnemonic.trim(), options.passphrase || '');
+    } catch (error) {
+      throw new Error(`Invalid mnemonic: ${error.message}`);
+    }
+
+    this.client = client;
+    this.basePath = options.basePath || DEFAULT_BASE_PATH;
+    this.root = ethers.HDNodeWallet.fromSeed(this.mnemonic.computeSeed());
+    this.fingerprint = this.root.fingerprint;
+    this.label = options.label || null;
+  }
+
+  /**
+   * Build a full BIP-44 path: m/44'/60'/{account}'/{change}/{index}
+   */
+  static getBip44Path(account = 0, change = 0, index = 0) {
+    return `m/44'/60'/${account}'/${change}/${index}`;
+  }
+
+  /**
+   * Derive the wallet at an index under the account's base path
+   */
+  deriveWallet(index = 0) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error('Index must be a non-negative integer');
+    }
+
+    const wallet = this.derivePath(`${this.basePath}/${index}`);
+    wallet.hdIndex = index;
+    return wallet;
+  }
+
+  /**
+   * Derive `count` consecutive wallets starting at `start`
+   */
+  deriveRange(start = 0, count = 10) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Count must be a positive integer');
+    }
+
+    const wallets = [];
+    for (let index = start; index < start + count; index++) {
+      wallets.push(this.deriveWallet(index));
+    }
+    return wallets;
+  }
+
+  /**
+   * Derive a wallet at a custom absolute path (e.g. "m/44'/60'/3'/0/7")
+   */
+  derivePath(path) {
+    if (!path || !path.startsWith('m/')) {
+      throw new Error('Derivation path must start with "m/"');
+    }
+
+    try {
+      const node = this.root.derivePath(path);
+      const wallet = new UmiWallet(node.privateKey, this.client);
+      wallet.derivationPath = path;
+      wallet.hdFingerprint = this.fingerprint;
+      return wallet;
+    } catch (error) {
+      throw new Error(`Failed to derive path ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gap-limit scan: walk indexes until `gapLimit` consecutive addresses
+   * have neither a balance nor a nonce, returning every used wallet
+   */
+  async discover(options = {}) {
+    const {
+      gapLimit = 20,
+      startIndex = 0,
+      maxIndex = startIndex + 1000
+    } = options;
+
+    if (!this.client) {
+      throw new Error('Client not available');
+    }
+
+    const used = [];
+    let gap = 0;
+    let index = startIndex;
+
+    try {
+      while (gap < gapLimit && index < maxIndex) {
+        const wallet = this.deriveWallet(index);
+        const [balance, nonce] = await Promise.all([
+          this.client.getBalance(wallet.address),
+          this.client.getTransactionCount(wallet.address)
+        ]);
+
+        if (balance > 0n || nonce > 0) {
+          used.push({
+            wallet,
+            index,
+            address: wallet.address,
+            path: wallet.derivationPath,
+            balance: ethers.formatEther(balance),
+            nonce
+          });
+          gap = 0;
+        } else {
+          gap++;
+        }
+
+        index++;
+      }
+    } catch (error) {
+      throw new Error(`HD discovery failed at index ${index}: ${error.message}`);
+    }
+
+    console.log(`🔎 HD discovery: ${used.length} used address(es) in ${index - startIndex} scanned`);
+
+    return {
+      used,
+      scanned: index - startIndex,
+      nextIndex: used.length > 0 ? used[used.length - 1].index + 1 : startIndex,
+      gapLimit
+    };
+  }
+
+  /**
+   * Export the mnemonic phrase (use with caution)
+   */
+  exportMnemonic() {
+    return this.mnemonic.phrase;
+  }
+
+  /**
+   * Get account info (no secrets)
+   */
+  getInfo() {
+    return {
+      fingerprint: this.fingerprint,
+      label: this.label,
+      basePath: this.basePath
+    };
+  }
+}
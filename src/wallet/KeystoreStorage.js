@@ -0,0 +1,142 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+export class KeystoreStorage {
+  constructor(config = {}) {
+    this.config = {
+      keystoreDir: config.keystoreDir || './wallet_keystores',
+      ...config
+    };
+  }
+
+  /**
+   * Write a keystore JSON file under the given label
+   */
+  async save(label, keystoreJson, { overwrite = false } = {}) {
+    const filepath = this._getPath(label);
+
+    if (!ethers.isKeystoreJson(keystoreJson)) {
+      throw new Error('Invalid keystore JSON');
+    }
+
+    try {
+      await fs.mkdir(this.config.keystoreDir, { recursive: true });
+
+      // Owner read/write only - the file holds an encrypted private key.
+      // 'wx' fails atomically if the file exists, so two saves cannot race
+      await fs.writeFile(filepath, keystoreJson, { mode: 0o600, flag: overwrite ? 'w' : 'wx' });
+
+      console.log(`🔐 Keystore saved: ${label}`);
+
+      return {
+        saved: true,
+        label,
+        filepath,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`Failed to save keystore: Keystore "${label}" already exists`);
+      }
+      throw new Error(`Failed to save keystore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a keystore JSON file by label
+   */
+  async load(label) {
+    try {
+      return await fs.readFile(this._getPath(label), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // Keystore doesn't exist
+      }
+      throw new Error(`Failed to load keystore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a keystore exists for the label
+   */
+  async exists(label) {
+    try {
+      await fs.access(this._getPath(label));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List stored keystores (label, address, kdf)
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.keystoreDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to list keystores: ${error.message}`);
+    }
+
+    const keystores = [];
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const label = file.slice(0, -'.json'.length);
+      try {
+        const data = JSON.parse(await this.load(label));
+        const crypto = data.crypto || data.Crypto || {};
+        keystores.push({
+          label,
+          address: data.address ? ethers.getAddress(data.address) : null,
+          kdf: crypto.kdf || null,
+          version: data.version
+        });
+      } catch (error) {
+        console.warn(`Skipping unreadable keystore ${file}: ${error.message}`);
+      }
+    }
+
+    return keystores;
+  }
+
+  /**
+   * Delete a keystore file
+   */
+  async remove(label) {
+    try {
+      await fs.unlink(this._getPath(label));
+      console.log(`🗑️ Keystore removed: ${label}`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw new Error(`Failed to remove keystore: ${error.message}`);
+    }
+  }
+
+  /**
+   * Labels double as file names, so keep them to a safe character set
+   */
+  static validateLabel(label) {
+    if (!label || typeof label !== 'string') {
+      throw new Error('Keystore label is required');
+    }
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(label)) {
+      throw new Error('Keystore label may only contain letters, numbers, "_" and "-" (max 64 chars)');
+    }
+    return label;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _getPath(label) {
+    return path.join(this.config.keystoreDir, `${KeystoreStorage.validateLabel(label)}.json`);
+  }
+}
@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
 import { AccountAddress } from '@aptos-labs/ts-sdk';
+import { createCipheriv } from 'crypto';
+import { LocalKeySigner } from '../signer/LocalKeySigner.js';
 
 export class UmiWallet {
   constructor(privateKey, client) {
@@ -11,6 +13,7 @@ export class UmiWallet {
     this.client = client;
     this.ethersWallet = new ethers.Wallet(privateKey);
     this.address = this.ethersWallet.address;
+    this.label = null; // Set when the wallet is backed by a keystore
   }
 
   /**
@@ -64,6 +67,16 @@ export class UmiWallet {
     };
   }
 
+  /**
+   * Get a Signer for this wallet, so managers never handle the raw key
+   */
+  getSigner() {
+    if (!this._signer) {
+      this._signer = new LocalKeySigner(this.exportPrivateKey());
+    }
+    return this._signer;
+  }
+
   /**
    * Export private key (use with caution)
    */
@@ -71,6 +84,92 @@ export class UmiWallet {
     // Ensure private key has 0x prefix for Viem compatibility
     return this.privateKey.startsWith('0x') ? this.privateKey : '0x' + this.privateKey;
   }
+
+  /**
+   * Encrypt the wallet as a Web3 Secret Storage v3 keystore JSON string
+   */
+  async encrypt(password, options = {}) {
+    if (!password) {
+      throw new Error('Password is required');
+    }
+
+    const { kdf = 'scrypt' } = options;
+
+    try {
+      if (kdf === 'scrypt') {
+        return await ethers.encryptKeystoreJson(
+          { address: this.address, privateKey: this.exportPrivateKey() },
+          password,
+          options.scrypt ? { scrypt: options.scrypt } : {}
+        );
+      }
+
+      if (kdf === 'pbkdf2') {
+        return encryptKeystorePbkdf2(this.exportPrivateKey(), this.address, password, options.pbkdf2);
+      }
+
+      throw new Error(`Unsupported kdf: ${kdf}. Use 'scrypt' or 'pbkdf2'`);
+    } catch (error) {
+      throw new Error(`Failed to encrypt wallet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decrypt a v3 keystore JSON (scrypt or pbkdf2) into a UmiWallet
+   */
+  static async fromKeystore(keystoreJson, password, client) {
+    if (!keystoreJson || !ethers.isKeystoreJson(keystoreJson)) {
+      throw new Error('Invalid keystore JSON');
+    }
+
+    try {
+      const account = await ethers.decryptKeystoreJson(keystoreJson, password);
+      return new UmiWallet(account.privateKey, client);
+    } catch (error) {
+      throw new Error(`Failed to decrypt keystore: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Build a v3 keystore using pbkdf2 (ethers only encrypts with scrypt,
+ * but decrypts both)
+ */
+function encryptKeystorePbkdf2(privateKey, address, password, params = {}) {
+  const c = params.c || 262144;
+  const salt = ethers.randomBytes(32);
+  const iv = ethers.randomBytes(16);
+
+  const derivedKey = ethers.getBytes(
+    ethers.pbkdf2(ethers.toUtf8Bytes(password.normalize('NFKC')), salt, c, 32, 'sha256')
+  );
+
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.slice(0, 16), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(ethers.getBytes(privateKey)),
+    cipher.final()
+  ]);
+
+  const mac = ethers.keccak256(ethers.concat([derivedKey.slice(16, 32), ciphertext]));
+
+  return JSON.stringify({
+    address: address.slice(2).toLowerCase(),
+    id: ethers.uuidV4(ethers.randomBytes(16)),
+    version: 3,
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: ethers.hexlify(iv).slice(2) },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'pbkdf2',
+      kdfparams: {
+        c,
+        dklen: 32,
+        prf: 'hmac-sha256',
+        salt: ethers.hexlify(salt).slice(2)
+      },
+      mac: mac.slice(2)
+    }
+  });
 }
 
 /**
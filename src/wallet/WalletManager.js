@@ -1,10 +1,16 @@
 import { ethers } from 'ethers';
 import { UmiWallet } from './UmiWallet.js';
+import { KeystoreStorage } from './KeystoreStorage.js';
+import { HDAccount } from './HDAccount.js';
+import { KeystoreSigner } from '../signer/KeystoreSigner.js';
 
 export class WalletManager {
-  constructor(client) {
+  constructor(client, config = {}) {
     this.client = client;
     this.wallets = new Map(); // Store wallets by address
+    this.unlockedLabels = new Map(); // Keystore label -> address of unlocked wallet
+    this.hdAccounts = new Map(); // HD accounts by root fingerprint
+    this.keystore = new KeystoreStorage({ keystoreDir: config.keystoreDir });
   }
 
   /**
@@ -57,6 +63,58 @@ export class WalletManager {
     }
   }
 
+  // ========== HD ACCOUNTS ==========
+
+  /**
+   * Create an HD account from a new random mnemonic
+   */
+  createHDAccount(options = {}) {
+    return this.importHDAccount(WalletManager.generateMnemonic(), options);
+  }
+
+  /**
+   * Import an HD account that keeps the seed for further derivation
+   */
+  importHDAccount(mnemonic, options = {}) {
+    const account = new HDAccount(mnemonic, this.client, options);
+    this.hdAccounts.set(account.fingerprint, account);
+    return account;
+  }
+
+  /**
+   * Get an HD account by fingerprint
+   */
+  getHDAccount(fingerprint) {
+    return this.hdAccounts.get(fingerprint);
+  }
+
+  /**
+   * Derive a range of wallets from an HD account and manage them
+   */
+  deriveWallets(account, start = 0, count = 1) {
+    const wallets = this._resolveHDAccount(account).deriveRange(start, count);
+    wallets.forEach(wallet => this.wallets.set(wallet.address, wallet));
+    return wallets;
+  }
+
+  /**
+   * Derive a wallet at a custom path from an HD account and manage it
+   */
+  deriveWalletAtPath(account, path) {
+    const wallet = this._resolveHDAccount(account).derivePath(path);
+    this.wallets.set(wallet.address, wallet);
+    return wallet;
+  }
+
+  /**
+   * Run a gap-limit scan and manage every used wallet found
+   */
+  async discoverWallets(account, options = {}) {
+    const result = await this._resolveHDAccount(account).discover(options);
+    result.used.forEach(({ wallet }) => this.wallets.set(wallet.address, wallet));
+    return result;
+  }
+
   /**
    * Get wallet by address
    */
@@ -82,6 +140,9 @@ export class WalletManager {
    * Remove wallet from manager
    */
   removeWallet(address) {
+    for (const [label, unlockedAddress] of this.unlockedLabels) {
+      if (unlockedAddress === address) this.unlockedLabels.delete(label);
+    }
     return this.wallets.delete(address);
   }
 
@@ -90,6 +151,7 @@ export class WalletManager {
    */
   clearWallets() {
     this.wallets.clear();
+    this.unlockedLabels.clear();
   }
 
   /**
@@ -136,4 +198,135 @@ export class WalletManager {
   getWalletCount() {
     return this.wallets.size;
   }
-}
\ No newline at end of file
+
+  // ========== KEYSTORE OPERATIONS ==========
+
+  /**
+   * Save a wallet as an encrypted keystore file under a label
+   */
+  async saveWallet(wallet, { label, password, kdf = 'scrypt', overwrite = false, ...encryptOptions } = {}) {
+    if (!wallet) throw new Error('Wallet is required');
+    KeystoreStorage.validateLabel(label);
+    if (!password) throw new Error('Password is required');
+
+    const keystoreJson = await wallet.encrypt(password, { kdf, ...encryptOptions });
+    const result = await this.keystore.save(label, keystoreJson, { overwrite });
+
+    wallet.label = label;
+    this.wallets.set(wallet.address, wallet);
+    this.unlockedLabels.set(label, wallet.address);
+
+    return {
+      ...result,
+      address: wallet.address,
+      kdf
+    };
+  }
+
+  /**
+   * Decrypt a stored keystore and add the wallet to the manager
+   */
+  async unlockWallet(label, password) {
+    if (!password) throw new Error('Password is required');
+
+    const keystoreJson = await this.keystore.load(label);
+    if (!keystoreJson) {
+      throw new Error(`Keystore "${label}" not found`);
+    }
+
+    const wallet = await UmiWallet.fromKeystore(keystoreJson, password, this.client);
+    wallet.label = label;
+
+    this.wallets.set(wallet.address, wallet);
+    this.unlockedLabels.set(label, wallet.address);
+
+    console.log(`🔓 Wallet unlocked: ${label} (${wallet.address})`);
+
+    return wallet;
+  }
+
+  /**
+   * Load a wallet from its keystore (alias of unlockWallet)
+   */
+  async loadWallet(label, password) {
+    return await this.unlockWallet(label, password);
+  }
+
+  /**
+   * Re-lock a wallet: drop the decrypted key from memory, keep the keystore file
+   */
+  lockWallet(label) {
+    const address = this.unlockedLabels.get(label);
+    if (!address) {
+      return false;
+    }
+
+    this.wallets.delete(address);
+    this.unlockedLabels.delete(label);
+
+    console.log(`🔒 Wallet locked: ${label}`);
+
+    return true;
+  }
+
+  /**
+   * Lock every unlocked keystore wallet
+   */
+  lockAllWallets() {
+    const labels = Array.from(this.unlockedLabels.keys());
+    labels.forEach(label => this.lockWallet(label));
+    return labels.length;
+  }
+
+  /**
+   * Check whether a keystore wallet is currently unlocked
+   */
+  isUnlocked(label) {
+    return this.unlockedLabels.has(label);
+  }
+
+  /**
+   * Get an unlocked wallet by keystore label
+   */
+  getWalletByLabel(label) {
+    const address = this.unlockedLabels.get(label);
+    return address ? this.wallets.get(address) : undefined;
+  }
+
+  /**
+   * List stored keystores with their lock state
+   */
+  async listKeystores() {
+    const keystores = await this.keystore.list();
+
+    return keystores.map(entry => ({
+      ...entry,
+      unlocked: this.isUnlocked(entry.label)
+    }));
+  }
+
+  /**
+   * Get a Signer backed by a stored keystore (decrypts only when signing)
+   */
+  async getKeystoreSigner(label, options = {}) {
+    return await KeystoreSigner.fromStorage(this.keystore, label, options);
+  }
+
+  /**
+   * Delete a stored keystore (locks the wallet first)
+   */
+  async removeKeystore(label) {
+    this.lockWallet(label);
+    return await this.keystore.remove(label);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _resolveHDAccount(account) {
+    const resolved = account instanceof HDAccount ? account : this.hdAccounts.get(account);
+    if (!resolved) {
+      throw new Error('HD account not found');
+    }
+    return resolved;
+  }
+}
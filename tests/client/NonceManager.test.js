@@ -0,0 +1,114 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { NonceManager } from '../../src/client/NonceManager.js';
+import { TransactionTracker } from '../../src/transaction/TransactionTracker.js';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const CHAIN_ID = 42069;
+
+function createClient({ pending = 0 } = {}) {
+  const client = {
+    chain: { id: CHAIN_ID },
+    pending,
+    getTransactionCount: jest.fn(async () => client.pending)
+  };
+  return client;
+}
+
+// Wallet client stand-in: prepare fails for parameters marked `fail`
+function createWalletClient(nonceManager) {
+  let sent = 0;
+  return {
+    account: { address: ADDRESS, nonceManager },
+    chain: { id: CHAIN_ID },
+    prepareTransactionRequest: jest.fn(async ({ fail, nonceManager: _, ...parameters }) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (fail) throw new Error('execution reverted');
+      return { ...parameters, gas: 21000n, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n, type: 'eip1559' };
+    }),
+    sendTransaction: jest.fn(async () => `0x${(++sent).toString(16).padStart(64, '0')}`)
+  };
+}
+
+describe('NonceManager', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('hands out distinct nonces to parallel allocations', async () => {
+    const manager = new NonceManager(createClient({ pending: 5 }));
+
+    const nonces = await Promise.all(
+      Array.from({ length: 5 }, () => manager.consume({ address: ADDRESS, chainId: CHAIN_ID }))
+    );
+
+    expect(nonces).toEqual([5, 6, 7, 8, 9]);
+    expect(manager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([5, 6, 7, 8, 9]);
+  });
+
+  test('release frees only the given nonce and the next allocation fills the gap', async () => {
+    const manager = new NonceManager(createClient());
+    for (let i = 0; i < 3; i++) await manager.getNextNonce(ADDRESS, CHAIN_ID);
+
+    manager.release(ADDRESS, 1, CHAIN_ID);
+
+    expect(manager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([0, 2]);
+    expect(await manager.getNextNonce(ADDRESS, CHAIN_ID)).toBe(1);
+    expect(await manager.getNextNonce(ADDRESS, CHAIN_ID)).toBe(3);
+  });
+
+  test('reset resyncs without freeing nonces still in flight', async () => {
+    const client = createClient();
+    const manager = new NonceManager(client);
+    for (let i = 0; i < 3; i++) await manager.consume({ address: ADDRESS, chainId: CHAIN_ID });
+
+    manager.reset({ address: ADDRESS, chainId: CHAIN_ID });
+
+    expect(await manager.consume({ address: ADDRESS, chainId: CHAIN_ID })).toBe(3);
+    expect(client.getTransactionCount).toHaveBeenCalledTimes(4); // initial sync + resync, latest and pending each
+  });
+
+  test('sync drops nonces the node already knows about', async () => {
+    const client = createClient();
+    const manager = new NonceManager(client);
+    for (let i = 0; i < 3; i++) await manager.getNextNonce(ADDRESS, CHAIN_ID);
+
+    client.pending = 2;
+    manager.resync(ADDRESS, CHAIN_ID);
+
+    expect(await manager.getNextNonce(ADDRESS, CHAIN_ID)).toBe(3);
+    expect(manager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([2, 3]);
+  });
+
+  test('treats long-unconfirmed nonces as dropped and re-issues them', async () => {
+    const manager = new NonceManager(createClient(), { staleAfter: 0 });
+    await manager.getNextNonce(ADDRESS, CHAIN_ID);
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    manager.resync(ADDRESS, CHAIN_ID);
+
+    expect(await manager.getNextNonce(ADDRESS, CHAIN_ID)).toBe(0);
+  });
+
+  test('a failed send among concurrent tracked sends frees exactly its own nonce', async () => {
+    const client = createClient();
+    const manager = new NonceManager(client);
+    const tracker = new TransactionTracker(client, { nonceManager: manager });
+    const walletClient = tracker.attach(createWalletClient(manager));
+
+    const results = await Promise.allSettled([
+      walletClient.sendTransaction({ to: ADDRESS, value: 1n }),
+      walletClient.sendTransaction({ to: ADDRESS, value: 2n, fail: true }),
+      walletClient.sendTransaction({ to: ADDRESS, value: 3n })
+    ]);
+    tracker.stop();
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    const sentNonces = tracker.getTransactions().map(r => r.nonce).sort();
+    expect(sentNonces).toEqual([0, 2]);
+    expect(manager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([0, 2]);
+
+    // The gap left by the failed send is reused, the live nonces are not
+    await walletClient.sendTransaction({ to: ADDRESS, value: 4n });
+    tracker.stop();
+    expect(tracker.getTransactions().map(r => r.nonce).sort()).toEqual([0, 1, 2]);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { IndexerStorage } from '../../src/indexer/IndexerStorage.js';
+
+const CONTRACT = { address: '0x4444444444444444444444444444444444444444', fromBlock: 0, lastBlock: 0 };
+
+describe('IndexerStorage', () => {
+  let storageDir;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'indexer-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  test('keeps the index in memory unless file storage is enabled', async () => {
+    const storage = new IndexerStorage({ storageDir });
+    await storage.load(42069);
+    storage.setContract(CONTRACT);
+
+    expect(await storage.save()).toEqual({ saved: false, reason: 'File storage disabled' });
+    expect(await fs.readdir(storageDir)).toEqual([]);
+  });
+
+  test('persists and reloads the index when file storage is enabled', async () => {
+    const storage = new IndexerStorage({ storageDir, enableFileStorage: true });
+    await storage.load(42069);
+    storage.setContract(CONTRACT);
+
+    expect(await storage.save()).toMatchObject({ saved: true });
+
+    const reloaded = new IndexerStorage({ storageDir, enableFileStorage: true });
+    await reloaded.load(42069);
+    expect(reloaded.getContracts()).toEqual([expect.objectContaining({ address: CONTRACT.address })]);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { ServerMultisigManager } from '../../src/multisig/ServerMultisigManager.js';
+import { MultisigStorage } from '../../src/multisig/MultisigStorage.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Server wallets are only looked up by name for server-side groups
+function createManager() {
+  jest.spyOn(MultisigStorage.prototype, '_initializeStorage').mockResolvedValue();
+
+  const manager = new ServerMultisigManager({}, { alice: {}, bob: {}, carol: {} });
+  manager.storage = new MultisigStorage({ enableFileStorage: false });
+  manager.registerOperation('ping', {
+    execute: jest.fn(async ({ params }) => ({ pong: params.value }))
+  });
+  return manager;
+}
+
+async function createGroup(manager, rule, weights = {}) {
+  return await manager.createMultisigGroup({
+    name: 'Treasury',
+    members: [
+      { walletName: 'alice', role: 'admin', weight: weights.alice },
+      { walletName: 'bob', role: 'admin', weight: weights.bob },
+      { walletName: 'carol', role: 'ceo', weight: weights.carol }
+    ],
+    threshold: 2,
+    rules: { ping: rule },
+    notifications: false
+  });
+}
+
+async function approveAll(manager, proposal, walletNames) {
+  let result;
+  for (const walletName of walletNames) {
+    result = await manager.approveProposal({ proposalId: proposal.id, approverWalletName: walletName });
+  }
+  return result;
+}
+
+describe('ServerMultisigManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('timelock', () => {
+    let group, proposal;
+
+    beforeEach(async () => {
+      group = await createGroup(manager, { requiredRoles: ['admin'], threshold: 2, timelock: 3600, vetoRoles: ['ceo'] });
+      proposal = await manager.proposeTransaction({ multisigId: group.id, proposerWalletName: 'alice', operation: 'ping', params: { value: 1 } });
+    });
+
+    test('queues a fully approved proposal instead of executing it', async () => {
+      const queued = await approveAll(manager, proposal, ['alice', 'bob']);
+
+      expect(queued).toMatchObject({ status: 'queued', vetoRoles: ['ceo'], executableAt: '2026-01-01T01:00:00.000Z' });
+      expect(await manager.getQueuedProposals(group.id)).toEqual([proposal]);
+      await expect(manager.executeProposal(proposal.id)).rejects.toThrow('timelocked until 2026-01-01T01:00:00.000Z');
+      expect(proposal.status).toBe('queued');
+    });
+
+    test('executes once the timelock has passed', async () => {
+      await approveAll(manager, proposal, ['alice', 'bob']);
+      jest.setSystemTime(Date.now() + HOUR);
+
+      expect(await manager.processTimelocks({ autoExecute: true })).toEqual([
+        { proposalId: proposal.id, executed: true, result: { pong: 1 } }
+      ]);
+      expect(proposal.status).toBe('executed');
+      expect(await manager.processTimelocks({ autoExecute: true })).toEqual([]);
+    });
+
+    test('a veto role cancels the proposal during the timelock', async () => {
+      await approveAll(manager, proposal, ['alice', 'bob']);
+
+      await expect(manager.vetoProposal({ proposalId: proposal.id, vetoerWalletName: 'bob' }))
+        .rejects.toThrow('role admin cannot veto ping');
+
+      const result = await manager.vetoProposal({ proposalId: proposal.id, vetoerWalletName: 'carol', reason: 'too risky' });
+
+      expect(result).toMatchObject({ status: 'vetoed', veto: { walletName: 'carol', role: 'ceo', reason: 'too risky' } });
+      await expect(manager.executeProposal(proposal.id)).rejects.toThrow('not in pending status');
+    });
+
+    test('a veto is refused once the timelock has ended', async () => {
+      await approveAll(manager, proposal, ['alice', 'bob']);
+      jest.setSystemTime(Date.now() + HOUR);
+
+      await expect(manager.vetoProposal({ proposalId: proposal.id, vetoerWalletName: 'carol' }))
+        .rejects.toThrow('too late to veto');
+      expect(proposal.status).toBe('queued');
+
+      await manager.executeProposal(proposal.id);
+      expect(proposal.status).toBe('executed');
+    });
+
+    test('votes on a proposal past its expiry are refused and it ends expired', async () => {
+      await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'alice' });
+      jest.setSystemTime(Date.now() + 8 * 24 * HOUR);
+
+      await expect(manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'bob' }))
+        .rejects.toThrow('has expired');
+      expect(proposal.status).toBe('expired');
+      expect(await manager.getQueuedProposals(group.id)).toEqual([]);
+    });
+  });
+
+  describe('rejection, withdrawal and amendment', () => {
+    let group, proposal;
+
+    beforeEach(async () => {
+      group = await createGroup(manager, { requiredRoles: ['admin', 'ceo'], threshold: 3 });
+      proposal = await manager.proposeTransaction({ multisigId: group.id, proposerWalletName: 'alice', operation: 'ping', params: { value: 1 } });
+    });
+
+    test('the first rejection is final when every approver must approve', async () => {
+      await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'alice' });
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'bob', reason: 'wrong value' });
+
+      expect(proposal).toMatchObject({ status: 'rejected', statusReason: 'wrong value' });
+      await expect(manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'carol' }))
+        .rejects.toThrow('no longer pending (status: rejected)');
+    });
+
+    test('a rejectionThreshold without weighted voting is refused', async () => {
+      await expect(createGroup(manager, { requiredRoles: ['admin'], threshold: 2, rejectionThreshold: 2 }))
+        .rejects.toThrow('rejectionThreshold needs weightThreshold');
+    });
+
+    test('only the proposer can withdraw, and only before execution', async () => {
+      await expect(manager.withdrawProposal({ proposalId: proposal.id, proposerWalletName: 'bob' }))
+        .rejects.toThrow('Only the proposer (alice)');
+
+      expect(await manager.withdrawProposal({ proposalId: proposal.id, proposerWalletName: 'alice', reason: 'not needed' }))
+        .toEqual({ proposalId: proposal.id, status: 'withdrawn', reason: 'not needed' });
+      await expect(manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'bob' }))
+        .rejects.toThrow('status: withdrawn');
+      await expect(manager.withdrawProposal({ proposalId: proposal.id, proposerWalletName: 'alice' }))
+        .rejects.toThrow('can no longer be withdrawn');
+    });
+
+    test('amending merges params, clears every vote and keeps the old revision', async () => {
+      await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'alice' });
+      await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'bob' });
+
+      await manager.amendProposal({ proposalId: proposal.id, proposerWalletName: 'alice', params: { value: 2 }, reason: 'typo' });
+
+      expect(proposal).toMatchObject({ status: 'pending', revision: 2, params: { value: 2 }, summary: 'value: 2' });
+      expect(proposal.approvals.size).toBe(0);
+      expect(proposal.amendments).toEqual([
+        expect.objectContaining({ revision: 1, params: { value: 1 }, clearedVotes: 2, reason: 'typo' })
+      ]);
+
+      const execution = await approveAll(manager, proposal, ['alice', 'bob', 'carol']);
+      expect(execution.result).toEqual({ pong: 2 });
+    });
+
+    test('a decided proposal can no longer be amended', async () => {
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'bob' });
+
+      await expect(manager.amendProposal({ proposalId: proposal.id, proposerWalletName: 'alice', params: { value: 2 } }))
+        .rejects.toThrow('Only pending proposals can be amended (status: rejected)');
+    });
+  });
+
+  describe('weighted voting', () => {
+    const weights = { alice: 3, bob: 2, carol: 1 };
+
+    async function propose(rule) {
+      const group = await createGroup(manager, { requiredRoles: ['admin', 'ceo'], threshold: 1, ...rule }, weights);
+      return await manager.proposeTransaction({ multisigId: group.id, proposerWalletName: 'alice', operation: 'ping', params: { value: 1 } });
+    }
+
+    test('every eligible member votes with their weight', async () => {
+      const proposal = await propose({ weightThreshold: 3 });
+
+      expect(proposal.requiredApprovals).toEqual(['alice', 'bob', 'carol']);
+      expect(proposal.voting).toEqual({ mode: 'weighted', weights, weightThreshold: 3, quorum: 0 });
+
+      const execution = await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'alice' });
+      expect(execution.result).toEqual({ pong: 1 });
+    });
+
+    test('waits for quorum even once the weight threshold is met', async () => {
+      const proposal = await propose({ weightThreshold: 3, quorum: 0.8 });
+
+      await manager.approveProposal({ proposalId: proposal.id, approverWalletName: 'alice' });
+      expect(proposal.status).toBe('pending');
+      expect(proposal.getWeightStatus()).toMatchObject({ approved: 3, quorumWeight: 4.8, quorumReached: false });
+
+      // A rejection still counts towards participation
+      const execution = await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'bob' });
+      expect(execution.result).toEqual({ pong: 1 });
+      expect(proposal.status).toBe('executed');
+    });
+
+    test('is rejected once the rule\'s rejectionThreshold is reached', async () => {
+      const proposal = await propose({ weightThreshold: 3, rejectionThreshold: 2 });
+
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'carol' });
+      expect(proposal.status).toBe('pending');
+
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'bob' });
+      expect(proposal).toMatchObject({ status: 'rejected', statusReason: 'Blocked by 2 rejection(s)' });
+    });
+
+    test('is rejected once the remaining weight cannot reach the threshold', async () => {
+      const proposal = await propose({ weightThreshold: 5 });
+
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'carol' });
+      expect(proposal.status).toBe('pending');
+
+      await manager.rejectProposal({ proposalId: proposal.id, rejecterWalletName: 'bob' });
+      expect(proposal).toMatchObject({ status: 'rejected', statusReason: 'Remaining voters cannot reach the weight threshold' });
+    });
+
+    test('refuses thresholds the eligible weight cannot reach and out-of-range quorums', async () => {
+      await expect(propose({ weightThreshold: 7 })).rejects.toThrow('needs approving weight 7 but eligible members hold 6');
+      await expect(propose({ weightThreshold: 3, quorum: 1.5 })).rejects.toThrow('Quorum for ping must be between 0 and 1');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { decodeFunctionData, recoverTypedDataAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { TokenManager } from '../../src/token/TokenManager.js';
+import { SolidityCompiler } from '../../src/compiler/SolidityCompiler.js';
+
+const OWNER_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const SENDER_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
+const TOKEN = '0x4444444444444444444444444444444444444444';
+const SPENDER = '0x5555555555555555555555555555555555555555';
+const HASH = `0x${'ab'.repeat(32)}`;
+
+describe('TokenManager permits', () => {
+  let manager, sendTransaction;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const client = {
+      readContract: jest.fn(async ({ functionName }) => ({ name: 'Gold', nonces: 3n, decimals: 18 })[functionName]),
+      waitForTransaction: jest.fn(async () => ({ status: 'success' }))
+    };
+    manager = new TokenManager(client, { id: 42069 });
+
+    // Capture the transaction instead of broadcasting it
+    sendTransaction = jest.fn(async () => HASH);
+    manager._createWalletClient = jest.fn(async (signerOrKey) => ({
+      account: privateKeyToAccount(signerOrKey),
+      walletClient: { sendTransaction }
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('signPermit signs EIP-2612 typed data for the owner', async () => {
+    const permit = await manager.signPermit({ contractAddress: TOKEN, ownerPrivateKey: OWNER_KEY, spenderAddress: SPENDER, amount: '2.5' });
+    const typedData = await manager.buildPermitTypedData({
+      contractAddress: TOKEN,
+      ownerAddress: permit.owner,
+      spenderAddress: SPENDER,
+      amount: '2.5',
+      deadline: permit.deadline
+    });
+
+    expect(permit).toMatchObject({ value: '2500000000000000000', nonce: '3' });
+    expect(await recoverTypedDataAddress({ ...typedData, signature: permit.signature })).toBe(privateKeyToAccount(OWNER_KEY).address);
+  });
+
+  test('submitPermit sends permit() to the token from the sender', async () => {
+    const permit = await manager.signPermit({ contractAddress: TOKEN, ownerPrivateKey: OWNER_KEY, spenderAddress: SPENDER, amount: 10 });
+
+    const result = await manager.submitPermit({ permit, senderPrivateKey: SENDER_KEY });
+
+    expect(result).toMatchObject({
+      hash: HASH,
+      success: true,
+      submittedBy: privateKeyToAccount(SENDER_KEY).address,
+      spender: SPENDER,
+      contractAddress: TOKEN,
+      type: 'permit'
+    });
+
+    const [{ to, data }] = sendTransaction.mock.calls[0];
+    expect(to).toBe(TOKEN);
+    const { functionName, args } = decodeFunctionData({ abi: SolidityCompiler.getOpenZeppelinERC20ABI(), data });
+    expect(functionName).toBe('permit');
+    expect(args).toEqual([permit.owner, permit.spender, 10n * 10n ** 18n, BigInt(permit.deadline), permit.v, permit.r, permit.s]);
+  });
+
+  test('submitPermit uses the compiled ABI of a token deployed here', async () => {
+    const abi = SolidityCompiler.getOpenZeppelinERC20ABI().filter(item => item.name !== 'permit' || item.type !== 'function');
+    manager.deployedTokens.set(TOKEN, { abi, features: {} });
+    const permit = await manager.signPermit({ contractAddress: TOKEN, ownerPrivateKey: OWNER_KEY, spenderAddress: SPENDER, amount: 1 });
+
+    await expect(manager.submitPermit({ permit, senderPrivateKey: SENDER_KEY }))
+      .rejects.toThrow(/Permit submission failed: Function "permit" not found/);
+  });
+
+  test('submitPermit rejects an expired permit before sending', async () => {
+    const permit = await manager.signPermit({ contractAddress: TOKEN, ownerPrivateKey: OWNER_KEY, spenderAddress: SPENDER, amount: 1, deadline: 1 });
+
+    await expect(manager.submitPermit({ permit, senderPrivateKey: SENDER_KEY })).rejects.toThrow('Permit deadline has passed');
+    expect(sendTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('TokenManager Move tokens', () => {
+  const MODULE_ID = '0x000000000000000000000000a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0::gold';
+  let manager, views, sendEntryFunction;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    manager = new TokenManager({}, { id: 42069 });
+    manager._createWalletClient = jest.fn(async (signerOrKey) => ({ account: privateKeyToAccount(signerOrKey), walletClient: {} }));
+    sendEntryFunction = jest.spyOn(manager, '_sendEntryFunction').mockResolvedValue({ hash: HASH, success: true });
+
+    // On-chain token with 6 decimals
+    views = {
+      token_info: ['Gold', 'GLD', 6, 0n, 0n, '0x1'],
+      balance: [2500000n],
+      is_frozen: [false]
+    };
+    jest.spyOn(manager, '_viewMoveFunction').mockImplementation(async (moduleId, functionName) => views[functionName]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('amounts use the token\'s on-chain decimals when none are given', async () => {
+    await manager.mintMoveToken({ moduleId: MODULE_ID, ownerPrivateKey: OWNER_KEY, to: SPENDER, amount: '1.5' });
+    await manager.burnMoveToken({ moduleId: MODULE_ID, fromPrivateKey: OWNER_KEY, amount: 2 });
+    await manager.transferMoveToken({ moduleId: MODULE_ID, fromPrivateKey: OWNER_KEY, to: SPENDER, amount: '0.25' });
+
+    const amounts = sendEntryFunction.mock.calls.map(([, , , , args]) => args[args.length - 1].value);
+    expect(amounts).toEqual([1500000n, 2000000n, 250000n]);
+  });
+
+  test('given decimals are used without reading the token', async () => {
+    await manager.mintMoveToken({ moduleId: MODULE_ID, ownerPrivateKey: OWNER_KEY, to: SPENDER, amount: 1, decimals: 8 });
+
+    const [, , , , args] = sendEntryFunction.mock.calls[0];
+    expect(args[1].value).toBe(100000000n);
+    expect(manager._viewMoveFunction).not.toHaveBeenCalled();
+  });
+
+  test('balances are formatted with the token\'s on-chain decimals', async () => {
+    expect(await manager.getMoveTokenBalance({ moduleId: MODULE_ID, address: SPENDER })).toMatchObject({
+      balance: '2.5',
+      balanceRaw: '2500000',
+      frozen: false,
+      decimals: 6
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { FeeEstimator } from '../../src/transaction/FeeEstimator.js';
+
+// Fee history with a 100 wei next base fee and rewards at the 10/50/90th percentiles
+function createClient() {
+  return {
+    publicClient: {
+      getFeeHistory: jest.fn(async () => ({
+        baseFeePerGas: [100n, 100n],
+        reward: [[1n, 2n, 3n]],
+        gasUsedRatio: [0.5]
+      }))
+    },
+    getGasPrice: jest.fn(async () => 1n)
+  };
+}
+
+describe('FeeEstimator', () => {
+  test('the custom strategy name uses the configured custom parameters', async () => {
+    const estimator = new FeeEstimator(createClient(), { custom: { maxFeePerGas: 500n, maxPriorityFeePerGas: 20n } });
+
+    expect(await estimator.estimate('custom')).toEqual({
+      strategy: 'custom',
+      type: 'eip1559',
+      maxFeePerGas: 500n,
+      maxPriorityFeePerGas: 20n
+    });
+  });
+
+  test('a custom default strategy applies to every estimate', async () => {
+    const estimator = new FeeEstimator(createClient(), { defaultStrategy: 'custom', custom: { maxPriorityFeePerGas: 7n } });
+
+    expect(await estimator.getTransactionFees()).toEqual({ maxFeePerGas: 132n, maxPriorityFeePerGas: 7n });
+  });
+
+  test('the custom strategy name without configured parameters is refused', async () => {
+    const estimator = new FeeEstimator(createClient());
+
+    await expect(estimator.estimate('custom')).rejects.toThrow('needs a custom strategy object');
+    await expect(estimator.estimate('turbo')).rejects.toThrow('Unknown fee strategy "turbo"');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { TransactionTracker } from '../../src/transaction/TransactionTracker.js';
+import { NonceManager } from '../../src/client/NonceManager.js';
+
+const ADDRESS = '0x2222222222222222222222222222222222222222';
+const RECIPIENT = '0x3333333333333333333333333333333333333333';
+const CHAIN_ID = 42069;
+
+// Node stand-in: receipts and mempool contents are set by the test
+function createClient() {
+  const client = {
+    chain: { id: CHAIN_ID },
+    latest: 0,
+    receipts: new Map(),
+    mempool: new Set(),
+    getTransactionCount: jest.fn(async () => client.latest),
+    getGasPrice: jest.fn(async () => 1n),
+    getTransaction: jest.fn(async (hash) => {
+      if (!client.mempool.has(hash)) throw new Error('transaction not found');
+      return { hash };
+    }),
+    publicClient: {
+      estimateFeesPerGas: jest.fn(async () => ({ maxFeePerGas: 1n, maxPriorityFeePerGas: 1n })),
+      getTransactionReceipt: jest.fn(async ({ hash }) => {
+        if (client.receipts.has(hash)) return client.receipts.get(hash);
+        const error = new Error('receipt not found');
+        error.name = 'TransactionReceiptNotFoundError';
+        throw error;
+      })
+    }
+  };
+  return client;
+}
+
+function createWalletClient(client, nonceManager) {
+  let sent = 0;
+  return {
+    account: { address: ADDRESS, nonceManager },
+    chain: client.chain,
+    prepareTransactionRequest: jest.fn(async ({ nonceManager: _, ...parameters }) => ({
+      maxFeePerGas: 100n,
+      maxPriorityFeePerGas: 10n,
+      gas: 21000n,
+      type: 'eip1559',
+      ...parameters
+    })),
+    sendTransaction: jest.fn(async () => {
+      const hash = `0x${(++sent).toString(16).padStart(64, '0')}`;
+      client.mempool.add(hash);
+      return hash;
+    })
+  };
+}
+
+describe('TransactionTracker', () => {
+  let client, nonceManager, tracker, walletClient;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    client = createClient();
+    nonceManager = new NonceManager(client);
+    tracker = new TransactionTracker(client, { nonceManager, dropTimeout: 0 });
+    walletClient = tracker.attach(createWalletClient(client, nonceManager));
+  });
+
+  afterEach(() => {
+    tracker.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('records a sent transaction as pending with its nonce', async () => {
+    const hash = await walletClient.sendTransaction({ to: RECIPIENT, value: 1n });
+
+    expect(tracker.getTransaction(hash)).toMatchObject({ from: ADDRESS, nonce: 0, status: 'pending', kind: 'transfer' });
+    expect(tracker.getPendingTransactions(ADDRESS)).toHaveLength(1);
+  });
+
+  test('speed-up re-sends at the same nonce with bumped fees and the original ends replaced', async () => {
+    const hash = await walletClient.sendTransaction({ to: RECIPIENT, value: 1n });
+    const replacement = await tracker.speedUp(hash);
+
+    expect(replacement).toMatchObject({ nonce: 0, kind: 'speedup', replaces: hash, maxFeePerGas: 120n, maxPriorityFeePerGas: 12n });
+
+    client.receipts.set(replacement.hash, { status: 'success', blockNumber: 7n, gasUsed: 21000n });
+    client.latest = 1;
+    await tracker.poll();
+
+    expect(tracker.getTransaction(replacement.hash).status).toBe('mined');
+    expect(tracker.getTransaction(hash)).toMatchObject({ status: 'replaced', replacedBy: replacement.hash });
+    expect(await tracker.wait(hash)).toBe(tracker.getTransaction(replacement.hash));
+  });
+
+  test('cancel sends a zero-value self-transfer at the same nonce', async () => {
+    const hash = await walletClient.sendTransaction({ to: RECIPIENT, value: 5n });
+    const replacement = await tracker.cancel(hash);
+
+    expect(replacement).toMatchObject({ nonce: 0, kind: 'cancel', to: ADDRESS, value: 0n, gas: 21000n });
+
+    client.receipts.set(hash, { status: 'success', blockNumber: 7n, gasUsed: 21000n });
+    await tracker.poll();
+
+    expect(tracker.getTransaction(hash).status).toBe('mined');
+    expect(tracker.getTransaction(replacement.hash)).toMatchObject({ status: 'replaced', replacedBy: hash });
+    await expect(tracker.speedUp(hash)).rejects.toThrow('already mined');
+  });
+
+  test('a nonce mined by someone else marks the transaction replaced', async () => {
+    const hash = await walletClient.sendTransaction({ to: RECIPIENT, value: 1n });
+
+    client.latest = 1;
+    await tracker.poll();
+
+    expect(tracker.getTransaction(hash).status).toBe('replaced');
+  });
+
+  test('a transaction missing from the node past dropTimeout is dropped and its nonce released', async () => {
+    const kept = await walletClient.sendTransaction({ to: RECIPIENT, value: 1n });
+    const lost = await walletClient.sendTransaction({ to: RECIPIENT, value: 2n });
+    client.mempool.delete(lost);
+    await new Promise(resolve => setTimeout(resolve, 2)); // past dropTimeout
+
+    await tracker.poll();
+
+    expect(tracker.getTransaction(kept).status).toBe('pending');
+    expect(tracker.getTransaction(lost).status).toBe('dropped');
+    expect(nonceManager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([0]);
+    expect(tracker.getStats()).toMatchObject({ total: 2, pending: 1, dropped: 1 });
+  });
+
+  test('a failed prepare releases the nonce it was given', async () => {
+    walletClient.prepareTransactionRequest = jest.fn(async () => { throw new Error('execution reverted'); });
+
+    await expect(walletClient.sendTransaction({ to: RECIPIENT, data: '0x12' })).rejects.toThrow('execution reverted');
+
+    expect(nonceManager.getState(ADDRESS, CHAIN_ID).inFlight).toEqual([]);
+    expect(tracker.getTransactions()).toHaveLength(0);
+  });
+});